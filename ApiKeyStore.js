@@ -0,0 +1,263 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const API_SCOPES = ['read-status', 'send', 'manage-sessions', 'assign', 'admin'];
+
+/**
+ * Alcance requerido por cada ruta de /api (la primera regla que coincide).
+ * Las rutas no listadas requieren read-status si son GET y manage-sessions si no.
+ */
+const SCOPE_RULES = [
+    { pattern: /^\/api\/api-keys(\/|$)/, scope: 'admin' },
+    { method: 'POST', pattern: /\/assign-number$/, scope: 'assign' },
+    { pattern: /^\/api\/assignments\/[^/]+$/, scope: 'assign', writeOnly: true },
+    { method: 'POST', pattern: /^\/api\/roles\/[^/]+\/send-message$/, scope: 'send' },
+    { method: 'POST', pattern: /^\/api\/sessions\/[^/]+\/(send-message|broadcast)(\/|$)/, scope: 'send' },
+    { pattern: /^\/api\/sessions\/[^/]+\/messages\/[^/]+(\/(reply|react|edit))?$/, scope: 'send', writeOnly: true },
+    { pattern: /^\/api\/sessions\/[^/]+\/scheduled(\/|$)/, scope: 'send', writeOnly: true },
+    { method: 'POST', pattern: /^\/api\/sessions\/[^/]+\/contacts\/check$/, scope: 'send' },
+    { method: 'POST', pattern: /^\/api\/inbox\/conversations\/[^/]+\/(claim|read|messages)$/, scope: 'send' },
+    { method: 'PUT', pattern: /^\/api\/inbox\/conversations\/[^/]+\/status$/, scope: 'send' },
+    { method: 'GET', pattern: /^\/api\/sessions\/[^/]+\/qr$/, scope: 'manage-sessions' },
+    { method: 'GET', pattern: /^\/api\/sessions\/[^/]+\/webhooks$/, scope: 'manage-sessions' },
+    { method: 'GET', pattern: /^\/api\/sessions\/[^/]+\/groups\/[^/]+\/invite-link$/, scope: 'manage-sessions' },
+    { pattern: /^\/api\/templates(\/|$)/, scope: 'send', writeOnly: true }
+];
+
+const scopeForRequest = (method, requestPath) => {
+    // Express ignora mayúsculas y la barra final al enrutar: las reglas deben hacer lo mismo
+    const normalizedPath = String(requestPath).toLowerCase().replace(/\/+$/, '') || '/';
+    const rule = SCOPE_RULES.find(rule =>
+        (!rule.method || rule.method === method) &&
+        (!rule.writeOnly || method !== 'GET') &&
+        rule.pattern.test(normalizedPath)
+    );
+
+    if (rule) return rule.scope;
+    return method === 'GET' || method === 'HEAD' ? 'read-status' : 'manage-sessions';
+};
+
+const hashKey = (key) => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+/**
+ * Script para los dashboards: pide la clave ante un 401 y la guarda en una
+ * cookie, así también funcionan los enlaces directos al QR.
+ */
+const API_KEY_CLIENT_SCRIPT = `(function () {
+    var originalFetch = window.fetch;
+    window.fetch = function (url, options) {
+        return originalFetch(url, options).then(function (response) {
+            if (response.status !== 401 || String(url).indexOf('/api/') !== 0) return response;
+
+            var key = prompt('Ingrese la clave de API:');
+            if (!key) return response;
+
+            document.cookie = 'api_key=' + encodeURIComponent(key.trim()) + '; path=/; SameSite=Strict';
+            return originalFetch(url, options);
+        });
+    };
+})();`;
+
+/**
+ * Claves de API con alcances. Solo se guarda el hash SHA-256 de cada clave;
+ * el valor en claro se muestra una única vez al emitirla.
+ *
+ * La clave se acepta en la cabecera `X-API-Key`, en `Authorization: Bearer`
+ * o en la cookie `api_key` (dashboards).
+ */
+class ApiKeyStore {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.keys = new Map(); // { hash → record }
+        this.loadedMtime = 0;
+        this.saveTimer = null;
+        this.disabled = process.env.API_AUTH_DISABLED === 'true' || options.disabled === true;
+        this.adminKeyHash = process.env.API_ADMIN_KEY ? hashKey(process.env.API_ADMIN_KEY) : null;
+
+        this.load();
+
+        if (this.disabled) {
+            this.logger.warn('⚠️ Autenticación por clave de API DESACTIVADA (API_AUTH_DISABLED=true)');
+        } else if (this.keys.size === 0 && !this.adminKeyHash) {
+            // Sin ninguna clave nadie podría emitir la primera
+            const { key, id, prefix } = this.issue({ name: 'admin-inicial', scopes: ['admin'] });
+            // La clave en claro solo va a la consola: el logger también escribe en logs/app.log
+            console.log(`🔑 Clave de administrador inicial (guárdela, no se volverá a mostrar): ${key}`);
+            this.logger.warn(`🔑 Clave de administrador inicial emitida (${prefix}…, id ${id}), se mostró solo en la consola`);
+        }
+    }
+
+    /**
+     * Cargar claves desde disco (compartido entre servidores)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.loadedMtime) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.keys.clear();
+            data.forEach(record => this.keys.set(record.hash, record));
+            this.loadedMtime = mtime;
+        } catch (error) {
+            this.logger.error(`Error cargando claves de API: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar claves en disco
+     */
+    save() {
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.keys.values()), null, 2), { mode: 0o600 });
+            this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            this.logger.error(`Error guardando claves de API: ${error.message}`);
+        }
+    }
+
+    /**
+     * Emitir una clave. Devuelve la clave en claro junto con sus datos.
+     */
+    issue({ name, scopes }) {
+        if (!Array.isArray(scopes) || scopes.length === 0) {
+            throw new Error(`Se requiere al menos un alcance. Permitidos: ${API_SCOPES.join(', ')}`);
+        }
+
+        const invalid = scopes.filter(scope => !API_SCOPES.includes(scope));
+        if (invalid.length > 0) {
+            throw new Error(`Alcances inválidos: ${invalid.join(', ')}. Permitidos: ${API_SCOPES.join(', ')}`);
+        }
+
+        this.load();
+
+        const key = `wak_${crypto.randomBytes(24).toString('hex')}`;
+        const record = {
+            id: uuidv4(),
+            name: name || null,
+            prefix: key.slice(0, 8),
+            hash: hashKey(key),
+            scopes: [...new Set(scopes)],
+            createdAt: Date.now(),
+            lastUsedAt: null,
+            revokedAt: null
+        };
+
+        this.keys.set(record.hash, record);
+        this.save();
+
+        this.logger.info(`🔑 Clave de API emitida: ${record.name || record.id} (${record.scopes.join(', ')})`);
+        return { key, ...this.toPublic(record) };
+    }
+
+    /**
+     * Revocar una clave por id
+     */
+    revoke(id) {
+        this.load();
+
+        const record = Array.from(this.keys.values()).find(r => r.id === id);
+        if (!record || record.revokedAt) return false;
+
+        record.revokedAt = Date.now();
+        this.save();
+
+        this.logger.info(`🔑 Clave de API revocada: ${record.name || record.id}`);
+        return true;
+    }
+
+    list() {
+        this.load();
+        return Array.from(this.keys.values()).map(record => this.toPublic(record));
+    }
+
+    toPublic({ hash, ...record }) {
+        return record;
+    }
+
+    /**
+     * Datos de una clave válida (no revocada) o null
+     */
+    verify(key) {
+        if (!key) return null;
+
+        const hash = hashKey(key);
+        if (this.adminKeyHash && crypto.timingSafeEqual(Buffer.from(hash), Buffer.from(this.adminKeyHash))) {
+            return { id: 'env', name: 'API_ADMIN_KEY', scopes: ['admin'] };
+        }
+
+        this.load();
+        const record = this.keys.get(hash);
+        if (!record || record.revokedAt) return null;
+
+        // Último uso: se guarda como mucho una vez por minuto
+        record.lastUsedAt = Date.now();
+        if (!this.saveTimer) {
+            this.saveTimer = setTimeout(() => this.save(), 60000);
+            this.saveTimer.unref();
+        }
+
+        return record;
+    }
+
+    hasScope(record, scope) {
+        return record.scopes.includes('admin') || record.scopes.includes(scope);
+    }
+
+    /**
+     * Clave enviada en la petición (cabecera, Bearer o cookie)
+     */
+    static extractKey(req) {
+        const header = req.get('X-API-Key');
+        if (header) return header.trim();
+
+        const authorization = req.get('Authorization') || '';
+        if (authorization.startsWith('Bearer ')) return authorization.slice(7).trim();
+
+        const cookie = (req.get('Cookie') || '')
+            .split(';')
+            .map(part => part.trim())
+            .find(part => part.startsWith('api_key='));
+        if (!cookie) return null;
+
+        try {
+            return decodeURIComponent(cookie.slice(8));
+        } catch (error) {
+            // Cookie mal codificada: se trata como ausente
+            return null;
+        }
+    }
+
+    /**
+     * Middleware para app.use('/api', ...): exige una clave con el alcance de la ruta
+     */
+    middleware() {
+        return (req, res, next) => {
+            if (this.disabled || req.method === 'OPTIONS') return next();
+
+            const record = this.verify(ApiKeyStore.extractKey(req));
+            if (!record) {
+                return res.status(401).json({ error: 'Clave de API inválida o ausente' });
+            }
+
+            const scope = scopeForRequest(req.method, req.originalUrl.split('?')[0]);
+            if (!this.hasScope(record, scope)) {
+                return res.status(403).json({ error: `La clave no tiene el alcance requerido: ${scope}` });
+            }
+
+            req.apiKey = { id: record.id, name: record.name, scopes: record.scopes };
+            next();
+        };
+    }
+}
+
+module.exports = { ApiKeyStore, API_SCOPES, API_KEY_CLIENT_SCRIPT, scopeForRequest };
@@ -0,0 +1,307 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+
+const ROLE_NAME_REGEX = /^[\w-]{1,64}$/;
+
+// Nombres en español usados por el dashboard y /api/sessions/:id/assign-number
+const ROLE_ALIASES = {
+    ventas: 'sells',
+    coordinacion: 'coordination'
+};
+
+// Variables del .env de Laravel que guardaban la URL de cada rol
+const LEGACY_ENV_KEYS = {
+    SELLS_API_URL: 'sells',
+    WHATSAPP_VENTAS_URL: 'sells',
+    COORDINATION_API_URL: 'coordination',
+    WHATSAPP_COORDINACION_URL: 'coordination'
+};
+
+const normalizeRole = (role) => {
+    const name = String(role || '').trim().toLowerCase();
+    return ROLE_ALIASES[name] || name;
+};
+
+/**
+ * Asignaciones de roles (ventas, coordinación o cualquier otro) a sesiones.
+ *
+ * Laravel envía a /api/roles/:role/send-message y el servicio resuelve la
+ * sesión actual del rol, así reasignar un número no requiere tocar su .env.
+ * Cada cambio queda en el historial.
+ *
+ * Un rol tiene una lista ordenada de sesiones: se usa la primera sana y,
+ * cuando la sesión activa cambia, se emite 'failover'
+ * ({ role, from, to, primary, reason }).
+ */
+class AssignmentStore extends EventEmitter {
+    constructor(filePath, logger, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.historyLimit = options.historyLimit || 1000;
+        this.assignments = new Map(); // { role → assignment }
+        this.history = [];
+        this.loadedMtime = 0;
+
+        this.load();
+    }
+
+    /**
+     * Cargar asignaciones desde disco (compartido entre servidores)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.loadedMtime) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.assignments.clear();
+            (data.assignments || []).forEach(assignment => {
+                // Formato anterior: una sola sesión por rol
+                if (!Array.isArray(assignment.sessions)) {
+                    assignment.sessions = [assignment.sessionId];
+                }
+                this.assignments.set(assignment.role, assignment);
+            });
+            this.history = data.history || [];
+            this.loadedMtime = mtime;
+        } catch (error) {
+            this.logger.error(`Error cargando asignaciones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar asignaciones en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                assignments: Array.from(this.assignments.values()),
+                history: this.history
+            }, null, 2));
+            this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            this.logger.error(`Error guardando asignaciones: ${error.message}`);
+        }
+    }
+
+    /**
+     * Importar una sola vez las asignaciones que estaban en el .env de Laravel
+     */
+    importFromEnv(envPath) {
+        if (fs.existsSync(this.filePath) || !envPath || !fs.existsSync(envPath)) return 0;
+
+        let imported = 0;
+        try {
+            const lines = fs.readFileSync(envPath, 'utf8').split('\n');
+            for (const line of lines) {
+                const [key, ...rest] = line.split('=');
+                const role = LEGACY_ENV_KEYS[key.trim()];
+                const match = rest.join('=').match(/\/sessions\/([^/"']+)\/send-message/);
+
+                if (role && match && !this.assignments.has(role)) {
+                    this.record(role, match[1], { by: 'laravel-env' });
+                    imported++;
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Error importando asignaciones del .env: ${error.message}`);
+            return 0;
+        }
+
+        if (imported > 0) {
+            this.save();
+            this.logger.info(`📥 ${imported} asignaciones importadas desde ${envPath}`);
+        }
+        return imported;
+    }
+
+    list() {
+        this.load();
+        return Array.from(this.assignments.values()).sort((a, b) => a.role.localeCompare(b.role));
+    }
+
+    get(role) {
+        this.load();
+        return this.assignments.get(normalizeRole(role)) || null;
+    }
+
+    /**
+     * Sesión que debe usar un rol: la primera sana de su lista.
+     * Si ninguna lo está se mantiene la activa (el envío esperará a que conecte).
+     */
+    resolve(role, isHealthy = () => true) {
+        const assignment = this.get(role);
+        if (!assignment) return null;
+
+        this.updateActive(assignment, isHealthy, 'send');
+        return assignment.activeSessionId || assignment.sessionId;
+    }
+
+    /**
+     * Revisar todos los roles (p. ej. tras un cambio de estado de una sesión)
+     */
+    evaluate(isHealthy, reason = 'status_change') {
+        this.list().forEach(assignment => this.updateActive(assignment, isHealthy, reason));
+    }
+
+    updateActive(assignment, isHealthy, reason) {
+        const healthy = assignment.sessions.find(sessionId => isHealthy(sessionId));
+        const current = assignment.activeSessionId || assignment.sessionId;
+        if (!healthy || healthy === current) return;
+
+        assignment.activeSessionId = healthy;
+        const event = {
+            role: assignment.role,
+            from: current,
+            to: healthy,
+            primary: healthy === assignment.sessionId,
+            reason
+        };
+
+        this.addHistory({ role: assignment.role, action: 'failover', sessionId: healthy, previousSessionId: current, reason });
+        this.save();
+
+        if (event.primary) {
+            this.logger.info(`[${healthy}] ↩️ Rol ${assignment.role} vuelve a la sesión principal (antes ${current})`);
+        } else {
+            this.logger.warn(`[${healthy}] 🔀 Failover del rol ${assignment.role}: ${current} no está disponible`);
+        }
+        this.emit('failover', event);
+    }
+
+    /**
+     * Roles en los que participa una sesión (como principal o respaldo)
+     */
+    rolesForSession(sessionId) {
+        return this.list().filter(a => a.sessions.includes(sessionId)).map(a => a.role);
+    }
+
+    /**
+     * Mapa { rol → sessionId } (formato de /api/current-assignments)
+     */
+    toMap() {
+        const map = { sells: null, coordination: null };
+        this.list().forEach(assignment => { map[assignment.role] = assignment.sessionId; });
+        return map;
+    }
+
+    /**
+     * Asignar a un rol una sesión o una lista ordenada (principal primero),
+     * reemplazando la asignación anterior
+     */
+    assign(role, sessionIds, { phoneNumber = null, by = null } = {}) {
+        const name = normalizeRole(role);
+        if (!ROLE_NAME_REGEX.test(name)) {
+            throw new Error('El rol solo puede contener letras, números, guiones y guiones bajos (máx. 64)');
+        }
+
+        const sessions = [...new Set([].concat(sessionIds || []).filter(Boolean))];
+        if (sessions.length === 0) {
+            throw new Error('Se requiere sessionId');
+        }
+
+        this.load();
+        const assignment = this.record(name, sessions, { phoneNumber, by });
+        this.save();
+
+        const fallbacks = sessions.length > 1 ? `, respaldo: ${sessions.slice(1).join(', ')}` : '';
+        this.logger.info(`[${sessions[0]}] 🎯 Asignado al rol ${name}${phoneNumber ? ` (${phoneNumber})` : ''}${fallbacks}`);
+        return assignment;
+    }
+
+    /**
+     * Lista de sesiones del rol con otra principal, conservando las de respaldo
+     */
+    withPrimary(role, sessionId) {
+        const current = this.get(role);
+        const fallbacks = current ? current.sessions.slice(1).filter(id => id !== sessionId) : [];
+        return [sessionId, ...fallbacks];
+    }
+
+    /**
+     * Quitar la asignación de un rol. Devuelve la asignación eliminada o null.
+     */
+    unassign(role, { by = null, reason = null } = {}) {
+        const name = normalizeRole(role);
+
+        this.load();
+        const previous = this.assignments.get(name);
+        if (!previous) return null;
+
+        this.assignments.delete(name);
+        this.addHistory({ role: name, action: 'unassigned', sessionId: null, previousSessionId: previous.sessionId, by, reason });
+        this.save();
+
+        this.logger.info(`[${previous.sessionId}] 🔄 Desasignado del rol ${name}${reason ? ` (${reason})` : ''}`);
+        return previous;
+    }
+
+    /**
+     * Quitar una sesión de todos sus roles (p. ej. al eliminarla). Los roles
+     * sin más sesiones quedan desasignados. Devuelve los roles afectados.
+     */
+    removeSession(sessionId, { by = null, reason = null } = {}) {
+        return this.rolesForSession(sessionId).filter(role => {
+            const assignment = this.get(role);
+            const remaining = assignment.sessions.filter(id => id !== sessionId);
+
+            if (remaining.length === 0) {
+                return this.unassign(role, { by, reason });
+            }
+
+            this.record(role, remaining, { phoneNumber: assignment.phoneNumber, by });
+            this.save();
+            this.logger.info(`[${sessionId}] 🔄 Quitada del rol ${role}${reason ? ` (${reason})` : ''}`);
+            return true;
+        });
+    }
+
+    getHistory({ role = null, limit = 50 } = {}) {
+        this.load();
+        const name = role ? normalizeRole(role) : null;
+        return this.history
+            .filter(entry => !name || entry.role === name)
+            .slice(-limit)
+            .reverse();
+    }
+
+    record(role, sessionIds, { phoneNumber = null, by = null }) {
+        const previous = this.assignments.get(role);
+        const sessions = [].concat(sessionIds);
+        const assignment = {
+            role,
+            sessionId: sessions[0],
+            sessions,
+            activeSessionId: sessions[0],
+            phoneNumber: phoneNumber || null,
+            assignedAt: Date.now(),
+            assignedBy: by
+        };
+
+        this.assignments.set(role, assignment);
+        this.addHistory({
+            role,
+            action: 'assigned',
+            sessionId: assignment.sessionId,
+            sessions,
+            previousSessionId: previous ? previous.sessionId : null,
+            phoneNumber: assignment.phoneNumber,
+            by
+        });
+        return assignment;
+    }
+
+    addHistory(entry) {
+        this.history.push({ ...entry, at: Date.now() });
+        if (this.history.length > this.historyLimit) {
+            this.history.splice(0, this.history.length - this.historyLimit);
+        }
+    }
+}
+
+module.exports = { AssignmentStore, normalizeRole };
@@ -0,0 +1,584 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate, extractVariables } = require('./TemplateStore');
+const { toChatId } = require('./ConversationStore');
+const { isValidTimezone, DEFAULT_TIMEZONE } = require('./MessageScheduler');
+const { findUnsafeRegex, testRegex } = require('./SafeRegex');
+
+const RULE_TYPES = ['keyword', 'regex', 'greeting'];
+
+// Cómo se compara una palabra clave con el mensaje
+const MATCH_MODES = ['contains', 'exact', 'starts_with'];
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Variables disponibles en el texto de las respuestas
+const REPLY_VARIABLES = ['nombre', 'numero'];
+
+const DEFAULT_COOLDOWN_MINUTES = parseInt(process.env.AUTO_REPLY_COOLDOWN_MINUTES) || 60;
+const MAX_COOLDOWN_MINUTES = 7 * 24 * 60;
+const MAX_RULES = 100;
+const MAX_REPLY_LENGTH = 4096;
+
+/**
+ * Texto comparable: minúsculas, sin tildes y con espacios simples
+ */
+const normalizeText = (text) => String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Horario de atención por día: { "mon": ["09:00-13:00", "14:00-18:00"], "sat": "09:00-13:00" }.
+ * Los días que no aparecen se consideran cerrados.
+ */
+const parseSchedule = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error('schedule debe ser un objeto por día, p. ej. { "mon": ["09:00-18:00"] }');
+    }
+
+    const schedule = {};
+    Object.entries(input).forEach(([day, ranges]) => {
+        const key = String(day).toLowerCase();
+        if (!WEEKDAYS.includes(key)) {
+            throw new Error(`Día inválido en schedule: ${day}. Use ${WEEKDAYS.join(', ')}`);
+        }
+
+        schedule[key] = (Array.isArray(ranges) ? ranges : [ranges]).filter(Boolean).map(range => {
+            const match = String(range).replace(/\s+/g, '').match(/^([01]\d|2[0-3]):([0-5]\d)-([01]\d|2[0-4]):([0-5]\d)$/);
+            if (!match) {
+                throw new Error(`Horario inválido: ${range}. Use HH:MM-HH:MM (p. ej. 09:00-18:00)`);
+            }
+
+            const start = `${match[1]}:${match[2]}`;
+            const end = `${match[3]}:${match[4]}`;
+            if (toMinutes(end) <= toMinutes(start) || toMinutes(end) > 24 * 60) {
+                throw new Error(`Horario inválido: ${range}. La hora de fin debe ser posterior a la de inicio`);
+            }
+            return `${start}-${end}`;
+        });
+    });
+
+    return schedule;
+};
+
+/**
+ * Día de la semana (mon, tue...) y minuto del día en la zona horaria
+ */
+const localTime = (time, timezone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit'
+    }).formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+
+    return { day: parts.weekday.toLowerCase(), minute: Number(parts.hour) * 60 + Number(parts.minute) };
+};
+
+/**
+ * ¿`time` cae dentro del horario de atención?
+ */
+const isWithinHours = (businessHours, time = Date.now()) => {
+    const { day, minute } = localTime(time, businessHours.timezone);
+    return (businessHours.schedule[day] || []).some(range => {
+        const [start, end] = range.split('-');
+        return minute >= toMinutes(start) && minute < toMinutes(end);
+    });
+};
+
+const parseCooldown = (value, field = 'cooldown_minutes') => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const minutes = Number(value);
+    if (!Number.isFinite(minutes) || minutes < 0 || minutes > MAX_COOLDOWN_MINUTES) {
+        throw new Error(`${field} debe ser un número de minutos entre 0 y ${MAX_COOLDOWN_MINUTES}`);
+    }
+    return minutes;
+};
+
+const parseBoolean = (value, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+    return value === true || value === 'true' || value === '1' || value === 1;
+};
+
+const parseReply = (value, field = 'reply') => {
+    const reply = value === undefined || value === null ? '' : String(value).trim();
+    if (!reply) {
+        throw new Error(`Falta el texto de la respuesta (${field})`);
+    }
+    if (reply.length > MAX_REPLY_LENGTH) {
+        throw new Error(`${field} no puede superar ${MAX_REPLY_LENGTH} caracteres`);
+    }
+
+    const unknown = extractVariables(reply).filter(name => !REPLY_VARIABLES.includes(name));
+    if (unknown.length > 0) {
+        throw new Error(`Variables no disponibles en respuestas automáticas: ${unknown.join(', ')}. Use ${REPLY_VARIABLES.map(name => `{{${name}}}`).join(' o ')}`);
+    }
+    return reply;
+};
+
+/**
+ * Campos de la petición (snake_case) → campos de la configuración. Solo se
+ * incluyen los que vienen, para que PUT actualice parcialmente.
+ */
+const autoReplyInput = (body = {}) => {
+    const fields = {
+        enabled: 'enabled',
+        name: 'name',
+        type: 'type',
+        keywords: 'keywords',
+        match: 'match',
+        pattern: 'pattern',
+        flags: 'flags',
+        reply: 'reply',
+        priority: 'priority',
+        inactivity_hours: 'inactivityHours',
+        cooldown_minutes: 'cooldownMinutes',
+        ignore_groups: 'ignoreGroups',
+        business_hours: 'businessHours'
+    };
+
+    const input = {};
+    Object.entries(fields).forEach(([from, to]) => {
+        if (body[from] !== undefined) input[to] = body[from];
+    });
+    return input;
+};
+
+/**
+ * Respuestas automáticas por sesión: reglas por palabra clave o expresión
+ * regular, saludo al primer mensaje y mensaje de ausencia fuera del horario
+ * de atención.
+ *
+ * La configuración se guarda en un JSON compartido por los servidores. Cada
+ * respuesta tiene un tiempo de espera por contacto (cooldown) para no entrar
+ * en bucles con otros bots ni repetirle lo mismo a un cliente.
+ */
+class AutoReplyManager {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.history = options.history || null; // (sessionId) → mensajes del historial
+        this.configs = new Map(); // { sessionId → configuración }
+        this.lastReplies = new Map(); // { sessionId|chatId|regla → timestamp }
+        this.lastInbound = new Map(); // { sessionId → Map(chatId → timestamp) }
+        this.regexes = new Map(); // { `${flags}/${pattern}` → RegExp compilada }
+        this.loadedMtime = 0;
+
+        this.load();
+    }
+
+    /**
+     * Cargar la configuración si el archivo cambió (otro servidor pudo modificarlo)
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.loadedMtime) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.configs.clear();
+            data.forEach(config => this.configs.set(config.sessionId, config));
+            this.loadedMtime = mtime;
+        } catch (error) {
+            this.logger.error(`Error cargando respuestas automáticas: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.configs.values()), null, 2));
+            this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            this.logger.error(`Error guardando respuestas automáticas: ${error.message}`);
+        }
+    }
+
+    get(sessionId) {
+        this.load();
+        return this.configs.get(sessionId) || null;
+    }
+
+    /**
+     * Configuración de la sesión (la predeterminada si nunca se configuró)
+     */
+    view(sessionId) {
+        return this.get(sessionId) || {
+            sessionId,
+            enabled: false,
+            cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+            ignoreGroups: true,
+            businessHours: null,
+            rules: [],
+            updatedAt: null
+        };
+    }
+
+    store(config) {
+        config.updatedAt = Date.now();
+        this.configs.set(config.sessionId, config);
+        this.save();
+        return config;
+    }
+
+    /**
+     * Actualizar la configuración general: enabled, cooldownMinutes, ignoreGroups
+     * y businessHours ({ enabled, timezone, schedule, awayMessage, cooldownMinutes } o null)
+     */
+    updateSettings(sessionId, { enabled, cooldownMinutes, ignoreGroups, businessHours }) {
+        const config = this.view(sessionId);
+
+        const cooldown = parseCooldown(cooldownMinutes);
+        const hours = businessHours !== undefined ? this.parseBusinessHours(businessHours, config.businessHours) : config.businessHours;
+
+        config.enabled = parseBoolean(enabled, config.enabled);
+        config.ignoreGroups = parseBoolean(ignoreGroups, config.ignoreGroups);
+        if (cooldown !== null) config.cooldownMinutes = cooldown;
+        config.businessHours = hours;
+
+        this.store(config);
+        this.logger.info(`[${sessionId}] 🤖 Respuestas automáticas ${config.enabled ? 'activadas' : 'desactivadas'}`);
+        return config;
+    }
+
+    parseBusinessHours(input, current = null) {
+        if (input === null || input === '' || input === false) return null;
+        if (typeof input !== 'object' || Array.isArray(input)) {
+            throw new Error('business_hours debe ser un objeto { timezone, schedule, away_message } o null');
+        }
+
+        const timezone = input.timezone || (current && current.timezone) || DEFAULT_TIMEZONE;
+        if (!isValidTimezone(timezone)) {
+            throw new Error(`Zona horaria inválida: ${timezone}. Use un nombre IANA (p. ej. America/Lima)`);
+        }
+
+        const schedule = input.schedule !== undefined ? parseSchedule(input.schedule) : current && current.schedule;
+        if (!schedule) {
+            throw new Error('Falta el horario de atención (business_hours.schedule)');
+        }
+
+        const awayInput = input.away_message !== undefined ? input.away_message : input.awayMessage;
+        const cooldownInput = input.cooldown_minutes !== undefined ? input.cooldown_minutes : input.cooldownMinutes;
+        const cooldown = parseCooldown(cooldownInput, 'business_hours.cooldown_minutes');
+
+        let awayMessage = current ? current.awayMessage : null;
+        if (awayInput !== undefined || !awayMessage) {
+            awayMessage = parseReply(awayInput, 'business_hours.away_message');
+        }
+
+        return {
+            enabled: parseBoolean(input.enabled, current ? current.enabled : true),
+            timezone,
+            schedule,
+            awayMessage,
+            cooldownMinutes: cooldown !== null ? cooldown : current ? current.cooldownMinutes : null
+        };
+    }
+
+    /**
+     * Validar una regla nueva o los cambios sobre `current`
+     */
+    parseRule(input, current = null) {
+        const rule = current ? { ...current } : { id: uuidv4(), createdAt: Date.now() };
+
+        const type = input.type !== undefined ? String(input.type) : rule.type;
+        if (!RULE_TYPES.includes(type)) {
+            throw new Error(`Tipo de regla inválido: ${type}. Use ${RULE_TYPES.join(', ')}`);
+        }
+        rule.type = type;
+
+        if (input.name !== undefined) {
+            const name = input.name === null ? '' : String(input.name).trim();
+            if (name.length > 100) throw new Error('name no puede superar 100 caracteres');
+            rule.name = name || null;
+        }
+        if (input.reply !== undefined || !current) {
+            rule.reply = parseReply(input.reply);
+        }
+
+        if (type === 'keyword') {
+            if (input.keywords !== undefined || !rule.keywords) {
+                const list = Array.isArray(input.keywords) ? input.keywords : String(input.keywords || '').split(/[\n,;]+/);
+                rule.keywords = [...new Set(list.map(normalizeText).filter(Boolean))];
+                if (rule.keywords.length === 0) {
+                    throw new Error('Se requiere al menos una palabra clave (keywords)');
+                }
+            }
+            const match = input.match !== undefined ? String(input.match) : rule.match || 'contains';
+            if (!MATCH_MODES.includes(match)) {
+                throw new Error(`match inválido: ${match}. Use ${MATCH_MODES.join(', ')}`);
+            }
+            rule.match = match;
+        }
+
+        if (type === 'regex') {
+            const pattern = input.pattern !== undefined ? String(input.pattern || '') : rule.pattern;
+            const flags = input.flags !== undefined ? String(input.flags || '') : rule.flags !== undefined ? rule.flags : 'i';
+            if (!pattern) {
+                throw new Error('Falta la expresión regular (pattern)');
+            }
+            if (pattern.length > 500) {
+                throw new Error('pattern no puede superar 500 caracteres');
+            }
+            if (!/^[imsu]*$/.test(flags)) {
+                throw new Error(`flags inválidos: ${flags}. Se permiten i, m, s y u`);
+            }
+            try {
+                new RegExp(pattern, flags);
+            } catch (error) {
+                throw new Error(`Expresión regular inválida: ${error.message}`);
+            }
+            const unsafe = findUnsafeRegex(pattern);
+            if (unsafe) {
+                throw new Error(`Expresión regular no permitida: usa ${unsafe}, que puede bloquear el servidor`);
+            }
+            rule.pattern = pattern;
+            rule.flags = flags;
+        }
+
+        if (type === 'greeting' && input.inactivityHours !== undefined) {
+            // null: solo el primer mensaje del contacto; N: también si no escribía hace N horas
+            const hours = input.inactivityHours === null || input.inactivityHours === '' ? null : Number(input.inactivityHours);
+            if (hours !== null && (!Number.isFinite(hours) || hours <= 0)) {
+                throw new Error('inactivity_hours debe ser un número de horas mayor que 0');
+            }
+            rule.inactivityHours = hours;
+        }
+        if (type === 'greeting' && rule.inactivityHours === undefined) rule.inactivityHours = null;
+
+        if (input.priority !== undefined || rule.priority === undefined) {
+            const priority = input.priority === undefined || input.priority === null || input.priority === '' ? 100 : Number(input.priority);
+            if (!Number.isInteger(priority)) {
+                throw new Error('priority debe ser un número entero (menor = se evalúa antes)');
+            }
+            rule.priority = priority;
+        }
+        if (input.cooldownMinutes !== undefined || rule.cooldownMinutes === undefined) {
+            rule.cooldownMinutes = parseCooldown(input.cooldownMinutes);
+        }
+
+        rule.enabled = parseBoolean(input.enabled, rule.enabled !== undefined ? rule.enabled : true);
+        rule.updatedAt = Date.now();
+        return rule;
+    }
+
+    createRule(sessionId, input) {
+        const config = this.view(sessionId);
+        if (config.rules.length >= MAX_RULES) {
+            throw new Error(`Máximo ${MAX_RULES} reglas por sesión`);
+        }
+
+        const rule = this.parseRule(input);
+        config.rules.push(rule);
+        this.store(config);
+
+        this.logger.info(`[${sessionId}] 🤖 Regla de respuesta automática creada: ${rule.name || rule.id} (${rule.type})`);
+        return rule;
+    }
+
+    /**
+     * Devuelve null si la regla no existe
+     */
+    updateRule(sessionId, ruleId, input) {
+        const config = this.get(sessionId);
+        const index = config ? config.rules.findIndex(rule => rule.id === ruleId) : -1;
+        if (index === -1) return null;
+
+        const rule = this.parseRule(input, config.rules[index]);
+        config.rules[index] = rule;
+        this.store(config);
+        return rule;
+    }
+
+    removeRule(sessionId, ruleId) {
+        const config = this.get(sessionId);
+        if (!config || !config.rules.some(rule => rule.id === ruleId)) return false;
+
+        config.rules = config.rules.filter(rule => rule.id !== ruleId);
+        this.store(config);
+        return true;
+    }
+
+    /**
+     * Quitar la configuración de una sesión eliminada
+     */
+    removeSession(sessionId) {
+        this.lastInbound.delete(sessionId);
+        this.lastReplies.forEach((time, key) => {
+            if (key.startsWith(`${sessionId}|`)) this.lastReplies.delete(key);
+        });
+
+        if (!this.get(sessionId)) return;
+        this.configs.delete(sessionId);
+        this.save();
+    }
+
+    /**
+     * Último mensaje recibido de cada contacto. La primera vez se toma del
+     * historial (sin el mensaje actual, que ya se registró).
+     */
+    contacts(sessionId, currentMessageId) {
+        if (!this.lastInbound.has(sessionId)) {
+            const contacts = new Map();
+            try {
+                (this.history ? this.history(sessionId) : []).forEach(entry => {
+                    if (entry.direction !== 'in' || entry.id === currentMessageId) return;
+                    contacts.set(entry.chatId, Math.max(contacts.get(entry.chatId) || 0, entry.timestamp || 0));
+                });
+            } catch (error) {
+                this.logger.warn(`[${sessionId}] No se pudo leer el historial para respuestas automáticas: ${error.message}`);
+            }
+            this.lastInbound.set(sessionId, contacts);
+        }
+        return this.lastInbound.get(sessionId);
+    }
+
+    /**
+     * Expresión de una regla, compilada una sola vez. Las que se guardaron
+     * antes de validar las repeticiones anidadas no se evalúan.
+     */
+    regex(rule) {
+        const key = `${rule.flags}/${rule.pattern}`;
+        if (!this.regexes.has(key)) {
+            const unsafe = findUnsafeRegex(rule.pattern);
+            if (unsafe) {
+                this.logger.warn(`🤖 Regla ${rule.name || rule.id} ignorada: su expresión regular usa ${unsafe}`);
+            }
+            this.regexes.set(key, unsafe ? null : new RegExp(rule.pattern, rule.flags));
+        }
+        return this.regexes.get(key);
+    }
+
+    matchesRule(rule, text) {
+        if (rule.type === 'regex') {
+            const regex = this.regex(rule);
+            if (!regex) return false;
+
+            try {
+                return testRegex(regex, text);
+            } catch (error) {
+                this.logger.warn(`🤖 Regla ${rule.name || rule.id}: ${error.message}, se considera no cumplida`);
+                return false;
+            }
+        }
+
+        const normalized = normalizeText(text);
+        return rule.keywords.some(keyword => {
+            if (rule.match === 'exact') return normalized === keyword;
+            if (rule.match === 'starts_with') return normalized === keyword || normalized.startsWith(`${keyword} `);
+            return new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}($|[^a-z0-9])`).test(normalized);
+        });
+    }
+
+    /**
+     * Respuesta para un mensaje entrante (formato de InboundMessage.js) o null.
+     *
+     * Orden: reglas de palabra clave y regex (por prioridad), mensaje de
+     * ausencia fuera del horario y saludo al primer mensaje. Si la respuesta
+     * elegida está en espera para ese contacto, no se responde.
+     * Con `dryRun` no se registra nada (para probar las reglas).
+     */
+    evaluate(sessionId, message, { now = Date.now(), dryRun = false } = {}) {
+        const chatId = toChatId(message.from);
+        if (!chatId || chatId === 'status@broadcast') return null;
+
+        // Al probar (dryRun) se evalúan las reglas aunque estén desactivadas
+        const config = this.get(sessionId);
+        const active = !!config && (config.enabled || dryRun);
+        const seen = active ? this.contacts(sessionId, message.id) : this.lastInbound.get(sessionId);
+        const previousAt = seen ? seen.get(chatId) || null : null;
+        if (seen && !dryRun) seen.set(chatId, message.timestamp || now);
+
+        if (!active) return null;
+        if (message.isGroup && config.ignoreGroups) return null;
+
+        const rules = config.rules
+            .filter(rule => rule.enabled)
+            .sort((a, b) => a.priority - b.priority || a.createdAt - b.createdAt);
+
+        let match = null;
+        const text = message.body || '';
+        if (text) {
+            const rule = rules.find(item => item.type !== 'greeting' && this.matchesRule(item, text));
+            if (rule) match = { ruleId: rule.id, type: rule.type, name: rule.name || null, reply: rule.reply, cooldownMinutes: rule.cooldownMinutes };
+        }
+
+        const hours = config.businessHours;
+        if (!match && hours && hours.enabled && !isWithinHours(hours, now)) {
+            match = { ruleId: 'away', type: 'away', name: null, reply: hours.awayMessage, cooldownMinutes: hours.cooldownMinutes };
+        }
+
+        if (!match) {
+            const rule = rules.find(item => item.type === 'greeting' && (
+                previousAt === null || (item.inactivityHours !== null && now - previousAt >= item.inactivityHours * 3600000)
+            ));
+            if (rule) match = { ruleId: rule.id, type: rule.type, name: rule.name || null, reply: rule.reply, cooldownMinutes: rule.cooldownMinutes };
+        }
+
+        if (!match) return null;
+
+        // Espera por contacto: la regla no se repite antes de `cooldownMinutes`
+        const key = `${sessionId}|${chatId}|${match.ruleId}`;
+        const cooldown = (match.cooldownMinutes !== null && match.cooldownMinutes !== undefined ? match.cooldownMinutes : config.cooldownMinutes) * 60000;
+        const lastReply = this.lastReplies.get(key) || 0;
+        const result = {
+            ruleId: match.ruleId,
+            type: match.type,
+            name: match.name,
+            chatId,
+            reply: renderTemplate(match.reply, {
+                nombre: message.pushName || '',
+                numero: chatId.split('@')[0]
+            })
+        };
+
+        if (now - lastReply < cooldown) {
+            return dryRun ? { ...result, skipped: true, cooldownUntil: lastReply + cooldown } : null;
+        }
+
+        if (!dryRun) this.lastReplies.set(key, now);
+        return result;
+    }
+
+    /**
+     * Olvidar las esperas que ya vencieron (y las expresiones compiladas, que
+     * se vuelven a compilar al usarse)
+     */
+    prune() {
+        const limit = Date.now() - MAX_COOLDOWN_MINUTES * 60000;
+        let removed = 0;
+        this.regexes.clear();
+
+        this.lastReplies.forEach((time, key) => {
+            if (time < limit) {
+                this.lastReplies.delete(key);
+                removed++;
+            }
+        });
+        return removed;
+    }
+}
+
+module.exports = {
+    AutoReplyManager,
+    autoReplyInput,
+    isWithinHours,
+    normalizeText,
+    parseSchedule
+};
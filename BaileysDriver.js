@@ -0,0 +1,643 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const pino = require('pino');
+const {
+    default: makeWASocket,
+    DisconnectReason,
+    useMultiFileAuthState,
+    fetchLatestBaileysVersion,
+    downloadMediaMessage,
+    getAggregateVotesInPollMessage
+} = require('baileys');
+const {
+    WhatsappDriver,
+    permanentError,
+    normalizePairingPhone,
+    isGroupJid,
+    normalizeParticipants,
+    participantResult,
+    withTimeout
+} = require('./WhatsappDriver');
+const { isInsideDir } = require('./SessionId');
+const { normalizePhone, mobileVariantKey } = require('./PhoneNumber');
+const { MessageStatusTracker } = require('./MessageStatusTracker');
+const { normalizeBaileysMessage, unwrapBaileysContent, isBaileysPollUpdate, pollVoteMessage } = require('./InboundMessage');
+const { toBaileysContent, patchInteractiveMessage } = require('./InteractiveMessage');
+const { buildVCard, checkStickerSource, toWebpSticker } = require('./MessageContent');
+
+// Directorio de credenciales: logout() solo borra dentro de él
+const SESSIONS_DIR = path.join(__dirname, 'sessions');
+
+/**
+ * Metadatos de grupo de Baileys → formato común de los drivers
+ */
+const formatBaileysGroup = (metadata, withParticipants = false) => {
+    const participants = (metadata.participants || []).map(participant => ({
+        id: participant.id,
+        number: participant.id.split('@')[0].split(':')[0],
+        admin: participant.admin || null
+    }));
+
+    return {
+        id: metadata.id,
+        name: metadata.subject,
+        description: metadata.desc || null,
+        owner: metadata.owner || null,
+        createdAt: metadata.creation ? metadata.creation * 1000 : null,
+        participantsCount: participants.length,
+        ...(withParticipants ? { participants } : {})
+    };
+};
+
+/**
+ * Resultado de groupCreate: los números que no quedaron en el grupo
+ * normalmente no permiten que los agreguen (privacidad)
+ */
+const createdGroupResult = (metadata, name, numbers) => {
+    const members = new Set((metadata.participants || []).map(participant => participant.id.split('@')[0]));
+    return {
+        id: metadata.id,
+        name: metadata.subject || name,
+        participants: numbers.map(number => participantResult(number, members.has(number) ? 200 : 403))
+    };
+};
+
+/**
+ * Resultado de groupParticipantsUpdate ([{ jid, status }]) por número
+ */
+const participantUpdateResults = (numbers, results) => numbers.map(number => {
+    const result = (results || []).find(item => item.jid.split('@')[0] === number);
+    return participantResult(number, result ? result.status : 404);
+});
+
+const jidNumber = (jid) => jid.split('@')[0].split(':')[0];
+
+/**
+ * Resultado de onWhatsApp ([{ jid, exists }]) por número consultado.
+ * onWhatsApp solo devuelve los registrados y con el número que usa WhatsApp,
+ * que puede diferir del consultado (521... → 52..., 54... → 549...): se busca
+ * igual, luego por la variante común y, si se consultó uno solo, su resultado.
+ */
+const baileysLookupResults = (numbers, results) => numbers.map(number => {
+    const found = results || [];
+    const result = found.find(item => jidNumber(item.jid) === number)
+        || found.find(item => mobileVariantKey(jidNumber(item.jid)) === mobileVariantKey(number))
+        || (numbers.length === 1 && found.length === 1 ? found[0] : null);
+    const exists = !!(result && result.exists);
+    return { number, exists, waNumber: exists ? jidNumber(result.jid) : null };
+});
+
+// Números por consulta a onWhatsApp
+const LOOKUP_BATCH_SIZE = 50;
+
+/**
+ * Consultar números en lotes con onWhatsApp → [{ number, exists, waNumber, error }]
+ */
+const lookupBaileysNumbers = async (sock, numbers) => {
+    const results = [];
+
+    for (let i = 0; i < numbers.length; i += LOOKUP_BATCH_SIZE) {
+        const batch = numbers.slice(i, i + LOOKUP_BATCH_SIZE);
+        try {
+            const found = await withTimeout(sock.onWhatsApp(...batch), 30000, 'Timeout verificando números');
+            results.push(...baileysLookupResults(batch, found));
+        } catch (error) {
+            results.push(...batch.map(number => ({ number, exists: null, error: error.message })));
+        }
+    }
+
+    return results;
+};
+
+/**
+ * Clave de Baileys de un mensaje del historial (`ref` de toMessageRef):
+ * los chats individuales se guardan como <número>@c.us
+ */
+const baileysMessageKey = (ref) => ({
+    remoteJid: String(ref.chatId).replace(/@c\.us$/, '@s.whatsapp.net'),
+    id: ref.id,
+    fromMe: ref.fromMe,
+    ...(ref.author ? { participant: ref.author } : {})
+});
+
+/**
+ * Mensaje citado para la opción `quoted` de sendMessage. El historial solo
+ * guarda el texto, suficiente para que WhatsApp muestre la cita.
+ */
+const baileysQuoted = (ref) => ({
+    key: baileysMessageKey(ref),
+    message: { conversation: ref.body || '' }
+});
+
+/**
+ * Votos descifrados de una encuesta enviada desde la sesión ('messages.update'
+ * con pollUpdates) → mensajes normalizados. Sin la encuesta en `pollStore` no
+ * se pueden leer los votos y se devuelve una lista vacía.
+ */
+const baileysPollVotes = (pollStore, sessionId, key, pollUpdates, ownJid = null) => {
+    const poll = pollStore.get(sessionId, key.id);
+    if (!poll) return [];
+
+    return pollUpdates.map(update => {
+        const voteKey = update.pollUpdateMessageKey || {};
+        const selectedOptions = getAggregateVotesInPollMessage(
+            { message: pollStore.message(sessionId, key.id), pollUpdates: [update] },
+            ownJid
+        )
+            .filter(option => option.voters.length > 0)
+            .map(option => option.name);
+
+        return pollVoteMessage({
+            id: voteKey.id || `${key.id}:${Date.now()}`,
+            chatId: key.remoteJid,
+            voter: voteKey.participant || voteKey.remoteJid,
+            to: ownJid,
+            pollMessageId: key.id,
+            pollName: poll.name,
+            selectedOptions,
+            timestamp: update.senderTimestampMs ? Number(update.senderTimestampMs) : null
+        });
+    });
+};
+
+/**
+ * Driver de Baileys (sin navegador).
+ *
+ * Las credenciales se guardan en `authDir` (por defecto sessions/<sessionId>,
+ * el mismo directorio que main-baileys.js) y la reconexión es automática
+ * salvo que WhatsApp cierre la sesión. Con `options.pollStore` (PollStore.js)
+ * las encuestas enviadas se guardan para poder leer sus votos.
+ */
+class BaileysDriver extends WhatsappDriver {
+    constructor(sessionId, logger, options = {}) {
+        super(sessionId, logger, options);
+        this.authDir = options.authDir || path.join(__dirname, 'sessions', sessionId);
+        this.sock = null;
+        this.closing = false;
+        this.reconnectTimer = null;
+        this.pollStore = options.pollStore || null;
+    }
+
+    get name() {
+        return 'baileys';
+    }
+
+    async initialize() {
+        this.closing = false;
+        fs.mkdirSync(this.authDir, { recursive: true });
+
+        const { state, saveCreds } = await useMultiFileAuthState(this.authDir);
+        const { version, isLatest } = await fetchLatestBaileysVersion();
+        this.logger.info(`[${this.sessionId}] Usando Baileys v${version.join('.')}, última versión: ${isLatest}`);
+
+        const sock = makeWASocket({
+            version,
+            logger: pino({ level: 'silent' }),
+            printQRInTerminal: false,
+            auth: state,
+            browser: ['WhatsApp Multi-Session', 'Chrome', '1.0.0'],
+            connectTimeoutMs: 60000,
+            defaultQueryTimeoutMs: 60000,
+            emitOwnEvents: false,
+            markOnlineOnConnect: false,
+            retryRequestDelayMs: 2000,
+            shouldIgnoreJid: jid => jid.includes('@broadcast'),
+            // Baileys pide la encuesta original para descifrar sus votos
+            getMessage: async (key) => this.pollStore ? this.pollStore.message(this.sessionId, key.id) : undefined,
+            patchMessageBeforeSending: patchInteractiveMessage
+        });
+        this.sock = sock;
+
+        sock.ev.on('creds.update', saveCreds);
+        sock.ev.on('connection.update', (update) => this.handleConnectionUpdate(sock, update));
+
+        // Acks de entrega/lectura de los mensajes que enviamos
+        sock.ev.on('messages.update', (updates) => {
+            for (const { key, update } of updates) {
+                if (update.pollUpdates && this.pollStore) {
+                    baileysPollVotes(this.pollStore, this.sessionId, key, update.pollUpdates, sock.user?.id || null)
+                        .forEach(vote => this.emit('message', vote, null));
+                    continue;
+                }
+
+                if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+                const status = MessageStatusTracker.fromBaileysStatus(update.status);
+                if (status) {
+                    this.emit('message_ack', { waMessageId: key.id, to: key.remoteJid, status });
+                }
+            }
+        });
+
+        // Recibos de grupos: llegan por participante
+        sock.ev.on('message-receipt.update', (receipts) => {
+            for (const { key, receipt } of receipts) {
+                if (!key.fromMe) continue;
+
+                const status = receipt.readTimestamp ? 'read' : receipt.receiptTimestamp ? 'delivered' : null;
+                if (status) {
+                    this.emit('message_ack', { waMessageId: key.id, to: key.remoteJid, status });
+                }
+            }
+        });
+
+        // Mensajes entrantes de clientes
+        sock.ev.on('messages.upsert', ({ messages, type }) => {
+            if (type !== 'notify') return;
+
+            for (const msg of messages) {
+                if (!msg.message || msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') continue;
+                if (isBaileysPollUpdate(msg)) continue;
+                this.emit('message', normalizeBaileysMessage(msg, sock.user?.id || null), msg);
+            }
+        });
+    }
+
+    handleConnectionUpdate(sock, { connection, lastDisconnect, qr }) {
+        // Eventos de un socket anterior a una reconexión
+        if (sock !== this.sock) return;
+
+        if (qr) {
+            this.logger.info(`[${this.sessionId}] 📱 Nuevo QR generado`);
+            this.setStatus('waiting_qr');
+            this.emit('qr', qr);
+        }
+
+        if (connection === 'open') {
+            const user = sock.user || {};
+            this.info = {
+                phoneNumber: user.id ? user.id.split(':')[0].split('@')[0] : null,
+                pushname: user.name || null,
+                platform: 'baileys'
+            };
+
+            this.logger.info(`[${this.sessionId}] 🚀 Conexión establecida`);
+            this.setStatus('authenticated');
+            this.emit('authenticated');
+            this.emit('ready', this.info);
+        }
+
+        if (connection === 'close') {
+            const statusCode = lastDisconnect?.error?.output?.statusCode;
+            const reason = lastDisconnect?.error?.message || 'Unknown error';
+            const loggedOut = statusCode === DisconnectReason.loggedOut;
+
+            if (this.closing) {
+                this.setStatus('disconnected');
+                return;
+            }
+
+            if (loggedOut) {
+                this.logger.warn(`[${this.sessionId}] 🔌 Sesión cerrada desde el teléfono`);
+                this.setStatus('disconnected');
+                this.emit('disconnected', reason, { loggedOut: true, reconnecting: false });
+                return;
+            }
+
+            // En un conflicto otra conexión usa la sesión: esperar más antes de reintentar
+            const delay = reason.includes('conflict') ? 30000 : 5000;
+            this.logger.warn(`[${this.sessionId}] 🔌 Conexión cerrada: ${reason}, reconectando en ${delay / 1000}s`);
+
+            this.setStatus('reconnecting');
+            this.emit('disconnected', reason, { loggedOut: false, reconnecting: true });
+
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = setTimeout(() => {
+                if (this.closing) return;
+                this.initialize().catch(err => {
+                    this.logger.error(`[${this.sessionId}] Error reconectando: ${err.message}`);
+                    this.setStatus('failed');
+                });
+            }, delay);
+        }
+    }
+
+    async requestPairingCode(phoneNumber) {
+        const phone = normalizePairingPhone(phoneNumber);
+        await this.waitForQr();
+
+        if (this.sock.authState.creds.registered) {
+            throw permanentError('La sesión ya está vinculada');
+        }
+
+        this.logger.info(`[${this.sessionId}] 🔑 Solicitando código de vinculación para ${phone}`);
+        const code = await this.sock.requestPairingCode(phone);
+
+        this.emit('pairing_code', code, phone);
+        return code;
+    }
+
+    /**
+     * JID del número, verificando que exista en WhatsApp.
+     * Los grupos (@g.us) se usan tal cual.
+     */
+    async resolveJid(numero) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        if (isGroupJid(numero)) return numero;
+
+        // Número ya verificado (contacts/check o un envío anterior)
+        const digits = normalizePhone(numero);
+        const cached = this.numberCache ? this.numberCache.get(digits) : null;
+        if (cached && cached.exists) return `${cached.waNumber}@s.whatsapp.net`;
+
+        const [result] = await withTimeout(this.sock.onWhatsApp(digits), 10000, 'Timeout verificando número') || [];
+
+        const exists = !!(result && result.exists);
+        if (this.numberCache) {
+            this.numberCache.set(digits, { exists, waNumber: exists ? jidNumber(result.jid) : null });
+        }
+        if (!exists) {
+            throw permanentError('El número no está registrado en WhatsApp');
+        }
+
+        return result.jid;
+    }
+
+    async lookupNumbers(numbers) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        return lookupBaileysNumbers(this.sock, numbers);
+    }
+
+    async sendText(numero, text, { typingMs = 0, quoted = null } = {}) {
+        const jid = await this.resolveJid(numero);
+
+        // Simular que está escribiendo
+        if (typingMs > 0) {
+            this.logger.info(`[${this.sessionId}] Mostrando 'escribiendo...' por ${typingMs}ms`);
+
+            await this.sock.sendPresenceUpdate('composing', jid);
+            await new Promise(resolve => setTimeout(resolve, typingMs));
+            await this.sock.sendPresenceUpdate('paused', jid);
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando mensaje de texto a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, { text }, quoted ? { quoted: baileysQuoted(quoted) } : {});
+
+        return { messageId: sent?.key?.id || null };
+    }
+
+    async sendInteractive(numero, payload) {
+        const jid = await this.resolveJid(numero);
+
+        this.logger.info(`[${this.sessionId}] Enviando mensaje interactivo (${payload.type}) a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, toBaileysContent(payload));
+
+        if (payload.type === 'poll' && this.pollStore) {
+            this.pollStore.remember(this.sessionId, sent);
+        }
+
+        return { messageId: sent?.key?.id || null };
+    }
+
+    async sendLocation(numero, location) {
+        const jid = await this.resolveJid(numero);
+
+        this.logger.info(`[${this.sessionId}] Enviando ubicación a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, {
+            location: {
+                degreesLatitude: location.latitude,
+                degreesLongitude: location.longitude,
+                name: location.name || undefined,
+                address: location.address || undefined,
+                url: location.url || undefined
+            }
+        });
+
+        return { messageId: sent?.key?.id || null };
+    }
+
+    async sendContact(numero, contact) {
+        const jid = await this.resolveJid(numero);
+
+        this.logger.info(`[${this.sessionId}] Enviando contacto ${contact.name} a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, {
+            contacts: {
+                displayName: contact.name,
+                contacts: [{ vcard: buildVCard(contact) }]
+            }
+        });
+
+        return { messageId: sent?.key?.id || null };
+    }
+
+    async sendSticker(numero, file) {
+        checkStickerSource(file);
+        const jid = await this.resolveJid(numero);
+
+        if (!fs.existsSync(file.path)) {
+            this.logger.error(`[${this.sessionId}] El archivo no existe: ${file.path}`);
+            throw permanentError('El archivo no se pudo procesar');
+        }
+
+        let sticker;
+        try {
+            sticker = await toWebpSticker(fs.readFileSync(file.path));
+        } catch (convertError) {
+            this.logger.error(`[${this.sessionId}] Error convirtiendo a sticker: ${convertError.message}`);
+            throw permanentError('No se pudo convertir la imagen a sticker');
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando sticker (${sticker.length} bytes) a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, { sticker, mimetype: 'image/webp' });
+
+        return { messageId: sent?.key?.id || null };
+    }
+
+    async sendMedia(numero, file, { caption = '', forceDocument = false, quoted = null } = {}) {
+        const jid = await this.resolveJid(numero);
+
+        if (!fs.existsSync(file.path)) {
+            this.logger.error(`[${this.sessionId}] El archivo no existe: ${file.path}`);
+            throw permanentError('El archivo no se pudo procesar');
+        }
+
+        const fileData = fs.readFileSync(file.path);
+        if (fileData.length === 0) {
+            throw permanentError('El archivo está vacío');
+        }
+
+        const fileMimeType = file.mimetype || mime.lookup(file.path) || 'application/octet-stream';
+        const fileName = file.originalname || `file_${Date.now()}${path.extname(file.path) || '.dat'}`;
+
+        let content;
+        if (!forceDocument && fileMimeType.startsWith('image/') && file.size < 1024 * 1024) {
+            content = { image: fileData, mimetype: fileMimeType, caption };
+        } else if (!forceDocument && fileMimeType.startsWith('audio/') && file.size < 10 * 1024 * 1024) {
+            content = { audio: fileData, mimetype: fileMimeType, ptt: fileMimeType.includes('ogg') || fileMimeType.includes('opus') };
+        } else {
+            content = { document: fileData, mimetype: fileMimeType, fileName, caption };
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando archivo ${fileName} a ${jid}`);
+        const sent = await this.sock.sendMessage(jid, content, quoted ? { quoted: baileysQuoted(quoted) } : {});
+
+        return {
+            messageId: sent?.key?.id || null,
+            fileInfo: {
+                name: fileName,
+                type: fileMimeType,
+                size: file.size,
+                sentAs: content.document ? 'document' : 'media'
+            }
+        };
+    }
+
+    async reactToMessage(ref, emoji) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        const key = baileysMessageKey(ref);
+        this.logger.info(`[${this.sessionId}] Reaccionando ${emoji || '(quitar)'} a ${ref.id}`);
+        await this.sock.sendMessage(key.remoteJid, { react: { text: emoji, key } });
+
+        return { messageId: ref.id };
+    }
+
+    async editMessage(ref, text) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        const key = baileysMessageKey(ref);
+        this.logger.info(`[${this.sessionId}] Editando mensaje ${ref.id}`);
+        await this.sock.sendMessage(key.remoteJid, { text, edit: key });
+
+        return { messageId: ref.id };
+    }
+
+    async deleteMessage(ref) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        const key = baileysMessageKey(ref);
+        this.logger.info(`[${this.sessionId}] Eliminando mensaje ${ref.id} para todos`);
+        await this.sock.sendMessage(key.remoteJid, { delete: key });
+
+        return { messageId: ref.id };
+    }
+
+    async downloadMedia(msg) {
+        const data = await downloadMediaMessage(msg, 'buffer', {}, {
+            logger: pino({ level: 'silent' }),
+            reuploadRequest: this.sock.updateMediaMessage
+        });
+
+        const content = unwrapBaileysContent(msg.message);
+        const media = Object.values(content).find(value => value && value.mimetype) || {};
+        return { data, mimetype: media.mimetype || null, filename: media.fileName || null };
+    }
+
+    async groupMetadata(groupId) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+        if (!isGroupJid(groupId)) {
+            throw permanentError('Id de grupo inválido (debe terminar en @g.us)');
+        }
+
+        const metadata = await this.sock.groupMetadata(groupId).catch(() => null);
+        if (!metadata) {
+            throw permanentError('Grupo no encontrado');
+        }
+        return metadata;
+    }
+
+    async listGroups() {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        const groups = await this.sock.groupFetchAllParticipating();
+        return Object.values(groups).map(metadata => formatBaileysGroup(metadata));
+    }
+
+    async getGroup(groupId) {
+        return formatBaileysGroup(await this.groupMetadata(groupId), true);
+    }
+
+    async createGroup(name, participants) {
+        if (!this.sock || this.status !== 'authenticated') {
+            throw new Error('Sesión no conectada');
+        }
+
+        const numbers = normalizeParticipants(participants);
+        const metadata = await this.sock.groupCreate(name, numbers.map(number => `${number}@s.whatsapp.net`));
+
+        this.logger.info(`[${this.sessionId}] 👥 Grupo creado: ${name} (${metadata.id})`);
+        return createdGroupResult(metadata, name, numbers);
+    }
+
+    async updateParticipants(groupId, participants, action) {
+        await this.groupMetadata(groupId);
+        const numbers = normalizeParticipants(participants);
+        const results = await this.sock.groupParticipantsUpdate(
+            groupId,
+            numbers.map(number => `${number}@s.whatsapp.net`),
+            action
+        );
+
+        return participantUpdateResults(numbers, results);
+    }
+
+    async addParticipants(groupId, participants) {
+        return this.updateParticipants(groupId, participants, 'add');
+    }
+
+    async removeParticipants(groupId, participants) {
+        return this.updateParticipants(groupId, participants, 'remove');
+    }
+
+    async getInviteLink(groupId) {
+        await this.groupMetadata(groupId);
+        const code = await this.sock.groupInviteCode(groupId);
+        return `https://chat.whatsapp.com/${code}`;
+    }
+
+    async logout() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+
+        try {
+            if (this.sock) await this.sock.logout();
+        } finally {
+            this.sock = null;
+            if (isInsideDir(SESSIONS_DIR, this.authDir)) {
+                fs.rmSync(this.authDir, { recursive: true, force: true });
+            } else {
+                this.logger.error(`[${this.sessionId}] Credenciales fuera de ${SESSIONS_DIR}, no se eliminan: ${this.authDir}`);
+            }
+            this.setStatus('disconnected');
+        }
+    }
+
+    async destroy() {
+        this.closing = true;
+        clearTimeout(this.reconnectTimer);
+
+        if (this.sock) {
+            this.sock.ev.removeAllListeners();
+            this.sock.end(undefined);
+            this.sock = null;
+        }
+    }
+}
+
+module.exports = {
+    BaileysDriver,
+    baileysPollVotes,
+    baileysMessageKey,
+    lookupBaileysNumbers,
+    baileysQuoted,
+    formatBaileysGroup,
+    createdGroupResult,
+    participantUpdateResults
+};
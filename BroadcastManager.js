@@ -0,0 +1,329 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { renderTemplate } = require('./TemplateStore');
+const { normalizeRecipient } = require('./PhoneNumber');
+
+/**
+ * Campañas de envío masivo.
+ *
+ * No envía directamente: cada destinatario se agrega a la cola de mensajes
+ * respetando un ritmo por sesión (mensajes por minuto + jitter aleatorio),
+ * y el resultado se toma de los eventos 'sent'/'failed' de la cola.
+ */
+class BroadcastManager {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.queue = options.queue;
+        this.isSessionReady = options.isSessionReady || (() => false);
+        this.campaigns = new Map(); // { campaignId → campaign }
+        this.nextSlotAt = new Map(); // { sessionId → timestamp del próximo envío permitido }
+        this.interval = null;
+
+        this.defaultPerMinute = parseInt(process.env.BROADCAST_PER_MINUTE) || options.defaultPerMinute || 10;
+        this.maxPerMinute = parseInt(process.env.BROADCAST_MAX_PER_MINUTE) || options.maxPerMinute || 30;
+        this.defaultJitter = parseInt(process.env.BROADCAST_JITTER_MS) || options.defaultJitter || 5000;
+        this.maxRecipients = parseInt(process.env.BROADCAST_MAX_RECIPIENTS) || options.maxRecipients || 1000;
+        this.retention = parseInt(process.env.BROADCAST_RETENTION_MS) || options.retention || 7 * 24 * 60 * 60 * 1000;
+
+        this.load();
+
+        if (this.queue) {
+            this.queue.on('sent', job => this.handleJobResult(job, 'sent'));
+            this.queue.on('failed', job => this.handleJobResult(job, 'failed'));
+        }
+    }
+
+    /**
+     * Cargar campañas desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.forEach(campaign => this.campaigns.set(campaign.id, campaign));
+
+            const running = data.filter(campaign => campaign.status === 'running').length;
+            if (running > 0) {
+                this.logger.info(`📣 ${running} campañas en curso recuperadas`);
+            }
+        } catch (error) {
+            this.logger.error(`Error cargando campañas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar campañas en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.campaigns.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando campañas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Crear una campaña. Los destinatarios pueden ser números o
+     * objetos { numero, variables }.
+     */
+    create(sessionId, { recipients, mensaje, template = null, variables = {}, archivo = null, perMinute, jitterMs, typingTime = null, forceDocument = false }) {
+        if (!Array.isArray(recipients) || recipients.length === 0) {
+            throw new Error('Se requiere una lista de destinatarios');
+        }
+        if (recipients.length > this.maxRecipients) {
+            throw new Error(`Máximo ${this.maxRecipients} destinatarios por campaña`);
+        }
+        if (!mensaje && !archivo) {
+            throw new Error('Se requiere un mensaje o un archivo');
+        }
+
+        const rate = Math.min(parseInt(perMinute) || this.defaultPerMinute, this.maxPerMinute);
+        if (rate < 1) {
+            throw new Error('per_minute debe ser al menos 1');
+        }
+
+        const campaign = {
+            id: uuidv4(),
+            sessionId,
+            status: 'running',
+            mensaje: mensaje || null,
+            template,
+            archivo,
+            typingTime,
+            forceDocument,
+            perMinute: rate,
+            jitterMs: jitterMs !== undefined && jitterMs !== null && jitterMs !== '' ? Math.max(parseInt(jitterMs) || 0, 0) : this.defaultJitter,
+            recipients: recipients.map((recipient, index) => {
+                const entry = typeof recipient === 'object' && recipient !== null ? recipient : { numero: recipient };
+                return {
+                    index,
+                    numero: entry.numero ? String(entry.numero) : null,
+                    variables: { ...variables, ...(entry.variables || {}) },
+                    status: 'pending',
+                    jobId: null,
+                    error: null
+                };
+            }),
+            createdAt: Date.now(),
+            completedAt: null
+        };
+
+        this.campaigns.set(campaign.id, campaign);
+        this.save();
+
+        this.logger.info(`[${sessionId}] 📣 Campaña ${campaign.id} creada: ${campaign.recipients.length} destinatarios a ${rate}/min`);
+        return campaign;
+    }
+
+    get(sessionId, campaignId) {
+        const campaign = this.campaigns.get(campaignId);
+        return campaign && campaign.sessionId === sessionId ? campaign : null;
+    }
+
+    list(sessionId) {
+        return Array.from(this.campaigns.values()).filter(campaign => campaign.sessionId === sessionId);
+    }
+
+    /**
+     * Resumen de progreso de una campaña
+     */
+    getProgress(campaign) {
+        const counts = { pending: 0, queued: 0, sent: 0, failed: 0, cancelled: 0 };
+        campaign.recipients.forEach(recipient => {
+            counts[recipient.status] = (counts[recipient.status] || 0) + 1;
+        });
+
+        const total = campaign.recipients.length;
+        const done = counts.sent + counts.failed + counts.cancelled;
+
+        return {
+            campaignId: campaign.id,
+            sessionId: campaign.sessionId,
+            status: campaign.status,
+            template: campaign.template || null,
+            perMinute: campaign.perMinute,
+            jitterMs: campaign.jitterMs,
+            total,
+            progress: total > 0 ? Math.round((done / total) * 100) : 100,
+            counts,
+            failures: campaign.recipients
+                .filter(recipient => recipient.status === 'failed')
+                .map(({ numero, error, jobId }) => ({ numero, error, jobId })),
+            createdAt: campaign.createdAt,
+            completedAt: campaign.completedAt
+        };
+    }
+
+    /**
+     * Cancelar una campaña: los pendientes no se envían
+     */
+    cancel(campaign) {
+        if (campaign.status !== 'running') return false;
+
+        campaign.recipients.forEach(recipient => {
+            if (recipient.status === 'pending') recipient.status = 'cancelled';
+        });
+        campaign.status = 'cancelled';
+        this.checkCompleted(campaign);
+        this.save();
+
+        this.logger.info(`[${campaign.sessionId}] 📣 Campaña ${campaign.id} cancelada`);
+        return true;
+    }
+
+    /**
+     * Cancelar todas las campañas en curso de una sesión
+     */
+    cancelSession(sessionId) {
+        this.list(sessionId).forEach(campaign => this.cancel(campaign));
+        this.nextSlotAt.delete(sessionId);
+    }
+
+    /**
+     * Eliminar campañas finalizadas fuera de la ventana de retención
+     */
+    prune() {
+        const limit = Date.now() - this.retention;
+        let removed = 0;
+
+        this.campaigns.forEach((campaign, id) => {
+            if (campaign.completedAt && campaign.completedAt < limit) {
+                this.campaigns.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * Registrar el resultado de un trabajo de la cola que pertenece a una campaña
+     */
+    handleJobResult(job, status) {
+        const { campaignId, recipientIndex } = job.payload || {};
+        if (!campaignId) return;
+
+        const campaign = this.campaigns.get(campaignId);
+        const recipient = campaign?.recipients[recipientIndex];
+        if (!recipient) return;
+
+        recipient.status = status;
+        recipient.error = status === 'failed' ? job.lastError : null;
+        this.checkCompleted(campaign);
+        this.save();
+    }
+
+    /**
+     * Cerrar la campaña cuando ya no quedan destinatarios en curso
+     */
+    checkCompleted(campaign) {
+        const inFlight = campaign.recipients.some(recipient => recipient.status === 'pending' || recipient.status === 'queued');
+        if (inFlight || campaign.completedAt) return;
+
+        if (campaign.status === 'running') campaign.status = 'completed';
+        campaign.completedAt = Date.now();
+
+        // El archivo es compartido por todos los destinatarios
+        if (campaign.archivo && fs.existsSync(campaign.archivo.path)) {
+            try { fs.unlinkSync(campaign.archivo.path); } catch (e) {}
+        }
+
+        this.logger.info(`[${campaign.sessionId}] 📣 Campaña ${campaign.id} finalizada (${campaign.status})`);
+    }
+
+    /**
+     * Encolar el siguiente destinatario de cada sesión cuando su ritmo lo permite
+     */
+    tick() {
+        const now = Date.now();
+        const bySession = new Map();
+
+        // Campañas en curso por sesión, la más antigua primero
+        Array.from(this.campaigns.values())
+            .filter(campaign => campaign.status === 'running')
+            .sort((a, b) => a.createdAt - b.createdAt)
+            .forEach(campaign => {
+                if (!bySession.has(campaign.sessionId)) bySession.set(campaign.sessionId, []);
+                bySession.get(campaign.sessionId).push(campaign);
+            });
+
+        bySession.forEach((campaigns, sessionId) => {
+            if ((this.nextSlotAt.get(sessionId) || 0) > now) return;
+            if (!this.isSessionReady(sessionId)) return;
+
+            // No adelantarse a la cola: esperar a que se envíe lo anterior
+            if (this.queue.getPending(sessionId).some(job => job.payload.campaignId)) return;
+
+            for (const campaign of campaigns) {
+                const recipient = campaign.recipients.find(r => r.status === 'pending');
+                if (!recipient) continue;
+
+                this.enqueueRecipient(campaign, recipient);
+
+                const jitter = Math.floor(Math.random() * (campaign.jitterMs + 1));
+                this.nextSlotAt.set(sessionId, now + Math.round(60000 / campaign.perMinute) + jitter);
+                break;
+            }
+        });
+    }
+
+    enqueueRecipient(campaign, recipient) {
+        let mensaje = null;
+
+        try {
+            recipient.numero = normalizeRecipient(recipient.numero, { label: 'número de destino' });
+            mensaje = campaign.mensaje ? renderTemplate(campaign.mensaje, recipient.variables) : null;
+        } catch (error) {
+            recipient.status = 'failed';
+            recipient.error = error.message;
+            this.checkCompleted(campaign);
+            this.save();
+            return;
+        }
+
+        const job = this.queue.enqueue(campaign.sessionId, {
+            campaignId: campaign.id,
+            recipientIndex: recipient.index,
+            numero: recipient.numero,
+            mensaje,
+            typing_time: campaign.typingTime,
+            force_document: campaign.forceDocument,
+            archivo: campaign.archivo ? { ...campaign.archivo, shared: true } : null
+        });
+
+        recipient.status = 'queued';
+        recipient.jobId = job.id;
+        this.save();
+    }
+
+    /**
+     * Iniciar el planificador
+     */
+    start(delay = 1000) {
+        if (this.interval) return this.interval;
+
+        this.interval = setInterval(() => {
+            try {
+                this.tick();
+            } catch (error) {
+                this.logger.error(`Error en planificador de campañas: ${error.message}`);
+            }
+        }, delay);
+
+        return this.interval;
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+module.exports = { BroadcastManager };
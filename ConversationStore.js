@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const { normalizePhone } = require('./PhoneNumber');
+const { isValidSessionId } = require('./SessionId');
+
+/**
+ * Id de chat común a ambos drivers: los números y JIDs individuales
+ * (@c.us, @s.whatsapp.net, con o sin dispositivo) quedan como <número>@c.us;
+ * grupos y demás JIDs se conservan tal cual. Los números sin código de país
+ * lo reciben (PhoneNumber.js), así "987654321" es el mismo chat que 51987654321.
+ */
+const toChatId = (jidOrNumber) => {
+    const value = String(jidOrNumber || '').trim();
+    if (!value) return null;
+
+    const [user, server] = value.split('@');
+    if (server && server !== 'c.us' && server !== 's.whatsapp.net') {
+        return value;
+    }
+    if (!server) {
+        try {
+            return `${normalizePhone(value)}@c.us`;
+        } catch (error) {
+            // No es un número válido: se usa como viene (solo dígitos)
+        }
+    }
+    return `${user.split(':')[0].replace(/\D/g, '')}@c.us`;
+};
+
+/**
+ * Fecha de un filtro (?since= / ?until=): timestamp en ms o fecha ISO.
+ * Devuelve null si no viene y lanza error si es inválida.
+ */
+const parseDateFilter = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    if (Number.isNaN(time)) {
+        throw new Error(`Fecha inválida: ${value}. Use ISO 8601 (2024-05-01T00:00:00Z) o un timestamp en ms`);
+    }
+    return time;
+};
+
+/**
+ * Historial de conversaciones: cada mensaje enviado o recibido se agrega a
+ * `<dir>/<sessionId>.jsonl` (una línea por mensaje). Los mensajes más antiguos
+ * que la retención pasan a `<dir>/archive/<sessionId>.jsonl`.
+ *
+ * Es el registro de auditoría de lo que se le dijo a cada cliente; los
+ * archivos adjuntos se referencian por su id en el MediaStore.
+ */
+class ConversationStore {
+    constructor(dir, logger, options = {}) {
+        this.dir = dir;
+        this.logger = logger || console;
+        this.retention = parseInt(process.env.CONVERSATION_RETENTION_MS) || options.retention || 90 * 24 * 60 * 60 * 1000;
+        this.cache = new Map(); // { sessionId → { ino, offset, entries } }
+    }
+
+    file(sessionId) {
+        // El id llega de la URL: no permitir salir del directorio
+        if (!isValidSessionId(sessionId)) {
+            throw new Error('Sesión inválida');
+        }
+        return path.join(this.dir, `${sessionId}.jsonl`);
+    }
+
+    append(sessionId, entry) {
+        try {
+            fs.mkdirSync(this.dir, { recursive: true });
+            fs.appendFileSync(this.file(sessionId), JSON.stringify(entry) + '\n');
+        } catch (error) {
+            this.logger.error(`[${sessionId}] Error guardando mensaje en el historial: ${error.message}`);
+        }
+    }
+
+    /**
+     * Mensaje entrante normalizado (InboundMessage.js)
+     */
+    recordInbound(sessionId, message) {
+        this.append(sessionId, {
+            id: message.id,
+            chatId: toChatId(message.from),
+            direction: 'in',
+            from: message.from,
+            to: message.to,
+            author: message.author || null,
+            pushName: message.pushName || null,
+            type: message.type,
+            body: message.body || null,
+            media: message.media || null,
+            quotedMessageId: message.quotedMessageId || null,
+            timestamp: message.timestamp || Date.now()
+        });
+    }
+
+    /**
+     * Mensaje enviado. `to` es el número o JID de destino.
+     */
+    recordOutbound(sessionId, { to, body = null, type = null, media = null, waMessageId = null, messageId = null, source = 'send-message', ...extra }) {
+        this.append(sessionId, {
+            id: waMessageId || messageId,
+            chatId: toChatId(to),
+            direction: 'out',
+            to,
+            type: type || (media ? mediaTypeOf(media.mimetype) : 'chat'),
+            body,
+            media,
+            waMessageId,
+            messageId,
+            source,
+            ...extra,
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Todos los mensajes de una sesión, en orden de llegada. Se guardan en
+     * memoria y en cada llamada solo se lee lo agregado al archivo desde la
+     * anterior (por este u otro servidor). El resultado no se debe modificar.
+     */
+    read(sessionId) {
+        const file = this.file(sessionId);
+
+        let stat;
+        try {
+            stat = fs.statSync(file);
+        } catch (error) {
+            this.cache.delete(sessionId);
+            return [];
+        }
+
+        // Archivo nuevo, reescrito por prune() o truncado: se lee entero
+        let cached = this.cache.get(sessionId);
+        if (!cached || cached.ino !== stat.ino || stat.size < cached.offset) {
+            cached = { ino: stat.ino, offset: 0, entries: [] };
+            this.cache.set(sessionId, cached);
+        }
+
+        if (stat.size > cached.offset) {
+            const buffer = Buffer.alloc(stat.size - cached.offset);
+            const fd = fs.openSync(file, 'r');
+            let bytesRead;
+            try {
+                bytesRead = fs.readSync(fd, buffer, 0, buffer.length, cached.offset);
+            } finally {
+                fs.closeSync(fd);
+            }
+
+            // Una última línea sin salto todavía se está escribiendo: se lee en la próxima llamada
+            const end = buffer.subarray(0, bytesRead).lastIndexOf(10) + 1;
+            buffer.toString('utf8', 0, end).split('\n').forEach(line => {
+                if (!line) return;
+                try {
+                    cached.entries.push(JSON.parse(line));
+                } catch (error) {
+                    // Línea incompleta (p. ej. el proceso se cortó mientras escribía)
+                }
+            });
+            cached.offset += end;
+        }
+
+        return cached.entries;
+    }
+
+    /**
+     * Pasar al archivo de `archive/` los mensajes más antiguos que la retención:
+     * el historial activo (y su copia en memoria) deja de crecer sin límite y
+     * el registro de auditoría se conserva.
+     */
+    prune() {
+        if (!fs.existsSync(this.dir)) return 0;
+
+        const limit = Date.now() - this.retention;
+        let archived = 0;
+
+        fs.readdirSync(this.dir).filter(name => name.endsWith('.jsonl')).forEach(name => {
+            const sessionId = name.slice(0, -'.jsonl'.length);
+            if (!isValidSessionId(sessionId)) return;
+
+            const file = this.file(sessionId);
+            try {
+                const { size } = fs.statSync(file);
+                const lines = fs.readFileSync(file, 'utf8').split('\n');
+                const pending = lines.pop(); // '' o una línea que se está escribiendo
+
+                const old = [];
+                const kept = [];
+                lines.filter(Boolean).forEach(line => {
+                    let timestamp = null;
+                    try {
+                        timestamp = JSON.parse(line).timestamp;
+                    } catch (error) {
+                        // Línea dañada: se archiva tal cual
+                    }
+                    (timestamp >= limit ? kept : old).push(line);
+                });
+                if (old.length === 0) return;
+
+                const temp = `${file}.tmp`;
+                fs.writeFileSync(temp, kept.map(line => line + '\n').join('') + pending);
+                // Otro servidor agregó mensajes mientras tanto: se reintenta en la próxima pasada
+                if (fs.statSync(file).size !== size) {
+                    fs.rmSync(temp, { force: true });
+                    return;
+                }
+
+                const archiveDir = path.join(this.dir, 'archive');
+                fs.mkdirSync(archiveDir, { recursive: true });
+                fs.appendFileSync(path.join(archiveDir, name), old.join('\n') + '\n');
+                fs.renameSync(temp, file);
+
+                this.cache.delete(sessionId);
+                archived += old.length;
+            } catch (error) {
+                this.logger.error(`[${sessionId}] Error archivando historial: ${error.message}`);
+            }
+        });
+
+        if (archived > 0) {
+            this.logger.info(`🧹 ${archived} mensajes del historial pasados a ${path.join(this.dir, 'archive')} por retención`);
+        }
+        return archived;
+    }
+
+    /**
+     * Mensaje por su id de WhatsApp o, si es enviado, por el jobId de send-message.
+     * Trae el texto de su última edición y si fue eliminado (registros posteriores
+     * con `targetId`). Devuelve null si no está en el historial.
+     */
+    findMessage(sessionId, messageId) {
+        let found = null;
+
+        this.read(sessionId).forEach(entry => {
+            if (!found) {
+                if (entry.id === messageId || entry.messageId === messageId) {
+                    found = { ...entry, edited: false, revoked: false };
+                }
+                return;
+            }
+
+            if (entry.targetId !== found.id) return;
+            if (entry.type === 'edit') {
+                found.body = entry.body;
+                found.edited = true;
+            } else if (entry.type === 'revoke') {
+                found.revoked = true;
+            }
+        });
+
+        return found;
+    }
+
+    /**
+     * Chats de la sesión con su último mensaje, el más reciente primero
+     */
+    listChats(sessionId, { since = null, until = null, page = 1, limit = 50 } = {}) {
+        const chats = new Map();
+
+        this.read(sessionId)
+            .filter(entry => inRange(entry, since, until))
+            .forEach(entry => {
+                const chat = chats.get(entry.chatId) || {
+                    chatId: entry.chatId,
+                    name: null,
+                    messageCount: 0,
+                    inboundCount: 0,
+                    outboundCount: 0,
+                    firstMessageAt: entry.timestamp,
+                    lastMessageAt: entry.timestamp,
+                    lastMessage: null
+                };
+
+                chat.messageCount++;
+                chat[entry.direction === 'in' ? 'inboundCount' : 'outboundCount']++;
+                if (entry.direction === 'in' && entry.pushName) chat.name = entry.pushName;
+                chat.firstMessageAt = Math.min(chat.firstMessageAt, entry.timestamp);
+
+                if (entry.timestamp >= chat.lastMessageAt) {
+                    chat.lastMessageAt = entry.timestamp;
+                    chat.lastMessage = { direction: entry.direction, type: entry.type, body: entry.body, timestamp: entry.timestamp };
+                }
+                chats.set(entry.chatId, chat);
+            });
+
+        const sorted = Array.from(chats.values()).sort((a, b) => b.lastMessageAt - a.lastMessageAt);
+        return paginate(sorted, page, limit, 'chats');
+    }
+
+    /**
+     * Mensajes de un chat. `order`: 'desc' (más recientes primero) o 'asc'.
+     */
+    getMessages(sessionId, jid, { since = null, until = null, page = 1, limit = 50, order = 'desc' } = {}) {
+        const chatId = toChatId(jid);
+        const messages = this.read(sessionId)
+            .filter(entry => entry.chatId === chatId && inRange(entry, since, until))
+            .sort((a, b) => order === 'asc' ? a.timestamp - b.timestamp : b.timestamp - a.timestamp);
+
+        return { chatId, ...paginate(messages, page, limit, 'messages') };
+    }
+}
+
+// Mismos tipos que los mensajes entrantes (image, video, audio, document)
+const mediaTypeOf = (mimetype) => {
+    const [kind] = String(mimetype || '').split('/');
+    return ['image', 'video', 'audio'].includes(kind) ? kind : 'document';
+};
+
+const inRange = (entry, since, until) => {
+    return (since === null || entry.timestamp >= since) && (until === null || entry.timestamp <= until);
+};
+
+const paginate = (items, page, limit, key) => {
+    const size = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+    const current = Math.max(parseInt(page, 10) || 1, 1);
+
+    return {
+        total: items.length,
+        page: current,
+        limit: size,
+        pages: Math.ceil(items.length / size),
+        [key]: items.slice((current - 1) * size, current * size)
+    };
+};
+
+module.exports = { ConversationStore, toChatId, parseDateFilter, paginate };
@@ -0,0 +1,129 @@
+/**
+ * Script para las páginas del dashboard:
+ * watchSession(id, { qr: fn(data), status: fn(data), ... }).
+ * Sin EventSource (navegadores antiguos) la página se recarga cada 5 segundos.
+ */
+const EVENT_STREAM_CLIENT_SCRIPT = `(function () {
+    window.watchSession = function (sessionId, handlers) {
+        if (!window.EventSource) {
+            setTimeout(function () { location.reload(); }, 5000);
+            return null;
+        }
+
+        var source = new EventSource('/api/sessions/' + encodeURIComponent(sessionId) + '/events');
+        Object.keys(handlers).forEach(function (type) {
+            source.addEventListener(type, function (e) {
+                handlers[type](JSON.parse(e.data).data);
+            });
+        });
+        return source;
+    };
+})();`;
+
+/**
+ * Eventos de las sesiones en tiempo real por Server-Sent Events.
+ *
+ * Cada evento lleva un id incremental: al reconectar, EventSource envía
+ * Last-Event-ID y se reenvían los eventos recientes que se perdieron.
+ *
+ * Los campos marcados como sensibles (p. ej. la imagen del QR) solo se
+ * envían a los clientes que pueden verlos; el resto recibe el evento sin ellos.
+ */
+class EventStream {
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.bufferSize = options.bufferSize || 500;
+        this.clients = new Set();
+        this.buffer = [];
+        this.lastId = 0;
+
+        // Comentario periódico para que proxies y navegadores no cierren la conexión
+        this.heartbeat = setInterval(() => {
+            this.clients.forEach(client => client.res.write(': ping\n\n'));
+        }, options.heartbeatMs || 25000);
+        this.heartbeat.unref();
+    }
+
+    /**
+     * Publicar un evento de una sesión
+     */
+    publish(sessionId, type, data = {}, { sensitive = [] } = {}) {
+        const event = {
+            id: ++this.lastId,
+            type,
+            sessionId,
+            timestamp: Date.now(),
+            data,
+            sensitive
+        };
+
+        this.buffer.push(event);
+        if (this.buffer.length > this.bufferSize) {
+            this.buffer.shift();
+        }
+
+        this.clients.forEach(client => this.send(client, event));
+        return event;
+    }
+
+    send(client, event) {
+        if (client.sessions && !client.sessions.includes(event.sessionId)) return;
+        if (client.types && !client.types.includes(event.type)) return;
+
+        const data = { ...event.data };
+        if (!client.includeSensitive) {
+            event.sensitive.forEach(field => delete data[field]);
+        }
+
+        const payload = JSON.stringify({ sessionId: event.sessionId, timestamp: event.timestamp, data });
+        client.res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${payload}\n\n`);
+    }
+
+    /**
+     * Handler de express. Sesión de la ruta (:id) o ?sessions=a,b; tipos con ?types=qr,status.
+     * `includeSensitive(req)` decide si el cliente recibe los campos sensibles.
+     */
+    handler({ includeSensitive = () => true } = {}) {
+        return (req, res) => {
+            const list = (value) => value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : null;
+
+            const client = {
+                res,
+                sessions: req.params.id ? [req.params.id] : list(req.query.sessions),
+                types: list(req.query.types),
+                includeSensitive: includeSensitive(req)
+            };
+
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no' // nginx: no almacenar en buffer
+            });
+            res.flushHeaders();
+            res.write('retry: 3000\n\n');
+
+            // Reenviar lo que se perdió durante la reconexión
+            const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId, 10);
+            if (lastEventId) {
+                this.buffer
+                    .filter(event => event.id > lastEventId)
+                    .forEach(event => this.send(client, event));
+            }
+
+            this.clients.add(client);
+            req.on('close', () => this.clients.delete(client));
+        };
+    }
+
+    /**
+     * Cerrar todas las conexiones (apagado del servidor)
+     */
+    close() {
+        clearInterval(this.heartbeat);
+        this.clients.forEach(client => client.res.end());
+        this.clients.clear();
+    }
+}
+
+module.exports = { EventStream, EVENT_STREAM_CLIENT_SCRIPT };
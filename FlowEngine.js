@@ -0,0 +1,892 @@
+const fs = require('fs');
+const path = require('path');
+const YAML = require('yaml');
+const { toChatId } = require('./ConversationStore');
+const { normalizeText } = require('./AutoReplyManager');
+const { findUnsafeRegex, testRegex } = require('./SafeRegex');
+
+const STEP_TYPES = ['message', 'menu', 'input', 'http', 'branch', 'handoff', 'end'];
+const HTTP_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+const CONDITION_OPERATORS = ['equals', 'not_equals', 'in', 'matches', 'exists', 'gt', 'lt'];
+
+// Minutos sin respuesta del contacto tras los que el flujo vuelve a empezar
+const DEFAULT_TIMEOUT_MINUTES = parseInt(process.env.FLOW_TIMEOUT_MINUTES) || 30;
+// Minutos que el bot deja de responder a un contacto derivado a un asesor
+const DEFAULT_HANDOFF_MINUTES = parseInt(process.env.FLOW_HANDOFF_MINUTES) || 24 * 60;
+const DEFAULT_HTTP_TIMEOUT_MS = parseInt(process.env.FLOW_HTTP_TIMEOUT_MS) || 10000;
+
+const DEFAULT_HANDOFF_KEYWORDS = ['asesor', 'humano', 'agente'];
+const DEFAULT_RESET_KEYWORDS = ['salir', 'cancelar'];
+const DEFAULT_HANDOFF_MESSAGE = 'Te comunicamos con un asesor. En breve te responderá.';
+const DEFAULT_MENU_INVALID = 'Opción no válida. Responde con el número de una de las opciones.';
+const DEFAULT_INPUT_INVALID = 'Respuesta no válida, inténtalo de nuevo.';
+const DEFAULT_HTTP_ERROR = 'No pudimos completar la consulta. Inténtalo de nuevo más tarde.';
+
+const MAX_FLOWS = 50;
+const MAX_STEPS = 200;
+// Pasos encadenados por mensaje (message → http → branch → ...): corta los ciclos sin espera
+const MAX_STEPS_PER_MESSAGE = 20;
+
+const ID_REGEX = /^[\w-]{1,64}$/;
+const VARIABLE_REGEX = /^[a-zA-Z_]\w{0,63}$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Palabra clave completa dentro del texto normalizado
+const hasKeyword = (normalized, keyword) => {
+    return new RegExp(`(^|[^a-z0-9])${escapeRegex(keyword)}($|[^a-z0-9])`).test(normalized);
+};
+
+/**
+ * Valor de una variable con ruta (p. ej. "pedido.data.estado")
+ */
+const lookup = (vars, keyPath) => {
+    return String(keyPath).split('.').reduce((value, key) => {
+        return value === undefined || value === null ? undefined : value[key];
+    }, vars);
+};
+
+/**
+ * Reemplazar {{variable}} y {{ruta.a.valor}} en textos, objetos y listas.
+ * Las variables que faltan quedan vacías. `encode` se aplica a cada valor (URLs).
+ */
+const interpolate = (value, vars, encode = null) => {
+    if (typeof value === 'string') {
+        return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, key) => {
+            const found = lookup(vars, key);
+            if (found === undefined || found === null) return '';
+
+            const text = typeof found === 'object' ? JSON.stringify(found) : String(found);
+            return encode ? encode(text) : text;
+        });
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => interpolate(item, vars, encode));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, vars, encode)]));
+    }
+    return value;
+};
+
+/**
+ * Definición recibida: objeto JSON o texto YAML/JSON
+ */
+const parseDefinition = (input) => {
+    let definition = input;
+    if (typeof definition === 'string') {
+        try {
+            definition = YAML.parse(definition);
+        } catch (error) {
+            throw new Error(`Definición inválida (YAML/JSON): ${error.message.split('\n')[0]}`);
+        }
+    }
+
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+        throw new Error('La definición del flujo debe ser un objeto con id, start y steps');
+    }
+    return definition;
+};
+
+const parseKeywords = (input, label) => {
+    if (input === undefined || input === null) return [];
+
+    const list = Array.isArray(input) ? input : String(input).split(/[\n,;]+/);
+    const keywords = [...new Set(list.map(normalizeText).filter(Boolean))];
+    if (keywords.some(keyword => keyword.length > 100)) {
+        throw new Error(`${label}: cada palabra clave puede tener hasta 100 caracteres`);
+    }
+    return keywords;
+};
+
+const parsePositive = (value, label, fallback) => {
+    if (value === undefined || value === null || value === '') return fallback;
+
+    const number = Number(value);
+    if (!Number.isFinite(number) || number <= 0) {
+        throw new Error(`${label} debe ser un número mayor que 0`);
+    }
+    return number;
+};
+
+const parseText = (value, label, { required = false } = {}) => {
+    if (value === undefined || value === null || value === '') {
+        if (required) throw new Error(`Falta ${label}`);
+        return null;
+    }
+    if (typeof value !== 'string') {
+        throw new Error(`${label} debe ser texto`);
+    }
+    if (value.length > 4096) {
+        throw new Error(`${label} no puede superar 4096 caracteres`);
+    }
+    return value;
+};
+
+const parseVariable = (value, label) => {
+    if (!value || !VARIABLE_REGEX.test(String(value))) {
+        throw new Error(`${label} debe ser un nombre de variable (letras, números y _)`);
+    }
+    return String(value);
+};
+
+const parseRegex = (value, label) => {
+    try {
+        new RegExp(value);
+    } catch (error) {
+        throw new Error(`${label}: expresión regular inválida (${error.message})`);
+    }
+    // Se evalúa con cada mensaje: nada que pueda tardar un tiempo exponencial
+    const unsafe = findUnsafeRegex(String(value));
+    if (unsafe) {
+        throw new Error(`${label}: expresión regular no permitida, usa ${unsafe}`);
+    }
+    return String(value);
+};
+
+const parseCondition = (input, index, stepId) => {
+    const label = `Paso ${stepId}, condición ${index + 1}`;
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`${label}: debe ser un objeto { var, equals, next }`);
+    }
+
+    const operators = CONDITION_OPERATORS.filter(operator => input[operator] !== undefined);
+    if (operators.length !== 1) {
+        throw new Error(`${label}: indique un solo operador (${CONDITION_OPERATORS.join(', ')})`);
+    }
+
+    const operator = operators[0];
+    let value = input[operator];
+    if (operator === 'in' && !Array.isArray(value)) {
+        throw new Error(`${label}: "in" debe ser una lista de valores`);
+    }
+    if (operator === 'matches') value = parseRegex(value, label);
+    if (operator === 'exists') value = value === true || value === 'true';
+    if ((operator === 'gt' || operator === 'lt') && !Number.isFinite(Number(value))) {
+        throw new Error(`${label}: "${operator}" debe ser un número`);
+    }
+
+    if (!input.var) throw new Error(`${label}: falta la variable (var)`);
+    return { var: String(input.var), operator, value, next: input.next ? String(input.next) : null };
+};
+
+/**
+ * `matchesRegex(pattern, text)` evalúa las condiciones `matches` (expresiones ya compiladas por el motor)
+ */
+const matchesCondition = (condition, vars, matchesRegex) => {
+    const value = lookup(vars, condition.var);
+    const text = value === undefined || value === null ? '' : String(value);
+
+    switch (condition.operator) {
+        case 'equals': return text === String(interpolate(condition.value, vars));
+        case 'not_equals': return text !== String(interpolate(condition.value, vars));
+        case 'in': return condition.value.map(item => String(item)).includes(text);
+        case 'matches': return matchesRegex(condition.value, text);
+        case 'exists': return (text !== '') === condition.value;
+        case 'gt': return value !== undefined && value !== null && Number(value) > Number(condition.value);
+        case 'lt': return value !== undefined && value !== null && Number(value) < Number(condition.value);
+        default: return false;
+    }
+};
+
+/**
+ * Paso de la definición (snake_case) → paso normalizado
+ */
+const parseStep = (id, input) => {
+    if (!ID_REGEX.test(id)) {
+        throw new Error(`Id de paso inválido: ${id}. Use letras, números, guiones y guiones bajos`);
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw new Error(`Paso ${id}: debe ser un objeto con type`);
+    }
+
+    const type = String(input.type || '');
+    if (!STEP_TYPES.includes(type)) {
+        throw new Error(`Paso ${id}: tipo inválido "${type}". Use ${STEP_TYPES.join(', ')}`);
+    }
+
+    const step = { type, next: input.next ? String(input.next) : null };
+
+    switch (type) {
+        case 'message':
+            step.text = parseText(input.text, `el texto del paso ${id}`, { required: true });
+            break;
+
+        case 'menu': {
+            step.text = parseText(input.text, `el texto del paso ${id}`, { required: true });
+            step.invalid = parseText(input.invalid, `invalid del paso ${id}`);
+            step.saveAs = input.save_as !== undefined ? parseVariable(input.save_as, `save_as del paso ${id}`) : null;
+            if (!Array.isArray(input.options) || input.options.length === 0) {
+                throw new Error(`Paso ${id}: el menú necesita al menos una opción (options)`);
+            }
+            step.options = input.options.map((option, index) => {
+                if (!option || typeof option !== 'object' || !option.next) {
+                    throw new Error(`Paso ${id}, opción ${index + 1}: falta next`);
+                }
+                return {
+                    key: String(option.key !== undefined ? option.key : index + 1),
+                    label: parseText(option.label, `label de la opción ${index + 1} del paso ${id}`),
+                    keywords: parseKeywords(option.keywords, `Paso ${id}, opción ${index + 1}`),
+                    next: String(option.next)
+                };
+            });
+            delete step.next;
+            break;
+        }
+
+        case 'input':
+            step.text = parseText(input.text, `el texto del paso ${id}`, { required: true });
+            step.saveAs = parseVariable(input.save_as, `save_as del paso ${id}`);
+            step.validate = input.validate ? parseRegex(input.validate, `validate del paso ${id}`) : null;
+            step.invalid = parseText(input.invalid, `invalid del paso ${id}`);
+            break;
+
+        case 'http': {
+            step.method = String(input.method || 'GET').toUpperCase();
+            if (!HTTP_METHODS.includes(step.method)) {
+                throw new Error(`Paso ${id}: método inválido ${step.method}. Use ${HTTP_METHODS.join(', ')}`);
+            }
+            step.url = String(input.url || '');
+            if (!/^https?:\/\//i.test(step.url)) {
+                throw new Error(`Paso ${id}: url debe empezar con http:// o https://`);
+            }
+            if (input.headers !== undefined && (typeof input.headers !== 'object' || Array.isArray(input.headers))) {
+                throw new Error(`Paso ${id}: headers debe ser un objeto`);
+            }
+            step.headers = input.headers || {};
+            step.body = input.body !== undefined ? input.body : null;
+            step.saveAs = parseVariable(input.save_as, `save_as del paso ${id}`);
+            step.timeoutMs = parsePositive(input.timeout_ms, `timeout_ms del paso ${id}`, DEFAULT_HTTP_TIMEOUT_MS);
+            step.onError = input.on_error ? String(input.on_error) : null;
+            step.errorMessage = parseText(input.error_message, `error_message del paso ${id}`);
+            break;
+        }
+
+        case 'branch':
+            if (!Array.isArray(input.conditions) || input.conditions.length === 0) {
+                throw new Error(`Paso ${id}: branch necesita al menos una condición (conditions)`);
+            }
+            step.conditions = input.conditions.map((condition, index) => parseCondition(condition, index, id));
+            step.default = input.default ? String(input.default) : null;
+            delete step.next;
+            break;
+
+        case 'handoff':
+        case 'end':
+            step.text = parseText(input.text, `el texto del paso ${id}`);
+            delete step.next;
+            break;
+    }
+
+    return step;
+};
+
+/**
+ * Pasos a los que puede llevar un paso
+ */
+const targetsOf = (step) => {
+    const targets = [step.next, step.onError, step.default];
+    (step.options || []).forEach(option => targets.push(option.next));
+    (step.conditions || []).forEach(condition => targets.push(condition.next));
+    return targets.filter(Boolean);
+};
+
+/**
+ * Definición (JSON o YAML ya leído) → flujo normalizado. Lanza error con el
+ * primer problema encontrado (pasos inexistentes, tipos, expresiones regulares).
+ */
+const parseFlow = (input) => {
+    const definition = parseDefinition(input);
+
+    const id = String(definition.id || '');
+    if (!ID_REGEX.test(id)) {
+        throw new Error('Falta el id del flujo (letras, números, guiones y guiones bajos)');
+    }
+
+    if (!definition.steps || typeof definition.steps !== 'object' || Array.isArray(definition.steps)) {
+        throw new Error('steps debe ser un objeto { idDelPaso: { type, ... } }');
+    }
+    const entries = Object.entries(definition.steps);
+    if (entries.length === 0) throw new Error('El flujo no tiene pasos');
+    if (entries.length > MAX_STEPS) throw new Error(`Máximo ${MAX_STEPS} pasos por flujo`);
+
+    const steps = {};
+    entries.forEach(([stepId, step]) => {
+        steps[stepId] = parseStep(stepId, step);
+    });
+
+    const start = String(definition.start || entries[0][0]);
+    if (!steps[start]) throw new Error(`El paso inicial (start) no existe: ${start}`);
+
+    Object.entries(steps).forEach(([stepId, step]) => {
+        const missing = targetsOf(step).find(target => !steps[target]);
+        if (missing) throw new Error(`Paso ${stepId}: lleva a un paso que no existe (${missing})`);
+    });
+
+    // Disparador: palabras clave, o cualquier mensaje de un contacto sin flujo activo
+    const trigger = Array.isArray(definition.trigger) ? { keywords: definition.trigger } : definition.trigger || {};
+    const keywords = parseKeywords(trigger.keywords, 'trigger.keywords');
+    const any = trigger.any === true || trigger.any === 'true';
+    if (!any && keywords.length === 0) {
+        throw new Error('Indique trigger.keywords o trigger.any: true');
+    }
+
+    const name = definition.name !== undefined && definition.name !== null ? String(definition.name).trim() : '';
+    if (name.length > 100) throw new Error('name no puede superar 100 caracteres');
+
+    const priority = definition.priority !== undefined ? Number(definition.priority) : 100;
+    if (!Number.isInteger(priority)) throw new Error('priority debe ser un número entero (menor = se evalúa antes)');
+
+    return {
+        id,
+        name: name || null,
+        enabled: definition.enabled !== false && definition.enabled !== 'false',
+        priority,
+        trigger: { keywords, any },
+        timeoutMinutes: parsePositive(definition.timeout_minutes, 'timeout_minutes', DEFAULT_TIMEOUT_MINUTES),
+        handoffMinutes: parsePositive(definition.handoff_minutes, 'handoff_minutes', DEFAULT_HANDOFF_MINUTES),
+        handoffKeywords: definition.handoff_keywords !== undefined
+            ? parseKeywords(definition.handoff_keywords, 'handoff_keywords')
+            : DEFAULT_HANDOFF_KEYWORDS,
+        handoffMessage: parseText(definition.handoff_message, 'handoff_message') || DEFAULT_HANDOFF_MESSAGE,
+        resetKeywords: definition.reset_keywords !== undefined
+            ? parseKeywords(definition.reset_keywords, 'reset_keywords')
+            : DEFAULT_RESET_KEYWORDS,
+        resetMessage: parseText(definition.reset_message, 'reset_message'),
+        start,
+        steps
+    };
+};
+
+/**
+ * Texto de un menú con sus opciones numeradas (las que tienen label)
+ */
+const menuText = (step) => {
+    const lines = step.options.filter(option => option.label).map(option => `${option.key}. ${option.label}`);
+    return lines.length > 0 ? `${step.text}\n\n${lines.join('\n')}` : step.text;
+};
+
+/**
+ * Motor de flujos de chatbot: conversaciones declarativas (JSON o YAML) con
+ * estado por sesión y contacto.
+ *
+ * Cada flujo tiene pasos que envían mensajes, muestran menús, piden datos,
+ * llaman a un endpoint HTTP (p. ej. de Laravel) y ramifican según la
+ * respuesta. El estado de cada contacto (paso actual y variables) se guarda en
+ * disco; si el contacto no responde en `timeout_minutes` el flujo se reinicia.
+ *
+ * Con las palabras de escape ("asesor") el contacto pasa a una persona: el bot
+ * deja de responderle hasta que se libera (p. ej. al cerrar la conversación en
+ * la bandeja) o vence `handoff_minutes`.
+ *
+ * `send(sessionId, chatId, text, { flowId, step })` envía cada mensaje y
+ * `onHandoff(state)` avisa cuando un contacto pasa a una persona.
+ */
+class FlowEngine {
+    constructor(flowsFile, statesFile, logger, options = {}) {
+        this.flowsFile = flowsFile;
+        this.statesFile = statesFile;
+        this.logger = logger || console;
+        this.send = options.send;
+        this.onHandoff = options.onHandoff || null;
+        this.flows = new Map(); // { sessionId → [flujo] }
+        this.regexes = new Map(); // { patrón → RegExp compilada (null si no es segura) }
+        this.states = new Map(); // { sessionId|chatId → estado }
+        this.locks = new Map(); // { sessionId|chatId → promesa del mensaje en curso }
+
+        this.load();
+    }
+
+    load() {
+        try {
+            if (fs.existsSync(this.flowsFile)) {
+                const data = JSON.parse(fs.readFileSync(this.flowsFile, 'utf8'));
+                Object.entries(data).forEach(([sessionId, flows]) => {
+                    this.flows.set(sessionId, flows);
+                    flows.forEach(flow => this.compileRegexes(flow));
+                });
+            }
+        } catch (error) {
+            this.logger.error(`Error cargando flujos de chatbot: ${error.message}`);
+        }
+
+        try {
+            if (fs.existsSync(this.statesFile)) {
+                const data = JSON.parse(fs.readFileSync(this.statesFile, 'utf8'));
+                data.forEach(state => this.states.set(`${state.sessionId}|${state.chatId}`, state));
+                if (this.states.size > 0) {
+                    this.logger.info(`🤖 ${this.states.size} conversaciones de chatbot restauradas`);
+                }
+            }
+        } catch (error) {
+            this.logger.error(`Error cargando estados de chatbot: ${error.message}`);
+        }
+    }
+
+    saveFlows() {
+        try {
+            fs.mkdirSync(path.dirname(this.flowsFile), { recursive: true });
+            fs.writeFileSync(this.flowsFile, JSON.stringify(Object.fromEntries(this.flows), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando flujos de chatbot: ${error.message}`);
+        }
+    }
+
+    saveStates() {
+        try {
+            fs.mkdirSync(path.dirname(this.statesFile), { recursive: true });
+            fs.writeFileSync(this.statesFile, JSON.stringify(Array.from(this.states.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando estados de chatbot: ${error.message}`);
+        }
+    }
+
+    // ---- Expresiones regulares ----
+
+    /**
+     * Compilar una sola vez (al cargar o guardar el flujo) las expresiones de
+     * validación de los pasos input y de las condiciones `matches`
+     */
+    compileRegexes(flow) {
+        Object.values(flow.steps || {}).forEach(step => {
+            if (step.validate) this.regex(step.validate);
+            (step.conditions || [])
+                .filter(condition => condition.operator === 'matches')
+                .forEach(condition => this.regex(condition.value));
+        });
+    }
+
+    regex(pattern) {
+        if (!this.regexes.has(pattern)) {
+            // Flujos guardados antes de la comprobación: la expresión se ignora
+            const unsafe = findUnsafeRegex(String(pattern));
+            if (unsafe) {
+                this.logger.warn(`🤖 Expresión regular de flujo ignorada (${pattern}): usa ${unsafe}`);
+            }
+            this.regexes.set(pattern, unsafe ? null : new RegExp(pattern, 'i'));
+        }
+        return this.regexes.get(pattern);
+    }
+
+    matchesRegex(pattern, text) {
+        const regex = this.regex(pattern);
+        if (!regex) return false;
+
+        try {
+            return testRegex(regex, text);
+        } catch (error) {
+            this.logger.warn(`🤖 ${error.message}, se considera no cumplida`);
+            return false;
+        }
+    }
+
+    // ---- Definiciones ----
+
+    list(sessionId) {
+        return this.flows.get(sessionId) || [];
+    }
+
+    get(sessionId, flowId) {
+        return this.list(sessionId).find(flow => flow.id === flowId) || null;
+    }
+
+    /**
+     * Crear o reemplazar un flujo (por su id). Devuelve { flow, created }.
+     * Los contactos que estaban en un flujo reemplazado vuelven a empezar.
+     */
+    save(sessionId, definition, { flowId = null, replace = true } = {}) {
+        const parsed = parseDefinition(definition);
+        if (flowId) parsed.id = flowId;
+
+        const flow = parseFlow(parsed);
+        this.compileRegexes(flow);
+        const flows = this.list(sessionId).slice();
+        const index = flows.findIndex(item => item.id === flow.id);
+
+        if (index !== -1 && !replace) {
+            throw Object.assign(new Error(`Ya existe un flujo con id ${flow.id}`), { conflict: true });
+        }
+        if (index === -1 && flows.length >= MAX_FLOWS) {
+            throw new Error(`Máximo ${MAX_FLOWS} flujos por sesión`);
+        }
+
+        const now = Date.now();
+        if (index === -1) {
+            flows.push({ ...flow, createdAt: now, updatedAt: now });
+        } else {
+            flows[index] = { ...flow, createdAt: flows[index].createdAt, updatedAt: now };
+            this.clearStates(sessionId, flow.id);
+        }
+
+        this.flows.set(sessionId, flows);
+        this.saveFlows();
+
+        this.logger.info(`[${sessionId}] 🤖 Flujo ${flow.id} ${index === -1 ? 'creado' : 'actualizado'} (${Object.keys(flow.steps).length} pasos)`);
+        return { flow: flows[index === -1 ? flows.length - 1 : index], created: index === -1 };
+    }
+
+    remove(sessionId, flowId) {
+        if (!this.get(sessionId, flowId)) return false;
+
+        this.flows.set(sessionId, this.list(sessionId).filter(flow => flow.id !== flowId));
+        this.saveFlows();
+        this.clearStates(sessionId, flowId);
+        return true;
+    }
+
+    /**
+     * Quitar flujos y estados de una sesión eliminada
+     */
+    removeSession(sessionId) {
+        if (this.flows.delete(sessionId)) this.saveFlows();
+        this.clearStates(sessionId);
+    }
+
+    // ---- Estado por contacto ----
+
+    clearStates(sessionId, flowId = null) {
+        let removed = 0;
+        this.states.forEach((state, key) => {
+            if (state.sessionId === sessionId && (!flowId || state.flowId === flowId)) {
+                this.states.delete(key);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.saveStates();
+        return removed;
+    }
+
+    /**
+     * Conversaciones en curso de la sesión (sin las vencidas)
+     */
+    listStates(sessionId) {
+        const now = Date.now();
+        return Array.from(this.states.values())
+            .filter(state => state.sessionId === sessionId && state.expiresAt > now)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    /**
+     * Terminar el flujo de un contacto (también si estaba con un asesor).
+     * Devuelve false si no tenía ninguno.
+     */
+    reset(sessionId, jid) {
+        const key = `${sessionId}|${toChatId(jid)}`;
+        if (!this.states.has(key)) return false;
+
+        this.states.delete(key);
+        this.saveStates();
+        return true;
+    }
+
+    /**
+     * Devolver al bot un contacto derivado a un asesor
+     */
+    release(sessionId, jid) {
+        const state = this.states.get(`${sessionId}|${toChatId(jid)}`);
+        if (!state || state.status !== 'handoff') return false;
+
+        this.reset(sessionId, jid);
+        this.logger.info(`[${sessionId}] 🤖 ${state.chatId} vuelve al chatbot`);
+        return true;
+    }
+
+    /**
+     * Esperar la respuesta del contacto hasta el timeout del flujo
+     */
+    wait(state, minutes) {
+        const now = Date.now();
+        state.updatedAt = now;
+        state.expiresAt = now + minutes * 60000;
+        this.states.set(`${state.sessionId}|${state.chatId}`, state);
+        this.saveStates();
+    }
+
+    finish(state, reason) {
+        this.states.delete(`${state.sessionId}|${state.chatId}`);
+        this.saveStates();
+        this.logger.debug(`[${state.sessionId}] 🤖 Flujo ${state.flowId} terminado para ${state.chatId} (${reason})`);
+    }
+
+    async say(state, text) {
+        const rendered = interpolate(text, state.vars);
+        if (!rendered.trim()) return;
+        await this.send(state.sessionId, state.chatId, rendered, { flowId: state.flowId, step: state.step });
+    }
+
+    async handoff(flow, state, text) {
+        await this.say(state, text || flow.handoffMessage);
+        state.status = 'handoff';
+        this.wait(state, flow.handoffMinutes);
+
+        this.logger.info(`[${state.sessionId}] 🙋 ${state.chatId} derivado a un asesor (flujo ${flow.id})`);
+        if (this.onHandoff) this.onHandoff(state);
+    }
+
+    // ---- Ejecución ----
+
+    /**
+     * Mensaje entrante (formato de InboundMessage.js). Devuelve true si un flujo
+     * lo atendió (o el contacto está con un asesor) y no debe responderse de otra forma.
+     * Los mensajes de un mismo contacto se procesan de uno en uno.
+     */
+    handle(sessionId, message) {
+        if (message.isGroup || message.fromMe) return Promise.resolve(false);
+
+        const key = `${sessionId}|${toChatId(message.from)}`;
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous
+            .then(() => this.process(sessionId, message))
+            .catch(error => {
+                this.logger.warn(`[${sessionId}] Error en el flujo de chatbot de ${message.from}: ${error.message}`);
+                return true;
+            });
+
+        this.locks.set(key, current);
+        current.then(() => {
+            if (this.locks.get(key) === current) this.locks.delete(key);
+        });
+        return current;
+    }
+
+    async process(sessionId, message) {
+        const chatId = toChatId(message.from);
+        const key = `${sessionId}|${chatId}`;
+        const text = String(message.body || '').trim();
+        const normalized = normalizeText(text);
+
+        let state = this.states.get(key) || null;
+        if (state && state.expiresAt <= Date.now()) {
+            this.finish(state, state.status === 'handoff' ? 'handoff_expired' : 'timeout');
+            state = null;
+        }
+
+        // Atendido por una persona: el bot no interviene
+        if (state && state.status === 'handoff') return true;
+
+        const flow = state ? this.get(sessionId, state.flowId) : null;
+        if (state && (!flow || !flow.enabled)) {
+            this.finish(state, 'flow_removed');
+            state = null;
+        }
+
+        if (!state) {
+            const started = this.list(sessionId)
+                .filter(item => item.enabled)
+                .sort((a, b) => a.priority - b.priority)
+                .find(item => item.trigger.any || item.trigger.keywords.some(keyword => hasKeyword(normalized, keyword)));
+            if (!started) return false;
+
+            const now = Date.now();
+            state = {
+                sessionId,
+                chatId,
+                flowId: started.id,
+                step: started.start,
+                status: 'active',
+                vars: { nombre: message.pushName || '', numero: chatId.split('@')[0] },
+                startedAt: now,
+                updatedAt: now,
+                expiresAt: now + started.timeoutMinutes * 60000
+            };
+            this.logger.info(`[${sessionId}] 🤖 Flujo ${started.id} iniciado para ${chatId}`);
+            await this.run(started, state, started.start);
+            return true;
+        }
+
+        // Escapes: hablar con una persona o salir del flujo
+        if (flow.handoffKeywords.some(keyword => hasKeyword(normalized, keyword))) {
+            await this.handoff(flow, state, null);
+            return true;
+        }
+        if (flow.resetKeywords.some(keyword => normalized === keyword)) {
+            if (flow.resetMessage) await this.say(state, flow.resetMessage);
+            this.finish(state, 'reset');
+            return true;
+        }
+
+        const answer = await this.answer(flow, state, text, normalized);
+        if (!answer) {
+            this.wait(state, flow.timeoutMinutes);
+        } else if (answer.next) {
+            await this.run(flow, state, answer.next);
+        } else {
+            this.finish(state, 'completed');
+        }
+        return true;
+    }
+
+    /**
+     * Respuesta del contacto al paso en espera (menú o dato). Devuelve
+     * { next } o null si no es válida (se le vuelve a pedir).
+     */
+    async answer(flow, state, text, normalized) {
+        const step = flow.steps[state.step];
+
+        if (step && step.type === 'menu') {
+            const option = step.options.find(item =>
+                normalizeText(item.key) === normalized ||
+                (item.label && normalizeText(item.label) === normalized) ||
+                item.keywords.some(keyword => hasKeyword(normalized, keyword))
+            );
+            if (!option) {
+                await this.say(state, `${step.invalid || DEFAULT_MENU_INVALID}\n\n${menuText(step)}`);
+                return null;
+            }
+
+            if (step.saveAs) state.vars[step.saveAs] = option.key;
+            return { next: option.next };
+        }
+
+        if (step && step.type === 'input') {
+            if (!text || (step.validate && !this.matchesRegex(step.validate, text))) {
+                await this.say(state, step.invalid || DEFAULT_INPUT_INVALID);
+                return null;
+            }
+
+            state.vars[step.saveAs] = text;
+            return { next: step.next };
+        }
+
+        // Paso sin espera (el flujo cambió): volver a empezar
+        return { next: flow.start };
+    }
+
+    /**
+     * Ejecutar pasos desde `stepId` hasta uno que espera respuesta o el final
+     */
+    async run(flow, state, stepId) {
+        let current = stepId;
+        let count = 0;
+
+        while (current) {
+            if (++count > MAX_STEPS_PER_MESSAGE) {
+                this.logger.warn(`[${state.sessionId}] Flujo ${flow.id}: más de ${MAX_STEPS_PER_MESSAGE} pasos sin esperar respuesta, se detiene`);
+                this.finish(state, 'loop');
+                return;
+            }
+
+            const step = flow.steps[current];
+            state.step = current;
+
+            switch (step.type) {
+                case 'message':
+                    await this.say(state, step.text);
+                    current = step.next;
+                    break;
+
+                case 'menu':
+                    await this.say(state, menuText(step));
+                    this.wait(state, flow.timeoutMinutes);
+                    return;
+
+                case 'input':
+                    await this.say(state, step.text);
+                    this.wait(state, flow.timeoutMinutes);
+                    return;
+
+                case 'http':
+                    if (await this.request(state, step)) {
+                        current = step.next;
+                    } else if (step.onError) {
+                        current = step.onError;
+                    } else {
+                        await this.say(state, step.errorMessage || DEFAULT_HTTP_ERROR);
+                        this.finish(state, 'http_error');
+                        return;
+                    }
+                    break;
+
+                case 'branch': {
+                    const condition = step.conditions.find(item =>
+                        matchesCondition(item, state.vars, (pattern, value) => this.matchesRegex(pattern, value))
+                    );
+                    current = condition ? condition.next : step.default;
+                    break;
+                }
+
+                case 'handoff':
+                    await this.handoff(flow, state, step.text);
+                    return;
+
+                case 'end':
+                    if (step.text) await this.say(state, step.text);
+                    current = null;
+                    break;
+            }
+        }
+
+        this.finish(state, 'completed');
+    }
+
+    /**
+     * Llamar al endpoint del paso. La respuesta queda en la variable `save_as`
+     * como { ok, status, data } (data es el JSON o el texto recibido).
+     */
+    async request(state, step) {
+        const url = interpolate(step.url, state.vars, encodeURIComponent);
+        const headers = { Accept: 'application/json', ...interpolate(step.headers, state.vars) };
+        const options = { method: step.method, headers };
+
+        if (step.body !== null && step.method !== 'GET') {
+            options.body = JSON.stringify(interpolate(step.body, state.vars));
+            if (!Object.keys(headers).some(name => name.toLowerCase() === 'content-type')) {
+                headers['Content-Type'] = 'application/json';
+            }
+        }
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), step.timeoutMs);
+
+        try {
+            const response = await fetch(url, { ...options, signal: controller.signal });
+            const raw = await response.text();
+
+            let data = raw;
+            try {
+                data = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                // No es JSON: se guarda el texto
+            }
+
+            state.vars[step.saveAs] = { ok: response.ok, status: response.status, data };
+            if (!response.ok) {
+                this.logger.warn(`[${state.sessionId}] Flujo ${state.flowId}: ${step.method} ${url} respondió HTTP ${response.status}`);
+            }
+            return response.ok;
+        } catch (error) {
+            const errorMessage = error.name === 'AbortError' ? 'Timeout' : error.message;
+            this.logger.warn(`[${state.sessionId}] Flujo ${state.flowId}: ${step.method} ${url} falló (${errorMessage})`);
+
+            state.vars[step.saveAs] = { ok: false, status: null, data: null, error: errorMessage };
+            return false;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Olvidar las conversaciones vencidas
+     */
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        this.states.forEach((state, key) => {
+            if (state.expiresAt <= now) {
+                this.states.delete(key);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.saveStates();
+        return removed;
+    }
+}
+
+module.exports = {
+    FlowEngine,
+    parseFlow,
+    STEP_TYPES
+};
@@ -0,0 +1,140 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Claves de idempotencia por sesión para send-message.
+ *
+ * Guarda el resultado de la primera llamada con una clave (cabecera
+ * `Idempotency-Key` o campo `client_ref`) y lo devuelve en las repeticiones
+ * dentro de la ventana configurada, evitando envíos duplicados.
+ */
+class IdempotencyStore {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.entries = new Map(); // { `${sessionId}:${key}` → entry }
+        this.ttl = parseInt(process.env.IDEMPOTENCY_TTL_MS) || options.ttl || 24 * 60 * 60 * 1000;
+
+        this.load();
+    }
+
+    /**
+     * Cargar claves desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.forEach(entry => {
+                // Una llamada que quedó a medias por un reinicio no tiene resultado que repetir
+                if (entry.state === 'done' || entry.state === 'failed') {
+                    this.entries.set(`${entry.sessionId}:${entry.key}`, entry);
+                }
+            });
+        } catch (error) {
+            this.logger.error(`Error cargando claves de idempotencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar claves en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.entries.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando claves de idempotencia: ${error.message}`);
+        }
+    }
+
+    /**
+     * Huella del contenido de la petición para detectar reutilización de claves
+     */
+    static fingerprint(data) {
+        return crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex');
+    }
+
+    /**
+     * Reservar una clave. Devuelve la entrada existente si la clave ya se usó,
+     * o null si esta llamada es la primera y debe ejecutarse.
+     */
+    begin(sessionId, key, fingerprint) {
+        const id = `${sessionId}:${key}`;
+        const existing = this.entries.get(id);
+
+        if (existing && Date.now() - existing.createdAt < this.ttl) {
+            return existing;
+        }
+
+        this.entries.set(id, {
+            sessionId,
+            key,
+            fingerprint,
+            state: 'pending',
+            createdAt: Date.now()
+        });
+        return null;
+    }
+
+    /**
+     * Guardar el resultado de la llamada original
+     */
+    complete(sessionId, key, statusCode, body) {
+        const entry = this.entries.get(`${sessionId}:${key}`);
+        if (!entry) return;
+
+        entry.state = 'done';
+        entry.statusCode = statusCode;
+        entry.body = body;
+        entry.completedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * Marcar una clave cuya llamada falló durante el envío: WhatsApp pudo
+     * haber entregado el mensaje, así que la clave no se libera. Las
+     * repeticiones reciben este resultado para que el cliente lo revise.
+     */
+    fail(sessionId, key, statusCode, body) {
+        const entry = this.entries.get(`${sessionId}:${key}`);
+        if (!entry) return;
+
+        entry.state = 'failed';
+        entry.statusCode = statusCode;
+        entry.body = body;
+        entry.completedAt = Date.now();
+        this.save();
+    }
+
+    /**
+     * Liberar una clave cuya llamada falló sin enviar nada (se puede reintentar)
+     */
+    release(sessionId, key) {
+        if (this.entries.delete(`${sessionId}:${key}`)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Eliminar claves fuera de la ventana
+     */
+    prune() {
+        const limit = Date.now() - this.ttl;
+        let removed = 0;
+
+        this.entries.forEach((entry, id) => {
+            if (entry.createdAt < limit) {
+                this.entries.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+}
+
+module.exports = { IdempotencyStore };
@@ -0,0 +1,199 @@
+// Normalización de mensajes entrantes: el mismo formato para whatsapp-web.js y Baileys
+
+const BAILEYS_MEDIA_TYPES = {
+    imageMessage: 'image',
+    videoMessage: 'video',
+    audioMessage: 'audio',
+    documentMessage: 'document',
+    stickerMessage: 'sticker'
+};
+
+/**
+ * Respuesta a botones o listas de whatsapp-web.js:
+ * { type: 'button_reply' | 'list_reply', id, text, replyTo }
+ */
+const wwebjsInteractiveReply = (msg) => {
+    const replyTo = msg._data?.quotedStanzaID || null;
+
+    if (msg.type === 'buttons_response') {
+        return { type: 'button_reply', id: msg.selectedButtonId || null, text: msg.body || null, replyTo };
+    }
+    if (msg.type === 'list_response') {
+        return { type: 'list_reply', id: msg.selectedRowId || null, text: msg.body || null, replyTo };
+    }
+    return null;
+};
+
+/**
+ * Mensaje de whatsapp-web.js (evento 'message')
+ */
+const normalizeWwebjsMessage = (msg) => {
+    const raw = msg._data || {};
+    const interactive = wwebjsInteractiveReply(msg);
+
+    return {
+        id: msg.id?._serialized || null,
+        from: msg.from,
+        to: msg.to,
+        author: msg.author || null,
+        isGroup: (msg.from || '').endsWith('@g.us'),
+        pushName: raw.notifyName || null,
+        type: interactive ? interactive.type : msg.type,
+        body: msg.body || null,
+        timestamp: msg.timestamp ? msg.timestamp * 1000 : Date.now(),
+        quotedMessageId: msg.hasQuotedMsg || interactive ? raw.quotedStanzaID || null : null,
+        interactive,
+        hasMedia: !!msg.hasMedia,
+        media: msg.hasMedia ? {
+            mimetype: raw.mimetype || null,
+            filename: raw.filename || null,
+            size: raw.size || null,
+            duration: raw.duration ? Number(raw.duration) : null
+        } : null
+    };
+};
+
+/**
+ * Contenido real de un mensaje de Baileys (sin envoltorios efímeros / view once)
+ */
+const unwrapBaileysContent = (message) => {
+    let content = message || {};
+    while (content.ephemeralMessage || content.viewOnceMessage || content.viewOnceMessageV2 || content.documentWithCaptionMessage) {
+        content = (content.ephemeralMessage || content.viewOnceMessage || content.viewOnceMessageV2 || content.documentWithCaptionMessage).message || {};
+    }
+    return content;
+};
+
+/**
+ * Respuesta a botones o listas de Baileys (mismo formato que wwebjsInteractiveReply)
+ */
+const baileysInteractiveReply = (content) => {
+    if (content.buttonsResponseMessage) {
+        const reply = content.buttonsResponseMessage;
+        return { type: 'button_reply', id: reply.selectedButtonId || null, text: reply.selectedDisplayText || null, replyTo: reply.contextInfo?.stanzaId || null };
+    }
+    if (content.templateButtonReplyMessage) {
+        const reply = content.templateButtonReplyMessage;
+        return { type: 'button_reply', id: reply.selectedId || null, text: reply.selectedDisplayText || null, replyTo: reply.contextInfo?.stanzaId || null };
+    }
+    if (content.listResponseMessage) {
+        const reply = content.listResponseMessage;
+        return { type: 'list_reply', id: reply.singleSelectReply?.selectedRowId || null, text: reply.title || null, replyTo: reply.contextInfo?.stanzaId || null };
+    }
+    if (content.interactiveResponseMessage) {
+        // Botones nativos: la opción elegida viene en paramsJson
+        const reply = content.interactiveResponseMessage;
+        let params = {};
+        try {
+            params = JSON.parse(reply.nativeFlowResponseMessage?.paramsJson || '{}');
+        } catch (error) {
+            // paramsJson inválido: se entrega solo el texto
+        }
+        return { type: 'button_reply', id: params.id || null, text: reply.body?.text || null, replyTo: reply.contextInfo?.stanzaId || null };
+    }
+    return null;
+};
+
+/**
+ * Voto cifrado de una encuesta (Baileys): no se entrega como mensaje, el voto
+ * descifrado llega después en 'messages.update'
+ */
+const isBaileysPollUpdate = (msg) => !!unwrapBaileysContent(msg.message).pollUpdateMessage;
+
+/**
+ * Voto de una encuesta con el formato de los mensajes entrantes
+ * (type 'poll_vote'; body con las opciones elegidas)
+ */
+const pollVoteMessage = ({ id, chatId, voter, to = null, pollMessageId, pollName, selectedOptions, timestamp }) => {
+    const isGroup = (chatId || '').endsWith('@g.us');
+
+    return {
+        id,
+        from: chatId,
+        to,
+        author: isGroup ? voter : null,
+        isGroup,
+        pushName: null,
+        type: 'poll_vote',
+        body: selectedOptions.join(', ') || null,
+        timestamp: timestamp || Date.now(),
+        quotedMessageId: pollMessageId,
+        interactive: {
+            type: 'poll_vote',
+            id: null,
+            text: selectedOptions.join(', ') || null,
+            replyTo: pollMessageId,
+            pollName,
+            selectedOptions
+        },
+        hasMedia: false,
+        media: null
+    };
+};
+
+/**
+ * Voto de whatsapp-web.js (evento 'vote_update'). Sin opciones = voto retirado.
+ */
+const normalizeWwebjsVote = (vote) => {
+    const parent = vote.parentMessage || {};
+    const pollMessageId = parent.id?._serialized || null;
+
+    return pollVoteMessage({
+        id: `${pollMessageId}:${vote.voter}:${vote.interractedAtTs || Date.now()}`,
+        chatId: parent.fromMe ? parent.to : parent.from,
+        voter: vote.voter,
+        to: parent.fromMe ? parent.from : parent.to,
+        pollMessageId,
+        pollName: parent.pollName || null,
+        selectedOptions: (vote.selectedOptions || []).map(option => option.name),
+        timestamp: vote.interractedAtTs || null
+    });
+};
+
+/**
+ * Mensaje de Baileys (evento 'messages.upsert')
+ */
+const normalizeBaileysMessage = (msg, ownJid = null) => {
+    const content = unwrapBaileysContent(msg.message);
+    const type = Object.keys(content).find(key => key !== 'messageContextInfo' && key !== 'senderKeyDistributionMessage') || 'unknown';
+    const mediaType = BAILEYS_MEDIA_TYPES[type];
+    const media = mediaType ? content[type] : null;
+    const remoteJid = msg.key.remoteJid || '';
+    const interactive = baileysInteractiveReply(content);
+
+    const body = content.conversation
+        || content.extendedTextMessage?.text
+        || media?.caption
+        || interactive?.text
+        || null;
+
+    return {
+        id: msg.key.id,
+        from: remoteJid,
+        to: ownJid,
+        author: msg.key.participant || null,
+        isGroup: remoteJid.endsWith('@g.us'),
+        pushName: msg.pushName || null,
+        type: interactive ? interactive.type : mediaType || (type === 'conversation' || type === 'extendedTextMessage' ? 'chat' : type),
+        body,
+        timestamp: msg.messageTimestamp ? Number(msg.messageTimestamp) * 1000 : Date.now(),
+        quotedMessageId: content.extendedTextMessage?.contextInfo?.stanzaId || media?.contextInfo?.stanzaId || interactive?.replyTo || null,
+        interactive,
+        hasMedia: !!media,
+        media: media ? {
+            mimetype: media.mimetype || null,
+            filename: media.fileName || null,
+            size: media.fileLength ? Number(media.fileLength) : null,
+            duration: media.seconds || null
+        } : null
+    };
+};
+
+module.exports = {
+    normalizeWwebjsMessage,
+    normalizeWwebjsVote,
+    normalizeBaileysMessage,
+    unwrapBaileysContent,
+    isBaileysPollUpdate,
+    pollVoteMessage
+};
@@ -0,0 +1,441 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { toChatId, paginate } = require('./ConversationStore');
+
+const STATUSES = ['open', 'pending', 'closed'];
+
+// Conversaciones cerradas que se conservan en la bandeja (el historial completo queda en ConversationStore)
+const CLOSED_RETENTION_DAYS = parseInt(process.env.INBOX_CLOSED_RETENTION_DAYS) || 90;
+
+const preview = (message) => {
+    const body = message.body ? String(message.body) : '';
+    return body.length > 200 ? body.slice(0, 200) + '…' : body || null;
+};
+
+/**
+ * Campos de la petición (snake_case) → campos del InboxStore
+ */
+const agentInput = (body = {}) => {
+    const input = {};
+    if (body.name !== undefined) input.name = body.name;
+    if (body.api_key_id !== undefined) input.apiKeyId = body.api_key_id;
+    else if (body.apiKeyId !== undefined) input.apiKeyId = body.apiKeyId;
+    return input;
+};
+
+/**
+ * Bandeja compartida de una o más sesiones: cada chat individual que escribe
+ * abre una conversación sin asignar; un agente la toma (o se le asigna),
+ * responde por la misma sesión y la marca como pendiente o cerrada.
+ *
+ * Estados: open (espera respuesta del agente), pending (espera al cliente) y
+ * closed. Un mensaje del cliente vuelve a abrir una conversación pendiente; si
+ * estaba cerrada se reabre sin asignar, para que cualquier agente la tome.
+ *
+ * Los agentes y las conversaciones se guardan en un JSON compartido por los
+ * servidores. Un agente puede vincularse a una clave de API: las peticiones
+ * con esa clave actúan siempre como ese agente.
+ */
+class InboxStore {
+    constructor(filePath, logger) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.agents = new Map(); // { agentId → agente }
+        this.conversations = new Map(); // { conversationId → conversación }
+
+        this.load();
+    }
+
+    load() {
+        this.agents.clear();
+        this.conversations.clear();
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            (data.agents || []).forEach(agent => this.agents.set(agent.id, agent));
+            (data.conversations || []).forEach(conversation => this.conversations.set(conversation.id, conversation));
+        } catch (error) {
+            this.logger.error(`Error cargando la bandeja de entrada: ${error.message}`);
+        }
+    }
+
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify({
+                agents: Array.from(this.agents.values()),
+                conversations: Array.from(this.conversations.values())
+            }, null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando la bandeja de entrada: ${error.message}`);
+        }
+    }
+
+    // Otro servidor pudo modificar el archivo compartido
+    reload() {
+        this.load();
+    }
+
+    // ---- Agentes ----
+
+    listAgents() {
+        this.reload();
+        return Array.from(this.agents.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getAgent(agentId) {
+        this.reload();
+        return this.agents.get(agentId) || null;
+    }
+
+    parseAgent(input, current = null) {
+        const agent = current ? { ...current } : { id: uuidv4(), createdAt: Date.now() };
+
+        if (input.name !== undefined || !current) {
+            const name = String(input.name || '').trim();
+            if (!name) throw new Error('Falta el nombre del agente (name)');
+            if (name.length > 100) throw new Error('name no puede superar 100 caracteres');
+
+            const duplicate = Array.from(this.agents.values())
+                .find(other => other.id !== agent.id && other.name.toLowerCase() === name.toLowerCase());
+            if (duplicate) throw new Error(`Ya existe un agente llamado ${duplicate.name}`);
+            agent.name = name;
+        }
+
+        if (input.apiKeyId !== undefined || !current) {
+            const apiKeyId = input.apiKeyId ? String(input.apiKeyId).trim() : null;
+            const linked = apiKeyId && Array.from(this.agents.values())
+                .find(other => other.id !== agent.id && other.apiKeyId === apiKeyId);
+            if (linked) throw new Error(`La clave de API ya está vinculada al agente ${linked.name}`);
+            agent.apiKeyId = apiKeyId;
+        }
+
+        agent.updatedAt = Date.now();
+        return agent;
+    }
+
+    createAgent(input) {
+        this.reload();
+        const agent = this.parseAgent(input);
+        this.agents.set(agent.id, agent);
+        this.save();
+
+        this.logger.info(`👤 Agente creado: ${agent.name}`);
+        return agent;
+    }
+
+    /**
+     * Devuelve null si el agente no existe
+     */
+    updateAgent(agentId, input) {
+        this.reload();
+        const current = this.agents.get(agentId);
+        if (!current) return null;
+
+        const agent = this.parseAgent(input, current);
+        this.agents.set(agent.id, agent);
+        this.save();
+        return agent;
+    }
+
+    /**
+     * Eliminar un agente: sus conversaciones vuelven a quedar sin asignar
+     */
+    removeAgent(agentId) {
+        this.reload();
+        const agent = this.agents.get(agentId);
+        if (!agent) return null;
+
+        const released = [];
+        this.conversations.forEach(conversation => {
+            if (conversation.agentId !== agentId) return;
+            conversation.agentId = null;
+            conversation.assignedAt = null;
+            conversation.updatedAt = Date.now();
+            released.push(conversation);
+        });
+
+        this.agents.delete(agentId);
+        this.save();
+
+        this.logger.info(`👤 Agente eliminado: ${agent.name} (${released.length} conversaciones sin asignar)`);
+        return { agent, released };
+    }
+
+    /**
+     * Agente que hace una petición: el vinculado a su clave de API o, si la
+     * clave no tiene agente, el indicado en `agentId`. Devuelve null si no hay
+     * ninguno y lanza error si el agente no existe o no corresponde a la clave.
+     */
+    resolveAgent(apiKey, agentId) {
+        this.reload();
+        const linked = apiKey
+            ? Array.from(this.agents.values()).find(agent => agent.apiKeyId === apiKey.id) || null
+            : null;
+
+        if (linked) {
+            if (agentId && agentId !== linked.id) {
+                throw new Error(`La clave de API pertenece al agente ${linked.name}`);
+            }
+            return linked;
+        }
+        if (!agentId) return null;
+
+        const agent = this.agents.get(agentId);
+        if (!agent) throw new Error(`Agente no encontrado: ${agentId}`);
+        return agent;
+    }
+
+    // ---- Conversaciones ----
+
+    get(conversationId) {
+        this.reload();
+        return this.conversations.get(conversationId) || null;
+    }
+
+    find(sessionId, chatId) {
+        return Array.from(this.conversations.values())
+            .find(conversation => conversation.sessionId === sessionId && conversation.chatId === chatId) || null;
+    }
+
+    /**
+     * Conversación de un chat (número o JID) o null
+     */
+    getByChat(sessionId, jid) {
+        this.reload();
+        return this.find(sessionId, toChatId(jid));
+    }
+
+    /**
+     * Conversación con el nombre del agente asignado
+     */
+    view(conversation) {
+        const agent = conversation.agentId ? this.agents.get(conversation.agentId) : null;
+        return { ...conversation, agentName: agent ? agent.name : null };
+    }
+
+    /**
+     * Conversaciones filtradas por sesión, estado (uno o varios separados por
+     * coma) y agente (`none` = sin asignar), la de actividad más reciente primero
+     */
+    list({ sessionId = null, status = null, agentId = null, page = 1, limit = 50 } = {}) {
+        this.reload();
+
+        const statuses = status ? String(status).split(',').map(value => value.trim()).filter(Boolean) : null;
+        const invalid = statuses && statuses.find(value => !STATUSES.includes(value));
+        if (invalid) {
+            throw new Error(`Estado inválido: ${invalid}. Use ${STATUSES.join(', ')}`);
+        }
+
+        const all = Array.from(this.conversations.values())
+            .filter(conversation => !sessionId || conversation.sessionId === sessionId);
+
+        const counts = { open: 0, pending: 0, closed: 0, unassigned: 0 };
+        all.forEach(conversation => {
+            counts[conversation.status]++;
+            if (!conversation.agentId && conversation.status !== 'closed') counts.unassigned++;
+        });
+
+        const conversations = all
+            .filter(conversation => !statuses || statuses.includes(conversation.status))
+            .filter(conversation => !agentId || (agentId === 'none' ? !conversation.agentId : conversation.agentId === agentId))
+            .sort((a, b) => b.lastMessageAt - a.lastMessageAt)
+            .map(conversation => this.view(conversation));
+
+        return { counts, ...paginate(conversations, page, limit, 'conversations') };
+    }
+
+    /**
+     * Mensaje entrante (formato de InboundMessage.js). Los grupos no entran en
+     * la bandeja. Devuelve la conversación o null.
+     */
+    recordInbound(sessionId, message) {
+        if (message.isGroup) return null;
+
+        this.reload();
+        const chatId = toChatId(message.from);
+        const now = Date.now();
+        let conversation = this.find(sessionId, chatId);
+
+        if (!conversation) {
+            conversation = {
+                id: uuidv4(),
+                sessionId,
+                chatId,
+                name: null,
+                status: 'open',
+                agentId: null,
+                previousAgentId: null,
+                assignedAt: null,
+                unreadCount: 0,
+                lastMessage: null,
+                lastMessageAt: now,
+                lastInboundAt: null,
+                handoffAt: null,
+                createdAt: now,
+                closedAt: null
+            };
+            this.conversations.set(conversation.id, conversation);
+        } else if (conversation.status === 'closed') {
+            // Reabierta: vuelve sin asignar y se recuerda quién la atendió
+            conversation.previousAgentId = conversation.agentId || conversation.previousAgentId;
+            conversation.agentId = null;
+            conversation.assignedAt = null;
+            conversation.closedAt = null;
+        }
+
+        conversation.status = 'open';
+        if (message.pushName) conversation.name = message.pushName;
+        conversation.unreadCount++;
+        conversation.lastMessage = { direction: 'in', type: message.type, body: preview(message), timestamp: now };
+        conversation.lastMessageAt = now;
+        conversation.lastInboundAt = now;
+        conversation.updatedAt = now;
+
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * Respuesta de un agente: si la conversación no tenía agente queda asignada
+     * a él y pasa a pendiente (espera al cliente)
+     */
+    recordReply(conversationId, agent, body) {
+        this.reload();
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) return null;
+
+        const now = Date.now();
+        if (!conversation.agentId) {
+            conversation.agentId = agent.id;
+            conversation.assignedAt = now;
+        }
+        conversation.status = 'pending';
+        conversation.closedAt = null;
+        conversation.handoffAt = null;
+        conversation.unreadCount = 0;
+        conversation.lastMessage = { direction: 'out', type: 'chat', body: preview({ body }), agentId: agent.id, timestamp: now };
+        conversation.lastMessageAt = now;
+        conversation.updatedAt = now;
+
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * El chatbot derivó el contacto a una persona: la conversación queda
+     * abierta y marcada hasta que un agente responde o la cierra
+     */
+    markHandoff(conversationId) {
+        this.reload();
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) return null;
+
+        conversation.status = 'open';
+        conversation.closedAt = null;
+        conversation.handoffAt = Date.now();
+        conversation.updatedAt = Date.now();
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * Asignar a un agente (o a nadie con null). Devuelve null si la conversación no existe.
+     */
+    assign(conversationId, agentId) {
+        this.reload();
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) return null;
+        if (agentId && !this.agents.has(agentId)) {
+            throw new Error(`Agente no encontrado: ${agentId}`);
+        }
+
+        conversation.agentId = agentId || null;
+        conversation.assignedAt = agentId ? Date.now() : null;
+        conversation.updatedAt = Date.now();
+        this.save();
+
+        const agent = agentId ? this.agents.get(agentId) : null;
+        this.logger.info(`[${conversation.sessionId}] 📥 Conversación ${conversation.chatId} ${agent ? `asignada a ${agent.name}` : 'sin asignar'}`);
+        return conversation;
+    }
+
+    /**
+     * Cambiar el estado. Devuelve null si la conversación no existe.
+     */
+    setStatus(conversationId, status) {
+        if (!STATUSES.includes(status)) {
+            throw new Error(`Estado inválido: ${status}. Use ${STATUSES.join(', ')}`);
+        }
+
+        this.reload();
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation) return null;
+
+        conversation.status = status;
+        conversation.closedAt = status === 'closed' ? Date.now() : null;
+        if (status === 'closed') conversation.handoffAt = null;
+        if (status !== 'open') conversation.unreadCount = 0;
+        conversation.updatedAt = Date.now();
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * Marcar como leída (el agente abrió la conversación)
+     */
+    markRead(conversationId) {
+        this.reload();
+        const conversation = this.conversations.get(conversationId);
+        if (!conversation || conversation.unreadCount === 0) return conversation || null;
+
+        conversation.unreadCount = 0;
+        this.save();
+        return conversation;
+    }
+
+    /**
+     * Quitar las conversaciones de una sesión eliminada
+     */
+    removeSession(sessionId) {
+        this.reload();
+        let removed = 0;
+
+        this.conversations.forEach((conversation, id) => {
+            if (conversation.sessionId === sessionId) {
+                this.conversations.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * Olvidar las conversaciones cerradas hace más de CLOSED_RETENTION_DAYS
+     */
+    prune() {
+        this.reload();
+        const limit = Date.now() - CLOSED_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+        let removed = 0;
+
+        this.conversations.forEach((conversation, id) => {
+            if (conversation.status === 'closed' && conversation.closedAt < limit) {
+                this.conversations.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+}
+
+module.exports = {
+    InboxStore,
+    INBOX_STATUSES: STATUSES,
+    agentInput
+};
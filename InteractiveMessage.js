@@ -0,0 +1,218 @@
+// Mensajes interactivos (botones, listas y encuestas): validación común y formato de Baileys
+
+const { permanentError } = require('./WhatsappDriver');
+
+const INTERACTIVE_TYPES = ['buttons', 'list', 'poll'];
+
+// Límites de WhatsApp
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+const MAX_POLL_OPTIONS = 12;
+
+const requiredText = (value, field, max) => {
+    const text = optionalText(value, field, max);
+    if (!text) {
+        throw permanentError(`Falta ${field}`);
+    }
+    return text;
+};
+
+const optionalText = (value, field, max) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text.length > max) {
+        throw permanentError(`${field} no puede superar ${max} caracteres`);
+    }
+    return text || null;
+};
+
+const uniqueIds = (items, field) => {
+    const ids = items.map(item => item.id);
+    const repeated = ids.find((id, index) => ids.indexOf(id) !== index);
+    if (repeated) {
+        throw permanentError(`${field} repetido: ${repeated}`);
+    }
+};
+
+/**
+ * Validar el campo `interactive` de send-message:
+ *
+ *   { type: 'buttons', text, footer, buttons: [{ id, text }] }                      (hasta 3 botones)
+ *   { type: 'list', text, title, footer, buttonText,
+ *     sections: [{ title, rows: [{ id, title, description }] }] }                  (hasta 10 filas)
+ *   { type: 'poll', name, options: ['Sí', 'No'], selectableCount }                  (2 a 12 opciones)
+ *
+ * El `id` de la opción elegida vuelve en el webhook `message` (interactive.id).
+ */
+const parseInteractive = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw permanentError('interactive debe ser un objeto JSON');
+    }
+
+    if (!INTERACTIVE_TYPES.includes(input.type)) {
+        throw permanentError(`Tipo de mensaje interactivo inválido: ${input.type}. Permitidos: ${INTERACTIVE_TYPES.join(', ')}`);
+    }
+
+    if (input.type === 'buttons') {
+        const buttons = Array.isArray(input.buttons) ? input.buttons : [];
+        if (buttons.length === 0 || buttons.length > MAX_BUTTONS) {
+            throw permanentError(`Se requieren entre 1 y ${MAX_BUTTONS} botones`);
+        }
+
+        const payload = {
+            type: 'buttons',
+            text: requiredText(input.text, 'el texto del mensaje', 1024),
+            footer: optionalText(input.footer, 'El pie', 60),
+            buttons: buttons.map((button, index) => ({
+                id: optionalText(button.id, 'El id del botón', 256) || `btn_${index + 1}`,
+                text: requiredText(button.text, `el texto del botón ${index + 1}`, 20)
+            }))
+        };
+        uniqueIds(payload.buttons, 'Id de botón');
+        return payload;
+    }
+
+    if (input.type === 'list') {
+        const sections = Array.isArray(input.sections) ? input.sections : [];
+        if (sections.length === 0) {
+            throw permanentError('Se requiere al menos una sección');
+        }
+
+        let rowCount = 0;
+        const payload = {
+            type: 'list',
+            text: requiredText(input.text, 'el texto del mensaje', 1024),
+            title: optionalText(input.title, 'El título', 60),
+            footer: optionalText(input.footer, 'El pie', 60),
+            buttonText: requiredText(input.buttonText, 'el texto del botón de la lista (buttonText)', 20),
+            sections: sections.map((section, sectionIndex) => {
+                const rows = Array.isArray(section.rows) ? section.rows : [];
+                if (rows.length === 0) {
+                    throw permanentError(`La sección ${sectionIndex + 1} no tiene filas`);
+                }
+
+                return {
+                    title: optionalText(section.title, 'El título de la sección', 24),
+                    rows: rows.map(row => {
+                        rowCount++;
+                        return {
+                            id: optionalText(row.id, 'El id de la fila', 200) || `row_${rowCount}`,
+                            title: requiredText(row.title, `el título de la fila ${rowCount}`, 24),
+                            description: optionalText(row.description, 'La descripción de la fila', 72)
+                        };
+                    })
+                };
+            })
+        };
+
+        if (rowCount > MAX_LIST_ROWS) {
+            throw permanentError(`Una lista admite como máximo ${MAX_LIST_ROWS} filas`);
+        }
+        uniqueIds(payload.sections.flatMap(section => section.rows), 'Id de fila');
+        return payload;
+    }
+
+    const options = (Array.isArray(input.options) ? input.options : [])
+        .map((option, index) => requiredText(option, `la opción ${index + 1}`, 100));
+    if (options.length < 2 || options.length > MAX_POLL_OPTIONS) {
+        throw permanentError(`Una encuesta requiere entre 2 y ${MAX_POLL_OPTIONS} opciones`);
+    }
+    if (new Set(options).size !== options.length) {
+        throw permanentError('Las opciones de la encuesta no pueden repetirse');
+    }
+
+    const selectableCount = input.selectableCount === undefined ? 1 : parseInt(input.selectableCount, 10);
+    if (!(selectableCount >= 1 && selectableCount <= options.length)) {
+        throw permanentError(`selectableCount debe estar entre 1 y ${options.length}`);
+    }
+
+    return {
+        type: 'poll',
+        name: requiredText(input.name, 'la pregunta de la encuesta (name)', 255),
+        options,
+        selectableCount
+    };
+};
+
+/**
+ * Texto del mensaje interactivo para el historial
+ */
+const interactiveText = (payload) => {
+    return payload.type === 'poll' ? payload.name : payload.text;
+};
+
+/**
+ * Contenido para `sock.sendMessage` de Baileys
+ */
+const toBaileysContent = (payload) => {
+    if (payload.type === 'poll') {
+        return {
+            poll: {
+                name: payload.name,
+                values: payload.options,
+                selectableCount: payload.selectableCount
+            }
+        };
+    }
+
+    if (payload.type === 'buttons') {
+        return {
+            text: payload.text,
+            footer: payload.footer || undefined,
+            buttons: payload.buttons.map(button => ({
+                buttonId: button.id,
+                buttonText: { displayText: button.text },
+                type: 1
+            })),
+            headerType: 1
+        };
+    }
+
+    return {
+        text: payload.text,
+        title: payload.title || undefined,
+        footer: payload.footer || undefined,
+        buttonText: payload.buttonText,
+        sections: payload.sections.map(section => ({
+            title: section.title || undefined,
+            rows: section.rows.map(row => ({
+                rowId: row.id,
+                title: row.title,
+                description: row.description || undefined
+            }))
+        }))
+    };
+};
+
+/**
+ * `patchMessageBeforeSending` de Baileys: los botones y listas solo se
+ * muestran en los teléfonos si van dentro de un viewOnceMessage
+ */
+const patchInteractiveMessage = (msg) => {
+    const requiresPatch = !!(
+        msg.buttonsMessage
+        || msg.templateMessage
+        || msg.listMessage
+    );
+    if (requiresPatch) {
+        msg = {
+            viewOnceMessage: {
+                message: {
+                    messageContextInfo: {
+                        deviceListMetadataVersion: 2,
+                        deviceListMetadata: {},
+                    },
+                    ...msg,
+                },
+            },
+        };
+    }
+    return msg;
+};
+
+module.exports = {
+    INTERACTIVE_TYPES,
+    parseInteractive,
+    interactiveText,
+    toBaileysContent,
+    patchInteractiveMessage
+};
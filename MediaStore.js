@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const mime = require('mime-types');
+const { v4: uuidv4 } = require('uuid');
+const { isValidSessionId } = require('./SessionId');
+
+const MEDIA_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Tipos que se muestran en el navegador; el resto (HTML, SVG, PDF...) se descarga
+const INLINE_TYPE_REGEX = /^(image\/(jpeg|png|gif|webp)|audio\/[\w.+-]+|video\/[\w.+-]+)$/;
+
+/**
+ * Archivos recibidos de los clientes (comprobantes de pago, fotos, audios, PDFs...)
+ * y copia de los enviados, para el historial de conversaciones.
+ *
+ * Cada sesión tiene su directorio `<baseDir>/<sessionId>/` con el archivo y un
+ * JSON de metadatos al lado (MIME, tamaño, sha256 y mensaje de origen). Los
+ * archivos se eliminan pasada la retención.
+ */
+class MediaStore {
+    constructor(baseDir, logger, options = {}) {
+        this.baseDir = baseDir;
+        this.logger = logger || console;
+        this.retention = parseInt(process.env.MEDIA_RETENTION_MS) || options.retention || 30 * 24 * 60 * 60 * 1000;
+        this.maxBytes = parseInt(process.env.MEDIA_MAX_BYTES) || options.maxBytes || 100 * 1024 * 1024;
+    }
+
+    sessionDir(sessionId) {
+        // El id llega de la URL: no permitir salir del directorio base
+        if (!isValidSessionId(sessionId)) {
+            throw new Error('Sesión inválida');
+        }
+        return path.join(this.baseDir, sessionId);
+    }
+
+    /**
+     * Guardar un archivo. Devuelve sus metadatos o null si excede el tamaño máximo.
+     */
+    save(sessionId, data, { mimetype = null, filename = null, messageId = null, from = null } = {}) {
+        if (data.length > this.maxBytes) {
+            this.logger.warn(`[${sessionId}] Archivo de ${data.length} bytes supera el máximo (${this.maxBytes}), no se guarda`);
+            return null;
+        }
+
+        const id = uuidv4();
+        const type = mimetype || (filename && mime.lookup(filename)) || 'application/octet-stream';
+        const extension = mime.extension(type) || (filename && path.extname(filename).slice(1)) || 'bin';
+        const dir = this.sessionDir(sessionId);
+
+        const record = {
+            id,
+            sessionId,
+            messageId,
+            from,
+            mimetype: type,
+            filename: filename || `${id}.${extension}`,
+            file: `${id}.${extension}`,
+            size: data.length,
+            sha256: crypto.createHash('sha256').update(data).digest('hex'),
+            storedAt: Date.now()
+        };
+
+        fs.mkdirSync(dir, { recursive: true });
+        fs.writeFileSync(path.join(dir, record.file), data);
+        fs.writeFileSync(path.join(dir, `${id}.json`), JSON.stringify(record, null, 2));
+
+        this.logger.info(`[${sessionId}] 📎 Archivo guardado: ${record.filename} (${type}, ${data.length} bytes)`);
+        return record;
+    }
+
+    /**
+     * Descargar el archivo de un mensaje entrante y agregar su id y URL a `message.media`.
+     * `download()` devuelve { data, mimetype, filename }. Un error no impide entregar el mensaje.
+     */
+    async storeInbound(sessionId, message, download) {
+        if (!message.hasMedia) return message;
+
+        try {
+            const media = await download();
+            if (!media || !media.data) {
+                this.logger.warn(`[${sessionId}] No se pudo descargar el archivo del mensaje ${message.id}`);
+                return message;
+            }
+
+            const record = this.save(sessionId, media.data, {
+                mimetype: media.mimetype || message.media?.mimetype,
+                filename: media.filename || message.media?.filename,
+                messageId: message.id,
+                from: message.from
+            });
+
+            if (record) {
+                message.media = { ...message.media, ...this.summary(record) };
+            }
+        } catch (error) {
+            this.logger.error(`[${sessionId}] Error descargando archivo del mensaje ${message.id}: ${error.message}`);
+        }
+
+        return message;
+    }
+
+    /**
+     * Copia de un archivo enviado { path, originalname, mimetype } para el historial.
+     * Devuelve el mismo resumen que `message.media` o null.
+     */
+    storeOutbound(sessionId, file, { messageId = null } = {}) {
+        try {
+            const record = this.save(sessionId, fs.readFileSync(file.path), {
+                mimetype: file.mimetype,
+                filename: file.originalname,
+                messageId
+            });
+            return record ? this.summary(record) : null;
+        } catch (error) {
+            this.logger.error(`[${sessionId}] Error guardando copia del archivo enviado: ${error.message}`);
+            return null;
+        }
+    }
+
+    summary(record) {
+        return {
+            id: record.id,
+            mimetype: record.mimetype,
+            filename: record.filename,
+            size: record.size,
+            sha256: record.sha256,
+            url: `/api/sessions/${record.sessionId}/media/${record.id}`
+        };
+    }
+
+    /**
+     * Cabeceras para servir un archivo. El tipo lo declara quien lo envió: un
+     * HTML o SVG abierto en línea ejecutaría scripts en el origen del dashboard,
+     * por eso solo se muestran en línea imágenes, audios y videos, y siempre con
+     * nosniff y CSP sandbox.
+     */
+    headers(media, { download = false } = {}) {
+        const disposition = download || !INLINE_TYPE_REGEX.test(String(media.mimetype).split(';')[0].trim().toLowerCase()) ? 'attachment' : 'inline';
+        return {
+            'Content-Type': media.mimetype,
+            'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(media.filename)}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': 'sandbox',
+            'X-Content-SHA256': media.sha256,
+            'X-Message-Id': media.messageId || ''
+        };
+    }
+
+    /**
+     * Metadatos y ruta de un archivo guardado, o null
+     */
+    get(sessionId, mediaId) {
+        if (!MEDIA_ID_REGEX.test(mediaId || '')) return null;
+
+        try {
+            const dir = this.sessionDir(sessionId);
+            const metaPath = path.join(dir, `${mediaId}.json`);
+            if (!fs.existsSync(metaPath)) return null;
+
+            const record = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+            const filePath = path.join(dir, record.file);
+            return fs.existsSync(filePath) ? { ...record, path: filePath } : null;
+        } catch (error) {
+            this.logger.error(`[${sessionId}] Error leyendo archivo ${mediaId}: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Eliminar los archivos de una sesión (al eliminar la sesión)
+     */
+    removeSession(sessionId) {
+        try {
+            fs.rmSync(this.sessionDir(sessionId), { recursive: true, force: true });
+        } catch (error) {
+            this.logger.error(`[${sessionId}] Error eliminando archivos recibidos: ${error.message}`);
+        }
+    }
+
+    /**
+     * Eliminar archivos más antiguos que la retención
+     */
+    prune() {
+        if (!fs.existsSync(this.baseDir)) return 0;
+
+        const limit = Date.now() - this.retention;
+        let removed = 0;
+
+        fs.readdirSync(this.baseDir).forEach(sessionId => {
+            const dir = path.join(this.baseDir, sessionId);
+            if (!fs.statSync(dir).isDirectory()) return;
+
+            fs.readdirSync(dir).filter(name => name.endsWith('.json')).forEach(name => {
+                try {
+                    const record = JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8'));
+                    if (record.storedAt >= limit) return;
+
+                    fs.rmSync(path.join(dir, record.file), { force: true });
+                    fs.rmSync(path.join(dir, name), { force: true });
+                    removed++;
+                } catch (error) {
+                    this.logger.warn(`[${sessionId}] Metadatos de archivo inválidos (${name}): ${error.message}`);
+                }
+            });
+        });
+
+        if (removed > 0) {
+            this.logger.info(`🧹 ${removed} archivos recibidos eliminados por retención`);
+        }
+        return removed;
+    }
+}
+
+module.exports = { MediaStore };
@@ -0,0 +1,108 @@
+// Responder, reaccionar, editar y eliminar mensajes: validación común a ambos servidores
+
+// WhatsApp solo permite editar durante 15 minutos después del envío
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const MAX_TEXT_LENGTH = 4096;
+
+const actionError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+/**
+ * Mensaje del historial (ConversationStore.findMessage) → referencia que usan
+ * los drivers: { id, chatId, fromMe, author, body, type, timestamp }
+ */
+const toMessageRef = (entry) => ({
+    id: entry.waMessageId || entry.id,
+    chatId: entry.chatId,
+    fromMe: entry.direction === 'out',
+    author: entry.author || null,
+    body: entry.body || null,
+    type: entry.type,
+    timestamp: entry.timestamp
+});
+
+/**
+ * Número o JID para send-message a partir del chat del mensaje
+ * (los grupos se usan tal cual)
+ */
+const chatNumber = (chatId) => String(chatId).endsWith('@c.us') ? chatId.split('@')[0] : chatId;
+
+/**
+ * Mensaje sobre el que se puede actuar (citar, reaccionar, editar o eliminar):
+ * existe en WhatsApp con su id y no fue eliminado
+ */
+const checkTarget = (entry) => {
+    if (entry.direction === 'out' && !entry.waMessageId) {
+        throw actionError('El mensaje se envió sin id de WhatsApp (error post-envío): no se puede usar', 409);
+    }
+    if (entry.revoked) {
+        throw actionError('El mensaje fue eliminado', 409);
+    }
+};
+
+/**
+ * Emoji de la reacción. Vacío quita la reacción anterior.
+ */
+const parseReaction = (value) => {
+    const emoji = value === undefined || value === null ? null : String(value).trim();
+    if (emoji === null) {
+        throw actionError('Falta el emoji de la reacción (emoji: "" para quitarla)');
+    }
+    if (emoji && (emoji.length > 16 || !/\p{Extended_Pictographic}|\p{Regional_Indicator}|⃣/u.test(emoji))) {
+        throw actionError(`Reacción inválida: ${emoji}. Debe ser un solo emoji`);
+    }
+    return emoji;
+};
+
+/**
+ * Verificar que el mensaje se puede editar y devolver el nuevo texto
+ */
+const checkEditable = (entry, text) => {
+    const newText = text === undefined || text === null ? '' : String(text).trim();
+    if (!newText) {
+        throw actionError('Falta el nuevo texto (mensaje)');
+    }
+    if (newText.length > MAX_TEXT_LENGTH) {
+        throw actionError(`El mensaje no puede superar ${MAX_TEXT_LENGTH} caracteres`);
+    }
+
+    if (entry.direction !== 'out') {
+        throw actionError('Solo se pueden editar mensajes enviados por la sesión', 409);
+    }
+    checkTarget(entry);
+    if (entry.type !== 'chat' || entry.media) {
+        throw actionError('Solo se pueden editar mensajes de texto', 409);
+    }
+    if (Date.now() - entry.timestamp > EDIT_WINDOW_MS) {
+        throw actionError('Solo se pueden editar mensajes enviados hace menos de 15 minutos', 409);
+    }
+    if (newText === entry.body) {
+        throw actionError('El nuevo texto es igual al actual');
+    }
+
+    return newText;
+};
+
+/**
+ * Verificar que el mensaje se puede eliminar para todos
+ */
+const checkDeletable = (entry) => {
+    if (entry.direction !== 'out') {
+        throw actionError('Solo se pueden eliminar mensajes enviados por la sesión', 409);
+    }
+    checkTarget(entry);
+};
+
+module.exports = {
+    EDIT_WINDOW_MS,
+    toMessageRef,
+    chatNumber,
+    checkTarget,
+    parseReaction,
+    checkEditable,
+    checkDeletable
+};
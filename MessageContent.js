@@ -0,0 +1,142 @@
+// Ubicaciones, contactos (vCard) y stickers: validación común a ambos drivers
+
+const sharp = require('sharp');
+const { permanentError } = require('./WhatsappDriver');
+const { normalizePhone } = require('./PhoneNumber');
+
+// Imágenes que se pueden convertir a sticker
+const STICKER_SOURCE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// WhatsApp no muestra stickers estáticos de más de 100 KB
+const MAX_STICKER_BYTES = 100 * 1024;
+
+const optionalText = (value, field, max) => {
+    const text = value === undefined || value === null ? '' : String(value).trim();
+    if (text.length > max) {
+        throw permanentError(`${field} no puede superar ${max} caracteres`);
+    }
+    return text || null;
+};
+
+const coordinate = (value, field, limit) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    if (!Number.isFinite(number) || Math.abs(number) > limit) {
+        throw permanentError(`${field} inválida: debe ser un número entre -${limit} y ${limit}`);
+    }
+    return number;
+};
+
+/**
+ * Validar el campo `location` de send-message:
+ * { latitude, longitude, name, address, url }
+ */
+const parseLocation = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw permanentError('location debe ser un objeto JSON con latitude y longitude');
+    }
+
+    const url = optionalText(input.url, 'La URL', 500);
+    if (url && !/^https?:\/\//i.test(url)) {
+        throw permanentError('La URL de la ubicación debe empezar con http:// o https://');
+    }
+
+    return {
+        latitude: coordinate(input.latitude, 'Latitud', 90),
+        longitude: coordinate(input.longitude, 'Longitud', 180),
+        name: optionalText(input.name, 'El nombre del lugar', 100),
+        address: optionalText(input.address, 'La dirección', 300),
+        url
+    };
+};
+
+/**
+ * Validar el campo `contact` de send-message:
+ * { name, phone, organization, email }
+ */
+const parseContact = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        throw permanentError('contact debe ser un objeto JSON con name y phone');
+    }
+
+    const name = optionalText(input.name, 'El nombre del contacto', 100);
+    if (!name) {
+        throw permanentError('Falta el nombre del contacto');
+    }
+
+    const phone = normalizePhone(input.phone, { label: 'teléfono del contacto' });
+
+    const email = optionalText(input.email, 'El correo', 254);
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+        throw permanentError(`Correo del contacto inválido: ${email}`);
+    }
+
+    return {
+        name,
+        phone,
+        organization: optionalText(input.organization, 'La empresa', 100),
+        email
+    };
+};
+
+// Texto de un campo vCard: se escapan los separadores
+const vcardValue = (value) => String(value).replace(/\\/g, '\\\\').replace(/([,;])/g, '\\$1').replace(/\r?\n/g, '\\n');
+
+/**
+ * vCard 3.0 del contacto. `waid` hace que WhatsApp muestre el botón "Enviar mensaje".
+ */
+const buildVCard = (contact) => {
+    return [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        `FN:${vcardValue(contact.name)}`,
+        contact.organization ? `ORG:${vcardValue(contact.organization)};` : null,
+        `TEL;type=CELL;type=VOICE;waid=${contact.phone}:+${contact.phone}`,
+        contact.email ? `EMAIL:${vcardValue(contact.email)}` : null,
+        'END:VCARD'
+    ].filter(Boolean).join('\n');
+};
+
+/**
+ * Texto de la ubicación para el historial
+ */
+const locationText = (location) => {
+    return [location.name, location.address].filter(Boolean).join(' - ') || `${location.latitude},${location.longitude}`;
+};
+
+/**
+ * Verificar que el archivo se puede enviar como sticker
+ */
+const checkStickerSource = (file) => {
+    if (!file || !STICKER_SOURCE_TYPES.includes(file.mimetype)) {
+        throw permanentError(`Para un sticker se requiere una imagen (${STICKER_SOURCE_TYPES.join(', ')})`);
+    }
+};
+
+/**
+ * Convertir una imagen a sticker: WebP de 512x512 con fondo transparente.
+ * Si supera 100 KB se baja la calidad.
+ */
+const toWebpSticker = async (data) => {
+    let sticker = null;
+
+    for (const quality of [80, 50, 30]) {
+        sticker = await sharp(data, { animated: false })
+            .resize(512, 512, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+            .webp({ quality })
+            .toBuffer();
+
+        if (sticker.length <= MAX_STICKER_BYTES) break;
+    }
+
+    return sticker;
+};
+
+module.exports = {
+    STICKER_SOURCE_TYPES,
+    parseLocation,
+    parseContact,
+    buildVCard,
+    locationText,
+    checkStickerSource,
+    toWebpSticker
+};
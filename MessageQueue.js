@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Cola de mensajes salientes por sesión, persistida en disco.
+ *
+ * Los trabajos sobreviven a reinicios de PM2: al arrancar se recargan del
+ * archivo y se vuelven a procesar cuando la sesión llega a `authenticated`.
+ * El envío real lo hace la función `sender` inyectada por el servidor.
+ */
+class MessageQueue extends EventEmitter {
+    constructor(filePath, logger, options = {}) {
+        super();
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.jobs = new Map(); // { sessionId → [jobs] }
+        this.processing = new Set();
+        this.interval = null;
+
+        this.sender = options.sender || null;
+        this.isSessionReady = options.isSessionReady || (() => false);
+        this.maxAttempts = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || options.maxAttempts || 5;
+        this.retryDelay = parseInt(process.env.QUEUE_RETRY_DELAY_MS) || options.retryDelay || 15000;
+        this.maxAge = parseInt(process.env.QUEUE_MAX_AGE_MS) || options.maxAge || 24 * 60 * 60 * 1000;
+        this.retention = parseInt(process.env.QUEUE_RETENTION_MS) || options.retention || 24 * 60 * 60 * 1000;
+
+        this.load();
+    }
+
+    /**
+     * Cargar trabajos desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            const now = Date.now();
+            let pending = 0;
+            let interrupted = 0;
+
+            Object.entries(data).forEach(([sessionId, jobs]) => {
+                // Un trabajo 'sending' quedó a medias por un reinicio: pudo llegar o no
+                // al destinatario, así que no se reenvía (evita mensajes duplicados)
+                const restored = jobs.map(job => job.status === 'sending' ? {
+                    ...job,
+                    status: 'failed',
+                    lastError: 'Envío interrumpido por un reinicio: no se sabe si el mensaje llegó',
+                    failedAt: now
+                } : job);
+                interrupted += jobs.filter(job => job.status === 'sending').length;
+                pending += restored.filter(job => job.status === 'queued').length;
+                this.jobs.set(sessionId, restored);
+            });
+
+            this.logger.info(`📬 Cola de mensajes cargada: ${pending} pendientes en ${this.jobs.size} sesiones`);
+            if (interrupted > 0) {
+                this.logger.warn(`📬 ${interrupted} mensajes se estaban enviando al detenerse el proceso: quedan como fallidos`);
+            }
+        } catch (error) {
+            this.logger.error(`Error cargando cola de mensajes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar trabajos en disco
+     */
+    save() {
+        try {
+            const data = {};
+            this.jobs.forEach((jobs, sessionId) => {
+                if (jobs.length > 0) data[sessionId] = jobs;
+            });
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data, null, 2));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            this.logger.error(`Error guardando cola de mensajes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Encolar un mensaje y devolver el trabajo creado
+     */
+    enqueue(sessionId, payload) {
+        const job = {
+            id: uuidv4(),
+            sessionId,
+            payload,
+            status: 'queued',
+            attempts: 0,
+            createdAt: Date.now(),
+            nextAttemptAt: null,
+            lastError: null
+        };
+
+        const jobs = this.jobs.get(sessionId) || [];
+        jobs.push(job);
+        this.jobs.set(sessionId, jobs);
+        this.save();
+
+        this.logger.info(`[${sessionId}] 📥 Mensaje encolado (${job.id})`);
+        this.emit('queued', job);
+
+        // Intentar enviar de inmediato si la sesión ya está lista
+        setImmediate(() => this.process(sessionId));
+
+        return job;
+    }
+
+    /**
+     * Trabajos pendientes de una sesión
+     */
+    getPending(sessionId) {
+        return (this.jobs.get(sessionId) || []).filter(job => job.status === 'queued' || job.status === 'sending');
+    }
+
+    /**
+     * Obtener un trabajo por id
+     */
+    getJob(sessionId, jobId) {
+        return (this.jobs.get(sessionId) || []).find(job => job.id === jobId) || null;
+    }
+
+    /**
+     * Marcar como fallidos los pendientes de una sesión eliminada
+     */
+    dropSession(sessionId, reason = 'Sesión eliminada') {
+        const pending = this.getPending(sessionId);
+        pending.forEach(job => this.markFailed(job, reason));
+        if (pending.length > 0) {
+            this.logger.warn(`[${sessionId}] 🗑️ ${pending.length} mensajes pendientes descartados: ${reason}`);
+            this.save();
+        }
+    }
+
+    markFailed(job, reason) {
+        job.status = 'failed';
+        job.lastError = reason;
+        job.failedAt = Date.now();
+        this.emit('failed', job);
+    }
+
+    /**
+     * Enviar los mensajes pendientes de una sesión en orden (uno a la vez)
+     */
+    async process(sessionId) {
+        if (!this.sender || this.processing.has(sessionId)) return;
+        if (!this.isSessionReady(sessionId)) return;
+
+        this.processing.add(sessionId);
+
+        try {
+            while (this.isSessionReady(sessionId)) {
+                const now = Date.now();
+                const job = (this.jobs.get(sessionId) || []).find(j => j.status === 'queued');
+                if (!job) break;
+
+                // Respetar el backoff del primer trabajo para no alterar el orden
+                if (job.nextAttemptAt && job.nextAttemptAt > now) break;
+
+                job.status = 'sending';
+                job.attempts++;
+                this.save();
+
+                try {
+                    const result = await this.sender(sessionId, job);
+                    job.status = 'sent';
+                    job.sentAt = Date.now();
+                    job.messageId = result?.messageId || null;
+                    job.result = result || null;
+                    job.lastError = null;
+                    this.logger.info(`[${sessionId}] 📤 Mensaje de cola enviado (${job.id}) en intento #${job.attempts}`);
+                    this.emit('sent', job);
+                } catch (error) {
+                    const errorMessage = error.message || error.toString();
+
+                    if (error.permanent || job.attempts >= this.maxAttempts) {
+                        this.logger.error(`[${sessionId}] ❌ Mensaje de cola fallido (${job.id}): ${errorMessage}`);
+                        this.markFailed(job, errorMessage);
+                    } else {
+                        job.status = 'queued';
+                        job.lastError = errorMessage;
+                        job.nextAttemptAt = Date.now() + this.retryDelay * job.attempts;
+                        this.logger.warn(`[${sessionId}] ⏳ Reintento ${job.attempts}/${this.maxAttempts} del mensaje ${job.id}: ${errorMessage}`);
+                        this.save();
+                        break;
+                    }
+                }
+
+                this.save();
+            }
+        } finally {
+            this.processing.delete(sessionId);
+        }
+    }
+
+    /**
+     * Expirar trabajos demasiado viejos y purgar los terminados
+     */
+    prune() {
+        const now = Date.now();
+        let changed = false;
+
+        this.jobs.forEach((jobs, sessionId) => {
+            jobs.forEach(job => {
+                if (job.status === 'queued' && now - job.createdAt > this.maxAge) {
+                    this.markFailed(job, 'Mensaje expirado en la cola');
+                    changed = true;
+                }
+            });
+
+            const kept = jobs.filter(job => {
+                const finishedAt = job.sentAt || job.failedAt;
+                return !finishedAt || now - finishedAt < this.retention;
+            });
+
+            if (kept.length !== jobs.length) changed = true;
+            if (kept.length > 0) {
+                this.jobs.set(sessionId, kept);
+            } else {
+                this.jobs.delete(sessionId);
+            }
+        });
+
+        if (changed) this.save();
+    }
+
+    /**
+     * Iniciar el worker periódico que drena las colas
+     */
+    start(delay = 5000) {
+        if (this.interval) return this.interval;
+
+        this.interval = setInterval(() => {
+            this.prune();
+            this.jobs.forEach((jobs, sessionId) => {
+                if (jobs.some(job => job.status === 'queued')) {
+                    this.process(sessionId).catch(error => {
+                        this.logger.error(`[${sessionId}] Error procesando cola: ${error.message}`);
+                    });
+                }
+            });
+        }, delay);
+
+        return this.interval;
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+module.exports = { MessageQueue };
@@ -0,0 +1,524 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const cronParser = require('cron-parser');
+const { normalizeRecipient } = require('./PhoneNumber');
+
+const DEFAULT_TIMEZONE = process.env.SCHEDULE_TIMEZONE || 'America/Lima';
+
+// Qué hacer con las ejecuciones que se perdieron con el servidor apagado
+const CATCH_UP_MODES = ['once', 'skip'];
+
+const FINAL_STATUSES = ['completed', 'cancelled', 'missed'];
+
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+};
+
+/**
+ * Desfase (ms) de la zona horaria respecto a UTC en un instante dado
+ */
+const timezoneOffset = (time, timezone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        second: '2-digit'
+    }).formatToParts(new Date(time)).forEach(part => { parts[part.type] = part.value; });
+
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(time / 1000) * 1000;
+};
+
+/**
+ * Fecha de `send_at`: timestamp en ms, ISO con zona (2026-10-20T09:00:00-05:00)
+ * o sin zona (2026-10-20 09:00), que se toma como hora local de `timezone`
+ */
+const parseSendAt = (value, timezone) => {
+    const text = String(value).trim();
+    if (/^\d+$/.test(text)) return Number(text);
+
+    if (/^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?$/.test(text)) {
+        const naive = Date.parse(`${text.replace(' ', 'T')}Z`);
+        if (!Number.isNaN(naive)) return naive - timezoneOffset(naive, timezone);
+    }
+
+    const time = Date.parse(text);
+    if (Number.isNaN(time)) {
+        throw new Error(`send_at inválido: ${value}. Use ISO 8601 (2026-10-20T09:00:00-05:00) o un timestamp en ms`);
+    }
+    return time;
+};
+
+/**
+ * Próxima ejecución de una expresión cron después de `after`
+ */
+const nextCronRun = (cron, timezone, after = Date.now()) => {
+    return cronParser.parseExpression(cron, { currentDate: new Date(after), tz: timezone }).next().getTime();
+};
+
+/**
+ * Validar el momento de envío: `sendAt` (una vez) o `cron` (recurrente, 5 campos:
+ * minuto hora día mes día-de-la-semana) en la zona horaria `timezone`
+ */
+const parseTiming = ({ sendAt, cron, timezone }, now = Date.now()) => {
+    if (sendAt && cron) {
+        throw new Error('Indique send_at o cron, no ambos');
+    }
+    if (!sendAt && !cron) {
+        throw new Error('Falta send_at (envío único) o cron (envío recurrente)');
+    }
+
+    const zone = timezone || DEFAULT_TIMEZONE;
+    if (!isValidTimezone(zone)) {
+        throw new Error(`Zona horaria inválida: ${zone}. Use un nombre IANA (p. ej. America/Lima)`);
+    }
+
+    if (sendAt) {
+        const time = parseSendAt(sendAt, zone);
+        if (time <= now) {
+            throw new Error('send_at debe ser una fecha futura');
+        }
+        return { sendAt: time, cron: null, timezone: zone, nextRunAt: time };
+    }
+
+    const expression = String(cron).trim();
+    if (expression.split(/\s+/).length !== 5) {
+        throw new Error('cron debe tener 5 campos: minuto hora día mes día-de-la-semana (p. ej. "0 9 * * 1")');
+    }
+
+    let nextRunAt;
+    try {
+        nextRunAt = nextCronRun(expression, zone, now);
+    } catch (error) {
+        throw new Error(`Expresión cron inválida: ${error.message}`);
+    }
+    return { sendAt: null, cron: expression, timezone: zone, nextRunAt };
+};
+
+/**
+ * Mensajes programados: envío único (`sendAt`) o recurrente (`cron` con zona horaria).
+ *
+ * Igual que las campañas, no envía directamente: en cada ejecución agrega el
+ * mensaje a la cola de la sesión, que lo retiene si la sesión no está conectada.
+ * El adjunto se guarda en `filesDir` y cada ejecución envía una copia.
+ */
+class MessageScheduler {
+    constructor(filePath, filesDir, logger, options = {}) {
+        this.filePath = filePath;
+        this.filesDir = filesDir;
+        this.logger = logger || console;
+        this.queue = options.queue;
+        this.schedules = new Map(); // { scheduleId → schedule }
+        this.interval = null;
+
+        this.retention = parseInt(process.env.SCHEDULE_RETENTION_MS) || options.retention || 30 * 24 * 60 * 60 * 1000;
+
+        this.load();
+
+        if (this.queue) {
+            this.queue.on('sent', job => this.handleJobResult(job, 'sent'));
+            this.queue.on('failed', job => this.handleJobResult(job, 'failed'));
+        }
+    }
+
+    /**
+     * Cargar programaciones desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.forEach(schedule => this.schedules.set(schedule.id, schedule));
+
+            const active = data.filter(schedule => schedule.status === 'active').length;
+            if (active > 0) {
+                this.logger.info(`⏰ ${active} mensajes programados recuperados`);
+            }
+        } catch (error) {
+            this.logger.error(`Error cargando mensajes programados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar programaciones en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.schedules.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando mensajes programados: ${error.message}`);
+        }
+    }
+
+    /**
+     * Programar un mensaje. `archivo` es el archivo subido con multer (opcional).
+     */
+    create(sessionId, { numero, mensaje = null, template = null, archivo = null, sendAt, cron, timezone, catchUp, typingTime = null, forceDocument = false }) {
+        const destination = normalizeRecipient(numero, { label: 'número de destino' });
+        if (!mensaje && !archivo) {
+            throw new Error('Se requiere un mensaje o un archivo');
+        }
+
+        const timing = parseTiming({ sendAt, cron, timezone });
+        const now = Date.now();
+        const schedule = {
+            id: uuidv4(),
+            sessionId,
+            status: 'active',
+            numero: destination,
+            mensaje: mensaje || null,
+            template,
+            archivo: null,
+            typingTime,
+            forceDocument,
+            ...timing,
+            catchUp: this.parseCatchUp(catchUp),
+            runs: 0,
+            missedRuns: 0,
+            lastRunAt: null,
+            lastJobId: null,
+            lastResult: null,
+            createdAt: now,
+            updatedAt: now,
+            completedAt: null
+        };
+        schedule.archivo = archivo ? this.storeAttachment(schedule.id, archivo) : null;
+
+        this.schedules.set(schedule.id, schedule);
+        this.save();
+
+        this.logger.info(`[${sessionId}] ⏰ Mensaje programado ${schedule.id} para ${new Date(schedule.nextRunAt).toISOString()}${schedule.cron ? ` (cron "${schedule.cron}" ${schedule.timezone})` : ''}`);
+        return schedule;
+    }
+
+    parseCatchUp(value) {
+        if (value === undefined || value === null || value === '') return 'once';
+        if (!CATCH_UP_MODES.includes(value)) {
+            throw new Error(`catch_up inválido: ${value}. Permitidos: ${CATCH_UP_MODES.join(', ')}`);
+        }
+        return value;
+    }
+
+    get(sessionId, scheduleId) {
+        const schedule = this.schedules.get(scheduleId);
+        return schedule && schedule.sessionId === sessionId ? schedule : null;
+    }
+
+    list(sessionId, { status = null } = {}) {
+        return Array.from(this.schedules.values())
+            .filter(schedule => schedule.sessionId === sessionId && (!status || schedule.status === status))
+            .sort((a, b) => (a.nextRunAt || Infinity) - (b.nextRunAt || Infinity) || a.createdAt - b.createdAt);
+    }
+
+    /**
+     * Datos públicos de una programación (sin la ruta del adjunto en disco)
+     */
+    view(schedule) {
+        const { archivo, ...data } = schedule;
+        return {
+            ...data,
+            archivo: archivo ? { originalname: archivo.originalname, mimetype: archivo.mimetype, size: archivo.size } : null,
+            nextRunAt: schedule.status === 'active' ? schedule.nextRunAt : null,
+            statusUrl: schedule.lastJobId ? `/api/sessions/${schedule.sessionId}/messages/${schedule.lastJobId}` : null
+        };
+    }
+
+    /**
+     * Editar una programación activa. Cambiar send_at/cron/timezone recalcula
+     * la próxima ejecución; `file` reemplaza el adjunto.
+     */
+    update(schedule, { numero, mensaje, sendAt, cron, timezone, catchUp, typingTime, forceDocument, removeAttachment = false }, file = null) {
+        if (schedule.status !== 'active') {
+            throw new Error(`El mensaje programado ya está ${schedule.status}`);
+        }
+
+        const timingChanged = sendAt !== undefined || cron !== undefined || timezone !== undefined;
+        const timing = timingChanged
+            ? parseTiming({
+                sendAt: sendAt !== undefined ? sendAt : (cron !== undefined ? null : schedule.sendAt),
+                cron: cron !== undefined ? cron : (sendAt !== undefined ? null : schedule.cron),
+                timezone: timezone !== undefined ? timezone : schedule.timezone
+            })
+            : null;
+
+        const nextMensaje = mensaje !== undefined ? mensaje || null : schedule.mensaje;
+        const keepsAttachment = !!(file || (schedule.archivo && !removeAttachment));
+        if (!nextMensaje && !keepsAttachment) {
+            throw new Error('El mensaje programado debe tener texto o un archivo');
+        }
+        const destination = numero !== undefined ? normalizeRecipient(numero, { label: 'número de destino' }) : null;
+
+        if (catchUp !== undefined) schedule.catchUp = this.parseCatchUp(catchUp);
+        if (destination) schedule.numero = destination;
+        if (typingTime !== undefined) schedule.typingTime = typingTime;
+        if (forceDocument !== undefined) schedule.forceDocument = forceDocument;
+        if (timing) Object.assign(schedule, timing);
+        schedule.mensaje = nextMensaje;
+
+        if (file || removeAttachment) {
+            this.deleteAttachment(schedule);
+            schedule.archivo = file ? this.storeAttachment(schedule.id, file) : null;
+        }
+
+        schedule.updatedAt = Date.now();
+        this.save();
+
+        this.logger.info(`[${schedule.sessionId}] ⏰ Mensaje programado ${schedule.id} actualizado`);
+        return schedule;
+    }
+
+    /**
+     * Cancelar una programación: no vuelve a ejecutarse
+     */
+    cancel(schedule) {
+        if (schedule.status !== 'active') return false;
+
+        this.finish(schedule, 'cancelled');
+        this.save();
+
+        this.logger.info(`[${schedule.sessionId}] ⏰ Mensaje programado ${schedule.id} cancelado`);
+        return true;
+    }
+
+    /**
+     * Cancelar las programaciones de una sesión (al eliminarla)
+     */
+    cancelSession(sessionId) {
+        this.list(sessionId).forEach(schedule => this.cancel(schedule));
+    }
+
+    finish(schedule, status) {
+        schedule.status = status;
+        schedule.completedAt = Date.now();
+        schedule.updatedAt = Date.now();
+        this.deleteAttachment(schedule);
+    }
+
+    /**
+     * Ejecuciones que vencieron con el servidor apagado. Se llama al arrancar,
+     * antes de iniciar el planificador: con `catchUp: 'once'` se envía una sola
+     * vez aunque se hayan perdido varias; con 'skip' se pasa a la siguiente.
+     */
+    reconcile(now = Date.now()) {
+        let caughtUp = 0;
+        let skipped = 0;
+        let failed = 0;
+
+        this.schedules.forEach(schedule => {
+            if (schedule.status !== 'active' || schedule.nextRunAt > now) return;
+
+            // Igual que en tick(): una programación con error no frena a las demás
+            try {
+                const missed = this.countMissed(schedule, now);
+                schedule.missedRuns += schedule.catchUp === 'once' ? missed - 1 : missed;
+                this.logger.warn(`[${schedule.sessionId}] ⏰ Mensaje programado ${schedule.id}: ${missed} ejecución(es) perdida(s) desde ${new Date(schedule.nextRunAt).toISOString()}`);
+
+                if (schedule.catchUp === 'once') {
+                    this.run(schedule, now);
+                    caughtUp++;
+                } else {
+                    this.advance(schedule, now, 'missed');
+                    skipped++;
+                }
+            } catch (error) {
+                this.logger.error(`[${schedule.sessionId}] ⏰ Error recuperando mensaje programado ${schedule.id}: ${error.message}`);
+                schedule.lastResult = { jobId: null, status: 'failed', error: error.message, at: now };
+                this.advance(schedule, now);
+                failed++;
+            }
+        });
+
+        if (caughtUp + skipped + failed > 0) {
+            this.save();
+            this.logger.info(`⏰ Mensajes programados vencidos: ${caughtUp} enviados ahora, ${skipped} omitidos, ${failed} con error`);
+        }
+        return { caughtUp, skipped, failed };
+    }
+
+    countMissed(schedule, now) {
+        if (!schedule.cron) return 1;
+
+        let count = 0;
+        let runAt = schedule.nextRunAt;
+        while (runAt <= now && count < 1000) {
+            count++;
+            runAt = nextCronRun(schedule.cron, schedule.timezone, runAt);
+        }
+        return count;
+    }
+
+    /**
+     * Pasar a la próxima ejecución, o cerrar la programación si era única
+     */
+    advance(schedule, now, finalStatus = 'completed') {
+        if (schedule.cron) {
+            schedule.nextRunAt = nextCronRun(schedule.cron, schedule.timezone, now);
+            schedule.updatedAt = now;
+        } else {
+            this.finish(schedule, finalStatus);
+        }
+    }
+
+    /**
+     * Encolar el mensaje y calcular la próxima ejecución
+     */
+    run(schedule, now = Date.now()) {
+        let archivo = null;
+        if (schedule.archivo) {
+            archivo = this.copyAttachment(schedule.archivo);
+            if (!archivo) {
+                this.logger.error(`[${schedule.sessionId}] ⏰ Adjunto del mensaje programado ${schedule.id} no encontrado`);
+            }
+        }
+
+        if (schedule.mensaje || archivo) {
+            const job = this.queue.enqueue(schedule.sessionId, {
+                scheduleId: schedule.id,
+                template: schedule.template || null,
+                numero: schedule.numero,
+                mensaje: schedule.mensaje,
+                typing_time: schedule.typingTime,
+                force_document: schedule.forceDocument,
+                archivo
+            });
+
+            schedule.runs++;
+            schedule.lastJobId = job.id;
+            schedule.lastResult = { jobId: job.id, status: 'queued', error: null, at: now };
+            this.logger.info(`[${schedule.sessionId}] ⏰ Mensaje programado ${schedule.id} encolado (${job.id})`);
+        } else {
+            schedule.lastResult = { jobId: null, status: 'failed', error: 'Adjunto no encontrado', at: now };
+        }
+
+        schedule.lastRunAt = now;
+        this.advance(schedule, now);
+    }
+
+    /**
+     * Registrar el resultado del último envío de una programación
+     */
+    handleJobResult(job, status) {
+        const scheduleId = job.payload?.scheduleId;
+        if (!scheduleId) return;
+
+        const schedule = this.schedules.get(scheduleId);
+        if (!schedule || !schedule.lastResult || schedule.lastResult.jobId !== job.id) return;
+
+        schedule.lastResult = { jobId: job.id, status, error: status === 'failed' ? job.lastError : null, at: Date.now() };
+        this.save();
+    }
+
+    /**
+     * Encolar las programaciones cuya hora llegó
+     */
+    tick(now = Date.now()) {
+        let changed = false;
+
+        this.schedules.forEach(schedule => {
+            if (schedule.status !== 'active' || schedule.nextRunAt > now) return;
+
+            try {
+                this.run(schedule, now);
+            } catch (error) {
+                this.logger.error(`[${schedule.sessionId}] ⏰ Error ejecutando mensaje programado ${schedule.id}: ${error.message}`);
+                schedule.lastResult = { jobId: null, status: 'failed', error: error.message, at: now };
+                this.advance(schedule, now);
+            }
+            changed = true;
+        });
+
+        if (changed) this.save();
+    }
+
+    /**
+     * Eliminar programaciones finalizadas fuera de la ventana de retención
+     */
+    prune() {
+        const limit = Date.now() - this.retention;
+        let removed = 0;
+
+        this.schedules.forEach((schedule, id) => {
+            if (FINAL_STATUSES.includes(schedule.status) && schedule.completedAt < limit) {
+                this.schedules.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    storeAttachment(scheduleId, file) {
+        fs.mkdirSync(this.filesDir, { recursive: true });
+        const storedPath = path.join(this.filesDir, `${scheduleId}-${Date.now()}${path.extname(file.originalname || '')}`);
+
+        // copy + unlink: uploads/ puede estar en otro sistema de archivos
+        fs.copyFileSync(file.path, storedPath);
+        try { fs.unlinkSync(file.path); } catch (e) {}
+
+        return {
+            path: storedPath,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        };
+    }
+
+    /**
+     * Copia del adjunto para un envío (la cola la elimina al terminar)
+     */
+    copyAttachment(attachment, destinationDir = 'uploads') {
+        if (!fs.existsSync(attachment.path)) return null;
+
+        fs.mkdirSync(destinationDir, { recursive: true });
+        const copyPath = path.join(destinationDir, uuidv4());
+        fs.copyFileSync(attachment.path, copyPath);
+
+        return { ...attachment, path: copyPath };
+    }
+
+    deleteAttachment(schedule) {
+        if (schedule.archivo && fs.existsSync(schedule.archivo.path)) {
+            try { fs.unlinkSync(schedule.archivo.path); } catch (e) {}
+        }
+    }
+
+    /**
+     * Iniciar el planificador
+     */
+    start(delay = 5000) {
+        if (this.interval) return this.interval;
+
+        this.interval = setInterval(() => {
+            try {
+                this.tick();
+            } catch (error) {
+                this.logger.error(`Error en planificador de mensajes programados: ${error.message}`);
+            }
+        }, delay);
+
+        return this.interval;
+    }
+
+    stop() {
+        if (this.interval) {
+            clearInterval(this.interval);
+            this.interval = null;
+        }
+    }
+}
+
+module.exports = { MessageScheduler, parseTiming, nextCronRun, isValidTimezone, DEFAULT_TIMEZONE };
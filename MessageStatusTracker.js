@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+
+// Orden del ciclo de vida; un mensaje nunca retrocede de estado
+const STATUS_ORDER = ['queued', 'sent', 'server_ack', 'delivered', 'read'];
+
+// whatsapp-web.js: evento message_ack (MessageAck)
+const WWEBJS_ACK_STATUS = {
+    '-1': 'failed',
+    0: 'sent',
+    1: 'server_ack',
+    2: 'delivered',
+    3: 'read',
+    4: 'read'
+};
+
+// Baileys: proto.WebMessageInfo.Status en messages.update
+const BAILEYS_STATUS = {
+    0: 'failed',
+    1: 'sent',
+    2: 'server_ack',
+    3: 'delivered',
+    4: 'read',
+    5: 'read'
+};
+
+/**
+ * Seguimiento del estado de entrega de los mensajes salientes.
+ *
+ * Cada registro se identifica por el id que devolvimos al cliente (id del
+ * trabajo de la cola o id de WhatsApp) y guarda también el id de WhatsApp
+ * para poder aplicar los acks que llegan después.
+ */
+class MessageStatusTracker {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.records = new Map(); // { sessionId → Map(id → record) }
+        this.waIndex = new Map(); // { `${sessionId}:${waMessageId}` → id }
+        this.retention = parseInt(process.env.MESSAGE_STATUS_RETENTION_MS) || options.retention || 7 * 24 * 60 * 60 * 1000;
+        this.saveTimer = null;
+
+        this.load();
+    }
+
+    /**
+     * Cargar registros desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            Object.entries(data).forEach(([sessionId, records]) => {
+                const sessionRecords = new Map();
+                records.forEach(record => {
+                    sessionRecords.set(record.id, record);
+                    if (record.waMessageId) {
+                        this.waIndex.set(`${sessionId}:${record.waMessageId}`, record.id);
+                    }
+                });
+                this.records.set(sessionId, sessionRecords);
+            });
+        } catch (error) {
+            this.logger.error(`Error cargando estados de mensajes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar en disco (agrupando escrituras cercanas)
+     */
+    save() {
+        if (this.saveTimer) return;
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.flush();
+        }, 1000);
+    }
+
+    flush() {
+        if (this.saveTimer) {
+            clearTimeout(this.saveTimer);
+            this.saveTimer = null;
+        }
+
+        try {
+            const data = {};
+            this.records.forEach((records, sessionId) => {
+                if (records.size > 0) data[sessionId] = Array.from(records.values());
+            });
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(`${this.filePath}.tmp`, JSON.stringify(data, null, 2));
+            fs.renameSync(`${this.filePath}.tmp`, this.filePath);
+        } catch (error) {
+            this.logger.error(`Error guardando estados de mensajes: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar un mensaje nuevo
+     */
+    track(sessionId, id, data = {}) {
+        const now = Date.now();
+        const status = data.status || 'queued';
+        const record = {
+            id,
+            sessionId,
+            waMessageId: data.waMessageId || null,
+            to: data.to || null,
+            status,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            history: [{ status, at: now }]
+        };
+
+        if (!this.records.has(sessionId)) {
+            this.records.set(sessionId, new Map());
+        }
+        this.records.get(sessionId).set(id, record);
+
+        if (record.waMessageId) {
+            this.waIndex.set(`${sessionId}:${record.waMessageId}`, id);
+        }
+
+        this.save();
+        return record;
+    }
+
+    /**
+     * Avanzar el estado de un mensaje por su id
+     */
+    update(sessionId, id, status, extra = {}) {
+        const record = this.records.get(sessionId)?.get(id);
+        if (!record) return null;
+
+        if (extra.waMessageId && !record.waMessageId) {
+            record.waMessageId = extra.waMessageId;
+            this.waIndex.set(`${sessionId}:${extra.waMessageId}`, id);
+        }
+        if (extra.error) record.error = extra.error;
+        if (extra.confirmed !== undefined) record.confirmed = extra.confirmed;
+
+        if (!this.canTransition(record.status, status)) {
+            this.save();
+            return record;
+        }
+
+        const now = Date.now();
+        record.status = status;
+        record.updatedAt = now;
+        record.history.push({ status, at: now });
+
+        this.logger.debug(`[${sessionId}] 📬 Mensaje ${id} → ${status}`);
+        this.save();
+        return record;
+    }
+
+    /**
+     * Avanzar el estado usando el id de WhatsApp (acks)
+     */
+    updateByWaId(sessionId, waMessageId, status) {
+        const id = this.waIndex.get(`${sessionId}:${waMessageId}`);
+        if (!id) return null;
+        return this.update(sessionId, id, status);
+    }
+
+    canTransition(current, next) {
+        if (current === next || current === 'failed') return false;
+        if (next === 'failed') return current !== 'read';
+        return STATUS_ORDER.indexOf(next) > STATUS_ORDER.indexOf(current);
+    }
+
+    /**
+     * Buscar un mensaje por su id o por el id de WhatsApp
+     */
+    get(sessionId, id) {
+        const records = this.records.get(sessionId);
+        if (!records) return null;
+
+        return records.get(id) || records.get(this.waIndex.get(`${sessionId}:${id}`)) || null;
+    }
+
+    /**
+     * Eliminar registros antiguos
+     */
+    prune() {
+        const limit = Date.now() - this.retention;
+        let removed = 0;
+
+        this.records.forEach((records, sessionId) => {
+            records.forEach((record, id) => {
+                if (record.updatedAt < limit) {
+                    records.delete(id);
+                    if (record.waMessageId) this.waIndex.delete(`${sessionId}:${record.waMessageId}`);
+                    removed++;
+                }
+            });
+            if (records.size === 0) this.records.delete(sessionId);
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    static fromWwebjsAck(ack) {
+        return WWEBJS_ACK_STATUS[ack] || null;
+    }
+
+    static fromBaileysStatus(status) {
+        return BAILEYS_STATUS[status] || null;
+    }
+}
+
+module.exports = { MessageStatusTracker };
@@ -0,0 +1,150 @@
+// Verificación de números en WhatsApp: normalización, caché con TTL y resultado común a ambos drivers
+
+const { permanentError } = require('./WhatsappDriver');
+const { normalizePhone } = require('./PhoneNumber');
+
+const MAX_NUMBERS = parseInt(process.env.CONTACT_CHECK_MAX) || 500;
+
+/**
+ * Número consultable (normalizePhone) → { number, error }
+ */
+const lookupNumber = (value) => {
+    try {
+        return { number: normalizePhone(value), error: null };
+    } catch (error) {
+        return { number: null, error: error.message };
+    }
+};
+
+/**
+ * Lista de números de la petición: array JSON o texto separado por comas,
+ * punto y coma o saltos de línea
+ */
+const parseNumberList = (input) => {
+    let list = input;
+    if (typeof list === 'string') {
+        list = list.split(/[\n,;]+/).map(value => value.trim()).filter(Boolean);
+    }
+    if (!Array.isArray(list) || list.length === 0) {
+        throw permanentError('Se requiere una lista de números (numbers)');
+    }
+    if (list.length > MAX_NUMBERS) {
+        throw permanentError(`Máximo ${MAX_NUMBERS} números por consulta`);
+    }
+    return list.map(value => String(value).trim());
+};
+
+/**
+ * Resultados de consultas a WhatsApp por número.
+ *
+ * El registro de un número no depende de la sesión, así que la caché es
+ * común a todas. Los números no registrados caducan antes: el cliente puede
+ * instalar WhatsApp después de dejar sus datos.
+ */
+class NumberLookupCache {
+    constructor(logger, options = {}) {
+        this.logger = logger || console;
+        this.entries = new Map(); // { número → { exists, waNumber, checkedAt } }
+        this.ttl = parseInt(process.env.CONTACT_CHECK_TTL_MS) || options.ttl || 24 * 60 * 60 * 1000;
+        this.negativeTtl = parseInt(process.env.CONTACT_CHECK_NEGATIVE_TTL_MS) || options.negativeTtl || 60 * 60 * 1000;
+    }
+
+    isFresh(entry, now = Date.now()) {
+        return now - entry.checkedAt < (entry.exists ? this.ttl : this.negativeTtl);
+    }
+
+    get(number) {
+        const entry = this.entries.get(number);
+        if (!entry) return null;
+
+        if (!this.isFresh(entry)) {
+            this.entries.delete(number);
+            return null;
+        }
+        return entry;
+    }
+
+    /**
+     * Guardar un resultado { exists, waNumber }. `waNumber` es el número tal como
+     * lo devuelve WhatsApp (puede diferir del consultado).
+     */
+    set(number, { exists, waNumber = null }) {
+        const entry = { exists: !!exists, waNumber: exists ? waNumber || number : null, checkedAt: Date.now() };
+        this.entries.set(number, entry);
+        return entry;
+    }
+
+    prune() {
+        const now = Date.now();
+        let removed = 0;
+
+        this.entries.forEach((entry, number) => {
+            if (!this.isFresh(entry, now)) {
+                this.entries.delete(number);
+                removed++;
+            }
+        });
+        return removed;
+    }
+}
+
+/**
+ * Verificar una lista de números usando la caché. `lookup(numbers)` consulta
+ * en WhatsApp los que faltan y devuelve [{ number, exists, waNumber, error }];
+ * los que fallan (`error`) no se guardan en la caché.
+ */
+const checkNumbers = async (inputs, cache, lookup, { refresh = false } = {}) => {
+    const parsed = inputs.map(lookupNumber);
+    const numbers = [...new Set(parsed.map(item => item.number).filter(Boolean))];
+    const pending = refresh ? numbers : numbers.filter(number => !cache.get(number));
+
+    const fresh = new Map();
+    if (pending.length > 0) {
+        (await lookup(pending)).forEach(result => {
+            fresh.set(result.number, result.error ? result : { ...result, ...cache.set(result.number, result) });
+        });
+    }
+
+    return inputs.map((input, index) => {
+        const { number, error } = parsed[index];
+        if (!number) {
+            return { input, number: null, valid: false, exists: false, jid: null, chatId: null, cached: false, error };
+        }
+
+        const result = fresh.get(number) || cache.get(number);
+        if (!result || result.error) {
+            return { input, number, valid: true, exists: null, jid: null, chatId: null, cached: false, error: result ? result.error : 'Sin respuesta de WhatsApp' };
+        }
+
+        return {
+            input,
+            number,
+            valid: true,
+            exists: result.exists,
+            jid: result.exists ? `${result.waNumber}@s.whatsapp.net` : null,
+            chatId: result.exists ? `${result.waNumber}@c.us` : null,
+            cached: !fresh.has(number),
+            checkedAt: result.checkedAt
+        };
+    });
+};
+
+/**
+ * Resumen de una verificación
+ */
+const summarizeChecks = (results) => ({
+    total: results.length,
+    registered: results.filter(result => result.exists === true).length,
+    notRegistered: results.filter(result => result.valid && result.exists === false).length,
+    invalid: results.filter(result => !result.valid).length,
+    errors: results.filter(result => result.valid && result.exists === null).length
+});
+
+module.exports = {
+    MAX_NUMBERS,
+    lookupNumber,
+    parseNumberList,
+    NumberLookupCache,
+    checkNumbers,
+    summarizeChecks
+};
@@ -0,0 +1,127 @@
+// Normalización de números de teléfono: formato internacional (E.164 sin +) con código de país por defecto
+
+// Código de país de los números locales (sin código). Perú por defecto.
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '51').replace(/\D/g, '') || '51';
+
+/**
+ * Dígitos del número nacional (sin código de país) por país. Con ellos se
+ * distingue un número local ("987654321") de uno que ya trae el código
+ * ("51987654321"). Para países que no están aquí, todo número que no empiece
+ * con el código se toma como local.
+ */
+const NATIONAL_LENGTHS = {
+    '1': [10],       // Estados Unidos / Canadá
+    '34': [9],       // España
+    '51': [8, 9],    // Perú: celulares de 9 dígitos, fijos de 8 (con código de ciudad)
+    '52': [10],      // México
+    '54': [10, 11],  // Argentina (los celulares en WhatsApp llevan 9: 549...)
+    '55': [10, 11],  // Brasil
+    '56': [9],       // Chile
+    '57': [10],      // Colombia
+    '58': [10],      // Venezuela
+    '591': [8],      // Bolivia
+    '593': [9],      // Ecuador
+    '595': [9],      // Paraguay
+    '598': [8]       // Uruguay
+};
+
+const phoneError = (message) => {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+};
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * Número en formato internacional, solo dígitos (p. ej. 51987654321).
+ *
+ * Acepta "987654321", "51987654321", "+51 987 654 321", "0051 987-654-321" y
+ * JIDs individuales (51987654321@c.us, 51987654321@s.whatsapp.net). Los números
+ * sin + ni 00 con la longitud de un número local reciben `countryCode`.
+ * Lanza un error permanente que explica el formato esperado.
+ */
+const normalizePhone = (value, { label = 'número', countryCode = DEFAULT_COUNTRY_CODE } = {}) => {
+    const raw = String(value === undefined || value === null ? '' : value).trim();
+    if (!raw) {
+        throw phoneError(`Falta el ${label}`);
+    }
+
+    let digits;
+    let international = false;
+
+    // JID individual (con o sin dispositivo): ya trae el código de país
+    const jid = raw.match(/^(\d+)(?::\d+)?@(c\.us|s\.whatsapp\.net)$/);
+    if (jid) {
+        digits = jid[1];
+        international = true;
+    } else if (raw.includes('@')) {
+        throw phoneError(`${capitalize(label)} inválido: ${raw}. No es un número de teléfono`);
+    } else if (!/^\+?[\d\s().\-/]+$/.test(raw)) {
+        throw phoneError(`${capitalize(label)} inválido: ${raw}. Solo puede tener dígitos, espacios, guiones, paréntesis y + al inicio`);
+    } else {
+        digits = raw.replace(/\D/g, '');
+        international = raw.startsWith('+');
+        if (!international && digits.startsWith('00')) {
+            digits = digits.slice(2);
+            international = true;
+        }
+    }
+
+    const lengths = NATIONAL_LENGTHS[countryCode] || null;
+    if (!international) {
+        if (lengths) {
+            if (digits.startsWith('0') && lengths.includes(digits.length - 1)) {
+                // Prefijo de larga distancia nacional (01 4567890 → 51 14567890)
+                digits = countryCode + digits.slice(1);
+            } else if (lengths.includes(digits.length)) {
+                digits = countryCode + digits;
+            }
+        } else if (!digits.startsWith(countryCode)) {
+            digits = countryCode + digits;
+        }
+    }
+
+    const size = lengths ? [...new Set([lengths[0], lengths[lengths.length - 1]])].join(' a ') : null;
+    const local = lengths ? `un número local de ${size} dígitos` : 'un número local';
+    if (lengths && digits.startsWith(countryCode) && !lengths.includes(digits.length - countryCode.length)) {
+        throw phoneError(`${capitalize(label)} inválido: ${raw}. Después del código ${countryCode} debe tener ${size} dígitos`);
+    }
+    if (!/^[1-9]\d{7,14}$/.test(digits)) {
+        throw phoneError(`${capitalize(label)} inválido: ${raw}. Use el formato internacional (+${countryCode} 987 654 321) o ${local}`);
+    }
+
+    return digits;
+};
+
+/**
+ * Destino de un envío: los grupos (@g.us) se usan tal cual y los números se
+ * normalizan con normalizePhone
+ */
+const normalizeRecipient = (value, options = {}) => {
+    const raw = String(value === undefined || value === null ? '' : value).trim();
+    if (/@g\.us$/.test(raw)) return raw;
+    return normalizePhone(raw, options);
+};
+
+/**
+ * Forma común de las variantes de un mismo celular que WhatsApp unifica: en
+ * México el 1 tras el 52 (521... → 52...), en Argentina el 9 tras el 54
+ * (549... → 54...) y en Brasil el noveno dígito (55 DD 9XXXXXXXX → 55 DD XXXXXXXX).
+ * Sirve para reconocer el número consultado en la respuesta de WhatsApp.
+ */
+const mobileVariantKey = (digits) => {
+    const number = String(digits || '');
+    if (/^521\d{10}$/.test(number)) return `52${number.slice(3)}`;
+    if (/^549\d{10}$/.test(number)) return `54${number.slice(3)}`;
+    if (/^55\d{2}9\d{8}$/.test(number)) return `${number.slice(0, 4)}${number.slice(5)}`;
+    return number;
+};
+
+module.exports = {
+    DEFAULT_COUNTRY_CODE,
+    NATIONAL_LENGTHS,
+    normalizePhone,
+    normalizeRecipient,
+    mobileVariantKey
+};
@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+
+const POLL_CREATION_TYPES = ['pollCreationMessage', 'pollCreationMessageV2', 'pollCreationMessageV3'];
+
+/**
+ * Encuestas enviadas con Baileys.
+ *
+ * Los votos llegan cifrados con el secreto de la encuesta original, así que
+ * se guarda junto a su pregunta y opciones para poder descifrarlos aunque el
+ * servidor se reinicie entre el envío y el voto.
+ */
+class PollStore {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.polls = new Map(); // { `${sessionId}:${waMessageId}` → encuesta }
+        this.ttl = parseInt(process.env.POLL_RETENTION_MS) || options.ttl || 30 * 24 * 60 * 60 * 1000;
+
+        this.load();
+    }
+
+    /**
+     * Cargar encuestas desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.forEach(poll => this.polls.set(`${poll.sessionId}:${poll.id}`, poll));
+        } catch (error) {
+            this.logger.error(`Error cargando encuestas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar encuestas en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.polls.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando encuestas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar una encuesta enviada (el mensaje que devuelve `sock.sendMessage`)
+     */
+    remember(sessionId, sent) {
+        const message = sent?.message || {};
+        const creationType = POLL_CREATION_TYPES.find(type => message[type]);
+        const secret = message.messageContextInfo?.messageSecret;
+        if (!creationType || !secret || !sent.key?.id) return null;
+
+        const creation = message[creationType];
+        const poll = {
+            sessionId,
+            id: sent.key.id,
+            chatId: sent.key.remoteJid,
+            creationType,
+            name: creation.name,
+            options: (creation.options || []).map(option => option.optionName),
+            selectableCount: creation.selectableOptionsCount || 0,
+            messageSecret: Buffer.from(secret).toString('base64'),
+            createdAt: Date.now()
+        };
+
+        this.polls.set(`${sessionId}:${poll.id}`, poll);
+        this.save();
+        return poll;
+    }
+
+    get(sessionId, waMessageId) {
+        return this.polls.get(`${sessionId}:${waMessageId}`) || null;
+    }
+
+    /**
+     * Mensaje original de la encuesta con el formato de Baileys (para `getMessage`
+     * del socket y `getAggregateVotesInPollMessage`), o undefined
+     */
+    message(sessionId, waMessageId) {
+        const poll = this.get(sessionId, waMessageId);
+        if (!poll) return undefined;
+
+        return {
+            [poll.creationType]: {
+                name: poll.name,
+                options: poll.options.map(optionName => ({ optionName })),
+                selectableOptionsCount: poll.selectableCount
+            },
+            messageContextInfo: {
+                messageSecret: Buffer.from(poll.messageSecret, 'base64')
+            }
+        };
+    }
+
+    /**
+     * Eliminar las encuestas de una sesión (al eliminar la sesión)
+     */
+    removeSession(sessionId) {
+        let removed = 0;
+        this.polls.forEach((poll, id) => {
+            if (poll.sessionId === sessionId) {
+                this.polls.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+
+    /**
+     * Eliminar encuestas más antiguas que la retención
+     */
+    prune() {
+        const limit = Date.now() - this.ttl;
+        let removed = 0;
+
+        this.polls.forEach((poll, id) => {
+            if (poll.createdAt < limit) {
+                this.polls.delete(id);
+                removed++;
+            }
+        });
+
+        if (removed > 0) this.save();
+        return removed;
+    }
+}
+
+module.exports = { PollStore };
@@ -0,0 +1,315 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const mime = require('mime-types');
+
+// Mismo límite que los archivos subidos a send-message
+const MAX_BYTES = parseInt(process.env.MEDIA_URL_MAX_BYTES) || 15 * 1024 * 1024;
+const DOWNLOAD_TIMEOUT = parseInt(process.env.MEDIA_URL_TIMEOUT_MS) || 30000;
+const MAX_REDIRECTS = 5;
+
+// Hosts permitidos (p. ej. el bucket de S3). Vacío = cualquier host público.
+const ALLOWED_HOSTS = String(process.env.MEDIA_URL_ALLOWED_HOSTS || '')
+    .split(',')
+    .map(host => host.trim().toLowerCase())
+    .filter(Boolean);
+
+/**
+ * Direcciones internas: loopback, redes privadas, link-local (metadatos de la
+ * nube), CGNAT, multicast y reservadas. media_url no puede apuntar a ellas.
+ */
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+    ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16],
+    ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const GENERIC_TYPES = ['application/octet-stream', 'binary/octet-stream'];
+
+/**
+ * Tipos que se pueden enviar. Una página HTML suele ser un error o un enlace vencido.
+ */
+const isAllowedType = (mimetype) => {
+    return /^(image|video|audio|application)\//.test(mimetype) || ['text/plain', 'text/csv'].includes(mimetype);
+};
+
+const mediaError = (message, statusCode = 400) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+};
+
+const formatMb = (bytes) => `${Math.round(bytes / 1024 / 1024)}MB`;
+
+// BlockList también aplica las reglas IPv4 a las direcciones ::ffff:a.b.c.d
+const isBlockedAddress = (address) => {
+    return BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+};
+
+const isAllowedHost = (hostname) => {
+    return ALLOWED_HOSTS.some(host => hostname === host || hostname.endsWith(`.${host}`));
+};
+
+/**
+ * `lookup` de la conexión: se valida la misma resolución DNS con la que se
+ * conecta. Resolver antes y dejar que la petición vuelva a resolver permitiría
+ * que el DNS devuelva una IP pública al validar y una interna al conectar.
+ */
+const safeLookup = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true, verbatim: true }, (error, addresses) => {
+        if (error) {
+            return callback(mediaError(`No se pudo resolver el host de media_url: ${hostname}`, 502));
+        }
+        if (addresses.length === 0 || addresses.some(({ address }) => isBlockedAddress(address))) {
+            return callback(mediaError('media_url apunta a una dirección interna', 403));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Validar el destino de cada salto: protocolo, lista de hosts permitidos y,
+ * si el host es una IP, que no sea interna (los nombres se validan en
+ * safeLookup). Los hosts de MEDIA_URL_ALLOWED_HOSTS pueden ser internos (p. ej.
+ * un MinIO en la red privada).
+ */
+const checkDestination = (url) => {
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw mediaError('media_url debe ser http:// o https://');
+    }
+
+    const hostname = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (ALLOWED_HOSTS.length > 0) {
+        if (!isAllowedHost(hostname)) {
+            throw mediaError(`Host no permitido en media_url: ${hostname}`, 403);
+        }
+        return;
+    }
+
+    if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+        throw mediaError('media_url apunta a una dirección interna', 403);
+    }
+};
+
+/**
+ * GET de un salto (sin seguir redirecciones). Resuelve con la respuesta
+ * (http.IncomingMessage) apenas llegan las cabeceras.
+ */
+const requestUrl = (url, signal) => new Promise((resolve, reject) => {
+    const client = url.protocol === 'https:' ? https : http;
+    const options = { signal };
+    if (ALLOWED_HOSTS.length === 0) options.lookup = safeLookup;
+
+    client.get(url, options, resolve).on('error', reject);
+});
+
+/**
+ * Tipo del archivo: el declarado salvo que sea genérico, o el de la extensión
+ */
+const resolveType = (declared, filename) => {
+    const type = String(declared || '').split(';')[0].trim().toLowerCase();
+    if (type && !GENERIC_TYPES.includes(type)) return type;
+    return (filename && mime.lookup(filename)) || 'application/octet-stream';
+};
+
+/**
+ * Nombre con extensión (WhatsApp la muestra y el cliente la necesita para abrirlo)
+ */
+const withExtension = (filename, mimetype) => {
+    if (path.extname(filename)) return filename;
+    const extension = mime.extension(mimetype);
+    return extension ? `${filename}.${extension}` : filename;
+};
+
+/**
+ * Guardar en `dir` con un nombre aleatorio, igual que multer.
+ * Devuelve el mismo objeto que `req.file`: { path, originalname, mimetype, size }.
+ */
+const writeUpload = (dir, data, originalname, mimetype) => {
+    fs.mkdirSync(dir, { recursive: true });
+    const filePath = path.join(dir, crypto.randomBytes(16).toString('hex'));
+    fs.writeFileSync(filePath, data);
+
+    return { path: filePath, originalname, mimetype, size: data.length };
+};
+
+const filenameFromHeaders = (response) => {
+    const disposition = response.headers['content-disposition'] || '';
+    const encoded = disposition.match(/filename\*=UTF-8''([^;]+)/i);
+    if (encoded) {
+        try {
+            return decodeURIComponent(encoded[1].trim());
+        } catch (error) {
+            // Nombre mal codificado: se prueba con filename=
+        }
+    }
+    const plain = disposition.match(/filename="?([^";]+)"?/i);
+    return plain ? plain[1].trim() : null;
+};
+
+const filenameFromUrl = (url) => {
+    const name = path.basename(url.pathname);
+    try {
+        return decodeURIComponent(name);
+    } catch (error) {
+        return name;
+    }
+};
+
+/**
+ * Descargar `url` (http/https) respetando el límite de tamaño y el tipo.
+ * Las URLs firmadas de S3 funcionan tal cual. Las redirecciones se siguen a
+ * mano para validar el destino de cada salto; cada conexión usa la IP validada.
+ */
+const downloadMedia = async (url, { filename = null, dir = 'uploads', maxBytes = MAX_BYTES, timeout = DOWNLOAD_TIMEOUT } = {}) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw mediaError('media_url no es una URL válida');
+    }
+
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+        let response;
+        for (let redirects = 0; ; redirects++) {
+            checkDestination(parsed);
+
+            try {
+                response = await requestUrl(parsed, controller.signal);
+            } catch (error) {
+                if (error.statusCode) throw error;
+                throw mediaError(`No se pudo descargar media_url: ${controller.signal.aborted ? 'Timeout' : error.message}`, 502);
+            }
+
+            const location = response.headers.location;
+            if (response.statusCode < 300 || response.statusCode >= 400 || !location) break;
+
+            response.destroy();
+            if (redirects >= MAX_REDIRECTS) {
+                throw mediaError('media_url tiene demasiadas redirecciones', 502);
+            }
+            try {
+                parsed = new URL(location, parsed);
+            } catch (error) {
+                throw mediaError('media_url redirige a una URL inválida', 502);
+            }
+        }
+
+        if (response.statusCode < 200 || response.statusCode >= 300) {
+            response.destroy();
+            throw mediaError(`No se pudo descargar media_url (HTTP ${response.statusCode})`, 502);
+        }
+
+        const declaredSize = parseInt(response.headers['content-length'], 10);
+        if (declaredSize > maxBytes) {
+            response.destroy();
+            throw mediaError(`El archivo es demasiado grande. Límite: ${formatMb(maxBytes)}`);
+        }
+
+        const name = filename
+            || filenameFromHeaders(response)
+            || filenameFromUrl(parsed)
+            || 'archivo';
+        const mimetype = resolveType(response.headers['content-type'], name);
+        if (!isAllowedType(mimetype)) {
+            response.destroy();
+            throw mediaError(`Tipo de archivo no permitido en media_url: ${mimetype}`, 415);
+        }
+
+        // Leer por partes para cortar la descarga apenas supere el límite
+        const chunks = [];
+        let size = 0;
+        try {
+            for await (const chunk of response) {
+                size += chunk.length;
+                if (size > maxBytes) {
+                    response.destroy();
+                    throw mediaError(`El archivo es demasiado grande. Límite: ${formatMb(maxBytes)}`);
+                }
+                chunks.push(chunk);
+            }
+        } catch (error) {
+            if (error.statusCode) throw error;
+            throw mediaError(`No se pudo descargar media_url: ${controller.signal.aborted ? 'Timeout' : error.message}`, 502);
+        }
+
+        if (size === 0) {
+            throw mediaError('El archivo descargado está vacío');
+        }
+
+        return writeUpload(dir, Buffer.concat(chunks), withExtension(name, mimetype), mimetype);
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+/**
+ * Decodificar `media_base64` (acepta también data:<mime>;base64,...).
+ * `filename` es obligatorio: de él sale la extensión y el tipo si no se indica.
+ */
+const decodeBase64Media = (value, { filename = null, mimetype = null, dir = 'uploads', maxBytes = MAX_BYTES } = {}) => {
+    const name = String(filename || '').trim();
+    if (!name) {
+        throw mediaError('Falta filename para media_base64');
+    }
+
+    let data = String(value);
+    let dataUrlType = null;
+    const dataUrl = data.match(/^data:([^;,]*)(;[^,]*)?,/);
+    if (dataUrl) {
+        dataUrlType = dataUrl[1] || null;
+        data = data.slice(dataUrl[0].length);
+    }
+
+    data = data.replace(/\s/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    if (!data || !/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+        throw mediaError('media_base64 no es base64 válido');
+    }
+    if (Math.floor(data.length * 3 / 4) > maxBytes) {
+        throw mediaError(`El archivo es demasiado grande. Límite: ${formatMb(maxBytes)}`);
+    }
+
+    const buffer = Buffer.from(data, 'base64');
+    if (buffer.length === 0) {
+        throw mediaError('El archivo está vacío');
+    }
+
+    const type = resolveType(mimetype || dataUrlType, name);
+    if (!isAllowedType(type)) {
+        throw mediaError(`Tipo de archivo no permitido: ${type}`, 415);
+    }
+
+    return writeUpload(dir, buffer, withExtension(name, type), type);
+};
+
+/**
+ * Archivo de send-message que no llega como multipart: `media_url` o
+ * `media_base64` + `filename` (opcional `mimetype`). Devuelve el mismo objeto
+ * que multer o null si no se envió ninguno. Los errores traen `statusCode`.
+ */
+const loadMediaInput = async (body, options = {}) => {
+    const { media_url: mediaUrl, media_base64: mediaBase64, filename, mimetype } = body;
+    if (!mediaUrl && !mediaBase64) return null;
+
+    if (mediaUrl && mediaBase64) {
+        throw mediaError('Envíe media_url o media_base64, no ambos');
+    }
+
+    return mediaUrl
+        ? downloadMedia(String(mediaUrl).trim(), { ...options, filename: filename || null })
+        : decodeBase64Media(mediaBase64, { ...options, filename, mimetype });
+};
+
+module.exports = { loadMediaInput, downloadMedia, decodeBase64Media };
@@ -0,0 +1,120 @@
+const vm = require('vm');
+
+// Tiempo máximo de una evaluación: las reglas corren en el mismo proceso que todas las sesiones
+const REGEX_TIMEOUT_MS = parseInt(process.env.REGEX_TIMEOUT_MS) || 50;
+
+// Escapes que coinciden con casi cualquier carácter (se tratan como `.`)
+const WILDCARD_ATOMS = ['.', '\\S', '\\W', '\\D'];
+
+// ¿El cuantificador (*, +, {n,m}) permite repetir más de una vez?
+const isRepetition = (quantifier) => {
+    const bounds = quantifier.match(/^\{(\d+)(,(\d*))?\}$/);
+    if (!bounds) return quantifier === '*' || quantifier === '+';
+    const max = bounds[2] === undefined ? Number(bounds[1]) : bounds[3] === '' ? Infinity : Number(bounds[3]);
+    return max > 1;
+};
+
+/**
+ * ¿Dos átomos repetidos uno tras otro pueden coincidir con el mismo carácter?
+ * (p. ej. `\w*\d+`: el texto se puede repartir entre ambos de muchas formas)
+ */
+const atomsOverlap = (a, b) => {
+    if (a === b || WILDCARD_ATOMS.includes(a) || WILDCARD_ATOMS.includes(b)) return true;
+
+    const matchesChar = (atom, char) => {
+        if (atom === '\\w') return /\w/.test(char);
+        if (atom === '\\d') return /\d/.test(char);
+        if (atom === '\\s') return /\s/.test(char);
+        return atom === char;
+    };
+    const classes = ['\\w', '\\d', '\\s'];
+    if (classes.includes(a) && classes.includes(b)) return a !== '\\s' && b !== '\\s';
+    if (classes.includes(a) && b.length === 1) return matchesChar(a, b);
+    if (classes.includes(b) && a.length === 1) return matchesChar(b, a);
+    return false;
+};
+
+/**
+ * Construcciones que pueden tardar un tiempo exponencial (o polinómico muy
+ * alto) con ciertos textos: un grupo repetido que contiene otra repetición
+ * (`(a+)+`) o alternativas (`(a|aa)+`), repeticiones contiguas que se solapan
+ * (`\w*\w*`) y referencias hacia atrás. Devuelve la descripción del problema o null.
+ */
+const findUnsafeRegex = (pattern) => {
+    const groups = []; // por grupo abierto: { repeats, alternation }
+    let previousRepeated = null; // átomo repetido justo antes del actual
+
+    for (let i = 0; i < pattern.length; i++) {
+        const start = i;
+        const char = pattern[i];
+        let group = null;
+
+        if (char === '\\') {
+            if (/[1-9k]/.test(pattern[i + 1] || '')) return 'referencias hacia atrás (\\1)';
+            i++;
+        } else if (char === '[') {
+            // Clase de caracteres: lo de dentro no son cuantificadores
+            for (i++; i < pattern.length && pattern[i] !== ']'; i++) {
+                if (pattern[i] === '\\') i++;
+            }
+        } else if (char === '(') {
+            groups.push({ repeats: false, alternation: false });
+            // (?:, (?=, (?!, (?<=, (?<!, (?<nombre>
+            const prefix = pattern.slice(i + 1).match(/^\?(:|=|!|<=|<!|<[A-Za-z_]\w*>)/);
+            if (prefix) i += prefix[0].length;
+            previousRepeated = null;
+            continue;
+        } else if (char === ')') {
+            group = groups.pop() || { repeats: false, alternation: false };
+        } else if (char === '|') {
+            if (groups.length > 0) groups[groups.length - 1].alternation = true;
+            previousRepeated = null;
+            continue;
+        } else if (char === '^' || char === '$') {
+            continue;
+        }
+
+        const atom = group ? null : pattern.slice(start, i + 1);
+        const quantifier = pattern.slice(i + 1).match(/^(\*|\+|\?|\{\d+(,\d*)?\})\??/);
+        const repeated = !!quantifier && isRepetition(quantifier[1]);
+        if (quantifier) i += quantifier[0].length;
+
+        if (repeated && group && group.repeats) return 'repeticiones anidadas, p. ej. (a+)+';
+        if (repeated && group && group.alternation) return 'alternativas dentro de una repetición, p. ej. (a|aa)+';
+        if (repeated && atom && previousRepeated && atomsOverlap(previousRepeated, atom)) {
+            return 'repeticiones contiguas que se solapan, p. ej. \\w*\\w*';
+        }
+
+        if ((repeated || (group && group.repeats)) && groups.length > 0) {
+            groups[groups.length - 1].repeats = true;
+        }
+        previousRepeated = repeated ? atom : null;
+    }
+    return null;
+};
+
+// Contexto aislado para evaluar con tiempo máximo (vm interrumpe el backtracking)
+const context = vm.createContext({ regex: null, text: '' });
+const testScript = new vm.Script('regex.test(text)');
+
+/**
+ * regex.test(text) con tiempo máximo. Si se excede lanza un error: la regla
+ * se trata como no cumplida en lugar de bloquear el proceso.
+ */
+const testRegex = (regex, text) => {
+    context.regex = regex;
+    context.text = String(text);
+    try {
+        return testScript.runInContext(context, { timeout: REGEX_TIMEOUT_MS });
+    } catch (error) {
+        if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+            throw new Error(`La expresión regular ${regex} superó ${REGEX_TIMEOUT_MS} ms`);
+        }
+        throw error;
+    } finally {
+        context.regex = null;
+        context.text = '';
+    }
+};
+
+module.exports = { findUnsafeRegex, testRegex, REGEX_TIMEOUT_MS };
@@ -0,0 +1,17 @@
+const path = require('path');
+
+// Identificadores de sesión: terminan en rutas de archivos y en comandos, solo se aceptan caracteres seguros
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const isValidSessionId = (sessionId) => typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+
+/**
+ * true si `target` está dentro de `baseDir` (y no es el propio directorio base).
+ * Se comprueba antes de borrar recursivamente un directorio derivado de un id.
+ */
+const isInsideDir = (baseDir, target) => {
+    const relative = path.relative(path.resolve(baseDir), path.resolve(target));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+module.exports = { SESSION_ID_PATTERN, isValidSessionId, isInsideDir };
@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const PLACEHOLDER_REGEX = /\{\{\s*([\w.-]+)\s*\}\}/g;
+
+/**
+ * Reemplazar {{variables}} en un texto. Lanza error si falta alguna.
+ */
+const renderTemplate = (text, variables = {}) => {
+    const missing = [];
+    const rendered = String(text).replace(PLACEHOLDER_REGEX, (match, name) => {
+        // Solo claves propias: {{constructor}} o {{toString}} no deben salir del prototipo
+        const value = variables && Object.hasOwn(variables, name) ? variables[name] : undefined;
+        if (value === undefined || value === null) {
+            missing.push(name);
+            return match;
+        }
+        return String(value);
+    });
+
+    if (missing.length > 0) {
+        throw new Error(`Faltan variables: ${[...new Set(missing)].join(', ')}`);
+    }
+    return rendered;
+};
+
+/**
+ * Nombres de las variables usadas en un texto
+ */
+const extractVariables = (text) => {
+    return [...new Set(Array.from(String(text || '').matchAll(PLACEHOLDER_REGEX), match => match[1]))];
+};
+
+/**
+ * Plantillas de mensajes con {{variables}} y archivo adjunto por defecto.
+ *
+ * Se guardan en un JSON compartido por los servidores (whatsapp-web.js y
+ * Baileys). Los adjuntos viven en su propio directorio y cada envío usa una
+ * copia en uploads/, que se elimina como cualquier archivo subido.
+ */
+class TemplateStore {
+    constructor(filePath, attachmentsDir, logger) {
+        this.filePath = filePath;
+        this.attachmentsDir = attachmentsDir;
+        this.logger = logger || console;
+        this.templates = new Map(); // { name → template }
+
+        this.load();
+    }
+
+    /**
+     * Cargar plantillas desde disco
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            data.forEach(template => this.templates.set(template.name, template));
+        } catch (error) {
+            this.logger.error(`Error cargando plantillas: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar plantillas en disco
+     */
+    save() {
+        try {
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(Array.from(this.templates.values()), null, 2));
+        } catch (error) {
+            this.logger.error(`Error guardando plantillas: ${error.message}`);
+        }
+    }
+
+    list() {
+        this.templates.clear();
+        this.load();
+        return Array.from(this.templates.values()).sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    get(name) {
+        // Otro servidor pudo modificar el archivo compartido
+        this.templates.clear();
+        this.load();
+        return this.templates.get(name) || null;
+    }
+
+    /**
+     * Crear una plantilla. `file` es el archivo subido con multer (opcional).
+     */
+    create({ name, mensaje, description }, file = null) {
+        if (!name || !/^[\w-]{1,64}$/.test(name)) {
+            throw new Error('Nombre inválido: use letras, números, guiones o guiones bajos (máximo 64)');
+        }
+        if (this.get(name)) {
+            throw new Error(`Ya existe una plantilla con el nombre ${name}`);
+        }
+        if (!mensaje && !file) {
+            throw new Error('Se requiere el texto de la plantilla o un archivo');
+        }
+
+        const template = {
+            name,
+            description: description || null,
+            mensaje: mensaje || '',
+            variables: extractVariables(mensaje),
+            attachment: file ? this.storeAttachment(name, file) : null,
+            createdAt: Date.now(),
+            updatedAt: Date.now()
+        };
+
+        this.templates.set(name, template);
+        this.save();
+
+        this.logger.info(`📝 Plantilla creada: ${name}`);
+        return template;
+    }
+
+    /**
+     * Actualizar texto, descripción y/o adjunto de una plantilla
+     */
+    update(name, { mensaje, description, removeAttachment = false }, file = null) {
+        const template = this.get(name);
+        if (!template) return null;
+
+        const nextMensaje = mensaje !== undefined ? mensaje || '' : template.mensaje;
+        const keepsAttachment = !!(file || (template.attachment && !removeAttachment));
+        if (!nextMensaje && !keepsAttachment) {
+            throw new Error('La plantilla debe tener texto o un archivo');
+        }
+
+        template.mensaje = nextMensaje;
+        template.variables = extractVariables(nextMensaje);
+        if (description !== undefined) {
+            template.description = description || null;
+        }
+        if (file || removeAttachment) {
+            this.deleteAttachment(template);
+            template.attachment = file ? this.storeAttachment(name, file) : null;
+        }
+
+        template.updatedAt = Date.now();
+        this.save();
+
+        this.logger.info(`📝 Plantilla actualizada: ${name}`);
+        return template;
+    }
+
+    remove(name) {
+        const template = this.get(name);
+        if (!template) return false;
+
+        this.deleteAttachment(template);
+        this.templates.delete(name);
+        this.save();
+
+        this.logger.info(`📝 Plantilla eliminada: ${name}`);
+        return true;
+    }
+
+    /**
+     * Texto final de la plantilla con las variables aplicadas
+     */
+    render(template, variables = {}) {
+        return template.mensaje ? renderTemplate(template.mensaje, variables) : null;
+    }
+
+    /**
+     * Copia temporal del adjunto para un envío (el envío la elimina al terminar)
+     */
+    copyAttachment(template, destinationDir) {
+        const attachment = template.attachment;
+        if (!attachment || !fs.existsSync(attachment.path)) return null;
+
+        fs.mkdirSync(destinationDir, { recursive: true });
+        const copyPath = path.join(destinationDir, uuidv4());
+        fs.copyFileSync(attachment.path, copyPath);
+
+        return {
+            path: copyPath,
+            originalname: attachment.originalname,
+            mimetype: attachment.mimetype,
+            size: attachment.size
+        };
+    }
+
+    storeAttachment(name, file) {
+        fs.mkdirSync(this.attachmentsDir, { recursive: true });
+        const storedPath = path.join(this.attachmentsDir, `${name}-${Date.now()}${path.extname(file.originalname || '')}`);
+
+        // copy + unlink: uploads/ puede estar en otro sistema de archivos
+        fs.copyFileSync(file.path, storedPath);
+        try { fs.unlinkSync(file.path); } catch (e) {}
+
+        return {
+            path: storedPath,
+            originalname: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size
+        };
+    }
+
+    deleteAttachment(template) {
+        if (template.attachment && fs.existsSync(template.attachment.path)) {
+            try { fs.unlinkSync(template.attachment.path); } catch (e) {}
+        }
+    }
+}
+
+module.exports = { TemplateStore, renderTemplate, extractVariables };
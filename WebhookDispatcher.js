@@ -0,0 +1,220 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const WEBHOOK_EVENTS = ['message', 'message_ack', 'connection', 'failover', 'handoff'];
+
+/**
+ * Webhooks por sesión: envía los eventos como JSON firmado (HMAC-SHA256).
+ *
+ * Cabeceras de cada entrega:
+ *   X-Webhook-Event      nombre del evento
+ *   X-Webhook-Delivery   id único de la entrega (se repite en los reintentos)
+ *   X-Webhook-Timestamp  milisegundos de la firma
+ *   X-Webhook-Signature  sha256=HMAC(secret, `${timestamp}.${body}`)
+ */
+class WebhookDispatcher {
+    constructor(filePath, logger, options = {}) {
+        this.filePath = filePath;
+        this.logger = logger || console;
+        this.webhooks = new Map(); // { sessionId → [webhooks] }
+        this.loadedMtime = 0;
+        this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || options.maxAttempts || 6;
+        this.retryDelay = parseInt(process.env.WEBHOOK_RETRY_DELAY_MS) || options.retryDelay || 5000;
+        this.timeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || options.timeout || 10000;
+
+        this.load();
+    }
+
+    /**
+     * Cargar webhooks desde disco (si el archivo cambió). webhooks.json lo
+     * comparten los servidores, así que se relee antes de consultar o modificar.
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.filePath)) return;
+
+            const mtime = fs.statSync(this.filePath).mtimeMs;
+            if (mtime === this.loadedMtime) return;
+
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.webhooks.clear();
+            Object.entries(data).forEach(([sessionId, webhooks]) => {
+                this.webhooks.set(sessionId, webhooks);
+            });
+            this.loadedMtime = mtime;
+        } catch (error) {
+            this.logger.error(`Error cargando webhooks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Guardar webhooks en disco
+     */
+    save() {
+        try {
+            const data = {};
+            this.webhooks.forEach((webhooks, sessionId) => {
+                if (webhooks.length > 0) data[sessionId] = webhooks;
+            });
+
+            fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+            fs.writeFileSync(this.filePath, JSON.stringify(data, null, 2));
+            this.loadedMtime = fs.statSync(this.filePath).mtimeMs;
+        } catch (error) {
+            this.logger.error(`Error guardando webhooks: ${error.message}`);
+        }
+    }
+
+    /**
+     * Registrar un webhook para una sesión
+     */
+    register(sessionId, { url, secret, events } = {}) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url);
+        } catch (error) {
+            throw new Error('URL de webhook inválida');
+        }
+
+        if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+            throw new Error('La URL del webhook debe ser http o https');
+        }
+
+        const subscribed = events && events.length > 0 ? events : ['*'];
+        const invalid = subscribed.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event));
+        if (invalid.length > 0) {
+            throw new Error(`Eventos inválidos: ${invalid.join(', ')}. Permitidos: ${WEBHOOK_EVENTS.join(', ')}`);
+        }
+
+        const webhook = {
+            id: uuidv4(),
+            url: parsedUrl.toString(),
+            secret: secret || crypto.randomBytes(32).toString('hex'),
+            events: subscribed,
+            createdAt: Date.now()
+        };
+
+        this.load();
+        const webhooks = this.webhooks.get(sessionId) || [];
+        webhooks.push(webhook);
+        this.webhooks.set(sessionId, webhooks);
+        this.save();
+
+        this.logger.info(`[${sessionId}] 🔗 Webhook registrado: ${webhook.url}`);
+        return webhook;
+    }
+
+    /**
+     * Webhooks de una sesión (sin exponer el secreto)
+     */
+    list(sessionId) {
+        this.load();
+        return (this.webhooks.get(sessionId) || []).map(({ secret, ...webhook }) => webhook);
+    }
+
+    /**
+     * Eliminar un webhook
+     */
+    remove(sessionId, webhookId) {
+        this.load();
+        const webhooks = this.webhooks.get(sessionId) || [];
+        const remaining = webhooks.filter(webhook => webhook.id !== webhookId);
+        if (remaining.length === webhooks.length) return false;
+
+        this.webhooks.set(sessionId, remaining);
+        this.save();
+        this.logger.info(`[${sessionId}] 🔗 Webhook eliminado: ${webhookId}`);
+        return true;
+    }
+
+    /**
+     * Eliminar todos los webhooks de una sesión
+     */
+    removeSession(sessionId) {
+        this.load();
+        if (this.webhooks.delete(sessionId)) {
+            this.save();
+        }
+    }
+
+    /**
+     * Enviar un evento a todos los webhooks suscritos de la sesión
+     */
+    dispatch(sessionId, event, data) {
+        this.load();
+        const webhooks = (this.webhooks.get(sessionId) || [])
+            .filter(webhook => webhook.events.includes('*') || webhook.events.includes(event));
+
+        if (webhooks.length === 0) return;
+
+        const payload = {
+            event,
+            sessionId,
+            timestamp: Date.now(),
+            data
+        };
+
+        webhooks.forEach(webhook => {
+            this.deliver(webhook, sessionId, payload, uuidv4(), 1);
+        });
+    }
+
+    /**
+     * Entregar un evento con reintentos y backoff exponencial
+     */
+    async deliver(webhook, sessionId, payload, deliveryId, attempt) {
+        const body = JSON.stringify(payload);
+        const timestamp = Date.now().toString();
+        const signature = crypto
+            .createHmac('sha256', webhook.secret)
+            .update(`${timestamp}.${body}`)
+            .digest('hex');
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(webhook.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Webhook-Event': payload.event,
+                    'X-Webhook-Delivery': deliveryId,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${signature}`
+                },
+                body,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            this.logger.debug(`[${sessionId}] 🔗 Webhook ${payload.event} entregado a ${webhook.url}`);
+        } catch (error) {
+            const errorMessage = error.name === 'AbortError' ? 'Timeout' : error.message;
+
+            if (attempt >= this.maxAttempts) {
+                this.logger.error(`[${sessionId}] ❌ Webhook ${payload.event} descartado tras ${attempt} intentos (${webhook.url}): ${errorMessage}`);
+                return;
+            }
+
+            const delay = this.retryDelay * Math.pow(3, attempt - 1);
+            this.logger.warn(`[${sessionId}] ⏳ Webhook ${payload.event} falló (${errorMessage}), reintento ${attempt + 1}/${this.maxAttempts} en ${Math.round(delay / 1000)}s`);
+
+            setTimeout(() => {
+                // El webhook pudo eliminarse mientras tanto
+                this.load();
+                const current = (this.webhooks.get(sessionId) || []).find(w => w.id === webhook.id);
+                if (current) this.deliver(current, sessionId, payload, deliveryId, attempt + 1);
+            }, delay);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = { WebhookDispatcher, WEBHOOK_EVENTS };
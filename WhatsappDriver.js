@@ -0,0 +1,316 @@
+const { EventEmitter } = require('events');
+const { normalizePhone } = require('./PhoneNumber');
+
+/**
+ * Error que no se corrige reintentando (número inexistente, archivo inválido...)
+ */
+const permanentError = (message) => {
+    const error = new Error(message);
+    error.permanent = true;
+    return error;
+};
+
+/**
+ * `promise` con un tiempo máximo; el temporizador se limpia al terminar
+ */
+const withTimeout = (promise, timeoutMs, message) => {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), timeoutMs);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * JID de grupo (p. ej. 120363041234567890@g.us)
+ */
+const isGroupJid = (value) => /@g\.us$/.test(String(value || ''));
+
+// Códigos de WhatsApp al agregar/quitar participantes (iguales en ambos drivers)
+const PARTICIPANT_ERRORS = {
+    403: 'El número no permite que lo agreguen a grupos (se le puede enviar el enlace de invitación)',
+    404: 'El número no está registrado en WhatsApp',
+    408: 'El número salió del grupo recientemente',
+    409: 'Ya es participante del grupo'
+};
+
+/**
+ * Resultado de agregar/quitar un participante
+ */
+const participantResult = (number, code, message = null) => {
+    const success = Number(code) === 200;
+    return {
+        number,
+        success,
+        error: success ? null : PARTICIPANT_ERRORS[code] || message || `Error ${code}`
+    };
+};
+
+/**
+ * Números de los participantes de un grupo: formato internacional, sin duplicados
+ */
+const normalizeParticipants = (participants) => {
+    const list = Array.isArray(participants) ? participants : String(participants || '').split(/[\n,;]+/);
+    const values = list.map(value => String(value).trim()).filter(Boolean);
+    const numbers = [...new Set(values.map(value => normalizePhone(value, { label: 'participante' })))];
+    if (numbers.length === 0) {
+        throw permanentError('Se requiere al menos un participante');
+    }
+    return numbers;
+};
+
+/**
+ * Número de teléfono para vincular con código: solo dígitos, con código de país
+ */
+const normalizePairingPhone = (phoneNumber) => normalizePhone(phoneNumber, { label: 'número de teléfono' });
+
+/**
+ * Interfaz común de una conexión de WhatsApp (whatsapp-web.js o Baileys).
+ *
+ * Métodos: initialize, sendText, sendMedia, sendInteractive, sendLocation,
+ * sendContact, sendSticker, downloadMedia, requestPairingCode,
+ * grupos (listGroups, getGroup, createGroup, addParticipants,
+ * removeParticipants, getInviteLink), getStatus, getInfo, logout, destroy.
+ *
+ * `numero` en los envíos puede ser un número o un JID de grupo (@g.us).
+ *
+ * Los grupos se devuelven como { id, name, description, owner, createdAt,
+ * participantsCount } y getGroup agrega participants: [{ id, number, admin }].
+ *
+ * Eventos:
+ *   'qr'            (qr) texto del QR a escanear
+ *   'pairing_code'  (code, phoneNumber) código de vinculación (alternativa al QR)
+ *   'loading'       (percent, message)
+ *   'authenticated' ()
+ *   'ready'         ({ phoneNumber, pushname, platform })
+ *   'auth_failure'  (message)
+ *   'disconnected'  (reason, { loggedOut, reconnecting })
+ *   'status'        (status, previousStatus)
+ *   'message'       (mensaje normalizado (ver InboundMessage.js), mensaje original);
+ *                   las respuestas a botones, listas y encuestas llegan con `interactive`
+ *   'message_ack'   ({ waMessageId, to, status })
+ */
+class WhatsappDriver extends EventEmitter {
+    constructor(sessionId, logger, options = {}) {
+        super();
+        this.sessionId = sessionId;
+        this.logger = logger || console;
+        this.options = options;
+        // Caché de números verificados (NumberLookupCache), compartida entre sesiones
+        this.numberCache = options.numberCache || null;
+        this.status = 'initializing';
+        this.info = null;
+    }
+
+    get name() {
+        throw new Error('Driver sin nombre');
+    }
+
+    setStatus(status) {
+        if (status === this.status) return;
+
+        const previousStatus = this.status;
+        this.status = status;
+        this.emit('status', status, previousStatus);
+    }
+
+    getStatus() {
+        return this.status;
+    }
+
+    /**
+     * Datos de la cuenta conectada ({ phoneNumber, pushname, platform }) o null
+     */
+    getInfo() {
+        return this.info;
+    }
+
+    async initialize() {
+        throw new Error(`${this.name}: initialize no implementado`);
+    }
+
+    /**
+     * Esperar a que la sesión muestre el QR: desde ese momento WhatsApp
+     * también acepta vincular con código
+     */
+    waitForQr(timeoutMs = 30000) {
+        if (this.status === 'waiting_qr') return Promise.resolve();
+        if (this.status === 'authenticated') {
+            return Promise.reject(permanentError('La sesión ya está vinculada'));
+        }
+
+        return new Promise((resolve, reject) => {
+            const onStatus = (status) => {
+                if (status === 'waiting_qr') {
+                    done();
+                    resolve();
+                } else if (status === 'authenticated') {
+                    done();
+                    reject(permanentError('La sesión ya está vinculada'));
+                }
+            };
+            const timer = setTimeout(() => {
+                done();
+                reject(new Error('La sesión no está lista para vincular. Intente nuevamente en unos segundos.'));
+            }, timeoutMs);
+            const done = () => {
+                clearTimeout(timer);
+                this.removeListener('status', onStatus);
+            };
+
+            this.on('status', onStatus);
+        });
+    }
+
+    /**
+     * Pedir un código de 8 caracteres para vincular `phoneNumber` sin escanear
+     * el QR (WhatsApp > Dispositivos vinculados > Vincular con número).
+     * Devuelve el código y emite 'pairing_code'.
+     */
+    async requestPairingCode(phoneNumber) {
+        throw new Error(`${this.name}: requestPairingCode no implementado`);
+    }
+
+    /**
+     * Consultar si los números (solo dígitos) están registrados en WhatsApp.
+     * Devuelve [{ number, exists, waNumber, error }].
+     */
+    async lookupNumbers(numbers) {
+        throw new Error(`${this.name}: lookupNumbers no implementado`);
+    }
+
+    /**
+     * Enviar texto. `typingMs` > 0 muestra "escribiendo..." antes de enviar;
+     * `quoted` (referencia de toMessageRef, ver MessageActions.js) lo envía como
+     * respuesta citando ese mensaje. Devuelve { messageId }.
+     */
+    async sendText(numero, text, { typingMs = 0, quoted = null } = {}) {
+        throw new Error(`${this.name}: sendText no implementado`);
+    }
+
+    /**
+     * Enviar un archivo { path, originalname, mimetype, size }, opcionalmente
+     * citando `quoted`. Devuelve { messageId, fileInfo }.
+     */
+    async sendMedia(numero, file, { caption = '', forceDocument = false, quoted = null } = {}) {
+        throw new Error(`${this.name}: sendMedia no implementado`);
+    }
+
+    /**
+     * Enviar botones, lista o encuesta (payload validado con parseInteractive,
+     * ver InteractiveMessage.js). Devuelve { messageId }.
+     */
+    async sendInteractive(numero, payload) {
+        throw new Error(`${this.name}: sendInteractive no implementado`);
+    }
+
+    /**
+     * Enviar una ubicación (validada con parseLocation, ver MessageContent.js).
+     * Devuelve { messageId }.
+     */
+    async sendLocation(numero, location) {
+        throw new Error(`${this.name}: sendLocation no implementado`);
+    }
+
+    /**
+     * Enviar una tarjeta de contacto (validada con parseContact). Devuelve { messageId }.
+     */
+    async sendContact(numero, contact) {
+        throw new Error(`${this.name}: sendContact no implementado`);
+    }
+
+    /**
+     * Enviar una imagen { path, originalname, mimetype, size } como sticker
+     * (se convierte a WebP). Devuelve { messageId }.
+     */
+    async sendSticker(numero, file) {
+        throw new Error(`${this.name}: sendSticker no implementado`);
+    }
+
+    /**
+     * Reaccionar a un mensaje (`ref` de toMessageRef) con un emoji; '' quita la reacción
+     */
+    async reactToMessage(ref, emoji) {
+        throw new Error(`${this.name}: reactToMessage no implementado`);
+    }
+
+    /**
+     * Editar el texto de un mensaje enviado por la sesión
+     */
+    async editMessage(ref, text) {
+        throw new Error(`${this.name}: editMessage no implementado`);
+    }
+
+    /**
+     * Eliminar un mensaje enviado por la sesión para todos
+     */
+    async deleteMessage(ref) {
+        throw new Error(`${this.name}: deleteMessage no implementado`);
+    }
+
+    /**
+     * Descargar el archivo de un mensaje entrante (el original del evento 'message').
+     * Devuelve { data: Buffer, mimetype, filename } o null.
+     */
+    async downloadMedia(rawMessage) {
+        throw new Error(`${this.name}: downloadMedia no implementado`);
+    }
+
+    async listGroups() {
+        throw new Error(`${this.name}: listGroups no implementado`);
+    }
+
+    async getGroup(groupId) {
+        throw new Error(`${this.name}: getGroup no implementado`);
+    }
+
+    /**
+     * Crear un grupo con los números indicados.
+     * Devuelve { id, name, participants: [{ number, success, error }] }.
+     */
+    async createGroup(name, participants) {
+        throw new Error(`${this.name}: createGroup no implementado`);
+    }
+
+    /**
+     * Agregar / quitar participantes. Devuelve [{ number, success, error }].
+     */
+    async addParticipants(groupId, participants) {
+        throw new Error(`${this.name}: addParticipants no implementado`);
+    }
+
+    async removeParticipants(groupId, participants) {
+        throw new Error(`${this.name}: removeParticipants no implementado`);
+    }
+
+    /**
+     * Enlace de invitación (https://chat.whatsapp.com/...)
+     */
+    async getInviteLink(groupId) {
+        throw new Error(`${this.name}: getInviteLink no implementado`);
+    }
+
+    /**
+     * Cerrar sesión en WhatsApp (desvincula el dispositivo)
+     */
+    async logout() {
+        throw new Error(`${this.name}: logout no implementado`);
+    }
+
+    /**
+     * Cerrar la conexión conservando las credenciales
+     */
+    async destroy() {
+        throw new Error(`${this.name}: destroy no implementado`);
+    }
+}
+
+module.exports = {
+    WhatsappDriver,
+    permanentError,
+    normalizePairingPhone,
+    isGroupJid,
+    normalizeParticipants,
+    participantResult,
+    withTimeout
+};
@@ -1,6 +1,7 @@
 const { readdir } = require("fs/promises");
 const fs = require('fs');
 const path = require('path');
+const { EventEmitter } = require('events');
 const { WhatsappWebSession } = require('./WhatsappWebSession');
 
 const getDirectories = async source => {
@@ -13,8 +14,15 @@ const getDirectories = async source => {
     }
 };
 
-class WhatsappSessionManager {
+/**
+ * Gestor de sesiones whatsapp-web.js.
+ *
+ * Reemite los eventos de cada sesión con su id: 'status' (sessionId, status,
+ * previousStatus), 'message' (sessionId, message) y 'message_ack' (sessionId, ack).
+ */
+class WhatsappSessionManager extends EventEmitter {
     constructor(logger) {
+        super();
         this.sessionIdVsClientInstance = {};
         this.logger = logger || console;
         this.sessionMetadata = new Map(); // Metadatos adicionales por sesión
@@ -80,6 +88,16 @@ class WhatsappSessionManager {
             this.logger
         );
 
+        // Reenviar eventos de la sesión identificados por sessionId
+        session.on('status', (status, previousStatus) => this.emit('status', sessionId, status, previousStatus));
+        session.on('message', (message, raw) => this.emit('message', sessionId, message, raw));
+        session.on('message_ack', (ack) => this.emit('message_ack', sessionId, ack));
+        session.on('qr', (qrImage) => this.emit('qr', sessionId, qrImage));
+        session.on('pairing_code', (code, phoneNumber) => this.emit('pairing_code', sessionId, code, phoneNumber));
+        session.on('loading', (percent, message) => this.emit('loading', sessionId, percent, message));
+        session.on('ready', () => this.emit('ready', sessionId));
+        session.on('disconnected', (reason, reconnecting) => this.emit('disconnected', sessionId, reason, reconnecting));
+
         // Registrar en el manager
         this.sessionIdVsClientInstance[sessionId] = session;
         this.sessionMetadata.set(sessionId, {
@@ -286,6 +304,7 @@ class WhatsappSessionManager {
             
             // Forzar limpieza de la sesión
             await session.forceCleanup();
+            session.removeAllListeners();
             
             // Remover del manager
             delete this.sessionIdVsClientInstance[sessionId];
@@ -3,9 +3,19 @@ const QRCode = require("qrcode");
 const fs = require('fs');
 const path = require('path');
 const { exec } = require('child_process');
-
-class WhatsappWebSession {
+const { EventEmitter } = require('events');
+const { normalizeWwebjsMessage, normalizeWwebjsVote } = require('./InboundMessage');
+const { normalizePhone, normalizeRecipient } = require('./PhoneNumber');
+
+/**
+ * Sesión de whatsapp-web.js.
+ *
+ * Eventos: 'status' (status, previousStatus), 'message' (mensaje normalizado)
+ * y 'message_ack' ({ waMessageId, to, ack }).
+ */
+class WhatsappWebSession extends EventEmitter {
     constructor(sessionId, qrGenerationCallback, readyInstanceCallback, logger) {
+        super();
         this.sessionId = sessionId;
         this.qrGenerationCallback = qrGenerationCallback;
         this.readyInstanceCallback = readyInstanceCallback;
@@ -13,7 +23,7 @@ class WhatsappWebSession {
         
         // Estado de la sesión
         this.client = null;
-        this.status = 'initializing';
+        this._status = 'initializing';
         this.isReady = false;
         this.phoneNumber = null;
         this.lastActivity = Date.now();
@@ -21,6 +31,7 @@ class WhatsappWebSession {
         // QR y autenticación
         this.qrData = null;
         this.qrGeneratedAt = null;
+        this.pairingCode = null; // { code, phoneNumber, generatedAt } al vincular con código
         this.isAuthenticating = false;
         this.loadingPercent = 0;
         this.loadingMessage = null;
@@ -229,10 +240,50 @@ class WhatsappWebSession {
         this.client.on('error', this.handleError.bind(this));
         this.client.on('qr', this.handleQR.bind(this));
         this.client.on('loading_screen', this.handleLoading.bind(this));
+        this.client.on('code', this.handlePairingCode.bind(this));
         this.client.on('authenticated', this.handleAuthenticated.bind(this));
         this.client.on('ready', this.handleReady.bind(this));
         this.client.on('auth_failure', this.handleAuthFailure.bind(this));
         this.client.on('disconnected', this.handleDisconnected.bind(this));
+        this.client.on('message', this.handleMessage.bind(this));
+        this.client.on('vote_update', this.handleVote.bind(this));
+        this.client.on('message_ack', this.handleMessageAck.bind(this));
+    }
+
+    get status() {
+        return this._status;
+    }
+
+    set status(value) {
+        const previousStatus = this._status;
+        this._status = value;
+
+        if (value !== previousStatus) {
+            this.emit('status', value, previousStatus);
+        }
+    }
+
+    handleMessage(msg) {
+        if (msg.from === 'status@broadcast') return;
+
+        this.lastActivity = Date.now();
+        this.emit('message', normalizeWwebjsMessage(msg), msg);
+    }
+
+    // Voto de una encuesta: se entrega como un mensaje más (type 'poll_vote')
+    handleVote(vote) {
+        this.lastActivity = Date.now();
+        this.emit('message', normalizeWwebjsVote(vote), vote);
+    }
+
+    handleMessageAck(msg, ack) {
+        if (!msg?.id?.fromMe) return;
+
+        this.emit('message_ack', {
+            waMessageId: msg.id._serialized,
+            to: msg.to,
+            ack
+        });
     }
 
     handleError(error) {
@@ -277,6 +328,7 @@ class WhatsappWebSession {
             this.lastActivity = Date.now();
             
             this.logger.info(`[${this.sessionId}] ✅ QR generado exitosamente`);
+            this.emit('qr', this.qrData);
             
             if (this.qrGenerationCallback) {
                 this.qrGenerationCallback(this.sessionId, this.qrData, qr);
@@ -317,17 +369,28 @@ class WhatsappWebSession {
         this.loadingMessage = message;
         this.lastActivity = Date.now();
         this.isAuthenticating = true;
+        this.emit('loading', percent, message);
         
         if (percent >= 99) {
             this.logger.info(`[${this.sessionId}] ⏳ WhatsApp al 99% - Esperando autenticación...`);
         }
     }
 
+    handlePairingCode(code) {
+        const phoneNumber = this.pairingCode ? this.pairingCode.phoneNumber : null;
+        this.logger.info(`[${this.sessionId}] 🔑 Código de vinculación generado para ${phoneNumber}`);
+
+        this.pairingCode = { code, phoneNumber, generatedAt: Date.now() };
+        this.lastActivity = Date.now();
+        this.emit('pairing_code', code, phoneNumber);
+    }
+
     async handleAuthenticated() {
         this.logger.info(`[${this.sessionId}] ✅ Autenticado correctamente`);
         
         this.status = 'authenticated';
         this.qrData = null;
+        this.pairingCode = null;
         this.lastActivity = Date.now();
         this.isAuthenticating = false;
         this.authenticatedAt = Date.now();
@@ -571,6 +634,8 @@ class WhatsappWebSession {
         this.lastActivity = Date.now();
         this.isAuthenticating = false;
         
+        this.emit('ready');
+
         // Intentar obtener el número de teléfono de múltiples formas
         this.extractPhoneNumberWithRetry();
         
@@ -691,6 +756,8 @@ class WhatsappWebSession {
             this.status = 'reconnecting';
             this.lastActivity = Date.now();
         }
+
+        this.emit('disconnected', reason, this.status === 'reconnecting');
     }
 
     isCriticalDisconnection(reason) {
@@ -1375,13 +1442,39 @@ class WhatsappWebSession {
         }
     }
 
+    /**
+     * Código de vinculación para `phoneNumber` (alternativa al QR).
+     * Espera hasta 30 segundos a que la página muestre el QR.
+     */
+    async requestPairingCode(phoneNumber) {
+        const phone = normalizePhone(phoneNumber, { label: 'número de teléfono' });
+
+        for (let i = 0; i < 60 && this.status !== 'waiting_qr' && this.status !== 'authenticated'; i++) {
+            await new Promise(resolve => setTimeout(resolve, 500));
+        }
+
+        if (this.status === 'authenticated') {
+            throw new Error('La sesión ya está vinculada');
+        }
+        if (this.status !== 'waiting_qr') {
+            throw new Error('La sesión no está lista para vincular. Intente nuevamente en unos segundos.');
+        }
+
+        this.logger.info(`[${this.sessionId}] 🔑 Solicitando código de vinculación para ${phone}`);
+        this.pairingCode = { code: null, phoneNumber: phone, generatedAt: null };
+
+        // El cliente emite 'code' con este código y con cada renovación
+        return await this.client.requestPairingCode(phone);
+    }
+
     async sendMessage(phoneNumber, message) {
         if (!this.isReady) {
             throw new Error('Session not ready');
         }
         
         try {
-            const chatId = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
+            const recipient = normalizeRecipient(phoneNumber);
+            const chatId = recipient.includes('@') ? recipient : `${recipient}@c.us`;
             const result = await this.client.sendMessage(chatId, message);
             this.lastActivity = Date.now();
             return result;
@@ -1397,6 +1490,8 @@ class WhatsappWebSession {
             status: this.status,
             qrAvailable: !!this.qrData,
             qrData: this.qrData,
+            pairingCodeRequested: !!this.pairingCode,
+            pairingPhoneNumber: this.pairingCode ? this.pairingCode.phoneNumber : null,
             isReady: this.isReady,
             phoneNumber: this.phoneNumber,
             lastActivity: this.lastActivity,
@@ -0,0 +1,536 @@
+const fs = require('fs');
+const path = require('path');
+const mime = require('mime-types');
+const { MessageMedia, Buttons, List, Poll, Location } = require('whatsapp-web.js');
+const {
+    WhatsappDriver,
+    permanentError,
+    normalizePairingPhone,
+    isGroupJid,
+    normalizeParticipants,
+    participantResult,
+    withTimeout
+} = require('./WhatsappDriver');
+const { normalizePhone } = require('./PhoneNumber');
+const { MessageStatusTracker } = require('./MessageStatusTracker');
+const { normalizeWwebjsMessage, normalizeWwebjsVote } = require('./InboundMessage');
+const { buildVCard, checkStickerSource, toWebpSticker } = require('./MessageContent');
+
+// Consultas simultáneas a getNumberId al verificar listas de números
+const LOOKUP_CONCURRENCY = 5;
+
+/**
+ * Driver de whatsapp-web.js sobre un `Client` ya configurado.
+ *
+ * El cliente lo crea el servidor (Chromium, LocalAuth, timeouts); el driver
+ * reexpone sus eventos con los nombres comunes y se encarga de los envíos.
+ */
+class WwebjsDriver extends WhatsappDriver {
+    constructor(sessionId, client, logger, options = {}) {
+        super(sessionId, logger, options);
+        this.client = client;
+
+        this.setupEventListeners();
+    }
+
+    get name() {
+        return 'wwebjs';
+    }
+
+    setupEventListeners() {
+        this.client.on('qr', (qr) => {
+            this.setStatus('waiting_qr');
+            this.emit('qr', qr);
+        });
+
+        // whatsapp-web.js renueva el código de vinculación mientras no se use
+        this.client.on('code', (code) => {
+            this.emit('pairing_code', code, this.pairingPhone);
+        });
+
+        this.client.on('loading_screen', (percent, message) => {
+            this.setStatus('loading');
+            this.emit('loading', percent, message);
+        });
+
+        this.client.on('authenticated', () => {
+            this.setStatus('authenticated');
+            this.emit('authenticated');
+        });
+
+        this.client.on('ready', () => {
+            const info = this.client.info || {};
+            this.info = {
+                phoneNumber: info.wid?.user || null,
+                pushname: info.pushname || null,
+                platform: info.platform || null
+            };
+            this.setStatus('authenticated');
+            this.emit('ready', this.info);
+        });
+
+        this.client.on('auth_failure', (message) => {
+            this.setStatus('auth_failed');
+            this.emit('auth_failure', message);
+        });
+
+        this.client.on('disconnected', (reason) => {
+            const loggedOut = reason === 'LOGOUT';
+            const critical = loggedOut || reason === 'NAVIGATION' || String(reason).includes('CONFLICT');
+            this.setStatus(critical ? 'disconnected' : 'reconnecting');
+            this.emit('disconnected', reason, { loggedOut, reconnecting: !critical });
+        });
+
+        // Mensajes entrantes de clientes
+        this.client.on('message', (msg) => {
+            if (msg.from === 'status@broadcast') return;
+            this.emit('message', normalizeWwebjsMessage(msg), msg);
+        });
+
+        // Acks de entrega/lectura de los mensajes que enviamos
+        this.client.on('message_ack', (msg, ack) => {
+            const status = MessageStatusTracker.fromWwebjsAck(ack);
+            if (!status || !msg?.id?.fromMe) return;
+
+            this.emit('message_ack', { waMessageId: msg.id._serialized, to: msg.to, status });
+        });
+
+        // Votos de las encuestas enviadas (llegan como un mensaje más)
+        this.client.on('vote_update', (vote) => {
+            this.emit('message', normalizeWwebjsVote(vote), vote);
+        });
+    }
+
+    async initialize() {
+        await this.client.initialize();
+    }
+
+    async requestPairingCode(phoneNumber) {
+        const phone = normalizePairingPhone(phoneNumber);
+        await this.waitForQr();
+
+        if (typeof this.client.requestPairingCode !== 'function') {
+            throw permanentError('Esta versión de whatsapp-web.js no permite vincular con código');
+        }
+
+        this.logger.info(`[${this.sessionId}] 🔑 Solicitando código de vinculación para ${phone}`);
+        this.pairingPhone = phone;
+
+        // El cliente emite 'code' con el mismo código (y con cada renovación)
+        return await this.client.requestPairingCode(phone);
+    }
+
+    /**
+     * Id de chat del número, verificando que exista en WhatsApp.
+     * Los grupos (@g.us) se usan tal cual.
+     */
+    async resolveChatId(numero) {
+        if (isGroupJid(numero)) return numero;
+
+        // Número ya verificado (contacts/check o un envío anterior)
+        const digits = normalizePhone(numero);
+        const cached = this.numberCache ? this.numberCache.get(digits) : null;
+        if (cached && cached.exists) return `${cached.waNumber}@c.us`;
+
+        const numberId = await withTimeout(this.client.getNumberId(digits), 10000, 'Timeout verificando número');
+
+        if (this.numberCache) {
+            this.numberCache.set(digits, { exists: !!numberId, waNumber: numberId ? numberId.user : null });
+        }
+        if (!numberId) {
+            throw permanentError('El número no está registrado en WhatsApp');
+        }
+
+        return numberId._serialized;
+    }
+
+    async lookupNumbers(numbers) {
+        const results = [];
+
+        // Pocas consultas a la vez para no saturar WhatsApp Web
+        for (let i = 0; i < numbers.length; i += LOOKUP_CONCURRENCY) {
+            const batch = numbers.slice(i, i + LOOKUP_CONCURRENCY);
+            results.push(...await Promise.all(batch.map(async (number) => {
+                try {
+                    const numberId = await withTimeout(this.client.getNumberId(number), 10000, 'Timeout verificando número');
+                    return { number, exists: !!numberId, waNumber: numberId ? numberId.user : null };
+                } catch (error) {
+                    return { number, exists: null, error: error.message };
+                }
+            })));
+        }
+
+        return results;
+    }
+
+    async sendText(numero, text, { typingMs = 0, quoted = null } = {}) {
+        const chatId = await this.resolveChatId(numero);
+
+        // Simular que está escribiendo
+        if (typingMs > 0) {
+            this.logger.info(`[${this.sessionId}] Mostrando 'escribiendo...' por ${typingMs}ms`);
+
+            const chat = await this.client.getChatById(chatId);
+            await chat.sendStateTyping();
+            await new Promise(resolve => setTimeout(resolve, typingMs));
+            await chat.clearState();
+            await new Promise(resolve => setTimeout(resolve, 300));
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando mensaje de texto`);
+
+        let result = null;
+        try {
+            result = await withTimeout(
+                this.client.sendMessage(chatId, text, quoted ? { quotedMessageId: quoted.id } : {}),
+                20000,
+                'Timeout'
+            );
+            this.logger.info(`[${this.sessionId}] Mensaje enviado exitosamente`);
+        } catch (sendError) {
+            const errorMsg = sendError.message || '';
+
+            // Reintentar aquí duplicaría el mensaje: el error ocurre después de enviarlo
+            if (errorMsg.includes('serialize') || errorMsg === 'Evaluation failed: a') {
+                this.logger.warn(`[${this.sessionId}] Error post-envío en texto`);
+            } else if (errorMsg.includes('Timeout')) {
+                throw permanentError('Timeout al enviar. El mensaje pudo haberse enviado, no se reintenta.');
+            } else {
+                throw sendError;
+            }
+        }
+
+        return { messageId: result?.id?._serialized || null };
+    }
+
+    async sendInteractive(numero, payload) {
+        const chatId = await this.resolveChatId(numero);
+
+        let content;
+        if (payload.type === 'poll') {
+            content = new Poll(payload.name, payload.options, { allowMultipleAnswers: payload.selectableCount > 1 });
+        } else if (payload.type === 'buttons') {
+            content = new Buttons(
+                payload.text,
+                payload.buttons.map(button => ({ id: button.id, body: button.text })),
+                null,
+                payload.footer
+            );
+        } else {
+            content = new List(
+                payload.text,
+                payload.buttonText,
+                payload.sections.map(section => ({
+                    title: section.title || '',
+                    rows: section.rows.map(row => ({ id: row.id, title: row.title, description: row.description || '' }))
+                })),
+                payload.title,
+                payload.footer
+            );
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando mensaje interactivo (${payload.type})`);
+        const result = await this.client.sendMessage(chatId, content);
+
+        return { messageId: result?.id?._serialized || null };
+    }
+
+    async sendLocation(numero, location) {
+        const chatId = await this.resolveChatId(numero);
+        const content = new Location(location.latitude, location.longitude, {
+            name: location.name || undefined,
+            address: location.address || undefined,
+            url: location.url || undefined
+        });
+
+        this.logger.info(`[${this.sessionId}] Enviando ubicación`);
+        const result = await this.client.sendMessage(chatId, content);
+
+        return { messageId: result?.id?._serialized || null };
+    }
+
+    async sendContact(numero, contact) {
+        const chatId = await this.resolveChatId(numero);
+
+        // whatsapp-web.js envía el texto vCard como tarjeta de contacto
+        this.logger.info(`[${this.sessionId}] Enviando contacto ${contact.name}`);
+        const result = await this.client.sendMessage(chatId, buildVCard(contact), { parseVCards: true });
+
+        return { messageId: result?.id?._serialized || null };
+    }
+
+    async sendSticker(numero, file) {
+        checkStickerSource(file);
+        const chatId = await this.resolveChatId(numero);
+
+        if (!fs.existsSync(file.path)) {
+            this.logger.error(`[${this.sessionId}] El archivo no existe: ${file.path}`);
+            throw permanentError('El archivo no se pudo procesar');
+        }
+
+        let sticker;
+        try {
+            sticker = await toWebpSticker(fs.readFileSync(file.path));
+        } catch (convertError) {
+            this.logger.error(`[${this.sessionId}] Error convirtiendo a sticker: ${convertError.message}`);
+            throw permanentError('No se pudo convertir la imagen a sticker');
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando sticker (${sticker.length} bytes)`);
+        const media = new MessageMedia('image/webp', sticker.toString('base64'), 'sticker.webp');
+        const result = await this.client.sendMessage(chatId, media, { sendMediaAsSticker: true });
+
+        return { messageId: result?.id?._serialized || null };
+    }
+
+    async sendMedia(numero, file, { caption = '', forceDocument = false, quoted = null } = {}) {
+        const chatId = await this.resolveChatId(numero);
+
+        this.logger.info(`[${this.sessionId}] Preparando archivo: ${file.originalname}`);
+
+        if (!fs.existsSync(file.path)) {
+            this.logger.error(`[${this.sessionId}] El archivo no existe: ${file.path}`);
+            throw permanentError('El archivo no se pudo procesar');
+        }
+
+        const fileMimeType = file.mimetype || mime.lookup(file.path) || 'application/octet-stream';
+        const fileName = file.originalname || `file_${Date.now()}${path.extname(file.path) || '.dat'}`;
+
+        let fileData;
+        try {
+            fileData = fs.readFileSync(file.path, { encoding: 'base64' });
+        } catch (readError) {
+            this.logger.error(`[${this.sessionId}] Error leyendo archivo: ${readError.message}`);
+            throw permanentError('Error procesando el archivo');
+        }
+
+        if (!fileData || fileData.length === 0) {
+            this.logger.error(`[${this.sessionId}] El archivo está vacío`);
+            throw permanentError('El archivo está vacío');
+        }
+
+        let media;
+        try {
+            media = new MessageMedia(fileMimeType, fileData, fileName);
+        } catch (mediaError) {
+            this.logger.error(`[${this.sessionId}] Error creando MessageMedia: ${mediaError.message}`);
+            throw permanentError('Error preparando el archivo');
+        }
+
+        const options = {
+            caption: caption || '',
+            sendMediaAsSticker: false
+        };
+        if (quoted) {
+            options.quotedMessageId = quoted.id;
+        }
+
+        if (forceDocument || fileMimeType.startsWith('video/')) {
+            options.sendMediaAsDocument = true;
+        } else if (fileMimeType.startsWith('image/') && file.size < 1024 * 1024) {
+            options.sendMediaAsDocument = false;
+        } else if (fileMimeType.startsWith('audio/') && file.size < 10 * 1024 * 1024) {
+            options.sendMediaAsDocument = false;
+            options.sendAudioAsVoice = fileMimeType.includes('ogg') || fileMimeType.includes('opus');
+        } else {
+            options.sendMediaAsDocument = true;
+        }
+
+        this.logger.info(`[${this.sessionId}] Enviando archivo...`);
+
+        let result = null;
+        try {
+            result = await withTimeout(this.client.sendMessage(chatId, media, options), 60000, 'Timeout enviando archivo');
+            this.logger.info(`[${this.sessionId}] Archivo enviado exitosamente`);
+        } catch (sendError) {
+            const errorMsg = sendError.message || '';
+            this.logger.error(`[${this.sessionId}] Error enviando: ${errorMsg}`);
+
+            // Reintentar aquí duplicaría el mensaje: el error ocurre después de enviarlo
+            if (errorMsg.includes('serialize') ||
+                errorMsg.includes('getMessageModel') ||
+                errorMsg.includes('Cannot read properties') ||
+                errorMsg === 'Evaluation failed: a') {
+                this.logger.warn(`[${this.sessionId}] Error post-envío, mensaje probablemente enviado`);
+            } else if (errorMsg.includes('Timeout')) {
+                throw permanentError('Timeout al enviar. El mensaje pudo haberse enviado, no se reintenta.');
+            } else {
+                throw sendError;
+            }
+        }
+
+        return {
+            messageId: result?.id?._serialized || null,
+            fileInfo: {
+                name: fileName,
+                type: fileMimeType,
+                size: file.size,
+                sentAs: options.sendMediaAsDocument ? 'document' : 'media'
+            }
+        };
+    }
+
+    /**
+     * Mensaje de whatsapp-web.js por su id serializado
+     */
+    async findMessage(ref) {
+        const msg = await this.client.getMessageById(ref.id);
+        if (!msg) {
+            throw permanentError('El mensaje ya no está disponible en WhatsApp');
+        }
+        return msg;
+    }
+
+    async reactToMessage(ref, emoji) {
+        const msg = await this.findMessage(ref);
+
+        this.logger.info(`[${this.sessionId}] Reaccionando ${emoji || '(quitar)'} a ${ref.id}`);
+        await msg.react(emoji);
+
+        return { messageId: ref.id };
+    }
+
+    async editMessage(ref, text) {
+        const msg = await this.findMessage(ref);
+
+        this.logger.info(`[${this.sessionId}] Editando mensaje ${ref.id}`);
+        const edited = await msg.edit(text);
+        if (!edited) {
+            throw permanentError('WhatsApp no permitió editar el mensaje');
+        }
+
+        return { messageId: ref.id };
+    }
+
+    async deleteMessage(ref) {
+        const msg = await this.findMessage(ref);
+
+        this.logger.info(`[${this.sessionId}] Eliminando mensaje ${ref.id} para todos`);
+        await msg.delete(true);
+
+        return { messageId: ref.id };
+    }
+
+    async downloadMedia(msg) {
+        const media = await msg.downloadMedia();
+        if (!media || !media.data) return null;
+
+        return {
+            data: Buffer.from(media.data, 'base64'),
+            mimetype: media.mimetype || null,
+            filename: media.filename || null
+        };
+    }
+
+    async getGroupChat(groupId) {
+        if (!isGroupJid(groupId)) {
+            throw permanentError('Id de grupo inválido (debe terminar en @g.us)');
+        }
+
+        const chat = await this.client.getChatById(groupId).catch(() => null);
+        if (!chat || !chat.isGroup) {
+            throw permanentError('Grupo no encontrado');
+        }
+        return chat;
+    }
+
+    formatGroup(chat, withParticipants = false) {
+        const participants = (chat.participants || []).map(participant => ({
+            id: participant.id._serialized,
+            number: participant.id.user,
+            admin: participant.isSuperAdmin ? 'superadmin' : participant.isAdmin ? 'admin' : null
+        }));
+
+        return {
+            id: chat.id._serialized,
+            name: chat.name,
+            description: chat.description || null,
+            owner: chat.owner?._serialized || null,
+            createdAt: chat.createdAt ? new Date(chat.createdAt).getTime() : null,
+            participantsCount: participants.length,
+            ...(withParticipants ? { participants } : {})
+        };
+    }
+
+    async listGroups() {
+        const chats = await this.client.getChats();
+        return chats.filter(chat => chat.isGroup).map(chat => this.formatGroup(chat));
+    }
+
+    async getGroup(groupId) {
+        return this.formatGroup(await this.getGroupChat(groupId), true);
+    }
+
+    async createGroup(name, participants) {
+        const numbers = normalizeParticipants(participants);
+        const result = await this.client.createGroup(name, numbers.map(number => `${number}@c.us`));
+
+        // whatsapp-web.js devuelve el mensaje de error como texto
+        if (typeof result === 'string') {
+            throw new Error(result);
+        }
+
+        const added = result.participants || {};
+        this.logger.info(`[${this.sessionId}] 👥 Grupo creado: ${name} (${result.gid._serialized})`);
+
+        return {
+            id: result.gid._serialized,
+            name: result.title || name,
+            participants: numbers.map(number => {
+                const info = added[`${number}@c.us`];
+                return participantResult(number, info ? info.statusCode : 404, info && info.message);
+            })
+        };
+    }
+
+    async addParticipants(groupId, participants) {
+        const chat = await this.getGroupChat(groupId);
+        const numbers = normalizeParticipants(participants);
+        const result = await chat.addParticipants(numbers.map(number => `${number}@c.us`));
+
+        if (typeof result === 'string') {
+            throw new Error(result);
+        }
+
+        return numbers.map(number => {
+            const info = result[`${number}@c.us`];
+            return participantResult(number, info ? info.code : 404, info && info.message);
+        });
+    }
+
+    async removeParticipants(groupId, participants) {
+        const chat = await this.getGroupChat(groupId);
+        const numbers = normalizeParticipants(participants);
+        const members = new Set((chat.participants || []).map(participant => participant.id.user));
+
+        const present = numbers.filter(number => members.has(number));
+        if (present.length > 0) {
+            await chat.removeParticipants(present.map(number => `${number}@c.us`));
+        }
+
+        return numbers.map(number => members.has(number)
+            ? participantResult(number, 200)
+            : { number, success: false, error: 'No es participante del grupo' });
+    }
+
+    async getInviteLink(groupId) {
+        const chat = await this.getGroupChat(groupId);
+        const code = await chat.getInviteCode();
+        return `https://chat.whatsapp.com/${code}`;
+    }
+
+    async logout() {
+        try {
+            await this.client.logout();
+        } finally {
+            this.setStatus('disconnected');
+        }
+    }
+
+    async destroy() {
+        this.client.removeAllListeners();
+        await this.client.destroy();
+    }
+}
+
+module.exports = { WwebjsDriver };
@@ -1,5 +1,5 @@
 const express = require('express');
-const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion } = require('baileys');
+const { default: makeWASocket, DisconnectReason, useMultiFileAuthState, fetchLatestBaileysVersion, downloadMediaMessage } = require('baileys');
 const qrcode = require('qrcode');
 const fs = require('fs-extra');
 const path = require('path');
@@ -11,6 +11,28 @@ const os = require('os');
 const cors = require('cors');
 const pino = require('pino');
 const crypto = require('crypto');
+const { MessageStatusTracker } = require('./MessageStatusTracker');
+const { WebhookDispatcher } = require('./WebhookDispatcher');
+const { normalizeBaileysMessage, isBaileysPollUpdate } = require('./InboundMessage');
+const { IdempotencyStore } = require('./IdempotencyStore');
+const { TemplateStore } = require('./TemplateStore');
+const { AutoReplyManager, autoReplyInput } = require('./AutoReplyManager');
+const { InboxStore, agentInput } = require('./InboxStore');
+const { AssignmentStore } = require('./AssignmentStore');
+const { ApiKeyStore, API_SCOPES, API_KEY_CLIENT_SCRIPT } = require('./ApiKeyStore');
+const { EventStream, EVENT_STREAM_CLIENT_SCRIPT } = require('./EventStream');
+const { MediaStore } = require('./MediaStore');
+const { ConversationStore, toChatId, parseDateFilter } = require('./ConversationStore');
+const { isGroupJid, normalizeParticipants, permanentError } = require('./WhatsappDriver');
+const { baileysPollVotes, baileysMessageKey, baileysQuoted, lookupBaileysNumbers, formatBaileysGroup, createdGroupResult, participantUpdateResults } = require('./BaileysDriver');
+const { parseInteractive, interactiveText, toBaileysContent, patchInteractiveMessage } = require('./InteractiveMessage');
+const { PollStore } = require('./PollStore');
+const { parseLocation, parseContact, buildVCard, locationText, checkStickerSource, toWebpSticker } = require('./MessageContent');
+const { loadMediaInput } = require('./RemoteMedia');
+const { toMessageRef, chatNumber, checkTarget, parseReaction, checkEditable, checkDeletable } = require('./MessageActions');
+const { NumberLookupCache, parseNumberList, checkNumbers, summarizeChecks } = require('./NumberLookup');
+const { normalizePhone, normalizeRecipient } = require('./PhoneNumber');
+const { isValidSessionId, isInsideDir } = require('./SessionId');
 const activeConnections = new Map(); // Track active connection attempts
 
 global.crypto = crypto;
@@ -39,7 +61,8 @@ const app = express();
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key'],
+  exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 const port = process.env.PORT || 8083;
@@ -47,86 +70,160 @@ const port = process.env.PORT || 8083;
 // Archivo para almacenar información de sesiones
 const SESSION_INFO_FILE = path.join(__dirname, 'session-info.json');
 
+// Credenciales de Baileys: una carpeta por sesión
+const SESSIONS_DIR = path.join(__dirname, 'sessions');
+
+// Claves de API (solo se guarda su hash)
+const API_KEYS_FILE = path.join(__dirname, 'api-keys.json');
+
+// Archivo con el estado de entrega (acks) de los mensajes enviados
+const MESSAGE_STATUS_FILE = path.join(__dirname, 'message-status.json');
+
+// Archivo con los webhooks registrados por sesión
+const WEBHOOKS_FILE = path.join(__dirname, 'webhooks.json');
+
+// Archivo con los resultados de send-message por clave de idempotencia
+const IDEMPOTENCY_FILE = path.join(__dirname, 'idempotency-keys.json');
+
+// Respuestas automáticas por sesión (compartidas con main.js y main-multisession.js)
+const AUTO_REPLIES_FILE = path.join(__dirname, 'auto-replies.json');
+
+// Bandeja de entrada multiagente: agentes y conversaciones (compartida con main.js y main-multisession.js)
+const INBOX_FILE = path.join(__dirname, 'inbox.json');
+
+// Plantillas de mensajes (compartidas con main.js) y sus adjuntos
+const TEMPLATES_FILE = path.join(__dirname, 'templates.json');
+const TEMPLATES_DIR = path.join(__dirname, 'template-files');
+
+// Asignaciones de roles a sesiones (compartidas con main.js)
+const ASSIGNMENTS_FILE = path.join(__dirname, 'assignments.json');
+const LARAVEL_ENV_PATH = process.env.LARAVEL_ENV_PATH || '../redis-laravel/.env';
+
+// Archivos recibidos de los clientes, un directorio por sesión (compartido con main.js)
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+
+// Historial de conversaciones (un JSONL por sesión, compartido con main.js)
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || path.join(__dirname, 'conversations');
+
+// Encuestas enviadas (para leer sus votos, compartido con main.js)
+const POLLS_FILE = path.join(__dirname, 'polls.json');
+
 // 2. Configuración de middleware
-app.use(express.json());
+// Límite amplio para los archivos en base64 (media_base64)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.static('public'));
+
+// Claves de API: todas las rutas /api requieren una clave con el alcance adecuado
+const apiKeys = new ApiKeyStore(API_KEYS_FILE, logger);
+app.use('/api', apiKeys.middleware());
+
+// Script de los dashboards para enviar la clave de API
+app.get('/api-key.js', (req, res) => {
+    res.type('application/javascript').send(API_KEY_CLIENT_SCRIPT);
+});
+
+// Script de las páginas de QR para recibir eventos de la sesión
+app.get('/session-events.js', (req, res) => {
+    res.type('application/javascript').send(EVENT_STREAM_CLIENT_SCRIPT);
+});
+
+// Emitir clave de API (la clave en claro solo se muestra en esta respuesta)
+app.post('/api/api-keys', (req, res) => {
+    try {
+        const apiKey = apiKeys.issue({ name: req.body.name, scopes: req.body.scopes });
+        res.status(201).json({
+            success: true,
+            message: 'Clave emitida. Guárdela: no se volverá a mostrar.',
+            apiKey
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar claves de API (sin el valor de la clave)
+app.get('/api/api-keys', (req, res) => {
+    res.json({ scopes: API_SCOPES, keys: apiKeys.list() });
+});
+
+// Revocar clave de API
+app.delete('/api/api-keys/:id', (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+        return res.status(404).json({ error: 'Clave no encontrada o ya revocada' });
+    }
+    res.json({ success: true, message: 'Clave revocada' });
+});
 const upload = multer({
     dest: 'uploads/',
-    limits: { fileSize: 30 * 1024 * 1024 } // 30MB
+    limits: {
+        fileSize: 30 * 1024 * 1024, // 30MB
+        fieldSize: 25 * 1024 * 1024 // media_base64 como campo de texto
+    }
 });
 
 // 3. Almacenamiento de sesiones
 const sessions = new Map(); // { sessionId → { sock, qrData, status, lastActivity } }
 
-// Variables globales para asignaciones Laravel
-let laravelEnvPath = process.env.LARAVEL_ENV_PATH || '../redis-laravel/.env';
-const sessionAssignments = {
-    sells: null,
-    coordination: null
-};
+// Estado de entrega de los mensajes enviados (sent → acks)
+const messageStatus = new MessageStatusTracker(MESSAGE_STATUS_FILE, logger);
 
-// Funciones auxiliares para Laravel .env
-function updateLaravelEnv(key, value) {
-    try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            logger.warn(`Archivo Laravel .env no encontrado en: ${laravelEnvPath}`);
-            return false;
-        }
+// Webhooks por sesión (mensajes entrantes, acks y cambios de conexión)
+const webhookDispatcher = new WebhookDispatcher(WEBHOOKS_FILE, logger);
 
-        let envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        let found = false;
+// Eventos en tiempo real para el dashboard y el panel de Laravel (SSE)
+const eventStream = new EventStream(logger);
 
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith(`${key}=`)) {
-                lines[i] = `${key}=${value || ''}`;
-                found = true;
-                break;
-            }
-        }
+// Archivos recibidos (comprobantes, fotos, audios...) con retención configurable
+const mediaStore = new MediaStore(MEDIA_DIR, logger);
 
-        if (!found) {
-            lines.push(`${key}=${value || ''}`);
-        }
+// Historial de mensajes enviados y recibidos (auditoría por chat)
+const conversationStore = new ConversationStore(CONVERSATIONS_DIR, logger);
 
-        fs.writeFileSync(laravelEnvPath, lines.join('\n'));
-        logger.info(`✅ Laravel .env actualizado: ${key}=${value || 'VACÍO'}`);
-        return true;
+// Encuestas enviadas: Baileys necesita la original para descifrar los votos
+const pollStore = new PollStore(POLLS_FILE, logger);
 
-    } catch (error) {
-        logger.error(`❌ Error actualizando Laravel .env: ${error.message}`);
-        return false;
-    }
-}
+// Números ya verificados en WhatsApp (contacts/check), con TTL
+const numberLookupCache = new NumberLookupCache(logger);
 
-function getCurrentAssignmentsFromEnv() {
-    try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            return { sells: null, coordination: null };
-        }
+// Resultados de send-message por clave de idempotencia (reintentos de Laravel)
+const idempotencyStore = new IdempotencyStore(IDEMPOTENCY_FILE, logger);
 
-        const envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        
-        const assignments = { sells: null, coordination: null };
-        
-        for (const line of lines) {
-            if (line.startsWith('WHATSAPP_VENTAS_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.sells = sessionId;
-            } else if (line.startsWith('WHATSAPP_COORDINACION_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.coordination = sessionId;
-            }
-        }
-        
-        return assignments;
-    } catch (error) {
-        logger.error(`Error leyendo asignaciones del .env: ${error.message}`);
-        return { sells: null, coordination: null };
+// Plantillas de mensajes con {{variables}}
+const templateStore = new TemplateStore(TEMPLATES_FILE, TEMPLATES_DIR, logger);
+
+// Respuestas automáticas: reglas por palabra clave/regex, saludo y mensaje fuera de horario
+const autoReplies = new AutoReplyManager(AUTO_REPLIES_FILE, logger, {
+    history: (sessionId) => conversationStore.read(sessionId)
+});
+
+// Campos que llegan como texto en multipart/form-data
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
+    try {
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
     }
+};
+
+// Roles → sesión; la primera vez se toman las asignaciones que había en el .env de Laravel
+const assignmentStore = new AssignmentStore(ASSIGNMENTS_FILE, logger);
+assignmentStore.importFromEnv(LARAVEL_ENV_PATH);
+
+// Sesión conectada y lista para enviar
+function isSessionReady(sessionId) {
+    const session = sessions.get(sessionId);
+    return !!(session && session.status === 'authenticated' && session.sock && session.sock.user);
 }
 
+// Failover entre las sesiones de un rol: avisar a los webhooks de ambas sesiones
+assignmentStore.on('failover', (event) => {
+    [...new Set([event.from, event.to])].forEach(sessionId => {
+        webhookDispatcher.dispatch(sessionId, 'failover', event);
+        eventStream.publish(sessionId, 'failover', event);
+    });
+});
+
 // Función para guardar información de sesiones para persistencia
 const saveSessionInfo = () => {
     try {
@@ -186,7 +283,10 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
     // Marcar como conexión en proceso
     const connectionPromise = (async () => {
         try {
-            const sessionDir = path.join(__dirname, 'sessions', sessionId);
+            const sessionDir = path.join(SESSIONS_DIR, sessionId);
+            if (!isValidSessionId(sessionId) || !isInsideDir(SESSIONS_DIR, sessionDir)) {
+                throw new Error(`sessionId inválido: ${sessionId}`);
+            }
             
             // Crear directorio de sesión
             await fs.ensureDir(sessionDir);
@@ -210,7 +310,8 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
                 emitOwnEvents: false,
                 generateHighQualityLinkPreview: true,
                 getMessage: async (key) => {
-                    return {
+                    // Las encuestas se devuelven completas para poder descifrar sus votos
+                    return pollStore.message(sessionId, key.id) || {
                         conversation: 'Hello'
                     };
                 },
@@ -218,27 +319,7 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
                 markOnlineOnConnect: false,
                 retryRequestDelayMs: 2000,
                 shouldIgnoreJid: jid => jid.includes('@broadcast'),
-                patchMessageBeforeSending: (msg) => {
-                    const requiresPatch = !!(
-                        msg.buttonsMessage 
-                        || msg.templateMessage
-                        || msg.listMessage
-                    );
-                    if (requiresPatch) {
-                        msg = {
-                            viewOnceMessage: {
-                                message: {
-                                    messageContextInfo: {
-                                        deviceListMetadataVersion: 2,
-                                        deviceListMetadata: {},
-                                    },
-                                    ...msg,
-                                },
-                            },
-                        };
-                    }
-                    return msg;
-                }
+                patchMessageBeforeSending: patchInteractiveMessage
             });
 
   
@@ -246,18 +327,23 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
             // Manejadores de eventos
             sock.ev.on('connection.update', async (update) => {
                 const { connection, lastDisconnect, qr } = update;
+                const previousStatus = sessions.get(sessionId)?.status || null;
 
                 if (qr) {
                     logger.info(`[${sessionId}] Nuevo QR generado`);
                     try {
                         const qrImage = await qrcode.toDataURL(qr, { width: 300, margin: 2 });
+                        const refreshCount = (sessions.get(sessionId)?.qrRefreshCount || 0) + 1;
                         sessions.set(sessionId, {
                             ...sessions.get(sessionId),
+                            sock, // el socket que muestra este QR es el que acepta código de vinculación
                             qrData: { qr, qrImage },
+                            qrRefreshCount: refreshCount,
                             status: 'waiting_qr',
                             lastActivity: Date.now()
                         });
                         saveSessionInfo();
+                        eventStream.publish(sessionId, 'qr', { qrImage, attempt: refreshCount }, { sensitive: ['qrImage'] });
                     } catch (err) {
                         logger.error(`[${sessionId}] Error generando QR: ${err.message}`);
                     }
@@ -271,6 +357,11 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
                     activeConnections.delete(sessionId);
                     
                     logger.warn(`[${sessionId}] Conexión cerrada: ${errorMessage}, reconectar: ${shouldReconnect}`);
+                    eventStream.publish(sessionId, 'disconnected', {
+                        reason: errorMessage,
+                        loggedOut: !shouldReconnect,
+                        reconnecting: shouldReconnect
+                    });
 
                     if (shouldReconnect && !errorMessage.includes('conflict')) {
                         sessions.set(sessionId, {
@@ -318,21 +409,103 @@ const createBaileysClient = async (sessionId, isRestore = false) => {
                         sock,
                         status: 'authenticated',
                         qrData: null,
+                        pairingCode: null,
                         lastActivity: Date.now(),
                         phoneNumber: phoneNumber,
                         user: user
                     });
                     saveSessionInfo();
+                    eventStream.publish(sessionId, 'ready', { phoneNumber, pushname: user?.name || null });
                     
                     // Mantener la referencia pero permitir nuevas conexiones si se necesitan
                     setTimeout(() => {
                         activeConnections.delete(sessionId);
                     }, 5000);
                 }
+
+                const currentSession = sessions.get(sessionId);
+                if (currentSession && currentSession.status !== previousStatus) {
+                    const connectionEvent = {
+                        status: currentSession.status,
+                        previousStatus,
+                        phoneNumber: currentSession.phoneNumber || null
+                    };
+                    webhookDispatcher.dispatch(sessionId, 'connection', connectionEvent);
+                    eventStream.publish(sessionId, 'status', connectionEvent);
+                    assignmentStore.evaluate(isSessionReady);
+                }
             });
 
             sock.ev.on('creds.update', saveCreds);
 
+            // Acks de entrega/lectura de los mensajes que enviamos
+            sock.ev.on('messages.update', (updates) => {
+                for (const { key, update } of updates) {
+                    // Votos de las encuestas enviadas: se entregan como mensajes entrantes
+                    if (update.pollUpdates) {
+                        baileysPollVotes(pollStore, sessionId, key, update.pollUpdates, sock.user?.id || null).forEach(vote => {
+                            conversationStore.recordInbound(sessionId, vote);
+                            webhookDispatcher.dispatch(sessionId, 'message', vote);
+                        });
+                        continue;
+                    }
+
+                    if (!key.fromMe || update.status === undefined || update.status === null) continue;
+
+                    const status = MessageStatusTracker.fromBaileysStatus(update.status);
+                    if (!status) continue;
+
+                    const record = messageStatus.updateByWaId(sessionId, key.id, status);
+                    const ack = {
+                        messageId: record ? record.id : null,
+                        waMessageId: key.id,
+                        to: key.remoteJid,
+                        status
+                    };
+                    webhookDispatcher.dispatch(sessionId, 'message_ack', ack);
+                    eventStream.publish(sessionId, 'message_ack', ack);
+                }
+            });
+
+            // Mensajes entrantes de clientes
+            sock.ev.on('messages.upsert', async ({ messages, type }) => {
+                if (type !== 'notify') return;
+
+                for (const msg of messages) {
+                    if (!msg.message || msg.key.fromMe || msg.key.remoteJid === 'status@broadcast') continue;
+                    if (isBaileysPollUpdate(msg)) continue;
+
+                    const session = sessions.get(sessionId);
+                    if (session) session.lastActivity = Date.now();
+
+                    // El webhook lleva el id y la URL del archivo ya guardado
+                    const message = normalizeBaileysMessage(msg, sock.user?.id || null);
+                    await mediaStore.storeInbound(sessionId, message, async () => ({
+                        data: await downloadMediaMessage(msg, 'buffer', {}, {
+                            logger: pino({ level: 'silent' }),
+                            reuploadRequest: sock.updateMediaMessage
+                        })
+                    }));
+                    conversationStore.recordInbound(sessionId, message);
+                    webhookDispatcher.dispatch(sessionId, 'message', message);
+                    recordInboxMessage(sessionId, message);
+                    sendAutoReply(sessionId, sock, message);
+                }
+            });
+
+            // Recibos de grupos: llegan por participante
+            sock.ev.on('message-receipt.update', (receipts) => {
+                for (const { key, receipt } of receipts) {
+                    if (!key.fromMe) continue;
+
+                    if (receipt.readTimestamp) {
+                        messageStatus.updateByWaId(sessionId, key.id, 'read');
+                    } else if (receipt.receiptTimestamp) {
+                        messageStatus.updateByWaId(sessionId, key.id, 'delivered');
+                    }
+                }
+            });
+
             return sock;
         } catch (error) {
             // En caso de error, limpiar la conexión activa
@@ -391,7 +564,11 @@ const restorePreviousSessions = async () => {
 
             try {
                 // Verificar si el directorio de sesión existe
-                const sessionDir = path.join(__dirname, 'sessions', info.sessionId);
+                const sessionDir = path.join(SESSIONS_DIR, String(info.sessionId));
+                if (!isValidSessionId(info.sessionId) || !isInsideDir(SESSIONS_DIR, sessionDir)) {
+                    logger.warn(`[${info.sessionId}] sessionId inválido en ${SESSION_INFO_FILE}, omitiendo`);
+                    continue;
+                }
                 if (!fs.existsSync(sessionDir)) {
                     logger.warn(`[${info.sessionId}] Directorio de sesión no encontrado, omitiendo`);
                     continue;
@@ -567,7 +744,16 @@ const monitorAndRestoreSessions = async () => {
 
 // 6. Endpoints
 app.post('/api/sessions', async (req, res) => {
-    const sessionId = uuidv4();
+    const sessionId = req.body.sessionId || uuidv4();
+
+    // El id termina en rutas de archivos que se borran al cerrar la sesión
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'sessionId inválido: use solo letras, números, guiones y guiones bajos (máx. 64)' });
+    }
+
+    if (sessions.has(sessionId)) {
+        return res.status(400).json({ error: 'La sesión ya existe' });
+    }
 
     try {
         const sock = await createBaileysClient(sessionId);
@@ -590,22 +776,298 @@ app.post('/api/sessions', async (req, res) => {
 });
 
 // --- MEJORA 2: Envío de mensajes con reconexión en caliente ---
-app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req, res) => {
+const handleSendMessage = async (req, res) => {
     const sessionId = req.params.id;
     let session = sessions.get(sessionId);
 
     let { numero, mensaje } = req.body;
-    const archivo = req.file;
+    let archivo = req.file;
+
+    // Número en formato internacional: "987654321" y "+51 987 654 321" son el mismo chat
+    if (numero) {
+        try {
+            numero = normalizeRecipient(numero);
+        } catch (err) {
+            if (archivo) {
+                try { fs.unlinkSync(archivo.path); } catch (error) {}
+            }
+            return res.status(400).json({ error: err.message });
+        }
+    }
+
+    // Respuesta citando un mensaje (reply_to: messageId de send-message o de un mensaje recibido);
+    // sin `numero` se responde en el chat del mensaje citado
+    let quoted = null;
+    if (req.body.reply_to) {
+        const target = conversationStore.findMessage(sessionId, String(req.body.reply_to));
+        let error = target ? null : { status: 404, message: 'El mensaje a responder no está en el historial de la sesión' };
+        if (target) {
+            try {
+                checkTarget(target);
+                if (numero && toChatId(numero) !== target.chatId) {
+                    error = { status: 400, message: 'reply_to pertenece a otro chat' };
+                }
+            } catch (err) {
+                error = { status: err.statusCode, message: err.message };
+            }
+        }
+
+        if (error) {
+            if (archivo) {
+                try { fs.unlinkSync(archivo.path); } catch (err) {}
+            }
+            return res.status(error.status).json({ error: error.message });
+        }
+
+        quoted = toMessageRef(target);
+        numero = numero || chatNumber(target.chatId);
+    }
+    const sendOptions = quoted ? { quoted: baileysQuoted(quoted) } : {};
 
     if (!numero) {
         return res.status(400).json({ error: 'Falta el número de destino' });
     }
-    numero = numero.replace(/@.*$/, '');
-    const jid = `${numero}@s.whatsapp.net`;
+    // Los grupos (@g.us) se envían a su JID; los números, a <número>@s.whatsapp.net
+    const jid = isGroupJid(numero) ? numero : `${numero}@s.whatsapp.net`;
+
+    // Archivo por URL o en base64: sigue el mismo camino que uno subido
+    if (req.body.media_url || req.body.media_base64) {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (err) {}
+            return res.status(400).json({ error: 'Envíe el archivo subido, media_url o media_base64: solo uno' });
+        }
+
+        try {
+            archivo = await loadMediaInput(req.body, { dir: 'uploads' });
+        } catch (err) {
+            logger.warn(`[${sessionId}] Archivo de send-message rechazado: ${err.message}`);
+            return res.status(err.statusCode || 400).json({ error: err.message });
+        }
+    }
+
+    // Tipos especiales: botones/lista/encuesta (`interactive`), ubicación (`location`)
+    // y contacto (`contact`) en JSON reemplazan a `mensaje`; `as_sticker` envía la imagen como sticker
+    const asSticker = req.body.as_sticker === 'true' || req.body.as_sticker === true;
+    const specialFields = ['interactive', 'location', 'contact'].filter(field => req.body[field]);
+    let interactive = null;
+    let location = null;
+    let contact = null;
+    try {
+        if (specialFields.length + (asSticker ? 1 : 0) > 1) {
+            throw new Error('Solo se puede enviar un tipo de mensaje a la vez: interactive, location, contact o as_sticker');
+        }
+        if (specialFields.length > 0 && (archivo || req.body.template)) {
+            throw new Error(`El campo ${specialFields[0]} no admite archivo ni plantilla`);
+        }
+        if (quoted && (specialFields.length > 0 || asSticker)) {
+            throw new Error('reply_to solo admite texto o archivo');
+        }
+
+        if (req.body.interactive) {
+            interactive = parseInteractive(parseJsonField(req.body.interactive));
+            mensaje = interactiveText(interactive);
+        } else if (req.body.location) {
+            location = parseLocation(parseJsonField(req.body.location));
+            mensaje = locationText(location);
+        } else if (req.body.contact) {
+            contact = parseContact(parseJsonField(req.body.contact));
+            mensaje = contact.name;
+        } else if (asSticker) {
+            if (req.body.template || mensaje) {
+                throw new Error('Un sticker no admite texto ni plantilla');
+            }
+            checkStickerSource(archivo);
+        }
+    } catch (err) {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+        return res.status(400).json({ error: err.message });
+    }
+
+    // Plantilla: su texto reemplaza a `mensaje` y aporta su adjunto si no se subió uno
+    const templateName = req.body.template || null;
+    let template = null;
+    if (templateName) {
+        template = templateStore.get(templateName);
+        if (!template) {
+            if (archivo) {
+                try { fs.unlinkSync(archivo.path); } catch (err) {}
+            }
+            return res.status(404).json({ error: `Plantilla no encontrada: ${templateName}` });
+        }
+
+        try {
+            mensaje = templateStore.render(template, parseJsonField(req.body.variables) || {});
+        } catch (err) {
+            if (archivo) {
+                try { fs.unlinkSync(archivo.path); } catch (e) {}
+            }
+            return res.status(400).json({ error: err.message, template: templateName });
+        }
+    }
+
+    // Se marca al intentar el envío: a partir de ahí un error no garantiza que el mensaje no saliera
+    let sendAttempted = false;
+
+    // Repetición de una llamada anterior: devolver el resultado original sin reenviar
+    const idempotencyKey = String(req.get('Idempotency-Key') || req.body.client_ref || '').trim() || null;
+    // Por rol la clave no depende de la sesión: un reintento tras un failover no reenvía
+    const idempotencyScope = req.params.role ? `role:${req.params.role}` : sessionId;
+    if (idempotencyKey) {
+        if (idempotencyKey.length > 255) {
+            return res.status(400).json({ error: 'La clave de idempotencia no puede superar 255 caracteres' });
+        }
+
+        const fingerprint = IdempotencyStore.fingerprint({
+            numero,
+            mensaje: mensaje || null,
+            template: templateName,
+            archivo: archivo ? [archivo.originalname, archivo.size] : null,
+            ...(interactive ? { interactive } : {}),
+            ...(location ? { location } : {}),
+            ...(contact ? { contact } : {}),
+            ...(asSticker ? { asSticker } : {}),
+            ...(quoted ? { replyTo: quoted.id } : {})
+        });
+        const previous = idempotencyStore.begin(idempotencyScope, idempotencyKey, fingerprint);
+
+        if (previous) {
+            if (archivo) {
+                try { fs.unlinkSync(archivo.path); } catch (err) {}
+            }
+
+            if (previous.fingerprint !== fingerprint) {
+                return res.status(422).json({ error: 'La clave de idempotencia ya se usó con un mensaje distinto', idempotencyKey });
+            }
+            if (previous.state === 'pending') {
+                return res.status(409).json({ error: 'Ya hay un envío en curso con esta clave de idempotencia', idempotencyKey });
+            }
+            if (previous.state === 'failed') {
+                return res.status(409).json({
+                    error: 'El envío con esta clave falló sin confirmar si el mensaje salió. Revise el historial del chat antes de reenviar con otra clave',
+                    idempotencyKey,
+                    outcome: 'unknown',
+                    previous: { statusCode: previous.statusCode, ...previous.body }
+                });
+            }
+
+            const record = previous.body.messageId ? messageStatus.get(previous.body.sessionId, previous.body.messageId) : null;
+            logger.info(`[${sessionId}] ♻️ Repetición de send-message con clave ${idempotencyKey}, no se reenvía`);
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(previous.statusCode).json({
+                ...previous.body,
+                idempotentReplay: true,
+                currentStatus: record ? record.status : null
+            });
+        }
+
+        // Un error de validación o previo al envío libera la clave para reintentar;
+        // uno durante el envío no (el mensaje pudo salir) y queda como fallido
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                idempotencyStore.complete(idempotencyScope, idempotencyKey, res.statusCode, body);
+            } else if (res.statusCode < 500 || !sendAttempted) {
+                idempotencyStore.release(idempotencyScope, idempotencyKey);
+            } else {
+                idempotencyStore.fail(idempotencyScope, idempotencyKey, res.statusCode, body);
+            }
+            return json(body);
+        };
+    }
+
+    if (template && !archivo) {
+        archivo = templateStore.copyAttachment(template, 'uploads');
+    }
+
+    // Registrar el mensaje enviado para seguir sus acks
+    function trackSent(sent) {
+        const messageId = sent?.key?.id || null;
+        if (messageId) {
+            messageStatus.track(sessionId, messageId, { waMessageId: messageId, to: numero, status: 'sent' });
+        }
+        eventStream.publish(sessionId, 'message_sent', { waMessageId: messageId, to: numero, role: req.params.role || null });
+        return messageId;
+    }
+
+    // Historial de conversaciones
+    function recordSent(messageId, media = null) {
+        conversationStore.recordOutbound(sessionId, {
+            to: numero,
+            body: mensaje || null,
+            type: interactive ? interactive.type : location ? 'location' : contact ? 'vcard' : asSticker ? 'sticker' : null,
+            media,
+            waMessageId: messageId,
+            interactive,
+            location,
+            contact,
+            quotedMessageId: quoted ? quoted.id : null,
+            role: req.params.role || null,
+            template: templateName,
+            clientRef: idempotencyKey || null
+        });
+    }
+
+    function publishFailed(error) {
+        eventStream.publish(sessionId, 'message_failed', { to: numero, error, role: req.params.role || null });
+    }
+
+    function statusUrl(messageId) {
+        return messageId ? `/api/sessions/${sessionId}/messages/${messageId}` : null;
+    }
 
     // Función auxiliar para intentar enviar el mensaje
     async function trySend(sock) {
-        if (archivo) {
+        sendAttempted = true;
+        if (interactive) {
+            logger.info(`[${sessionId}] Enviando mensaje interactivo (${interactive.type}) a ${jid}`);
+            const sent = await sock.sendMessage(jid, toBaileysContent(interactive));
+            if (interactive.type === 'poll') {
+                pollStore.remember(sessionId, sent);
+            }
+            const messageId = trackSent(sent);
+            recordSent(messageId);
+            return res.json({ success: true, message: 'Mensaje interactivo enviado con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
+        } else if (location) {
+            logger.info(`[${sessionId}] Enviando ubicación a ${jid}`);
+            const sent = await sock.sendMessage(jid, {
+                location: {
+                    degreesLatitude: location.latitude,
+                    degreesLongitude: location.longitude,
+                    name: location.name || undefined,
+                    address: location.address || undefined,
+                    url: location.url || undefined
+                }
+            });
+            const messageId = trackSent(sent);
+            recordSent(messageId);
+            return res.json({ success: true, message: 'Ubicación enviada con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
+        } else if (contact) {
+            logger.info(`[${sessionId}] Enviando contacto ${contact.name} a ${jid}`);
+            const sent = await sock.sendMessage(jid, {
+                contacts: { displayName: contact.name, contacts: [{ vcard: buildVCard(contact) }] }
+            });
+            const messageId = trackSent(sent);
+            recordSent(messageId);
+            return res.json({ success: true, message: 'Contacto enviado con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
+        } else if (archivo && asSticker) {
+            let sticker;
+            try {
+                sticker = await toWebpSticker(fs.readFileSync(archivo.path));
+            } catch (err) {
+                logger.error(`[${sessionId}] Error convirtiendo a sticker: ${err.message}`);
+                try { fs.unlinkSync(archivo.path); } catch (e) {}
+                return res.status(400).json({ error: 'No se pudo convertir la imagen a sticker' });
+            }
+            logger.info(`[${sessionId}] Enviando sticker (${sticker.length} bytes) a ${jid}`);
+            const sent = await sock.sendMessage(jid, { sticker, mimetype: 'image/webp' });
+            const messageId = trackSent(sent);
+            recordSent(messageId, mediaStore.storeOutbound(sessionId, archivo, { messageId }));
+            try { fs.unlinkSync(archivo.path); } catch (err) { logger.warn(`[${sessionId}] Error al eliminar archivo temporal: ${err.message}`); }
+            return res.json({ success: true, message: 'Sticker enviado con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
+        } else if (archivo) {
             logger.info(`[${sessionId}] Recibido archivo: ${archivo.originalname}, tamaño: ${archivo.size}, tipo: ${archivo.mimetype}`);
             if (archivo.size > 15 * 1024 * 1024) {
                 return res.status(400).json({ error: 'El archivo es demasiado grande. WhatsApp tiene un límite de 16MB' });
@@ -613,18 +1075,22 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
             const fileData = fs.readFileSync(archivo.path);
             const fileMimeType = archivo.mimetype || mime.lookup(archivo.path) || 'application/octet-stream';
             const fileName = archivo.originalname || `file_${Date.now()}${path.extname(archivo.originalname) || '.dat'}`;
-            await sock.sendMessage(jid, {
+            const sent = await sock.sendMessage(jid, {
                 document: fileData,
                 mimetype: fileMimeType,
                 fileName: fileName,
                 caption: mensaje || ''
-            });
+            }, sendOptions);
+            const messageId = trackSent(sent);
+            recordSent(messageId, mediaStore.storeOutbound(sessionId, { ...archivo, mimetype: fileMimeType, originalname: fileName }, { messageId }));
             try { fs.unlinkSync(archivo.path); } catch (err) { logger.warn(`[${sessionId}] Error al eliminar archivo temporal: ${err.message}`); }
-            return res.json({ success: true, message: 'Archivo enviado con éxito', sessionId, destinatario: numero });
+            return res.json({ success: true, message: 'Archivo enviado con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
         } else if (mensaje) {
             logger.info(`[${sessionId}] Enviando mensaje de texto a ${jid}`);
-            await sock.sendMessage(jid, { text: mensaje });
-            return res.json({ success: true, message: 'Mensaje de texto enviado con éxito', sessionId, destinatario: numero });
+            const sent = await sock.sendMessage(jid, { text: mensaje }, sendOptions);
+            const messageId = trackSent(sent);
+            recordSent(messageId);
+            return res.json({ success: true, message: 'Mensaje de texto enviado con éxito', sessionId, role: req.params.role, destinatario: numero, messageId, statusUrl: statusUrl(messageId) });
         } else {
             return res.status(400).json({ error: 'Se requiere un mensaje o un archivo' });
         }
@@ -660,10 +1126,12 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
                 return await trySend(session.sock);
             } else {
                 logger.error(`[${sessionId}] No se pudo reconectar la sesión a tiempo.`);
+                publishFailed('session_not_ready');
                 return res.status(503).json({ error: 'No se pudo reconectar la sesión. Intente nuevamente en unos segundos.', sessionId, status: 'recovering' });
             }
         } catch (err) {
             logger.error(`[${sessionId}] Error al reconectar y enviar: ${err.message}`);
+            publishFailed(err.message);
             return res.status(503).json({ error: 'Error al reconectar la sesión. Intente nuevamente.', sessionId, status: 'recovering' });
         }
     }
@@ -673,6 +1141,7 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
         return await trySend(session.sock);
     } catch (err) {
         logger.error(`[${sessionId}] Error al enviar el mensaje a ${jid}: ${err.message}`);
+        publishFailed(err.message);
         if (err.message.includes('not-authorized') || err.message.includes('connection closed') || err.message.includes('Connection Closed') || err.message.includes('Timed Out')) {
             sessions.set(sessionId, {
                 ...session,
@@ -684,7 +1153,20 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
         }
         return res.status(500).json({ error: err.message });
     }
-});
+};
+
+app.post('/api/sessions/:id/send-message', upload.single('archivo'), handleSendMessage);
+
+// Enviar mensaje por rol: se usa la sesión asignada actualmente al rol
+app.post('/api/roles/:role/send-message', (req, res, next) => {
+    const sessionId = assignmentStore.resolve(req.params.role, isSessionReady);
+    if (!sessionId) {
+        return res.status(404).json({ error: `No hay ninguna sesión asignada al rol ${req.params.role}` });
+    }
+
+    req.params.id = sessionId;
+    next();
+}, upload.single('archivo'), handleSendMessage);
 // --- FIN MEJORA 2 ---
 
 app.get('/api/sessions/:id/qr', async (req, res) => {
@@ -699,7 +1181,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
 
     if (session.status === 'authenticated') {
         const phoneNumber = session.phoneNumber || session.user?.id?.split('@')[0] || null;
-        const currentAssignments = getCurrentAssignmentsFromEnv();
+        const currentAssignments = assignmentStore.toMap();
 
         return res.send(`
             <!DOCTYPE html>
@@ -814,7 +1296,14 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     </div>
                 </div>
 
+                <script src="/api-key.js"></script>
+                <script src="/session-events.js"></script>
                 <script>
+                    // Si la sesión se desconecta, volver a mostrar el QR
+                    watchSession('${req.params.id}', {
+                        status: function (data) { if (data.status !== 'authenticated') location.reload(); }
+                    });
+
                     async function assignSession(sessionId, type) {
                         try {
                             const response = await fetch('/api/assign-number', {
@@ -843,9 +1332,9 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                             return;
                         }
                         
-                        const phoneNumber = prompt('Ingresa el número de teléfono (solo números):');
-                        if (!phoneNumber || !/^\d+$/.test(phoneNumber)) {
-                            alert('❌ Número inválido. Debe contener solo números');
+                        const phoneNumber = prompt('Ingresa el número de teléfono (p. ej. 987654321 o +51 987 654 321):');
+                        if (!phoneNumber || !phoneNumber.trim()) {
+                            alert('❌ Ingresa un número');
                             return;
                         }
                         
@@ -859,7 +1348,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                             const data = await response.json();
                             
                             if (response.ok) {
-                                alert('✅ Número ' + phoneNumber + ' asignado a ' + type.toUpperCase() + ' exitosamente!');
+                                alert('✅ Número ' + (data.phoneNumber || phoneNumber) + ' asignado a ' + type.toUpperCase() + ' exitosamente!');
                                 window.location.reload();
                             } else {
                                 throw new Error(data.error);
@@ -899,9 +1388,18 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
         return res.send(`
             <html><body>
                 <h1>Sesión ${req.params.id}</h1>
-                <p>Generando QR o conectando... <script>setTimeout(()=>location.reload(),2000)</script></p>
+                <p>Generando QR o conectando...</p>
                 <p>Estado: ${session.status}</p>
                 <p><button onclick="fetch('/api/sessions/${req.params.id}/reiniciar', {method: 'POST'}).then(() => window.location.reload())">Reiniciar sesión</button></p>
+                <script src="/api-key.js"></script>
+                <script src="/session-events.js"></script>
+                <script>
+                    // Recargar cuando llegue el QR o cambie el estado
+                    watchSession('${req.params.id}', {
+                        qr: function () { location.reload(); },
+                        status: function () { location.reload(); }
+                    });
+                </script>
             </body></html>
         `);
     }
@@ -1002,7 +1500,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                 <h1>📱 WhatsApp QR (Baileys)</h1>
                 
                 <div class="qr-container">
-                    <img src="${session.qrData.qrImage}" alt="QR Code">
+                    <img id="qr-image" src="${session.qrData.qrImage}" alt="QR Code">
                 </div>
                 
                 <div class="status waiting">
@@ -1010,7 +1508,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     <div style="font-size: 0.9rem; opacity: 0.9;">WhatsApp > Dispositivos vinculados</div>
                 </div>
                 
-                <div class="timer" id="timer">⏰ Recarga automática en: <span id="countdown">30</span>s</div>
+                <div class="timer" id="qr-attempt">🔄 QR #${session.qrRefreshCount || 1}</div>
                 
                 <div class="session-info">
                     <p><strong>Sesión ID:</strong> ${req.params.id.substring(0, 8)}...</p>
@@ -1031,38 +1529,9 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                 </div>
             </div>
             
+            <script src="/api-key.js"></script>
+            <script src="/session-events.js"></script>
             <script>
-                let countdown = 30;
-                let autoRefreshInterval;
-                let statusCheckInterval;
-                
-                function updateTimer() {
-                    document.getElementById('countdown').textContent = countdown;
-                    if (countdown <= 0) {
-                        location.reload();
-                    }
-                    countdown--;
-                }
-                
-                function startTimer() {
-                    updateTimer();
-                    autoRefreshInterval = setInterval(updateTimer, 1000);
-                }
-                
-                function checkSessionStatus() {
-                    fetch('/api/sessions/${req.params.id}/status')
-                        .then(response => response.json())
-                        .then(data => {
-                            if (data.authenticated) {
-                                clearInterval(autoRefreshInterval);
-                                clearInterval(statusCheckInterval);
-                                alert('✅ ¡WhatsApp conectado exitosamente!');
-                                window.location.href = '/api/sessions/${req.params.id}/qr';
-                            }
-                        })
-                        .catch(error => console.log('Error checking status:', error));
-                }
-                
                 function refreshQR() {
                     location.reload();
                 }
@@ -1075,17 +1544,21 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     }
                 }
                 
-                // Iniciar temporizador y verificación de estado
-                startTimer();
-                statusCheckInterval = setInterval(checkSessionStatus, 3000);
-                
-                // Verificar estado cada 3 segundos
-                checkSessionStatus();
-                
-                // Limpiar intervalos al cerrar la página
-                window.addEventListener('beforeunload', () => {
-                    clearInterval(autoRefreshInterval);
-                    clearInterval(statusCheckInterval);
+                // QR nuevo: cambiar la imagen sin recargar; al conectar mostrar la vista de la sesión
+                watchSession('${req.params.id}', {
+                    qr: function (data) {
+                        if (!data.qrImage) return location.reload();
+                        document.getElementById('qr-image').src = data.qrImage;
+                        document.getElementById('qr-attempt').textContent = '🔄 QR #' + data.attempt;
+                    },
+                    status: function (data) {
+                        if (data.status === 'authenticated') {
+                            alert('✅ ¡WhatsApp conectado exitosamente!');
+                            window.location.href = '/api/sessions/${req.params.id}/qr';
+                        } else if (data.status !== 'waiting_qr') {
+                            location.reload();
+                        }
+                    }
                 });
             </script>
         </body>
@@ -1110,164 +1583,984 @@ app.get('/api/sessions/:id/status', (req, res) => {
         status: session.status,
         authenticated: session.status === 'authenticated',
         qrAvailable: !!session.qrData,
+        pairingCodeRequested: !!session.pairingCode,
+        pairingPhoneNumber: session.pairingCode ? session.pairingCode.phoneNumber : null,
         phoneNumber: phoneNumber,
         lastActivity: session.lastActivity
     });
 });
 
-app.delete('/api/sessions/:id', async (req, res) => {
-    const session = sessions.get(req.params.id);
+// API: Vincular con código en lugar de escanear el QR (body: { phoneNumber })
+app.post('/api/sessions/:id/pairing-code', async (req, res) => {
+    const sessionId = req.params.id;
+    let session = sessions.get(sessionId);
     if (!session) return res.status(404).json({ error: 'Sesión no encontrada' });
 
+    if (session.status === 'authenticated') {
+        return res.status(409).json({ error: 'La sesión ya está vinculada', status: session.status });
+    }
+
+    let phoneNumber;
     try {
-        if (session.sock) {
-            await session.sock.logout();
-        }
+        phoneNumber = normalizePhone(req.body.phoneNumber, { label: 'número de teléfono' });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
 
-        const preserveFiles = req.query.preserve === 'true';
-        if (!preserveFiles) {
-            const sessionDir = path.join(__dirname, 'sessions', req.params.id);
-            if (fs.existsSync(sessionDir)) {
-                fs.removeSync(sessionDir);
-            }
-        }
+    // WhatsApp acepta el código cuando el socket ya muestra el QR (máximo 30 segundos)
+    for (let i = 0; i < 60 && session && session.status !== 'waiting_qr'; i++) {
+        await new Promise(r => setTimeout(r, 500));
+        session = sessions.get(sessionId);
+    }
 
-        sessions.delete(req.params.id);
-        saveSessionInfo();
+    if (!session || session.status !== 'waiting_qr' || !session.sock) {
+        return res.status(503).json({
+            error: 'La sesión no está lista para vincular. Intente nuevamente en unos segundos.',
+            status: session ? session.status : 'not_found'
+        });
+    }
+
+    if (session.sock.authState?.creds?.registered) {
+        return res.status(409).json({ error: 'La sesión ya está vinculada', status: session.status });
+    }
+
+    try {
+        logger.info(`[${sessionId}] 🔑 Solicitando código de vinculación para ${phoneNumber}`);
+        const code = await session.sock.requestPairingCode(phoneNumber);
+
+        sessions.set(sessionId, {
+            ...sessions.get(sessionId),
+            pairingCode: { code, phoneNumber, generatedAt: Date.now() },
+            lastActivity: Date.now()
+        });
+        eventStream.publish(sessionId, 'pairing_code', { code, phoneNumber }, { sensitive: ['code'] });
 
         res.json({
             success: true,
-            message: `Sesión ${req.params.id} eliminada correctamente`,
-            preserved: preserveFiles
+            sessionId,
+            phoneNumber,
+            code,
+            status: session.status,
+            statusUrl: `/api/sessions/${sessionId}/status`,
+            instructions: 'WhatsApp > Dispositivos vinculados > Vincular dispositivo > Vincular con el número de teléfono'
         });
-    } catch (err) {
-        logger.error(`Error eliminando sesión ${req.params.id}: ${err.message}`);
-        res.status(500).json({ error: 'Error al eliminar sesión' });
+    } catch (error) {
+        logger.error(`[${sessionId}] Error generando código de vinculación: ${error.message}`);
+        res.status(503).json({ error: error.message, status: session.status });
     }
 });
 
-app.get('/api/sessions', (req, res) => {
-    const sessionList = Array.from(sessions.entries()).map(([id, session]) => ({
-        sessionId: id,
-        status: session.status,
-        authenticated: session.status === 'authenticated',
-        phoneNumber: session.phoneNumber || session.user?.id?.split('@')[0] || null,
-        lastActivity: session.lastActivity
-    }));
+// Eventos en tiempo real (SSE): todas las sesiones (?sessions=a,b&types=qr,status) o una sola.
+// La imagen del QR solo se envía a claves con alcance manage-sessions.
+const eventsHandler = eventStream.handler({
+    includeSensitive: (req) => !req.apiKey || apiKeys.hasScope(req.apiKey, 'manage-sessions')
+});
+app.get('/api/events', eventsHandler);
+app.get('/api/sessions/:id/events', eventsHandler);
+
+// Archivo recibido de un cliente (?download=true para descargarlo como adjunto)
+app.get('/api/sessions/:id/media/:mediaId', (req, res) => {
+    const media = mediaStore.get(req.params.id, req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Archivo no encontrado' });
+    }
 
-    res.json({
-        count: sessionList.length,
-        sessions: sessionList
+    res.set(mediaStore.headers(media, { download: req.query.download === 'true' }));
+    res.sendFile(media.path);
+});
+
+// Historial: chats de la sesión con su último mensaje (?since=&until=&page=&limit=)
+app.get('/api/sessions/:id/chats', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.listChats(req.params.id, { since, until, page: req.query.page, limit: req.query.limit })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Historial de un chat: número o JID (?since=&until=&page=&limit=&order=asc|desc)
+app.get('/api/sessions/:id/chats/:jid/messages', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.getMessages(req.params.id, req.params.jid, { since, until, page: req.query.page, limit: req.query.limit, order })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Socket de una sesión conectada; si no lo está, responde el error y devuelve null
+function readySocket(req, res) {
+    const session = sessions.get(req.params.id);
+    if (!session) {
+        res.status(404).json({ error: 'Sesión no encontrada' });
+        return null;
+    }
+    if (!isSessionReady(req.params.id)) {
+        res.status(409).json({ error: 'La sesión no está conectada', status: session.status });
+        return null;
+    }
+    return session.sock;
+}
+
+// Metadatos del grupo, validando el id
+async function groupMetadata(sock, groupId) {
+    if (!isGroupJid(groupId)) {
+        throw permanentError('Id de grupo inválido (debe terminar en @g.us)');
+    }
+    const metadata = await sock.groupMetadata(groupId).catch(() => null);
+    if (!metadata) {
+        throw permanentError('Grupo no encontrado');
+    }
+    return metadata;
+}
+
+// Verificar qué números están registrados en WhatsApp
+// (body: { numbers: ['51987654321', ...] o '51987654321,51912345678', refresh })
+app.post('/api/sessions/:id/contacts/check', async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    let numbers;
+    try {
+        numbers = parseNumberList(req.body.numbers);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const results = await checkNumbers(numbers, numberLookupCache, (pending) => lookupBaileysNumbers(sock, pending), {
+            refresh: req.body.refresh === true || req.body.refresh === 'true'
+        });
+        res.json({ sessionId: req.params.id, ...summarizeChecks(results), results });
+    } catch (error) {
+        logger.error(`[${req.params.id}] Error verificando números: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Grupos en los que participa la sesión
+app.get('/api/sessions/:id/groups', async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    try {
+        const groups = Object.values(await sock.groupFetchAllParticipating()).map(metadata => formatBaileysGroup(metadata));
+        res.json({ sessionId: req.params.id, total: groups.length, groups });
+    } catch (error) {
+        logger.error(`[${req.params.id}] Error listando grupos: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Detalle de un grupo con sus participantes
+app.get('/api/sessions/:id/groups/:groupId', async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    try {
+        res.json({ sessionId: req.params.id, group: formatBaileysGroup(await groupMetadata(sock, req.params.groupId), true) });
+    } catch (error) {
+        res.status(error.permanent ? 404 : 500).json({ error: error.message });
+    }
+});
+
+// Crear grupo (body: { name, participants: ['51999...'] o '51999...,51988...' })
+app.post('/api/sessions/:id/groups', async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).json({ error: 'Falta el nombre del grupo' });
+    }
+
+    try {
+        const numbers = normalizeParticipants(req.body.participants);
+        const metadata = await sock.groupCreate(name, numbers.map(number => `${number}@s.whatsapp.net`));
+        logger.info(`[${req.params.id}] 👥 Grupo creado: ${name} (${metadata.id})`);
+
+        res.status(201).json({ success: true, sessionId: req.params.id, group: createdGroupResult(metadata, name, numbers) });
+    } catch (error) {
+        logger.error(`[${req.params.id}] Error creando grupo: ${error.message}`);
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Agregar (POST) o quitar (DELETE) participantes (body: { participants } o ?participants=)
+const updateGroupParticipants = (action) => async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    try {
+        await groupMetadata(sock, req.params.groupId);
+        const numbers = normalizeParticipants((req.body && req.body.participants) || req.query.participants);
+        const results = await sock.groupParticipantsUpdate(
+            req.params.groupId,
+            numbers.map(number => `${number}@s.whatsapp.net`),
+            action
+        );
+
+        const participants = participantUpdateResults(numbers, results);
+        res.json({ success: participants.every(p => p.success), groupId: req.params.groupId, participants });
+    } catch (error) {
+        logger.error(`[${req.params.id}] Error actualizando participantes (${action}): ${error.message}`);
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+};
+
+app.post('/api/sessions/:id/groups/:groupId/participants', updateGroupParticipants('add'));
+app.delete('/api/sessions/:id/groups/:groupId/participants', updateGroupParticipants('remove'));
+
+// Enlace de invitación del grupo (la sesión debe ser administradora)
+app.get('/api/sessions/:id/groups/:groupId/invite-link', async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    try {
+        await groupMetadata(sock, req.params.groupId);
+        const code = await sock.groupInviteCode(req.params.groupId);
+        res.json({ groupId: req.params.groupId, inviteLink: `https://chat.whatsapp.com/${code}` });
+    } catch (error) {
+        logger.error(`[${req.params.id}] Error obteniendo enlace de invitación: ${error.message}`);
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Estado de entrega de un mensaje enviado
+app.get('/api/sessions/:id/messages/:messageId', (req, res) => {
+    const { id: sessionId, messageId } = req.params;
+    const record = messageStatus.get(sessionId, messageId);
+
+    if (!record) {
+        return res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+
+    res.json({
+        sessionId,
+        messageId: record.id,
+        waMessageId: record.waMessageId,
+        destinatario: record.to,
+        status: record.status,
+        confirmed: record.confirmed !== false,
+        error: record.error,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        history: record.history
     });
 });
 
-// API: Asignar número a Laravel
-app.post('/api/assign-number', (req, res) => {
+// Responder citando un mensaje: mismos campos que send-message, `numero` es opcional
+app.post('/api/sessions/:id/messages/:messageId/reply', upload.single('archivo'), (req, res) => {
+    req.body.reply_to = req.params.messageId;
+    return handleSendMessage(req, res);
+});
+
+// Acción sobre un mensaje ya enviado o recibido: validar, enviar y registrar en el historial
+const handleMessageAction = (action, run) => async (req, res) => {
+    const sock = readySocket(req, res);
+    if (!sock) return;
+
+    const { id: sessionId, messageId } = req.params;
+    const entry = conversationStore.findMessage(sessionId, messageId);
+    if (!entry) {
+        return res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+
+    const ref = toMessageRef(entry);
+    const key = baileysMessageKey(ref);
     try {
-        const { sessionId, type } = req.body;
+        const body = await run(sock, entry, key, req.body || {});
+
+        conversationStore.recordOutbound(sessionId, {
+            to: entry.chatId,
+            type: action,
+            body,
+            source: action,
+            targetId: ref.id
+        });
+        eventStream.publish(sessionId, 'message_updated', { action, messageId: ref.id, chatId: entry.chatId, body });
+        logger.info(`[${sessionId}] ✏️ Mensaje ${ref.id}: ${action}`);
 
-        if (!type || !['sells', 'coordination'].includes(type)) {
-            return res.status(400).json({ error: 'Tipo debe ser "sells" o "coordination"' });
+        res.json({ success: true, sessionId, action, messageId: ref.id, chatId: entry.chatId, body });
+    } catch (error) {
+        if (error.statusCode) {
+            return res.status(error.statusCode).json({ error: error.message });
         }
+        logger.error(`[${sessionId}] Error en ${action} del mensaje ${ref.id}: ${error.message}`);
+        res.status(500).json({ error: error.message });
+    }
+};
 
-        const session = sessionId ? sessions.get(sessionId) : null;
-        
-        if (sessionId && !session) {
-            return res.status(404).json({ error: 'Sesión no encontrada' });
+// Reaccionar con un emoji (body: { emoji }; "" quita la reacción)
+app.post('/api/sessions/:id/messages/:messageId/react', handleMessageAction('reaction', async (sock, entry, key, body) => {
+    const emoji = parseReaction(body.emoji);
+    checkTarget(entry);
+    await sock.sendMessage(key.remoteJid, { react: { text: emoji, key } });
+    return emoji;
+}));
+
+// Editar un texto enviado hace menos de 15 minutos (body: { mensaje })
+app.post('/api/sessions/:id/messages/:messageId/edit', handleMessageAction('edit', async (sock, entry, key, body) => {
+    const text = checkEditable(entry, body.mensaje);
+    await sock.sendMessage(key.remoteJid, { text, edit: key });
+    return text;
+}));
+
+// Eliminar para todos un mensaje enviado por la sesión
+app.delete('/api/sessions/:id/messages/:messageId', handleMessageAction('revoke', async (sock, entry, key) => {
+    checkDeletable(entry);
+    await sock.sendMessage(key.remoteJid, { delete: key });
+    return null;
+}));
+
+// Responder un mensaje entrante si alguna regla de respuesta automática aplica
+const sendAutoReply = async (sessionId, sock, message) => {
+    try {
+        const match = autoReplies.evaluate(sessionId, message);
+        if (!match) return;
+
+        const sent = await sock.sendMessage(message.from, { text: match.reply });
+        const messageId = sent?.key?.id || null;
+        if (messageId) {
+            messageStatus.track(sessionId, messageId, { waMessageId: messageId, to: message.from, status: 'sent' });
         }
+        eventStream.publish(sessionId, 'message_sent', { waMessageId: messageId, to: message.from, autoReplyId: match.ruleId });
+        conversationStore.recordOutbound(sessionId, {
+            to: message.from,
+            body: match.reply,
+            waMessageId: messageId,
+            source: 'auto-reply',
+            autoReplyId: match.ruleId
+        });
+        logger.info(`[${sessionId}] 🤖 Respuesta automática (${match.type}) para ${match.chatId}`);
+    } catch (error) {
+        logger.warn(`[${sessionId}] No se pudo enviar la respuesta automática: ${error.message}`);
+    }
+};
+
+// API: Configuración de respuestas automáticas de la sesión
+app.get('/api/sessions/:id/auto-replies', (req, res) => {
+    if (!sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    res.json(autoReplies.view(req.params.id));
+});
+
+// API: Activar/desactivar y configurar (enabled, cooldown_minutes, ignore_groups, business_hours)
+app.put('/api/sessions/:id/auto-replies', (req, res) => {
+    if (!sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const config = autoReplies.updateSettings(req.params.id, autoReplyInput(req.body));
+        res.json({ success: true, autoReplies: config });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Crear regla (type: keyword, regex o greeting + reply)
+app.post('/api/sessions/:id/auto-replies/rules', (req, res) => {
+    if (!sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
 
-        if (sessionId && session.status !== 'authenticated') {
-            return res.status(400).json({ error: 'Sesión no está lista' });
+    try {
+        const rule = autoReplies.createRule(req.params.id, autoReplyInput(req.body));
+        res.status(201).json({ success: true, rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.put('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    try {
+        const rule = autoReplies.updateRule(req.params.id, req.params.ruleId, autoReplyInput(req.body));
+        if (!rule) {
+            return res.status(404).json({ error: 'Regla no encontrada' });
         }
+        res.json({ success: true, rule });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
 
-        const envKey = type === 'sells' ? 'SELLS_API_URL' : 'COORDINATION_API_URL';
-        const url = sessionId ? `https://whatsapp2.probusiness.pe/api/sessions/${sessionId}/send-message` : '';
-        
-        const success = updateLaravelEnv(envKey, url);
-        
-        if (success) {
-            sessionAssignments[type] = sessionId;
-            
-            res.json({
-                success: true,
-                message: `Número ${sessionId ? 'asignado' : 'desasignado'} exitosamente`,
-                assignment: {
-                    type: type,
-                    service: type === 'sells' ? 'ventas' : 'coordinacion', // <-- NUEVO CAMPO
-                    sessionId: sessionId,
-                    phoneNumber: session?.phoneNumber || null
-                }
-            });
-        } else {
-            res.status(500).json({ error: 'Error actualizando archivo .env' });
+app.delete('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    if (!autoReplies.removeRule(req.params.id, req.params.ruleId)) {
+        return res.status(404).json({ error: 'Regla no encontrada' });
+    }
+    res.json({ success: true, message: 'Regla eliminada' });
+});
+
+// API: Probar las reglas sin enviar nada (body: { mensaje, numero, nombre })
+app.post('/api/sessions/:id/auto-replies/test', (req, res) => {
+    if (!sessions.has(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const numero = normalizeRecipient(req.body.numero || '51900000000');
+        const match = autoReplies.evaluate(req.params.id, {
+            id: null,
+            from: numero.includes('@') ? numero : `${numero}@s.whatsapp.net`,
+            body: req.body.mensaje || '',
+            pushName: req.body.nombre || null,
+            isGroup: numero.endsWith('@g.us'),
+            timestamp: Date.now()
+        }, { dryRun: true });
+        res.json({ sessionId: req.params.id, match });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Bandeja de entrada multiagente: los chats entrantes quedan sin asignar hasta que un agente los toma
+const inbox = new InboxStore(INBOX_FILE, logger);
+
+// Avisar a los dashboards de la bandeja (SSE)
+const publishInbox = (conversation, action) => {
+    eventStream.publish(conversation.sessionId, 'inbox', {
+        action,
+        conversationId: conversation.id,
+        chatId: conversation.chatId,
+        status: conversation.status,
+        agentId: conversation.agentId
+    });
+};
+
+const recordInboxMessage = (sessionId, message) => {
+    const conversation = inbox.recordInbound(sessionId, message);
+    if (conversation) publishInbox(conversation, 'message');
+};
+
+// Agente que hace la petición: el vinculado a la clave de API o `agent_id`
+const requestAgent = (req) => inbox.resolveAgent(req.apiKey, (req.body && req.body.agent_id) || req.query.agent_id);
+
+// API: Listar agentes
+app.get('/api/inbox/agents', (req, res) => {
+    res.json({ agents: inbox.listAgents() });
+});
+
+// API: Crear agente (body: { name, api_key_id })
+app.post('/api/inbox/agents', (req, res) => {
+    try {
+        const agent = inbox.createAgent(agentInput(req.body));
+        res.status(201).json({ success: true, agent });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Actualizar agente
+app.put('/api/inbox/agents/:agentId', (req, res) => {
+    try {
+        const agent = inbox.updateAgent(req.params.agentId, agentInput(req.body));
+        if (!agent) {
+            return res.status(404).json({ error: 'Agente no encontrado' });
+        }
+        res.json({ success: true, agent });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Eliminar agente (sus conversaciones quedan sin asignar)
+app.delete('/api/inbox/agents/:agentId', (req, res) => {
+    const result = inbox.removeAgent(req.params.agentId);
+    if (!result) {
+        return res.status(404).json({ error: 'Agente no encontrado' });
+    }
+
+    result.released.forEach(conversation => publishInbox(conversation, 'unassigned'));
+    res.json({ success: true, message: 'Agente eliminado', released: result.released.length });
+});
+
+// API: Conversaciones (?session_id=&status=open,pending&agent_id=<id>|none|me&page=&limit=)
+app.get('/api/inbox/conversations', (req, res) => {
+    try {
+        let agentId = req.query.agent_id || null;
+        if (agentId === 'me') {
+            const agent = inbox.resolveAgent(req.apiKey, null);
+            if (!agent) {
+                return res.status(400).json({ error: 'La clave de API no está vinculada a ningún agente' });
+            }
+            agentId = agent.id;
         }
 
+        res.json(inbox.list({
+            sessionId: req.query.session_id || null,
+            status: req.query.status || null,
+            agentId,
+            page: req.query.page,
+            limit: req.query.limit
+        }));
     } catch (error) {
-        logger.error(`Error en asignación: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
-app.get('/api/current-assignments', (req, res) => {
+// API: Conversación con sus mensajes del historial (?page=&limit=, más recientes primero)
+app.get('/api/inbox/conversations/:conversationId', (req, res) => {
+    const conversation = inbox.get(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
     try {
-        const assignments = getCurrentAssignmentsFromEnv();
-        res.json(assignments);
+        const history = conversationStore.getMessages(conversation.sessionId, conversation.chatId, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        res.json({ conversation: inbox.view(conversation), ...history });
     } catch (error) {
-        logger.error(`Error obteniendo asignaciones: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
-// API: Asignar número específico a Laravel
-app.post('/api/sessions/:sessionId/assign-number', async (req, res) => {
+// API: Tomar una conversación (body: { agent_id } si la clave no está vinculada a un agente)
+app.post('/api/inbox/conversations/:conversationId/claim', (req, res) => {
     try {
-        const { sessionId } = req.params;
-        const { type, phoneNumber } = req.body; // 'ventas' o 'coordinacion' + número
-        
-        if (!type || !['ventas', 'coordinacion'].includes(type)) {
-            return res.status(400).json({ error: 'Tipo de asignación inválido' });
+        const conversation = inbox.get(req.params.conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
         }
 
-        if (!phoneNumber || !/^\d+$/.test(phoneNumber)) {
-            return res.status(400).json({ error: 'Número de teléfono inválido' });
+        const agent = requestAgent(req);
+        if (!agent) {
+            return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+        }
+        if (conversation.agentId && conversation.agentId !== agent.id) {
+            const current = inbox.getAgent(conversation.agentId);
+            return res.status(409).json({ error: `La conversación ya está asignada a ${current ? current.name : conversation.agentId}` });
         }
 
-        const session = sessions.get(sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Sesión no encontrada' });
+        const claimed = inbox.assign(conversation.id, agent.id);
+        publishInbox(claimed, 'assigned');
+        res.json({ success: true, conversation: inbox.view(claimed) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Asignar a un agente o dejar sin asignar (body: { agent_id } o { agent_id: null })
+app.post('/api/inbox/conversations/:conversationId/assign', (req, res) => {
+    try {
+        const conversation = inbox.assign(req.params.conversationId, req.body.agent_id || null);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
         }
 
-        // Actualizar archivo .env de Laravel
-        const envPath = path.join(__dirname, '..', '../redis-laravel/.env');
-        if (fs.existsSync(envPath)) {
-            let envContent = fs.readFileSync(envPath, 'utf8');
-            
-            // Actualizar o agregar la variable correspondiente
-            const envVar = type === 'ventas' ? 'WHATSAPP_VENTAS' : 'WHATSAPP_COORDINACION';
-            
-            const regex = new RegExp(`^${envVar}=.*`, 'm');
-            if (regex.test(envContent)) {
-                envContent = envContent.replace(regex, `${envVar}=${phoneNumber}`);
-            } else {
-                envContent += `\n${envVar}=${phoneNumber}`;
+        publishInbox(conversation, conversation.agentId ? 'assigned' : 'unassigned');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Cambiar estado (body: { status: open | pending | closed })
+app.put('/api/inbox/conversations/:conversationId/status', (req, res) => {
+    try {
+        const conversation = inbox.setStatus(req.params.conversationId, req.body.status);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        publishInbox(conversation, 'status');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Marcar como leída
+app.post('/api/inbox/conversations/:conversationId/read', (req, res) => {
+    const conversation = inbox.markRead(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    res.json({ success: true, conversation: inbox.view(conversation) });
+});
+
+// API: Responder como agente por la misma sesión (body: { mensaje, agent_id })
+app.post('/api/inbox/conversations/:conversationId/messages', async (req, res) => {
+    const conversation = inbox.get(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    let agent;
+    try {
+        agent = requestAgent(req);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!agent) {
+        return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+    }
+    if (conversation.agentId && conversation.agentId !== agent.id) {
+        const current = inbox.getAgent(conversation.agentId);
+        return res.status(409).json({ error: `La conversación está asignada a ${current ? current.name : conversation.agentId}` });
+    }
+
+    const mensaje = typeof req.body.mensaje === 'string' ? req.body.mensaje.trim() : '';
+    if (!mensaje) {
+        return res.status(400).json({ error: 'Falta el mensaje' });
+    }
+
+    const session = sessions.get(conversation.sessionId);
+    if (!session) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    if (!isSessionReady(conversation.sessionId)) {
+        return res.status(409).json({ error: 'La sesión no está conectada', status: session.status });
+    }
+
+    try {
+        const to = `${normalizeRecipient(conversation.chatId)}@s.whatsapp.net`;
+        const sent = await session.sock.sendMessage(to, { text: mensaje });
+        const messageId = sent?.key?.id || null;
+        if (messageId) {
+            messageStatus.track(conversation.sessionId, messageId, { waMessageId: messageId, to, status: 'sent' });
+        }
+        session.lastActivity = Date.now();
+
+        eventStream.publish(conversation.sessionId, 'message_sent', { waMessageId: messageId, to, agentId: agent.id });
+        conversationStore.recordOutbound(conversation.sessionId, {
+            to,
+            body: mensaje,
+            waMessageId: messageId,
+            source: 'inbox',
+            inboxConversationId: conversation.id,
+            agentId: agent.id,
+            agentName: agent.name
+        });
+
+        const updated = inbox.recordReply(conversation.id, agent, mensaje);
+        publishInbox(updated, 'reply');
+        logger.info(`[${conversation.sessionId}] 📥 ${agent.name} respondió a ${conversation.chatId}`);
+
+        res.json({ success: true, message: 'Mensaje enviado', conversation: inbox.view(updated), messageId });
+    } catch (error) {
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Listar plantillas
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templateStore.list() });
+});
+
+// Obtener una plantilla
+app.get('/api/templates/:name', (req, res) => {
+    const template = templateStore.get(req.params.name);
+    if (!template) {
+        return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    res.json(template);
+});
+
+// Crear plantilla: name + mensaje con {{variables}} + archivo opcional
+app.post('/api/templates', upload.single('archivo'), (req, res) => {
+    const archivo = req.file;
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        try { fs.unlinkSync(archivo.path); } catch (e) {}
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    try {
+        const template = templateStore.create({
+            name: req.body.name,
+            mensaje: req.body.mensaje,
+            description: req.body.description
+        }, archivo);
+        res.status(201).json({ success: true, template });
+    } catch (err) {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Actualizar plantilla (remove_attachment=true quita el adjunto)
+app.put('/api/templates/:name', upload.single('archivo'), (req, res) => {
+    const archivo = req.file;
+
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+    };
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        discardUpload();
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    try {
+        const template = templateStore.update(req.params.name, {
+            mensaje: req.body.mensaje,
+            description: req.body.description,
+            removeAttachment: req.body.remove_attachment === 'true' || req.body.remove_attachment === true
+        }, archivo);
+
+        if (!template) {
+            discardUpload();
+            return res.status(404).json({ error: 'Plantilla no encontrada' });
+        }
+        res.json({ success: true, template });
+    } catch (err) {
+        discardUpload();
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Eliminar plantilla
+app.delete('/api/templates/:name', (req, res) => {
+    if (!templateStore.remove(req.params.name)) {
+        return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    res.json({ success: true, message: `Plantilla ${req.params.name} eliminada` });
+});
+
+// Registrar webhook de la sesión
+app.post('/api/sessions/:id/webhooks', (req, res) => {
+    const sessionId = req.params.id;
+    if (!sessions.get(sessionId)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    const { url, secret, events } = req.body;
+    if (!url) {
+        return res.status(400).json({ error: 'Falta la URL del webhook' });
+    }
+
+    try {
+        const webhook = webhookDispatcher.register(sessionId, { url, secret, events });
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registrado. Guarde el secreto: no se volverá a mostrar.',
+            webhook
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar webhooks de la sesión
+app.get('/api/sessions/:id/webhooks', (req, res) => {
+    res.json({
+        sessionId: req.params.id,
+        webhooks: webhookDispatcher.list(req.params.id)
+    });
+});
+
+// Eliminar webhook
+app.delete('/api/sessions/:id/webhooks/:webhookId', (req, res) => {
+    if (!webhookDispatcher.remove(req.params.id, req.params.webhookId)) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({ success: true, message: 'Webhook eliminado' });
+});
+
+app.delete('/api/sessions/:id', async (req, res) => {
+    const session = sessions.get(req.params.id);
+    if (!session) return res.status(404).json({ error: 'Sesión no encontrada' });
+
+    try {
+        if (session.sock) {
+            await session.sock.logout();
+        }
+
+        const preserveFiles = req.query.preserve === 'true';
+        if (!preserveFiles) {
+            const sessionDir = path.join(SESSIONS_DIR, req.params.id);
+            if (!isInsideDir(SESSIONS_DIR, sessionDir)) {
+                logger.error(`[${req.params.id}] Directorio fuera de ${SESSIONS_DIR}, no se elimina: ${sessionDir}`);
+            } else if (fs.existsSync(sessionDir)) {
+                fs.removeSync(sessionDir);
             }
-            
-            fs.writeFileSync(envPath, envContent);
-            logger.info(`[${sessionId}] Número ${phoneNumber} asignado a ${type}`);
-        } else {
-            logger.warn('Archivo Laravel .env no encontrado en: ' + envPath);
+        }
+
+        sessions.delete(req.params.id);
+        saveSessionInfo();
+        eventStream.publish(req.params.id, 'deleted');
+
+        if (!preserveFiles) {
+            webhookDispatcher.removeSession(req.params.id);
+            autoReplies.removeSession(req.params.id);
+            inbox.removeSession(req.params.id);
+            mediaStore.removeSession(req.params.id);
+            pollStore.removeSession(req.params.id);
+            assignmentStore.removeSession(req.params.id, { reason: 'session_deleted' });
         }
 
         res.json({
             success: true,
-            message: `Número ${phoneNumber} asignado a ${type}`,
-            phoneNumber: phoneNumber
+            message: `Sesión ${req.params.id} eliminada correctamente`,
+            preserved: preserveFiles
         });
+    } catch (err) {
+        logger.error(`Error eliminando sesión ${req.params.id}: ${err.message}`);
+        res.status(500).json({ error: 'Error al eliminar sesión' });
+    }
+});
+
+app.get('/api/sessions', (req, res) => {
+    const sessionList = Array.from(sessions.entries()).map(([id, session]) => ({
+        sessionId: id,
+        status: session.status,
+        authenticated: session.status === 'authenticated',
+        phoneNumber: session.phoneNumber || session.user?.id?.split('@')[0] || null,
+        lastActivity: session.lastActivity
+    }));
+
+    res.json({
+        count: sessionList.length,
+        sessions: sessionList
+    });
+});
+
+// API: Listar asignaciones de roles
+app.get('/api/assignments', (req, res) => {
+    const assignments = assignmentStore.list().map(assignment => ({
+        ...assignment,
+        failedOver: assignment.activeSessionId !== assignment.sessionId,
+        sessionStatuses: assignment.sessions.map(sessionId => {
+            const session = sessions.get(sessionId);
+            return { sessionId, status: session ? session.status : 'not_found', ready: isSessionReady(sessionId) };
+        }),
+        sendUrl: `/api/roles/${assignment.role}/send-message`
+    }));
+
+    res.json({ count: assignments.length, assignments });
+});
+
+// API: Historial de asignaciones (?role=sells&limit=50)
+app.get('/api/assignments/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000);
+    res.json({ history: assignmentStore.getHistory({ role: req.query.role || null, limit }) });
+});
+
+// Asignar un rol a una lista ordenada de sesiones (la principal debe estar autenticada)
+function assignRole(req, res, role, sessionIds) {
+    const missing = sessionIds.filter(id => !sessions.has(id));
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `Sesión no encontrada: ${missing.join(', ')}` });
+    }
+
+    const sessionId = sessionIds[0];
+    const session = sessions.get(sessionId);
+
+    if (session.status !== 'authenticated') {
+        return res.status(400).json({ error: 'Sesión no está lista' });
+    }
 
+    let phoneNumber = session.phoneNumber || null;
+    if (req.body.phoneNumber) {
+        try {
+            phoneNumber = normalizePhone(req.body.phoneNumber, { label: 'número de teléfono' });
+        } catch (error) {
+            return res.status(400).json({ error: error.message });
+        }
+    }
+
+    try {
+        const assignment = assignmentStore.assign(role, sessionIds, {
+            phoneNumber,
+            by: req.apiKey ? req.apiKey.name : null
+        });
+
+        res.json({
+            success: true,
+            message: `Número ${phoneNumber || sessionId} asignado a ${assignment.role} exitosamente`,
+            phoneNumber,
+            assignment: {
+                ...assignment,
+                type: assignment.role,
+                sendUrl: `/api/roles/${assignment.role}/send-message`
+            }
+        });
     } catch (error) {
-        logger.error(`Error asignando número: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
+    }
+}
+
+function unassignRole(req, res, role) {
+    const previous = assignmentStore.unassign(role, { by: req.apiKey ? req.apiKey.name : null });
+
+    res.json({
+        success: true,
+        message: previous ? 'Número desasignado exitosamente' : 'El rol no tenía asignación',
+        assignment: {
+            type: role,
+            sessionId: null,
+            previousSessionId: previous ? previous.sessionId : null
+        }
+    });
+}
+
+// Body: { sessionId } o { sessions: [principal, respaldo, ...] }
+app.put('/api/assignments/:role', (req, res) => {
+    const sessionIds = Array.isArray(req.body.sessions) ? req.body.sessions : [req.body.sessionId].filter(Boolean);
+    if (sessionIds.length === 0) {
+        return res.status(400).json({ error: 'Se requiere sessionId o sessions' });
+    }
+    assignRole(req, res, req.params.role, sessionIds);
+});
+
+app.delete('/api/assignments/:role', (req, res) => {
+    unassignRole(req, res, req.params.role);
+});
+
+// API: Asignar número a un rol (sessionId vacío = desasignar)
+app.post('/api/assign-number', (req, res) => {
+    const { sessionId, type } = req.body;
+
+    if (!type) {
+        return res.status(400).json({ error: 'Se requiere el tipo (rol)' });
     }
+
+    if (!sessionId) {
+        return unassignRole(req, res, type);
+    }
+
+    assignRole(req, res, type, assignmentStore.withPrimary(type, sessionId));
+});
+
+app.get('/api/current-assignments', (req, res) => {
+    res.json(assignmentStore.toMap());
+});
+
+// API: Asignar número específico a un rol
+app.post('/api/sessions/:sessionId/assign-number', (req, res) => {
+    const { type, phoneNumber } = req.body; // 'ventas', 'coordinacion' u otro rol + número
+
+    if (!type) {
+        return res.status(400).json({ error: 'Tipo de asignación inválido' });
+    }
+
+    // El formato se valida (y normaliza) al asignar
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'Falta el número de teléfono' });
+    }
+
+    assignRole(req, res, type, assignmentStore.withPrimary(type, req.params.sessionId));
 });
 
 // Dashboard principal
@@ -1278,7 +2571,7 @@ app.get('/', (req, res) => {
         sessionsWithQR: Array.from(sessions.values()).filter(s => s.qrData).length,
         loadingSessions: Array.from(sessions.values()).filter(s => s.status === 'initializing' || s.status === 'loading').length
     };
-    const currentAssignments = getCurrentAssignmentsFromEnv();
+    const currentAssignments = assignmentStore.toMap();
     
     res.send(`
         <!DOCTYPE html>
@@ -1434,6 +2727,7 @@ app.get('/', (req, res) => {
                 </div>
             </div>
 
+            <script src="/api-key.js"></script>
             <script>
                 async function createSession() {
                     try {
@@ -1615,12 +2909,17 @@ app.get('/sessions', (req, res) => {
     res.sendFile(path.join(__dirname, 'sessions-view.html'));
 });
 
+// Bandeja de entrada de los agentes
+app.get('/inbox', (req, res) => {
+    res.sendFile(path.join(__dirname, 'inbox-view.html'));
+});
+
 // --- NUEVO: Limpieza automática de sesiones no usadas ---
 const ACTIVE_SESSION_STATES = ['authenticated', 'reconnecting', 'restoring', 'initializing', 'loading', 'waiting_qr'];
 
 async function cleanUnusedSessions() {
     try {
-        const sessionDirs = await fs.readdir(path.join(__dirname, 'sessions'));
+        const sessionDirs = await fs.readdir(SESSIONS_DIR);
         const sessionInfo = fs.existsSync(SESSION_INFO_FILE)
             ? JSON.parse(fs.readFileSync(SESSION_INFO_FILE, 'utf8'))
             : [];
@@ -1630,8 +2929,8 @@ async function cleanUnusedSessions() {
                 .map(info => info.sessionId)
         );
         for (const dir of sessionDirs) {
-            const fullPath = path.join(__dirname, 'sessions', dir);
-            if (!activeSessionIds.has(dir)) {
+            const fullPath = path.join(SESSIONS_DIR, dir);
+            if (!activeSessionIds.has(dir) && isInsideDir(SESSIONS_DIR, fullPath)) {
                 logger.info(`[${dir}] Eliminando carpeta de sesión no activa: ${fullPath}`);
                 await fs.remove(fullPath);
             }
@@ -1686,6 +2985,18 @@ async function cleanUnusedSessions() {
     setInterval(() => {
         monitorAndRestoreSessions();
     }, 60000); // Cada minuto
+
+    // Purgar estados de mensajes, claves de idempotencia, archivos recibidos, encuestas, números verificados, esperas de respuestas automáticas y conversaciones cerradas antiguos y archivar el historial vencido
+    setInterval(() => {
+        messageStatus.prune();
+        idempotencyStore.prune();
+        mediaStore.prune();
+        pollStore.prune();
+        numberLookupCache.prune();
+        autoReplies.prune();
+        inbox.prune();
+        conversationStore.prune();
+    }, 3600000); // Cada hora
 })();
 
 // 8. Manejo de errores y cierre limpio
@@ -1720,6 +3031,8 @@ process.on('SIGTERM', async () => {
     );
 
     saveSessionInfo();
+    messageStatus.flush();
+    eventStream.close();
 
     setTimeout(() => {
         logger.info('Proceso terminado correctamente');
@@ -1750,6 +3063,8 @@ process.on('SIGINT', async () => {
     );
 
     saveSessionInfo();
+    messageStatus.flush();
+    eventStream.close();
 
     setTimeout(() => {
         logger.info('Proceso terminado correctamente');
@@ -10,6 +10,18 @@ const os = require('os');
 const cors = require('cors');
 const { EventEmitter } = require('events');
 const whatsappSessionManager = require('./WhatsappSessionManager');
+const { WebhookDispatcher } = require('./WebhookDispatcher');
+const { MessageStatusTracker } = require('./MessageStatusTracker');
+const { ApiKeyStore, API_SCOPES, API_KEY_CLIENT_SCRIPT } = require('./ApiKeyStore');
+const { AssignmentStore } = require('./AssignmentStore');
+const { EventStream, EVENT_STREAM_CLIENT_SCRIPT } = require('./EventStream');
+const { MediaStore } = require('./MediaStore');
+const { ConversationStore, parseDateFilter } = require('./ConversationStore');
+const { normalizeRecipient } = require('./PhoneNumber');
+const { AutoReplyManager, autoReplyInput } = require('./AutoReplyManager');
+const { InboxStore, agentInput } = require('./InboxStore');
+const { FlowEngine } = require('./FlowEngine');
+const { isValidSessionId } = require('./SessionId');
 
 // Configurar límites de event listeners
 EventEmitter.defaultMaxListeners = 20;
@@ -46,86 +58,211 @@ app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
+// Claves de API (solo se guarda su hash)
+const API_KEYS_FILE = path.join(__dirname, 'api-keys.json');
+
+// Claves de API: todas las rutas /api requieren una clave con el alcance adecuado
+const apiKeys = new ApiKeyStore(API_KEYS_FILE, logger);
+app.use('/api', apiKeys.middleware());
+
+// Script de los dashboards para enviar la clave de API
+app.get('/api-key.js', (req, res) => {
+    res.type('application/javascript').send(API_KEY_CLIENT_SCRIPT);
+});
+
+// Script para recibir eventos de una sesión desde el navegador
+app.get('/session-events.js', (req, res) => {
+    res.type('application/javascript').send(EVENT_STREAM_CLIENT_SCRIPT);
+});
+
+// Emitir clave de API (la clave en claro solo se muestra en esta respuesta)
+app.post('/api/api-keys', (req, res) => {
+    try {
+        const apiKey = apiKeys.issue({ name: req.body.name, scopes: req.body.scopes });
+        res.status(201).json({
+            success: true,
+            message: 'Clave emitida. Guárdela: no se volverá a mostrar.',
+            apiKey
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar claves de API (sin el valor de la clave)
+app.get('/api/api-keys', (req, res) => {
+    res.json({ scopes: API_SCOPES, keys: apiKeys.list() });
+});
+
+// Revocar clave de API
+app.delete('/api/api-keys/:id', (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+        return res.status(404).json({ error: 'Clave no encontrada o ya revocada' });
+    }
+    res.json({ success: true, message: 'Clave revocada' });
+});
+
 // Configuración de Multer para uploads
 const upload = multer({
     dest: 'uploads/',
     limits: { fileSize: 30 * 1024 * 1024 }
 });
 
-// Crear directorio de logs si no existe
-if (!fs.existsSync('./logs')) {
-    fs.mkdirSync('./logs', { recursive: true });
-}
+// Webhooks por sesión (mensajes entrantes, acks y cambios de conexión)
+const webhookDispatcher = new WebhookDispatcher(path.join(__dirname, 'webhooks.json'), logger);
 
-// Variables globales para asignaciones Laravel
-let laravelEnvPath = process.env.LARAVEL_ENV_PATH || '../.env';
-const sessionAssignments = {
-    sells: null,
-    coordination: null
-};
+// Eventos en tiempo real (SSE) para el dashboard y el panel de Laravel
+const eventStream = new EventStream(logger);
 
-// Funciones auxiliares para Laravel .env
-function updateLaravelEnv(key, value) {
-    try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            logger.warn(`Archivo Laravel .env no encontrado en: ${laravelEnvPath}`);
-            return false;
-        }
-
-        let envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        let found = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith(`${key}=`)) {
-                lines[i] = `${key}=${value || ''}`;
-                found = true;
-                break;
-            }
-        }
+// Archivos recibidos (comprobantes, fotos, audios...) con retención configurable
+const mediaStore = new MediaStore(process.env.MEDIA_DIR || path.join(__dirname, 'media'), logger);
 
-        if (!found) {
-            lines.push(`${key}=${value || ''}`);
-        }
+// Historial de mensajes enviados y recibidos (auditoría por chat)
+const conversationStore = new ConversationStore(process.env.CONVERSATIONS_DIR || path.join(__dirname, 'conversations'), logger);
 
-        fs.writeFileSync(laravelEnvPath, lines.join('\n'));
-        logger.info(`✅ Laravel .env actualizado: ${key}=${value || 'VACÍO'}`);
-        return true;
+// Respuestas automáticas: reglas por palabra clave/regex, saludo y mensaje fuera de horario
+// (compartidas con main.js y main-baileys.js)
+const autoReplies = new AutoReplyManager(path.join(__dirname, 'auto-replies.json'), logger, {
+    history: (sessionId) => conversationStore.read(sessionId)
+});
 
-    } catch (error) {
-        logger.error(`❌ Error actualizando Laravel .env: ${error.message}`);
-        return false;
+// Bandeja de entrada multiagente: los chats entrantes quedan sin asignar hasta que un agente los toma
+// (compartida con main.js y main-baileys.js)
+const inbox = new InboxStore(path.join(__dirname, 'inbox.json'), logger);
+
+// Flujos de chatbot (menús, datos, consultas HTTP a Laravel) con estado por contacto
+const flowEngine = new FlowEngine(path.join(__dirname, 'flows.json'), path.join(__dirname, 'flow-states.json'), logger, {
+    send: async (sessionId, chatId, text, { flowId, step }) => {
+        const to = normalizeRecipient(chatId);
+        const result = await whatsappSessionManager.sendMessage(sessionId, to, text);
+        eventStream.publish(sessionId, 'message_sent', { messageId: result.id, to, flowId });
+        conversationStore.recordOutbound(sessionId, {
+            to,
+            body: text,
+            waMessageId: result.id?._serialized || null,
+            source: 'flow',
+            flowId,
+            flowStep: step
+        });
+        return result;
+    },
+    // "Hablar con un asesor": la conversación queda marcada en la bandeja y se avisa a Laravel
+    onHandoff: (state) => {
+        const conversation = inbox.getByChat(state.sessionId, state.chatId);
+        if (conversation) publishInbox(inbox.markHandoff(conversation.id), 'handoff');
+
+        webhookDispatcher.dispatch(state.sessionId, 'handoff', {
+            chatId: state.chatId,
+            flowId: state.flowId,
+            step: state.step,
+            vars: state.vars,
+            conversationId: conversation ? conversation.id : null
+        });
     }
-}
+});
 
-function getCurrentAssignmentsFromEnv() {
+// Responder un mensaje entrante si alguna regla de respuesta automática aplica
+const sendAutoReply = async (sessionId, message) => {
     try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            return { sells: null, coordination: null };
-        }
-
-        const envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        
-        const assignments = { sells: null, coordination: null };
-        
-        for (const line of lines) {
-            if (line.startsWith('WHATSAPP_VENTAS_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.sells = sessionId;
-            } else if (line.startsWith('WHATSAPP_COORDINACION_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.coordination = sessionId;
-            }
-        }
-        
-        return assignments;
+        const match = autoReplies.evaluate(sessionId, message);
+        if (!match) return;
+
+        const result = await whatsappSessionManager.sendMessage(sessionId, message.from, match.reply);
+        eventStream.publish(sessionId, 'message_sent', { messageId: result.id, to: message.from, autoReplyId: match.ruleId });
+        conversationStore.recordOutbound(sessionId, {
+            to: message.from,
+            body: match.reply,
+            waMessageId: result.id?._serialized || null,
+            source: 'auto-reply',
+            autoReplyId: match.ruleId
+        });
+        logger.info(`[${sessionId}] 🤖 Respuesta automática (${match.type}) para ${match.chatId}`);
     } catch (error) {
-        logger.error(`Error leyendo asignaciones del .env: ${error.message}`);
-        return { sells: null, coordination: null };
+        logger.warn(`[${sessionId}] No se pudo enviar la respuesta automática: ${error.message}`);
     }
+};
+
+whatsappSessionManager.on('message', async (sessionId, message, raw) => {
+    // El webhook lleva el id y la URL del archivo ya guardado
+    await mediaStore.storeInbound(sessionId, message, async () => {
+        const media = await raw.downloadMedia();
+        return media ? { data: Buffer.from(media.data, 'base64'), mimetype: media.mimetype, filename: media.filename } : null;
+    });
+    conversationStore.recordInbound(sessionId, message);
+    webhookDispatcher.dispatch(sessionId, 'message', message);
+    recordInboxMessage(sessionId, message);
+
+    // Los flujos de chatbot tienen prioridad sobre las respuestas automáticas
+    if (!(await flowEngine.handle(sessionId, message))) {
+        sendAutoReply(sessionId, message);
+    }
+});
+
+whatsappSessionManager.on('message_ack', (sessionId, { waMessageId, to, ack }) => {
+    const status = MessageStatusTracker.fromWwebjsAck(ack);
+    if (!status) return;
+
+    webhookDispatcher.dispatch(sessionId, 'message_ack', { messageId: null, waMessageId, to, status });
+    eventStream.publish(sessionId, 'message_ack', { waMessageId, to, status });
+});
+
+whatsappSessionManager.on('status', (sessionId, status, previousStatus) => {
+    const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+    const connectionEvent = {
+        status,
+        previousStatus,
+        phoneNumber: session?.phoneNumber || null
+    };
+    webhookDispatcher.dispatch(sessionId, 'connection', connectionEvent);
+    eventStream.publish(sessionId, 'status', connectionEvent);
+});
+
+whatsappSessionManager.on('qr', (sessionId, qrImage) => {
+    eventStream.publish(sessionId, 'qr', { qrImage }, { sensitive: ['qrImage'] });
+});
+
+whatsappSessionManager.on('pairing_code', (sessionId, code, phoneNumber) => {
+    eventStream.publish(sessionId, 'pairing_code', { code, phoneNumber }, { sensitive: ['code'] });
+});
+
+whatsappSessionManager.on('loading', (sessionId, percent, message) => {
+    eventStream.publish(sessionId, 'loading', { percent, message });
+});
+
+whatsappSessionManager.on('ready', (sessionId) => {
+    const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+    eventStream.publish(sessionId, 'ready', { phoneNumber: session?.phoneNumber || null });
+});
+
+whatsappSessionManager.on('disconnected', (sessionId, reason, reconnecting) => {
+    eventStream.publish(sessionId, 'disconnected', { reason, reconnecting });
+});
+
+// Crear directorio de logs si no existe
+if (!fs.existsSync('./logs')) {
+    fs.mkdirSync('./logs', { recursive: true });
 }
 
+// Roles → sesiones; la primera vez se toman las asignaciones que había en el .env de Laravel
+const assignmentStore = new AssignmentStore(path.join(__dirname, 'assignments.json'), logger);
+assignmentStore.importFromEnv(process.env.LARAVEL_ENV_PATH || '../.env');
+
+// Sesión lista para enviar (mismo criterio que readySessions en getStats)
+const isSessionReady = (sessionId) => {
+    const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+    return !!(session && session.isReady);
+};
+
+// Failover entre las sesiones de un rol: se revisa en cada cambio de estado
+whatsappSessionManager.on('status', () => assignmentStore.evaluate(isSessionReady));
+
+assignmentStore.on('failover', (event) => {
+    [...new Set([event.from, event.to])].forEach(sessionId => {
+        webhookDispatcher.dispatch(sessionId, 'failover', event);
+        eventStream.publish(sessionId, 'failover', event);
+    });
+});
+
 // Callback para cuando se genera un QR
 const onQRGenerated = (sessionId, qrData, qrString) => {
     logger.info(`[${sessionId}] 📱 QR code generado y listo para escanear`);
@@ -142,7 +279,7 @@ const onSessionReady = (sessionId, sessionInstance) => {
 // Dashboard principal
 app.get('/', (req, res) => {
     const stats = whatsappSessionManager.getStats();
-    const currentAssignments = getCurrentAssignmentsFromEnv();
+    const currentAssignments = assignmentStore.toMap();
     
     res.send(`
         <!DOCTYPE html>
@@ -289,6 +426,7 @@ app.get('/', (req, res) => {
                 </div>
             </div>
 
+            <script src="/api-key.js"></script>
             <script>
                 async function createSession() {
                     try {
@@ -339,6 +477,11 @@ app.get('/', (req, res) => {
 app.post('/api/sessions', async (req, res) => {
     try {
         const sessionId = req.body.sessionId || uuidv4();
+
+        // El id termina en rutas de archivos que se borran al cerrar la sesión
+        if (!isValidSessionId(sessionId)) {
+            return res.status(400).json({ error: 'sessionId inválido: use solo letras, números, guiones y guiones bajos (máx. 64)' });
+        }
         
         // Verificar si ya existe
         const existingSession = whatsappSessionManager.getClientFromSessionId(sessionId);
@@ -429,6 +572,88 @@ app.get('/api/sessions/:id/status', (req, res) => {
     }
 });
 
+// API: Eventos en tiempo real (SSE) de todas las sesiones o de una.
+// La imagen del QR solo se envía a claves con alcance manage-sessions.
+const eventsHandler = eventStream.handler({
+    includeSensitive: (req) => !req.apiKey || apiKeys.hasScope(req.apiKey, 'manage-sessions')
+});
+app.get('/api/events', eventsHandler);
+app.get('/api/sessions/:id/events', eventsHandler);
+
+// API: Vincular con código en lugar de escanear el QR (body: { phoneNumber })
+app.post('/api/sessions/:id/pairing-code', async (req, res) => {
+    try {
+        const sessionId = req.params.id;
+        const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+
+        if (!session) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        if (session.status === 'authenticated') {
+            return res.status(409).json({ error: 'La sesión ya está vinculada', status: session.status });
+        }
+
+        const code = await session.requestPairingCode(req.body.phoneNumber);
+
+        res.json({
+            success: true,
+            sessionId,
+            phoneNumber: session.pairingCode ? session.pairingCode.phoneNumber : null,
+            code,
+            status: session.status,
+            statusUrl: `/api/sessions/${sessionId}/status`,
+            instructions: 'WhatsApp > Dispositivos vinculados > Vincular dispositivo > Vincular con el número de teléfono'
+        });
+
+    } catch (error) {
+        logger.error(`Error generando código de vinculación: ${error.message}`);
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// API: Archivo recibido de un cliente (?download=true para descargarlo como adjunto)
+app.get('/api/sessions/:id/media/:mediaId', (req, res) => {
+    const media = mediaStore.get(req.params.id, req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Archivo no encontrado' });
+    }
+
+    res.set(mediaStore.headers(media, { download: req.query.download === 'true' }));
+    res.sendFile(media.path);
+});
+
+// API: Historial: chats de la sesión con su último mensaje (?since=&until=&page=&limit=)
+app.get('/api/sessions/:id/chats', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.listChats(req.params.id, { since, until, page: req.query.page, limit: req.query.limit })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Historial de un chat: número o JID (?since=&until=&page=&limit=&order=asc|desc)
+app.get('/api/sessions/:id/chats/:jid/messages', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.getMessages(req.params.id, req.params.jid, { since, until, page: req.query.page, limit: req.query.limit, order })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
 // API: Regenerar QR de una sesión
 app.post('/api/sessions/:id/regenerate-qr', async (req, res) => {
     try {
@@ -479,6 +704,13 @@ app.delete('/api/sessions/:id', async (req, res) => {
         const success = await whatsappSessionManager.removeSession(sessionId);
         
         if (success) {
+            webhookDispatcher.removeSession(sessionId);
+            autoReplies.removeSession(sessionId);
+            inbox.removeSession(sessionId);
+            flowEngine.removeSession(sessionId);
+            mediaStore.removeSession(sessionId);
+            assignmentStore.removeSession(sessionId, { reason: 'session_deleted' });
+            eventStream.publish(sessionId, 'deleted');
             res.json({
                 success: true,
                 message: 'Sesión eliminada exitosamente'
@@ -493,6 +725,438 @@ app.delete('/api/sessions/:id', async (req, res) => {
     }
 });
 
+// API: Registrar webhook de la sesión
+app.post('/api/sessions/:id/webhooks', (req, res) => {
+    try {
+        const sessionId = req.params.id;
+        if (!whatsappSessionManager.getClientFromSessionId(sessionId)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const { url, secret, events } = req.body;
+        if (!url) {
+            return res.status(400).json({ error: 'Falta la URL del webhook' });
+        }
+
+        const webhook = webhookDispatcher.register(sessionId, { url, secret, events });
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registrado. Guarde el secreto: no se volverá a mostrar.',
+            webhook
+        });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Listar webhooks de la sesión
+app.get('/api/sessions/:id/webhooks', (req, res) => {
+    res.json({
+        sessionId: req.params.id,
+        webhooks: webhookDispatcher.list(req.params.id)
+    });
+});
+
+// API: Eliminar webhook
+app.delete('/api/sessions/:id/webhooks/:webhookId', (req, res) => {
+    if (!webhookDispatcher.remove(req.params.id, req.params.webhookId)) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({ success: true, message: 'Webhook eliminado' });
+});
+
+// API: Configuración de respuestas automáticas de la sesión
+app.get('/api/sessions/:id/auto-replies', (req, res) => {
+    if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    res.json(autoReplies.view(req.params.id));
+});
+
+// API: Activar/desactivar y configurar (enabled, cooldown_minutes, ignore_groups, business_hours)
+app.put('/api/sessions/:id/auto-replies', (req, res) => {
+    try {
+        if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const config = autoReplies.updateSettings(req.params.id, autoReplyInput(req.body));
+        res.json({ success: true, autoReplies: config });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Crear regla (type: keyword, regex o greeting + reply)
+app.post('/api/sessions/:id/auto-replies/rules', (req, res) => {
+    try {
+        if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const rule = autoReplies.createRule(req.params.id, autoReplyInput(req.body));
+        res.status(201).json({ success: true, rule });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Actualizar regla
+app.put('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    try {
+        const rule = autoReplies.updateRule(req.params.id, req.params.ruleId, autoReplyInput(req.body));
+        if (!rule) {
+            return res.status(404).json({ error: 'Regla no encontrada' });
+        }
+        res.json({ success: true, rule });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Eliminar regla
+app.delete('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    if (!autoReplies.removeRule(req.params.id, req.params.ruleId)) {
+        return res.status(404).json({ error: 'Regla no encontrada' });
+    }
+    res.json({ success: true, message: 'Regla eliminada' });
+});
+
+// API: Probar las reglas sin enviar nada (body: { mensaje, numero, nombre })
+app.post('/api/sessions/:id/auto-replies/test', (req, res) => {
+    try {
+        if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const numero = normalizeRecipient(req.body.numero || '51900000000');
+        const match = autoReplies.evaluate(req.params.id, {
+            id: null,
+            from: numero.includes('@') ? numero : `${numero}@c.us`,
+            body: req.body.mensaje || '',
+            pushName: req.body.nombre || null,
+            isGroup: numero.endsWith('@g.us'),
+            timestamp: Date.now()
+        }, { dryRun: true });
+        res.json({ sessionId: req.params.id, match });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Avisar a los dashboards de la bandeja (SSE)
+const publishInbox = (conversation, action) => {
+    eventStream.publish(conversation.sessionId, 'inbox', {
+        action,
+        conversationId: conversation.id,
+        chatId: conversation.chatId,
+        status: conversation.status,
+        agentId: conversation.agentId
+    });
+};
+
+const recordInboxMessage = (sessionId, message) => {
+    const conversation = inbox.recordInbound(sessionId, message);
+    if (conversation) publishInbox(conversation, 'message');
+};
+
+// Agente que hace la petición: el vinculado a la clave de API o `agent_id`
+const requestAgent = (req) => inbox.resolveAgent(req.apiKey, (req.body && req.body.agent_id) || req.query.agent_id);
+
+// API: Listar agentes
+app.get('/api/inbox/agents', (req, res) => {
+    res.json({ agents: inbox.listAgents() });
+});
+
+// API: Crear agente (body: { name, api_key_id })
+app.post('/api/inbox/agents', (req, res) => {
+    try {
+        const agent = inbox.createAgent(agentInput(req.body));
+        res.status(201).json({ success: true, agent });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Actualizar agente
+app.put('/api/inbox/agents/:agentId', (req, res) => {
+    try {
+        const agent = inbox.updateAgent(req.params.agentId, agentInput(req.body));
+        if (!agent) {
+            return res.status(404).json({ error: 'Agente no encontrado' });
+        }
+        res.json({ success: true, agent });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Eliminar agente (sus conversaciones quedan sin asignar)
+app.delete('/api/inbox/agents/:agentId', (req, res) => {
+    const result = inbox.removeAgent(req.params.agentId);
+    if (!result) {
+        return res.status(404).json({ error: 'Agente no encontrado' });
+    }
+
+    result.released.forEach(conversation => publishInbox(conversation, 'unassigned'));
+    res.json({ success: true, message: 'Agente eliminado', released: result.released.length });
+});
+
+// API: Conversaciones (?session_id=&status=open,pending&agent_id=<id>|none|me&page=&limit=)
+app.get('/api/inbox/conversations', (req, res) => {
+    try {
+        let agentId = req.query.agent_id || null;
+        if (agentId === 'me') {
+            const agent = inbox.resolveAgent(req.apiKey, null);
+            if (!agent) {
+                return res.status(400).json({ error: 'La clave de API no está vinculada a ningún agente' });
+            }
+            agentId = agent.id;
+        }
+
+        res.json(inbox.list({
+            sessionId: req.query.session_id || null,
+            status: req.query.status || null,
+            agentId,
+            page: req.query.page,
+            limit: req.query.limit
+        }));
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Conversación con sus mensajes del historial (?page=&limit=, más recientes primero)
+app.get('/api/inbox/conversations/:conversationId', (req, res) => {
+    const conversation = inbox.get(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    try {
+        const history = conversationStore.getMessages(conversation.sessionId, conversation.chatId, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        res.json({ conversation: inbox.view(conversation), ...history });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Tomar una conversación (body: { agent_id } si la clave no está vinculada a un agente)
+app.post('/api/inbox/conversations/:conversationId/claim', (req, res) => {
+    try {
+        const conversation = inbox.get(req.params.conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        const agent = requestAgent(req);
+        if (!agent) {
+            return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+        }
+        if (conversation.agentId && conversation.agentId !== agent.id) {
+            const current = inbox.getAgent(conversation.agentId);
+            return res.status(409).json({ error: `La conversación ya está asignada a ${current ? current.name : conversation.agentId}` });
+        }
+
+        const claimed = inbox.assign(conversation.id, agent.id);
+        publishInbox(claimed, 'assigned');
+        res.json({ success: true, conversation: inbox.view(claimed) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Asignar a un agente o dejar sin asignar (body: { agent_id } o { agent_id: null })
+app.post('/api/inbox/conversations/:conversationId/assign', (req, res) => {
+    try {
+        const conversation = inbox.assign(req.params.conversationId, req.body.agent_id || null);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        publishInbox(conversation, conversation.agentId ? 'assigned' : 'unassigned');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Cambiar estado (body: { status: open | pending | closed })
+app.put('/api/inbox/conversations/:conversationId/status', (req, res) => {
+    try {
+        const conversation = inbox.setStatus(req.params.conversationId, req.body.status);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        // Cerrada por el asesor: el contacto vuelve al chatbot
+        if (conversation.status === 'closed') {
+            flowEngine.release(conversation.sessionId, conversation.chatId);
+        }
+
+        publishInbox(conversation, 'status');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Marcar como leída
+app.post('/api/inbox/conversations/:conversationId/read', (req, res) => {
+    const conversation = inbox.markRead(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    res.json({ success: true, conversation: inbox.view(conversation) });
+});
+
+// API: Responder como agente por la misma sesión (body: { mensaje, agent_id })
+app.post('/api/inbox/conversations/:conversationId/messages', async (req, res) => {
+    const conversation = inbox.get(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+
+    let agent;
+    try {
+        agent = requestAgent(req);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (!agent) {
+        return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+    }
+    if (conversation.agentId && conversation.agentId !== agent.id) {
+        const current = inbox.getAgent(conversation.agentId);
+        return res.status(409).json({ error: `La conversación está asignada a ${current ? current.name : conversation.agentId}` });
+    }
+
+    const mensaje = typeof req.body.mensaje === 'string' ? req.body.mensaje.trim() : '';
+    if (!mensaje) {
+        return res.status(400).json({ error: 'Falta el mensaje' });
+    }
+
+    if (!whatsappSessionManager.getClientFromSessionId(conversation.sessionId)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const to = normalizeRecipient(conversation.chatId);
+        const result = await whatsappSessionManager.sendMessage(conversation.sessionId, to, mensaje);
+        eventStream.publish(conversation.sessionId, 'message_sent', { messageId: result.id, to, agentId: agent.id });
+        conversationStore.recordOutbound(conversation.sessionId, {
+            to,
+            body: mensaje,
+            waMessageId: result.id?._serialized || null,
+            source: 'inbox',
+            inboxConversationId: conversation.id,
+            agentId: agent.id,
+            agentName: agent.name
+        });
+
+        const updated = inbox.recordReply(conversation.id, agent, mensaje);
+        publishInbox(updated, 'reply');
+        logger.info(`[${conversation.sessionId}] 📥 ${agent.name} respondió a ${conversation.chatId}`);
+
+        res.json({ success: true, message: 'Mensaje enviado', conversation: inbox.view(updated), messageId: result.id });
+    } catch (error) {
+        logger.error(`Error enviando respuesta de la bandeja: ${error.message}`);
+        res.status(error.permanent ? 400 : 500).json({ error: error.message });
+    }
+});
+
+// Definiciones de flujos en YAML (texto) además de JSON
+const flowDefinitionBody = express.text({
+    type: ['application/yaml', 'application/x-yaml', 'text/yaml', 'text/plain'],
+    limit: '1mb'
+});
+
+// Texto YAML, { yaml: "..." } o el flujo en JSON
+const flowDefinition = (req) => {
+    if (typeof req.body === 'string') return req.body;
+    return req.body && req.body.yaml !== undefined ? req.body.yaml : req.body;
+};
+
+// API: Flujos de chatbot de la sesión
+app.get('/api/sessions/:id/flows', (req, res) => {
+    if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    res.json({ sessionId: req.params.id, flows: flowEngine.list(req.params.id) });
+});
+
+// API: Crear flujo (JSON o YAML con id, trigger, start y steps)
+app.post('/api/sessions/:id/flows', flowDefinitionBody, (req, res) => {
+    try {
+        if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const { flow } = flowEngine.save(req.params.id, flowDefinition(req), { replace: false });
+        res.status(201).json({ success: true, flow });
+
+    } catch (error) {
+        res.status(error.conflict ? 409 : 400).json({ error: error.message });
+    }
+});
+
+// API: Ver flujo
+app.get('/api/sessions/:id/flows/:flowId', (req, res) => {
+    const flow = flowEngine.get(req.params.id, req.params.flowId);
+    if (!flow) {
+        return res.status(404).json({ error: 'Flujo no encontrado' });
+    }
+    res.json(flow);
+});
+
+// API: Crear o reemplazar flujo (los contactos que estaban en él vuelven a empezar)
+app.put('/api/sessions/:id/flows/:flowId', flowDefinitionBody, (req, res) => {
+    try {
+        if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const { flow, created } = flowEngine.save(req.params.id, flowDefinition(req), { flowId: req.params.flowId });
+        res.status(created ? 201 : 200).json({ success: true, flow });
+
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Eliminar flujo
+app.delete('/api/sessions/:id/flows/:flowId', (req, res) => {
+    if (!flowEngine.remove(req.params.id, req.params.flowId)) {
+        return res.status(404).json({ error: 'Flujo no encontrado' });
+    }
+    res.json({ success: true, message: 'Flujo eliminado' });
+});
+
+// API: Contactos con un flujo en curso o derivados a un asesor
+app.get('/api/sessions/:id/flow-states', (req, res) => {
+    if (!whatsappSessionManager.getClientFromSessionId(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    res.json({ sessionId: req.params.id, states: flowEngine.listStates(req.params.id) });
+});
+
+// API: Reiniciar el flujo de un contacto (también lo devuelve al bot si estaba con un asesor)
+app.delete('/api/sessions/:id/flow-states/:chatId', (req, res) => {
+    if (!flowEngine.reset(req.params.id, req.params.chatId)) {
+        return res.status(404).json({ error: 'El contacto no tiene un flujo en curso' });
+    }
+    res.json({ success: true, message: 'Flujo reiniciado' });
+});
+
 // API: Restaurar sesiones previas
 app.post('/api/restore-sessions', async (req, res) => {
     try {
@@ -510,80 +1174,169 @@ app.post('/api/restore-sessions', async (req, res) => {
 });
 
 // API: Enviar mensaje
-app.post('/api/sessions/:id/send-message', async (req, res) => {
+const handleSendMessage = async (req, res) => {
     try {
         const sessionId = req.params.id;
-        const { phoneNumber, message } = req.body;
+        const { message } = req.body;
 
-        if (!phoneNumber || !message) {
+        if (!req.body.phoneNumber || !message) {
             return res.status(400).json({ error: 'phoneNumber y message son requeridos' });
         }
 
+        // "987654321" y "+51 987 654 321" son el mismo chat
+        let phoneNumber;
+        try {
+            phoneNumber = normalizeRecipient(req.body.phoneNumber);
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
+        }
+
         const result = await whatsappSessionManager.sendMessage(sessionId, phoneNumber, message);
+        eventStream.publish(sessionId, 'message_sent', { messageId: result.id, to: phoneNumber, role: req.params.role || null });
+        conversationStore.recordOutbound(sessionId, {
+            to: phoneNumber,
+            body: message,
+            waMessageId: result.id?._serialized || null,
+            role: req.params.role || null
+        });
         
         res.json({
             success: true,
             message: 'Mensaje enviado exitosamente',
+            sessionId,
+            role: req.params.role,
             messageId: result.id
         });
 
     } catch (error) {
         logger.error(`Error enviando mensaje: ${error.message}`);
+        eventStream.publish(req.params.id, 'message_failed', { to: req.body.phoneNumber, error: error.message, role: req.params.role || null });
         res.status(500).json({ error: error.message });
     }
-});
+};
 
-// API: Asignar número a Laravel
+app.post('/api/sessions/:id/send-message', handleSendMessage);
+
+// API: Enviar mensaje por rol (primera sesión lista del rol)
+app.post('/api/roles/:role/send-message', (req, res, next) => {
+    const sessionId = assignmentStore.resolve(req.params.role, isSessionReady);
+    if (!sessionId) {
+        return res.status(404).json({ error: `No hay ninguna sesión asignada al rol ${req.params.role}` });
+    }
+
+    req.params.id = sessionId;
+    next();
+}, handleSendMessage);
+
+// API: Asignar número a un rol (sessionId vacío = desasignar)
 app.post('/api/assign-number', (req, res) => {
     try {
         const { sessionId, type } = req.body;
 
-        if (!type || !['sells', 'coordination'].includes(type)) {
-            return res.status(400).json({ error: 'Tipo debe ser "sells" o "coordination"' });
+        if (!type) {
+            return res.status(400).json({ error: 'Se requiere el tipo (rol)' });
         }
 
-        const session = sessionId ? whatsappSessionManager.getClientFromSessionId(sessionId) : null;
-        
-        if (sessionId && !session) {
+        if (!sessionId) {
+            const previous = assignmentStore.unassign(type, { by: req.apiKey ? req.apiKey.name : null });
+            return res.json({
+                success: true,
+                message: previous ? 'Número desasignado exitosamente' : 'El rol no tenía asignación',
+                assignment: { type, sessionId: null }
+            });
+        }
+
+        const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+        if (!session) {
             return res.status(404).json({ error: 'Sesión no encontrada' });
         }
 
-        if (sessionId && (!session.isReady || !session.phoneNumber)) {
+        if (!session.isReady || !session.phoneNumber) {
             return res.status(400).json({ error: 'Sesión no está lista o no tiene número' });
         }
 
-        // Actualizar asignaciones
-        const envKey = type === 'sells' ? 'WHATSAPP_VENTAS_URL' : 'WHATSAPP_COORDINACION_URL';
-        const url = sessionId ? `http://localhost:${port}/api/sessions/${sessionId}/send-message` : '';
-        
-        const success = updateLaravelEnv(envKey, url);
-        
-        if (success) {
-            sessionAssignments[type] = sessionId;
-            
-            res.json({
-                success: true,
-                message: `Número ${sessionId ? 'asignado' : 'desasignado'} exitosamente`,
-                assignment: {
-                    type: type,
-                    sessionId: sessionId,
-                    phoneNumber: session?.phoneNumber || null
-                }
-            });
-        } else {
-            res.status(500).json({ error: 'Error actualizando archivo .env' });
-        }
+        const assignment = assignmentStore.assign(type, assignmentStore.withPrimary(type, sessionId), {
+            phoneNumber: session.phoneNumber,
+            by: req.apiKey ? req.apiKey.name : null
+        });
+
+        res.json({
+            success: true,
+            message: 'Número asignado exitosamente',
+            assignment: {
+                ...assignment,
+                type: assignment.role,
+                sendUrl: `/api/roles/${assignment.role}/send-message`
+            }
+        });
 
     } catch (error) {
         logger.error(`Error en asignación: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
+// API: Asignar a un rol una lista ordenada de sesiones { sessions: [principal, respaldo, ...] }
+app.put('/api/assignments/:role', (req, res) => {
+    const sessionIds = Array.isArray(req.body.sessions) ? req.body.sessions : [req.body.sessionId].filter(Boolean);
+    if (sessionIds.length === 0) {
+        return res.status(400).json({ error: 'Se requiere sessionId o sessions' });
+    }
+
+    const missing = sessionIds.filter(id => !whatsappSessionManager.getClientFromSessionId(id));
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `Sesión no encontrada: ${missing.join(', ')}` });
+    }
+
+    // Como en assign-number: la sesión principal debe estar lista (los respaldos pueden no estarlo)
+    const primary = whatsappSessionManager.getClientFromSessionId(sessionIds[0]);
+    if (!primary.isReady || !primary.phoneNumber) {
+        return res.status(400).json({ error: 'Sesión no está lista o no tiene número' });
+    }
+
+    try {
+        const assignment = assignmentStore.assign(req.params.role, sessionIds, {
+            phoneNumber: primary.phoneNumber || null,
+            by: req.apiKey ? req.apiKey.name : null
+        });
+        res.json({ success: true, assignment });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/assignments/:role', (req, res) => {
+    const previous = assignmentStore.unassign(req.params.role, { by: req.apiKey ? req.apiKey.name : null });
+    if (!previous) {
+        return res.status(404).json({ error: 'El rol no tiene asignación' });
+    }
+    res.json({ success: true, message: 'Rol desasignado' });
+});
+
+// API: Asignaciones con el estado de cada sesión
+app.get('/api/assignments', (req, res) => {
+    const assignments = assignmentStore.list().map(assignment => ({
+        ...assignment,
+        failedOver: assignment.activeSessionId !== assignment.sessionId,
+        sessionStatuses: assignment.sessions.map(sessionId => {
+            const session = whatsappSessionManager.getClientFromSessionId(sessionId);
+            return { sessionId, status: session ? session.status : 'not_found', ready: isSessionReady(sessionId) };
+        }),
+        sendUrl: `/api/roles/${assignment.role}/send-message`
+    }));
+
+    res.json({ count: assignments.length, assignments });
+});
+
+app.get('/api/assignments/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000);
+    res.json({ history: assignmentStore.getHistory({ role: req.query.role || null, limit }) });
+});
+
 // API: Obtener asignaciones actuales
 app.get('/api/current-assignments', (req, res) => {
     try {
-        const assignments = getCurrentAssignmentsFromEnv();
+        const assignments = assignmentStore.toMap();
         res.json(assignments);
     } catch (error) {
         logger.error(`Error obteniendo asignaciones: ${error.message}`);
@@ -595,7 +1348,7 @@ app.get('/api/current-assignments', (req, res) => {
 app.get('/api/stats', (req, res) => {
     try {
         const stats = whatsappSessionManager.getStats();
-        const assignments = getCurrentAssignmentsFromEnv();
+        const assignments = assignmentStore.toMap();
         const linuxStats = whatsappSessionManager.getLinuxPerformanceStats();
         
         res.json({
@@ -681,6 +1434,11 @@ app.get('/sessions', (req, res) => {
     res.sendFile(path.join(__dirname, 'sessions-view.html'));
 });
 
+// Bandeja de entrada de los agentes
+app.get('/inbox', (req, res) => {
+    res.sendFile(path.join(__dirname, 'inbox-view.html'));
+});
+
 // Inicializar servidor
 async function startServer() {
     try {
@@ -704,15 +1462,26 @@ async function startServer() {
             logger.info(`📋 Sesiones: http://localhost:${port}/sessions`);
         });
 
+        // Purgar archivos recibidos más antiguos que la retención, esperas de respuestas automáticas, conversaciones cerradas antiguas y flujos de chatbot vencidos, y archivar el historial vencido
+        setInterval(() => {
+            mediaStore.prune();
+            autoReplies.prune();
+            inbox.prune();
+            flowEngine.prune();
+            conversationStore.prune();
+        }, 3600000);
+
         // Limpieza al cerrar
         process.on('SIGINT', async () => {
             logger.info('🛑 Cerrando servidor...');
+            eventStream.close();
             await whatsappSessionManager.cleanup();
             process.exit(0);
         });
 
         process.on('SIGTERM', async () => {
             logger.info('🛑 Cerrando servidor...');
+            eventStream.close();
             await whatsappSessionManager.cleanup();
             process.exit(0);
         });
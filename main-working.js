@@ -10,6 +10,9 @@ const { exec } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const os = require('os');
 const cors = require('cors');
+const { ApiKeyStore, API_SCOPES, API_KEY_CLIENT_SCRIPT } = require('./ApiKeyStore');
+const { normalizeRecipient } = require('./PhoneNumber');
+const { AssignmentStore } = require('./AssignmentStore');
 
 // 1. Configuración inicial
 const logger = winston.createLogger({
@@ -35,16 +38,58 @@ const app = express();
 app.use(cors({
   origin: '*', // Cualquier dominio puede acceder
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'], // Métodos permitidos
-  allowedHeaders: ['Content-Type', 'Authorization'], // Cabeceras permitidas
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'], // Cabeceras permitidas
 }));
 const port = process.env.PORT || 8083;
 
 // Archivo para almacenar información de sesiones
 const SESSION_INFO_FILE = path.join(__dirname, 'session-info.json');
 
+// Claves de API (solo se guarda su hash)
+const API_KEYS_FILE = path.join(__dirname, 'api-keys.json');
+
+// Asignaciones de roles a sesiones (compartido con los demás servidores)
+const ASSIGNMENTS_FILE = path.join(__dirname, 'assignments.json');
+
 // 2. Configuración de middleware
 app.use(express.json());
 app.use(express.static('public'));
+
+// Claves de API: todas las rutas /api requieren una clave con el alcance adecuado
+const apiKeys = new ApiKeyStore(API_KEYS_FILE, logger);
+app.use('/api', apiKeys.middleware());
+
+// Script de los dashboards para enviar la clave de API
+app.get('/api-key.js', (req, res) => {
+    res.type('application/javascript').send(API_KEY_CLIENT_SCRIPT);
+});
+
+// Emitir clave de API (la clave en claro solo se muestra en esta respuesta)
+app.post('/api/api-keys', (req, res) => {
+    try {
+        const apiKey = apiKeys.issue({ name: req.body.name, scopes: req.body.scopes });
+        res.status(201).json({
+            success: true,
+            message: 'Clave emitida. Guárdela: no se volverá a mostrar.',
+            apiKey
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar claves de API (sin el valor de la clave)
+app.get('/api/api-keys', (req, res) => {
+    res.json({ scopes: API_SCOPES, keys: apiKeys.list() });
+});
+
+// Revocar clave de API
+app.delete('/api/api-keys/:id', (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+        return res.status(404).json({ error: 'Clave no encontrada o ya revocada' });
+    }
+    res.json({ success: true, message: 'Clave revocada' });
+});
 const upload = multer({
     dest: 'uploads/',
     limits: { fileSize: 30 * 1024 * 1024 } // 15MB
@@ -53,6 +98,16 @@ const upload = multer({
 // 3. Almacenamiento de sesiones
 const sessions = new Map(); // { sessionId → { client, qrData, status, lastActivity } }
 
+// Roles → sesiones; la primera vez se toman las asignaciones que había en el .env de Laravel
+const assignmentStore = new AssignmentStore(ASSIGNMENTS_FILE, logger);
+assignmentStore.importFromEnv(process.env.LARAVEL_ENV_PATH || '../.env');
+
+// Sesión lista para enviar
+const isSessionReady = (sessionId) => {
+    const session = sessions.get(sessionId);
+    return !!(session && session.status === 'authenticated');
+};
+
 // Función para guardar información de sesiones para persistencia
 const saveSessionInfo = () => {
     try {
@@ -598,7 +653,7 @@ app.post('/api/sessions', async (req, res) => {
     });
 });
 
-app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req, res) => {
+const handleSendMessage = async (req, res) => {
     const sessionId = req.params.id;
     const session = sessions.get(sessionId);
 
@@ -613,13 +668,21 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
         });
     }
 
-    const { numero, mensaje } = req.body;
+    const { mensaje } = req.body;
     const archivo = req.file;
 
-    if (!numero) {
+    if (!req.body.numero) {
         return res.status(400).json({ error: 'Falta el número de destino' });
     }
 
+    // "987654321" y "+51 987 654 321" son el mismo chat
+    let numero;
+    try {
+        numero = normalizeRecipient(req.body.numero);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
     try {
         const client = session.client;
         const numberId = await client.getNumberId(numero);
@@ -707,7 +770,20 @@ app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req,
             });
         }
     }
-});
+};
+
+app.post('/api/sessions/:id/send-message', upload.single('archivo'), handleSendMessage);
+
+// Enviar mensaje por rol: se usa la primera sesión lista del rol
+app.post('/api/roles/:role/send-message', (req, res, next) => {
+    const sessionId = assignmentStore.resolve(req.params.role, isSessionReady);
+    if (!sessionId) {
+        return res.status(404).json({ error: `No hay ninguna sesión asignada al rol ${req.params.role}` });
+    }
+
+    req.params.id = sessionId;
+    next();
+}, upload.single('archivo'), handleSendMessage);
 
 // Endpoint para reiniciar una sesión específica
 app.post('/api/sessions/:id/reiniciar', async (req, res) => {
@@ -777,7 +853,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
     if (session.status === 'authenticated') {
         // Usar phoneNumber de la información almacenada si está disponible
         const phoneNumber = session.phoneNumber || session.client.info?.wid?.user || null;
-        const currentAssignments = getCurrentAssignmentsFromEnv();
+        const currentAssignments = assignmentStore.toMap();
 
         return res.send(`
             <!DOCTYPE html>
@@ -887,6 +963,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     </div>
                 </div>
 
+                <script src="/api-key.js"></script>
                 <script>
                     async function assignSession(sessionId, type) {
                         try {
@@ -977,6 +1054,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     Reiniciar sesión
                 </button>
             </div>
+            <script src="/api-key.js"></script>
             <script>
                 // Recargar página automáticamente cada 5 segundos si está esperando QR
                 if ('${session.status}' === 'waiting_qr' || '${session.status}' === 'initializing') {
@@ -1035,6 +1113,7 @@ app.delete('/api/sessions/:id', async (req, res) => {
 
         sessions.delete(req.params.id);
         saveSessionInfo();
+        assignmentStore.removeSession(req.params.id, { reason: 'session_deleted' });
 
         res.json({
             success: true,
@@ -1071,7 +1150,7 @@ app.get('/', (req, res) => {
         sessionsWithQR: Array.from(sessions.values()).filter(s => s.qrData).length,
         loadingSessions: Array.from(sessions.values()).filter(s => s.status === 'initializing' || s.status === 'loading').length
     };
-    const currentAssignments = getCurrentAssignmentsFromEnv();
+    const currentAssignments = assignmentStore.toMap();
     
     res.send(`
         <!DOCTYPE html>
@@ -1218,6 +1297,7 @@ app.get('/', (req, res) => {
                 </div>
             </div>
 
+            <script src="/api-key.js"></script>
             <script>
                 async function createSession() {
                     try {
@@ -1317,62 +1397,57 @@ app.get('/api/stats', (req, res) => {
     }
 });
 
-// API: Asignar número a Laravel
+// API: Asignar número a un rol (sessionId vacío = desasignar)
 app.post('/api/assign-number', (req, res) => {
     try {
         const { sessionId, type } = req.body;
 
-        if (!type || !['sells', 'coordination'].includes(type)) {
-            return res.status(400).json({ error: 'Tipo debe ser "sells" o "coordination"' });
+        if (!type) {
+            return res.status(400).json({ error: 'Se requiere el tipo (rol)' });
         }
 
-        const session = sessionId ? sessions.get(sessionId) : null;
-        
-        if (sessionId && !session) {
+        if (!sessionId) {
+            const previous = assignmentStore.unassign(type, { by: req.apiKey ? req.apiKey.name : null });
+            return res.json({
+                success: true,
+                message: previous ? 'Número desasignado exitosamente' : 'El rol no tenía asignación',
+                assignment: { type, sessionId: null }
+            });
+        }
+
+        const session = sessions.get(sessionId);
+        if (!session) {
             return res.status(404).json({ error: 'Sesión no encontrada' });
         }
 
-        if (sessionId && (!session.status === 'authenticated' || !session.phoneNumber)) {
+        if (session.status !== 'authenticated' || !session.phoneNumber) {
             return res.status(400).json({ error: 'Sesión no está lista o no tiene número' });
         }
 
-        // Actualizar asignaciones
-        const envKey = type === 'sells' ? 'WHATSAPP_VENTAS_URL' : 'WHATSAPP_COORDINACION_URL';
-        const url = sessionId ? `http://localhost:${port}/api/sessions/${sessionId}/send-message` : '';
-        
-        const success = updateLaravelEnv(envKey, url);
-        
-        if (success) {
-            sessionAssignments[type] = sessionId;
-            
-            res.json({
-                success: true,
-                message: `Número ${sessionId ? 'asignado' : 'desasignado'} exitosamente`,
-                assignment: {
-                    type: type,
-                    sessionId: sessionId,
-                    phoneNumber: session?.phoneNumber || null
-                }
-            });
-        } else {
-            res.status(500).json({ error: 'Error actualizando archivo .env' });
-        }
+        const assignment = assignmentStore.assign(type, assignmentStore.withPrimary(type, sessionId), {
+            phoneNumber: session.phoneNumber,
+            by: req.apiKey ? req.apiKey.name : null
+        });
+
+        res.json({
+            success: true,
+            message: 'Número asignado exitosamente',
+            assignment: {
+                ...assignment,
+                type: assignment.role,
+                sendUrl: `/api/roles/${assignment.role}/send-message`
+            }
+        });
 
     } catch (error) {
         logger.error(`Error en asignación: ${error.message}`);
-        res.status(500).json({ error: error.message });
+        res.status(400).json({ error: error.message });
     }
 });
 
 // API: Obtener asignaciones actuales
 app.get('/api/current-assignments', (req, res) => {
-    try {
-        const assignments = getCurrentAssignmentsFromEnv();
-        res.json(assignments);
-    } catch (error) {
-        logger.error(`Error obteniendo asignaciones: ${error.message}`);
-        res.status(500).json({ error: error.message });
-    }
+    res.json(assignmentStore.toMap());
 });
 
 // Página de sesiones (reutilizar la existente)
@@ -1380,75 +1455,6 @@ app.get('/sessions', (req, res) => {
     res.sendFile(path.join(__dirname, 'sessions-view.html'));
 });
 
-// Variables globales para asignaciones Laravel
-let laravelEnvPath = process.env.LARAVEL_ENV_PATH || '../.env';
-const sessionAssignments = {
-    sells: null,
-    coordination: null
-};
-
-// Funciones auxiliares para Laravel .env
-function updateLaravelEnv(key, value) {
-    try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            logger.warn(`Archivo Laravel .env no encontrado en: ${laravelEnvPath}`);
-            return false;
-        }
-
-        let envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        let found = false;
-
-        for (let i = 0; i < lines.length; i++) {
-            if (lines[i].startsWith(`${key}=`)) {
-                lines[i] = `${key}=${value || ''}`;
-                found = true;
-                break;
-            }
-        }
-
-        if (!found) {
-            lines.push(`${key}=${value || ''}`);
-        }
-
-        fs.writeFileSync(laravelEnvPath, lines.join('\n'));
-        logger.info(`✅ Laravel .env actualizado: ${key}=${value || 'VACÍO'}`);
-        return true;
-
-    } catch (error) {
-        logger.error(`❌ Error actualizando Laravel .env: ${error.message}`);
-        return false;
-    }
-}
-
-function getCurrentAssignmentsFromEnv() {
-    try {
-        if (!fs.existsSync(laravelEnvPath)) {
-            return { sells: null, coordination: null };
-        }
-
-        const envContent = fs.readFileSync(laravelEnvPath, 'utf8');
-        const lines = envContent.split('\n');
-        
-        const assignments = { sells: null, coordination: null };
-        
-        for (const line of lines) {
-            if (line.startsWith('WHATSAPP_VENTAS_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.sells = sessionId;
-            } else if (line.startsWith('WHATSAPP_COORDINACION_URL=')) {
-                const sessionId = line.split('sessions/')[1]?.split('/')[0];
-                if (sessionId) assignments.coordination = sessionId;
-            }
-        }
-        
-        return assignments;
-    } catch (error) {
-        logger.error(`Error leyendo asignaciones del .env: ${error.message}`);
-        return { sells: null, coordination: null };
-    }
-}
-
 // 7. Inicialización mejorada
 (async () => {
     // Crear directorios necesarios
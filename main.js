@@ -1,16 +1,39 @@
 const express = require('express');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
 const fs = require('fs');
 const path = require('path');
 const winston = require('winston');
 const multer = require('multer');
-const mime = require('mime-types');
 const { exec } = require('child_process');
 const { v4: uuidv4 } = require('uuid');
 const os = require('os');
 const cors = require('cors');
 const { EventEmitter } = require('events');
+const { MessageQueue } = require('./MessageQueue');
+const { MessageStatusTracker } = require('./MessageStatusTracker');
+const { WebhookDispatcher } = require('./WebhookDispatcher');
+const { IdempotencyStore } = require('./IdempotencyStore');
+const { BroadcastManager } = require('./BroadcastManager');
+const { MessageScheduler } = require('./MessageScheduler');
+const { AutoReplyManager, autoReplyInput } = require('./AutoReplyManager');
+const { InboxStore, agentInput } = require('./InboxStore');
+const { TemplateStore } = require('./TemplateStore');
+const { WwebjsDriver } = require('./WwebjsDriver');
+const { BaileysDriver } = require('./BaileysDriver');
+const { ApiKeyStore, API_SCOPES, API_KEY_CLIENT_SCRIPT } = require('./ApiKeyStore');
+const { AssignmentStore } = require('./AssignmentStore');
+const { EventStream, EVENT_STREAM_CLIENT_SCRIPT } = require('./EventStream');
+const { MediaStore } = require('./MediaStore');
+const { ConversationStore, toChatId, parseDateFilter } = require('./ConversationStore');
+const { parseInteractive, interactiveText } = require('./InteractiveMessage');
+const { parseLocation, parseContact, locationText, checkStickerSource } = require('./MessageContent');
+const { loadMediaInput } = require('./RemoteMedia');
+const { toMessageRef, chatNumber, checkTarget, parseReaction, checkEditable, checkDeletable } = require('./MessageActions');
+const { NumberLookupCache, parseNumberList, checkNumbers, summarizeChecks } = require('./NumberLookup');
+const { normalizePhone, normalizeRecipient } = require('./PhoneNumber');
+const { PollStore } = require('./PollStore');
+const { isValidSessionId, isInsideDir } = require('./SessionId');
 
 // Configurar límites de event listeners para evitar warnings
 EventEmitter.defaultMaxListeners = 20;
@@ -40,7 +63,8 @@ const app = express();
 app.use(cors({
     origin: '*',
     methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-API-Key'],
+    exposedHeaders: ['Idempotent-Replayed'],
 }));
 
 const port = process.env.PORT || 8083;
@@ -48,19 +72,114 @@ const port = process.env.PORT || 8083;
 // Archivo para almacenar información de sesiones
 const SESSION_INFO_FILE = path.join(__dirname, 'session-info.json');
 
+// Claves de API (solo se guarda su hash)
+const API_KEYS_FILE = path.join(__dirname, 'api-keys.json');
+
+// Drivers disponibles por sesión: whatsapp-web.js (Chromium) o Baileys (sin navegador)
+const DRIVERS = ['wwebjs', 'baileys'];
+const DEFAULT_DRIVER = DRIVERS.includes(process.env.WHATSAPP_DRIVER) ? process.env.WHATSAPP_DRIVER : 'wwebjs';
+
+// Archivo de la cola persistente de mensajes salientes
+const MESSAGE_QUEUE_FILE = path.join(__dirname, 'message-queue.json');
+
+// Archivo con el estado de entrega (acks) de los mensajes enviados
+const MESSAGE_STATUS_FILE = path.join(__dirname, 'message-status.json');
+
+// Archivo con los webhooks registrados por sesión
+const WEBHOOKS_FILE = path.join(__dirname, 'webhooks.json');
+
+// Archivo con los resultados de send-message por clave de idempotencia
+const IDEMPOTENCY_FILE = path.join(__dirname, 'idempotency-keys.json');
+
+// Archivo con las campañas de envío masivo
+const BROADCASTS_FILE = path.join(__dirname, 'broadcasts.json');
+
+// Mensajes programados (junto a session-info.json) y sus adjuntos
+const SCHEDULED_FILE = path.join(__dirname, 'scheduled-messages.json');
+const SCHEDULED_FILES_DIR = path.join(__dirname, 'scheduled-files');
+
+// Respuestas automáticas por sesión (compartidas con main-baileys.js y main-multisession.js)
+const AUTO_REPLIES_FILE = path.join(__dirname, 'auto-replies.json');
+
+// Bandeja de entrada multiagente: agentes y conversaciones (compartida con main-baileys.js y main-multisession.js)
+const INBOX_FILE = path.join(__dirname, 'inbox.json');
+
+// Plantillas de mensajes (compartidas con main-baileys.js) y sus adjuntos
+const TEMPLATES_FILE = path.join(__dirname, 'templates.json');
+const TEMPLATES_DIR = path.join(__dirname, 'template-files');
+
+// Asignaciones de roles a sesiones (compartidas con main-baileys.js)
+const ASSIGNMENTS_FILE = path.join(__dirname, 'assignments.json');
+const LARAVEL_ENV_PATH = process.env.LARAVEL_ENV_PATH || path.join(__dirname, '../redis-laravel/.env');
+
+// Archivos recibidos de los clientes, un directorio por sesión
+const MEDIA_DIR = process.env.MEDIA_DIR || path.join(__dirname, 'media');
+
+// Historial de conversaciones (un JSONL por sesión, compartido con main-baileys.js)
+const CONVERSATIONS_DIR = process.env.CONVERSATIONS_DIR || path.join(__dirname, 'conversations');
+
+// Encuestas enviadas con Baileys (para leer sus votos, compartido con main-baileys.js)
+const POLLS_FILE = path.join(__dirname, 'polls.json');
+
 // 2. Configuración de middleware
-app.use(express.json());
+// Límite amplio para los archivos en base64 (media_base64)
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '25mb' }));
 app.use(express.static('public'));
+
+// Claves de API: todas las rutas /api requieren una clave con el alcance adecuado
+const apiKeys = new ApiKeyStore(API_KEYS_FILE, logger);
+app.use('/api', apiKeys.middleware());
+
+// Script de los dashboards para enviar la clave de API
+app.get('/api-key.js', (req, res) => {
+    res.type('application/javascript').send(API_KEY_CLIENT_SCRIPT);
+});
+
+// Script de las páginas de QR para escuchar los eventos de una sesión
+app.get('/session-events.js', (req, res) => {
+    res.type('application/javascript').send(EVENT_STREAM_CLIENT_SCRIPT);
+});
+
+// Emitir clave de API (la clave en claro solo se muestra en esta respuesta)
+app.post('/api/api-keys', (req, res) => {
+    try {
+        const apiKey = apiKeys.issue({ name: req.body.name, scopes: req.body.scopes });
+        res.status(201).json({
+            success: true,
+            message: 'Clave emitida. Guárdela: no se volverá a mostrar.',
+            apiKey
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar claves de API (sin el valor de la clave)
+app.get('/api/api-keys', (req, res) => {
+    res.json({ scopes: API_SCOPES, keys: apiKeys.list() });
+});
+
+// Revocar clave de API
+app.delete('/api/api-keys/:id', (req, res) => {
+    if (!apiKeys.revoke(req.params.id)) {
+        return res.status(404).json({ error: 'Clave no encontrada o ya revocada' });
+    }
+    res.json({ success: true, message: 'Clave revocada' });
+});
 const upload = multer({
     dest: 'uploads/',
-    limits: { fileSize: 30 * 1024 * 1024 } // 30MB
+    limits: {
+        fileSize: 30 * 1024 * 1024, // 30MB
+        fieldSize: 25 * 1024 * 1024 // media_base64 como campo de texto
+    }
 });
 
 // 3. Almacenamiento optimizado de sesiones
-class SessionManager {
+// Emite 'status' (sessionId, status, previousStatus) en cada cambio de estado
+class SessionManager extends EventEmitter {
     constructor() {
+        super();
         this.sessions = new Map();
-        this.messageQueues = new Map();
         this.sessionTimeouts = new Map();
         this.sessionIntervals = new Map();
         this.globalIntervals = new Set();
@@ -73,11 +192,11 @@ class SessionManager {
         }
 
         this.sessions.set(sessionId, sessionData);
-        this.messageQueues.set(sessionId, []);
         this.sessionTimeouts.set(sessionId, new Map());
         this.sessionIntervals.set(sessionId, new Map());
         
         logger.debug(`[${sessionId}] Sesión creada en memoria`);
+        this.emit('status', sessionId, sessionData.status, null);
     }
 
     updateSession(sessionId, sessionData) {
@@ -87,8 +206,13 @@ class SessionManager {
         }
 
         // CRÍTICO: NO hacer cleanup, solo actualizar datos
+        const previousStatus = this.sessions.get(sessionId).status;
         this.sessions.set(sessionId, sessionData);
         logger.debug(`[${sessionId}] Sesión actualizada (SIN destruir cliente)`);
+
+        if (sessionData.status !== previousStatus) {
+            this.emit('status', sessionId, sessionData.status, previousStatus);
+        }
         return true;
     }
 
@@ -107,6 +231,10 @@ class SessionManager {
         const session = this.sessions.get(sessionId);
         if (session && session.client) {
             safeDestroyClient(session.client, sessionId);
+        } else if (session && session.driver) {
+            session.driver.destroy().catch(err => {
+                logger.debug(`[${sessionId}] Error cerrando driver: ${err.message}`);
+            });
         }
 
         // Limpiar timeouts
@@ -129,7 +257,6 @@ class SessionManager {
             this.sessionIntervals.delete(sessionId);
         }
 
-        this.messageQueues.delete(sessionId);
         this.sessions.delete(sessionId);
 
         if (global.gc) {
@@ -206,19 +333,43 @@ class SessionManager {
     getAllSessions() {
         return Array.from(this.sessions.entries());
     }
-
-    getMessageQueue(sessionId) {
-        return this.messageQueues.get(sessionId) || [];
-    }
-
-    setMessageQueue(sessionId, queue) {
-        this.messageQueues.set(sessionId, queue);
-    }
 }
 
 // Instancia global del gestor de sesiones
 const sessionManager = new SessionManager();
 
+// Webhooks por sesión (mensajes entrantes, acks y cambios de conexión)
+const webhookDispatcher = new WebhookDispatcher(WEBHOOKS_FILE, logger);
+
+// Eventos en tiempo real para el dashboard y el panel de Laravel (SSE en /api/events)
+const eventStream = new EventStream(logger);
+
+// Archivos recibidos (comprobantes, fotos, audios...) con retención configurable
+const mediaStore = new MediaStore(MEDIA_DIR, logger);
+
+// Historial de mensajes enviados y recibidos (auditoría por chat)
+const conversationStore = new ConversationStore(CONVERSATIONS_DIR, logger);
+
+// Encuestas enviadas: Baileys necesita la original para descifrar los votos
+const pollStore = new PollStore(POLLS_FILE, logger);
+
+// Números ya verificados en WhatsApp (contacts/check y envíos), con TTL
+const numberLookupCache = new NumberLookupCache(logger);
+
+sessionManager.on('status', (sessionId, status, previousStatus) => {
+    const session = sessionManager.getSession(sessionId);
+    webhookDispatcher.dispatch(sessionId, 'connection', {
+        status,
+        previousStatus,
+        phoneNumber: session?.phoneNumber || null
+    });
+    eventStream.publish(sessionId, 'status', {
+        status,
+        previousStatus,
+        phoneNumber: session?.phoneNumber || null
+    });
+});
+
 // Función auxiliar para verificar si un cliente está válido
 const isClientValid = (client) => {
     try {
@@ -283,6 +434,7 @@ const saveSessionInfo = () => {
 
             return {
                 sessionId: id,
+                driver: session.driverName || 'wwebjs',
                 status: session.status,
                 lastActivity: session.lastActivity,
                 phoneNumber: phoneNumber,
@@ -418,13 +570,20 @@ const nuclearCleanup = async (sessionId) => {
         // Primer delay para permitir que el cliente termine completamente
         await new Promise(resolve => setTimeout(resolve, 1000));
 
+        // [directorio base, directorio a borrar]: nunca se borra fuera de su base
         const dirsToRemove = [
-            path.join(__dirname, `.wwebjs_auth/session-${sessionId}`),
-            path.join(__dirname, `whatsapp-session-${sessionId}`),
-            `/tmp/chrome-profile-${sessionId}`
+            [path.join(__dirname, '.wwebjs_auth'), path.join(__dirname, `.wwebjs_auth/session-${sessionId}`)],
+            [__dirname, path.join(__dirname, `whatsapp-session-${sessionId}`)],
+            [path.join(__dirname, 'sessions'), path.join(__dirname, 'sessions', sessionId)],
+            ['/tmp', `/tmp/chrome-profile-${sessionId}`]
         ];
 
-        for (const dir of dirsToRemove) {
+        for (const [baseDir, dir] of dirsToRemove) {
+            if (!isInsideDir(baseDir, dir)) {
+                logger.error(`[${sessionId}] Directorio fuera de ${baseDir}, no se elimina: ${dir}`);
+                continue;
+            }
+
             if (fs.existsSync(dir)) {
                 try {
                     fs.rmSync(dir, { recursive: true, force: true });
@@ -435,10 +594,12 @@ const nuclearCleanup = async (sessionId) => {
             }
         }
 
-        // Matar procesos de Chrome de forma más agresiva
-        exec(`pkill -9 -f "chromium.*${sessionId}"`, (err) => {
-            if (!err) logger.debug(`[${sessionId}] Procesos Chromium terminados (force)`);
-        });
+        // Matar procesos de Chrome de forma más agresiva (el id va dentro del comando)
+        if (isValidSessionId(sessionId)) {
+            exec(`pkill -9 -f "chromium.*${sessionId}"`, (err) => {
+                if (!err) logger.debug(`[${sessionId}] Procesos Chromium terminados (force)`);
+            });
+        }
 
         // Segundo delay para asegurar que todos los procesos terminaron
         await new Promise(resolve => setTimeout(resolve, 1500));
@@ -698,6 +859,7 @@ const createOptimizedClient = (sessionId, isRestore = false) => {
                 saveSessionInfo();
                 
                 logger.info(`[${sessionId}] ✅ QR generado exitosamente - Intento #${refreshCount}`);
+                publishQr(sessionId, qrImage, refreshCount);
                 
                 // Timeout más largo para escaneo de QR (15 minutos)
                 sessionManager.setSessionTimeout(sessionId, 'qr_scan_timeout', () => {
@@ -778,6 +940,11 @@ const createOptimizedClient = (sessionId, isRestore = false) => {
                 }, 1000); // Reducido a 1 segundo
                 
                 saveSessionInfo();
+
+                // Enviar los mensajes que se encolaron mientras la sesión no estaba lista
+                messageQueue.process(sessionId).catch(err => {
+                    logger.error(`[${sessionId}] Error procesando cola: ${err.message}`);
+                });
             }
         });
 
@@ -926,31 +1093,204 @@ const createOptimizedClient = (sessionId, isRestore = false) => {
     return client;
 };
 
+// Eventos comunes a todos los drivers: mensajes entrantes y acks
+const attachDriverEvents = (sessionId, driver) => {
+    driver.on('message', async (message, raw) => {
+        const session = sessionManager.getSession(sessionId);
+        if (session) session.lastActivity = Date.now();
+
+        // El webhook lleva el id y la URL del archivo ya guardado
+        await mediaStore.storeInbound(sessionId, message, () => driver.downloadMedia(raw));
+        conversationStore.recordInbound(sessionId, message);
+        webhookDispatcher.dispatch(sessionId, 'message', message);
+        recordInboxMessage(sessionId, message);
+        sendAutoReply(sessionId, message);
+    });
+
+    driver.on('message_ack', ({ waMessageId, to, status }) => {
+        const record = messageStatus.updateByWaId(sessionId, waMessageId, status);
+        const ack = {
+            messageId: record ? record.id : null,
+            waMessageId,
+            to,
+            status
+        };
+        webhookDispatcher.dispatch(sessionId, 'message_ack', ack);
+        eventStream.publish(sessionId, 'message_ack', ack);
+    });
+
+    driver.on('loading', (percent, message) => {
+        eventStream.publish(sessionId, 'loading', { percent, message });
+    });
+    driver.on('authenticated', () => {
+        const session = sessionManager.getSession(sessionId);
+        if (session) session.pairingCode = null;
+
+        eventStream.publish(sessionId, 'authenticated');
+    });
+
+    // Código de vinculación: como el QR, solo lo ve quien puede gestionar sesiones
+    driver.on('pairing_code', (code, phoneNumber) => {
+        const session = sessionManager.getSession(sessionId);
+        if (session) {
+            session.pairingCode = { code, phoneNumber, generatedAt: Date.now() };
+            session.lastActivity = Date.now();
+        }
+
+        logger.info(`[${sessionId}] 🔑 Código de vinculación generado para ${phoneNumber}`);
+        eventStream.publish(sessionId, 'pairing_code', { code, phoneNumber }, { sensitive: ['code'] });
+    });
+    driver.on('ready', (info) => {
+        eventStream.publish(sessionId, 'ready', info);
+    });
+    driver.on('auth_failure', (message) => {
+        eventStream.publish(sessionId, 'auth_failure', { message });
+    });
+    driver.on('disconnected', (reason, { loggedOut, reconnecting }) => {
+        eventStream.publish(sessionId, 'disconnected', { reason, loggedOut, reconnecting });
+    });
+};
+
+// QR nuevo: la imagen solo llega a quien puede ver el QR (alcance manage-sessions)
+const publishQr = (sessionId, qrImage, attempt) => {
+    eventStream.publish(sessionId, 'qr', { qrImage, attempt }, { sensitive: ['qrImage'] });
+};
+
+// Cliente de whatsapp-web.js con su driver (el ciclo de vida lo maneja createOptimizedClient)
+const createWwebjsSession = (sessionId, isRestore = false) => {
+    const client = createOptimizedClient(sessionId, isRestore);
+    const driver = new WwebjsDriver(sessionId, client, logger, { numberCache: numberLookupCache });
+    attachDriverEvents(sessionId, driver);
+
+    return { client, driver, driverName: 'wwebjs' };
+};
+
+// Crear e inicializar una sesión con el driver de Baileys
+const startBaileysSession = (sessionId, sessionData = {}) => {
+    const driver = new BaileysDriver(sessionId, logger, {
+        authDir: path.join(__dirname, 'sessions', sessionId),
+        pollStore,
+        numberCache: numberLookupCache
+    });
+    attachDriverEvents(sessionId, driver);
+
+    const updateStatus = (changes) => {
+        const session = sessionManager.getSession(sessionId);
+        if (!session || session.driver !== driver) return;
+
+        sessionManager.updateSession(sessionId, {
+            ...session,
+            ...changes,
+            lastActivity: Date.now()
+        });
+        saveSessionInfo();
+    };
+
+    driver.on('qr', async (qr) => {
+        try {
+            const qrImage = await qrcode.toDataURL(qr, { width: 300, margin: 2, errorCorrectionLevel: 'H' });
+            const session = sessionManager.getSession(sessionId);
+            const refreshCount = (session?.qrRefreshCount || 0) + 1;
+
+            updateStatus({
+                qrData: { qr, qrImage },
+                status: 'waiting_qr',
+                qrGeneratedAt: Date.now(),
+                qrRefreshCount: refreshCount,
+                error: null
+            });
+            publishQr(sessionId, qrImage, refreshCount);
+        } catch (err) {
+            logger.error(`[${sessionId}] Error generando QR: ${err.message}`);
+        }
+    });
+
+    driver.on('ready', (info) => {
+        logger.info(`[${sessionId}] 🚀 Sesión lista y conectada - Teléfono: ${info.phoneNumber}`);
+        updateStatus({
+            status: 'authenticated',
+            ready: true,
+            qrData: null,
+            phoneNumber: info.phoneNumber,
+            infoData: info
+        });
+
+        // Enviar los mensajes que se encolaron mientras la sesión no estaba lista
+        messageQueue.process(sessionId).catch(err => {
+            logger.error(`[${sessionId}] Error procesando cola: ${err.message}`);
+        });
+    });
+
+    driver.on('disconnected', (reason, { reconnecting }) => {
+        updateStatus({ status: reconnecting ? 'reconnecting' : 'disconnected', error: reconnecting ? null : reason });
+    });
+
+    driver.on('status', (status) => {
+        if (status === 'failed') updateStatus({ status: 'failed' });
+    });
+
+    sessionManager.createSession(sessionId, {
+        status: 'initializing',
+        ...sessionData,
+        driver,
+        driverName: 'baileys',
+        lastActivity: Date.now()
+    });
+    saveSessionInfo();
+
+    driver.initialize().catch(err => {
+        logger.error(`[${sessionId}] Error inicializando Baileys: ${err.message}`);
+        updateStatus({ status: 'failed', error: err.message });
+    });
+
+    return driver;
+};
+
 // ENDPOINTS OPTIMIZADOS
 
 // Crear nueva sesión - CORRECCIÓN: initialize() retorna Promise
 app.post('/api/sessions', async (req, res) => {
     const sessionId = req.body.sessionId || uuidv4();
+    const driverName = req.body.driver || DEFAULT_DRIVER;
+
+    // El id termina en rutas de archivos que se borran al cerrar la sesión
+    if (!isValidSessionId(sessionId)) {
+        return res.status(400).json({ error: 'sessionId inválido: use solo letras, números, guiones y guiones bajos (máx. 64)' });
+    }
 
     if (sessionManager.getSession(sessionId)) {
         return res.status(400).json({ error: 'La sesión ya existe' });
     }
 
-    const client = createOptimizedClient(sessionId);
+    if (!DRIVERS.includes(driverName)) {
+        return res.status(400).json({ error: `Driver inválido. Permitidos: ${DRIVERS.join(', ')}` });
+    }
+
+    const sessionCreated = {
+        sessionId,
+        driver: driverName,
+        qrUrl: `/api/sessions/${sessionId}/qr`,
+        statusUrl: `/api/sessions/${sessionId}/status`,
+        message: '⚡ Sesión creada - inicializando...'
+    };
+
+    if (driverName === 'baileys') {
+        startBaileysSession(sessionId);
+        return res.json(sessionCreated);
+    }
+
+    const { client, driver } = createWwebjsSession(sessionId);
     sessionManager.createSession(sessionId, {
         client,
+        driver,
+        driverName,
         status: 'initializing',
         lastActivity: Date.now()
     });
     saveSessionInfo();
 
     // RESPONDER INMEDIATAMENTE
-    res.json({
-        sessionId,
-        qrUrl: `/api/sessions/${sessionId}/qr`,
-        statusUrl: `/api/sessions/${sessionId}/status`,
-        message: '⚡ Sesión creada - inicializando...'
-    });
+    res.json(sessionCreated);
 
     // CORREGIDO: initialize() es una Promise, no acepta callback
     try {
@@ -1053,7 +1393,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
     session.lastActivity = Date.now();
 
     if (session.status === 'authenticated') {
-        const phoneNumber = session.phoneNumber || session.client.info?.wid?.user || null;
+        const phoneNumber = session.phoneNumber || session.client?.info?.wid?.user || null;
         return res.send(`
             <html><body style="font-family: Arial; text-align: center; margin-top: 50px;">
                 <h1>📱 Sesión ${req.params.id}</h1>
@@ -1066,6 +1406,13 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     🔃 Reiniciar Sesión
                 </button>
                 </p>
+                <script src="/session-events.js"></script>
+                <script>
+                    // Recargar solo si la sesión deja de estar autenticada
+                    watchSession('${req.params.id}', {
+                        status: function (data) { if (data.status !== 'authenticated') location.reload(); }
+                    });
+                </script>
             </body></html>
         `);
     }
@@ -1088,6 +1435,7 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                 <p style="color: ${statusColor}; font-size: 18px;">${statusMessage}</p>
                 <div style="margin: 20px auto; width: 60px; height: 60px; border: 4px solid #f3f3f3; border-top: 4px solid #3498db; border-radius: 50%; animation: spin 1s linear infinite;"></div>
                 <p>Estado: ${session.status}</p>
+                <p id="loading-info">${session.loadingPercent ? `⏳ Cargando WhatsApp: ${session.loadingPercent}%` : ''}</p>
                 <button onclick="fetch('/api/sessions/${req.params.id}/regenerate-qr', {method: 'POST'}).then(() => window.location.reload())" 
                     style="padding: 10px 20px; background: #4CAF50; color: white; border: none; border-radius: 5px; cursor: pointer; margin: 5px;">
                     🔥 Regenerar QR
@@ -1099,7 +1447,17 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                 <style>
                     @keyframes spin { 0% { transform: rotate(0deg); } 100% { transform: rotate(360deg); } }
                 </style>
-                <script>setTimeout(()=>location.reload(),2000)</script>
+                <script src="/session-events.js"></script>
+                <script>
+                    // Recargar cuando llegue el QR o cambie el estado (la carga solo actualiza el porcentaje)
+                    watchSession('${req.params.id}', {
+                        qr: function () { location.reload(); },
+                        status: function (data) { if (data.status !== 'loading') location.reload(); },
+                        loading: function (data) {
+                            document.getElementById('loading-info').textContent = '⏳ Cargando WhatsApp: ' + data.percent + '% ' + (data.message || '');
+                        }
+                    });
+                </script>
             </body></html>
         `);
     }
@@ -1113,7 +1471,6 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
         <html>
         <head>
             <title>WhatsApp QR - ${req.params.id}</title>
-            <meta http-equiv="refresh" content="8"> <!-- Auto refresh cada 8 segundos -->
             <style>
                 body { font-family: Arial, sans-serif; text-align: center; margin-top: 30px; background: #f5f5f5; }
                 .container { max-width: 450px; margin: 0 auto; background: white; padding: 25px; border-radius: 15px; box-shadow: 0 4px 20px rgba(0,0,0,0.1); }
@@ -1185,12 +1542,12 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
             <div class="container">
                 <h1>📱 WhatsApp QR Code</h1>
                 
-                <div class="fresh-indicator">
+                <div class="fresh-indicator" id="qr-attempt">
                     📱 QR Válido - Intento #${qrRefreshCount}
                 </div>
                 
                 <div class="qr-container">
-                    <img src="${session.qrData.qrImage}" alt="QR Code WhatsApp">
+                    <img id="qr-image" src="${session.qrData.qrImage}" alt="QR Code WhatsApp">
                 </div>
                 
                 <div class="instructions">
@@ -1225,23 +1582,19 @@ app.get('/api/sessions/:id/qr', async (req, res) => {
                     </button>
                 </div>
             </div>
+            <script src="/api-key.js"></script>
+            <script src="/session-events.js"></script>
             <script>
-                // Auto-refresh cada 8 segundos para detectar cambios de QR o autenticación
-                setTimeout(function() {
-                    fetch('/api/sessions/${req.params.id}/status')
-                        .then(function(r) { return r.json(); })
-                        .then(function(data) {
-                            if (data.authenticated) {
-                                location.reload();
-                            } else {
-                                // Recargar para obtener QR actualizado automáticamente
-                                setTimeout(function() { location.reload(); }, 3000);
-                            }
-                        })
-                        .catch(function() { 
-                            setTimeout(function() { location.reload(); }, 8000); 
-                        });
-                }, 8000);
+                // QR nuevo: cambiar la imagen sin recargar; cualquier otro estado recarga la página
+                watchSession('${req.params.id}', {
+                    qr: function (data) {
+                        if (!data.qrImage) return location.reload();
+                        document.getElementById('qr-image').src = data.qrImage;
+                        document.getElementById('qr-attempt').textContent = '📱 QR Válido - Intento #' + data.attempt;
+                        qrGeneratedAtMs = Date.now();
+                    },
+                    status: function (data) { if (data.status !== 'waiting_qr') location.reload(); }
+                });
                 
                 // Mostrar información sobre renovación automática
                 var qrInfoElement = document.getElementById('qr-info');
@@ -1286,6 +1639,7 @@ app.get('/api/sessions/:id/status', (req, res) => {
 
     res.json({
         sessionId: req.params.id,
+        driver: session.driverName || 'wwebjs',
         status: session.status,
         authenticated: session.status === 'authenticated',
         qrAvailable: !!session.qrData,
@@ -1295,267 +1649,1486 @@ app.get('/api/sessions/:id/status', (req, res) => {
         loadingMessage: session.loadingMessage || null,
         phoneNumber: phoneNumber,
         lastActivity: session.lastActivity,
-        queueLength: sessionManager.getMessageQueue(req.params.id)?.length || 0,
+        queueLength: messageQueue.getPending(req.params.id).length,
         error: session.error || null,
         retryAttempt: session.retryAttempt || null,
         qrGeneratedAt: session.qrGeneratedAt || null,
+        pairingCodeRequested: !!session.pairingCode,
+        pairingPhoneNumber: session.pairingCode ? session.pairingCode.phoneNumber : null,
         qrTimeRemaining: null, // No calculamos tiempo restante ya que WhatsApp maneja la renovación
         optimized: true // Indicador de versión optimizada
     });
 });
 
-// Enviar mensaje OPTIMIZADO
-app.post('/api/sessions/:id/send-message', upload.single('archivo'), async (req, res) => {
-    const sessionId = req.params.id;
+// Eventos en tiempo real (SSE): todas las sesiones (?sessions=a,b) o una sola
+const eventsHandler = eventStream.handler({
+    includeSensitive: (req) => !req.apiKey || apiKeys.hasScope(req.apiKey, 'manage-sessions')
+});
+app.get('/api/events', eventsHandler);
+app.get('/api/sessions/:id/events', eventsHandler);
+
+// Enviar un mensaje de la cola a través del driver de la sesión
+const sendQueuedMessage = async (sessionId, job) => {
     const session = sessionManager.getSession(sessionId);
+    if (!session || !session.driver || session.status !== 'authenticated') {
+        throw new Error('Sesión no conectada');
+    }
 
-    if (!session) {
-        return res.status(404).json({ error: 'Sesión no encontrada' });
+    const { numero, mensaje, typing_time, force_document, archivo, interactive, location, contact, as_sticker, quoted } = job.payload;
+    session.lastActivity = Date.now();
+
+    if (interactive) {
+        return session.driver.sendInteractive(numero, interactive);
+    }
+    if (location) {
+        return session.driver.sendLocation(numero, location);
+    }
+    if (contact) {
+        return session.driver.sendContact(numero, contact);
+    }
+    if (archivo && as_sticker) {
+        return session.driver.sendSticker(numero, archivo);
     }
 
-    if (session.status !== 'authenticated') {
-        return res.status(400).json({
-            error: 'La sesión no está autenticada',
-            status: session.status
+    if (archivo) {
+        return session.driver.sendMedia(numero, archivo, {
+            caption: mensaje || '',
+            forceDocument: !!force_document,
+            quoted: quoted || null
         });
     }
 
-    const { numero, mensaje, typing_time } = req.body;
-    const archivo = req.file;
+    // Simular que está escribiendo (typing_time: 0 lo desactiva)
+    const typingMs = typing_time === 0 ? 0 : typing_time || Math.min(Math.max(mensaje.length * 50, 1000), 5000);
+    return session.driver.sendText(numero, mensaje, { typingMs, quoted: quoted || null });
+};
+
+// Sesión conectada y lista para enviar
+const isSessionReady = (sessionId) => {
+    const session = sessionManager.getSession(sessionId);
+    return !!(session && session.driver && session.status === 'authenticated');
+};
 
-    if (!numero) {
-        return res.status(400).json({ error: 'Falta el número de destino' });
+// Cola persistente de mensajes salientes
+const messageQueue = new MessageQueue(MESSAGE_QUEUE_FILE, logger, {
+    sender: sendQueuedMessage,
+    isSessionReady
+});
+
+// Eliminar el archivo temporal cuando el trabajo termina
+// (los archivos compartidos de una campaña los elimina la campaña al finalizar)
+const removeJobAttachment = (job) => {
+    const archivo = job.payload?.archivo;
+    if (archivo && !archivo.shared && fs.existsSync(archivo.path)) {
+        try {
+            fs.unlinkSync(archivo.path);
+        } catch (err) {
+            logger.warn(`[${job.sessionId}] Error eliminando archivo: ${err.message}`);
+        }
+    }
+};
+// Historial: registrar cada envío (antes de eliminar el adjunto temporal para guardar su copia)
+messageQueue.on('sent', (job) => {
+    const { numero, mensaje, archivo, template, campaignId, scheduleId, autoReplyId, inboxConversationId, agentId, agentName, clientRef, interactive, location, contact, as_sticker, quoted } = job.payload;
+
+    // Las campañas comparten el adjunto: no se copia por cada destinatario
+    let media = null;
+    if (archivo) {
+        media = archivo.shared
+            ? { mimetype: archivo.mimetype, filename: archivo.originalname, size: archivo.size }
+            : mediaStore.storeOutbound(job.sessionId, archivo, { messageId: job.messageId });
     }
 
+    conversationStore.recordOutbound(job.sessionId, {
+        to: numero,
+        body: mensaje,
+        type: interactive ? interactive.type : location ? 'location' : contact ? 'vcard' : as_sticker ? 'sticker' : null,
+        media,
+        waMessageId: job.messageId,
+        messageId: job.id,
+        source: campaignId ? 'broadcast' : scheduleId ? 'scheduled' : autoReplyId ? 'auto-reply' : inboxConversationId ? 'inbox' : 'send-message',
+        interactive: interactive || null,
+        location: location || null,
+        contact: contact || null,
+        quotedMessageId: quoted ? quoted.id : null,
+        template: template || null,
+        campaignId: campaignId || null,
+        scheduleId: scheduleId || null,
+        autoReplyId: autoReplyId || null,
+        inboxConversationId: inboxConversationId || null,
+        agentId: agentId || null,
+        agentName: agentName || null,
+        clientRef: clientRef || null
+    });
+});
+messageQueue.on('sent', removeJobAttachment);
+messageQueue.on('failed', removeJobAttachment);
+
+// Estado de entrega de cada mensaje encolado (queued → sent → acks)
+const messageStatus = new MessageStatusTracker(MESSAGE_STATUS_FILE, logger);
+
+messageQueue.on('queued', (job) => {
+    messageStatus.track(job.sessionId, job.id, { to: job.payload.numero });
+});
+messageQueue.on('sent', (job) => {
+    // Sin id de WhatsApp (error post-envío) no podremos recibir sus acks
+    messageStatus.update(job.sessionId, job.id, 'sent', {
+        waMessageId: job.messageId,
+        confirmed: !!job.messageId
+    });
+    eventStream.publish(job.sessionId, 'message_sent', {
+        jobId: job.id,
+        waMessageId: job.messageId,
+        to: job.payload.numero,
+        campaignId: job.payload.campaignId || null,
+        agentId: job.payload.agentId || null
+    });
+});
+messageQueue.on('failed', (job) => {
+    messageStatus.update(job.sessionId, job.id, 'failed', { error: job.lastError });
+    eventStream.publish(job.sessionId, 'message_failed', {
+        jobId: job.id,
+        to: job.payload.numero,
+        error: job.lastError,
+        campaignId: job.payload.campaignId || null
+    });
+});
+
+// Resultados de send-message por clave de idempotencia (reintentos de Laravel)
+const idempotencyStore = new IdempotencyStore(IDEMPOTENCY_FILE, logger);
+
+// Plantillas de mensajes con {{variables}}
+const templateStore = new TemplateStore(TEMPLATES_FILE, TEMPLATES_DIR, logger);
+
+// Roles → sesión; la primera vez se toman las asignaciones que había en el .env de Laravel
+const assignmentStore = new AssignmentStore(ASSIGNMENTS_FILE, logger);
+assignmentStore.importFromEnv(LARAVEL_ENV_PATH);
+
+// Failover entre las sesiones de un rol: se revisa en cada cambio de estado
+sessionManager.on('status', () => assignmentStore.evaluate(isSessionReady));
+
+assignmentStore.on('failover', (event) => {
+    [...new Set([event.from, event.to])].forEach(sessionId => {
+        webhookDispatcher.dispatch(sessionId, 'failover', event);
+        eventStream.publish(sessionId, 'failover', event);
+    });
+});
+
+// Campos que llegan como texto en multipart/form-data
+const parseJsonField = (value) => {
+    if (typeof value !== 'string') return value;
     try {
-        const client = session.client;
+        return JSON.parse(value);
+    } catch (e) {
+        return value;
+    }
+};
 
-        // Verificar el número con timeout
-        const numberId = await Promise.race([
-            client.getNumberId(numero),
-            new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout verificando número')), 10000))
-        ]);
+// Campos de send-message que entran en la huella de idempotencia además de numero/mensaje/template/archivo
+const FINGERPRINT_FIELDS = ['variables', 'media_url', 'media_base64', 'filename', 'mimetype', 'interactive', 'location', 'contact', 'as_sticker', 'reply_to'];
 
-        if (!numberId) {
-            if (archivo) {
-                try { fs.unlinkSync(archivo.path); } catch (e) {}
-            }
-            return res.status(400).json({ error: 'El número no está registrado en WhatsApp' });
+// Enviar mensaje - se encola y se responde de inmediato con el id del trabajo
+const handleSendMessage = async (req, res) => {
+    const sessionId = req.params.id;
+    const session = sessionManager.getSession(sessionId);
+    let archivo = req.file;
+
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
         }
+    };
 
-        const chatId = numberId._serialized;
-        session.lastActivity = Date.now();
+    if (!session) {
+        discardUpload();
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
 
-        const chat = await client.getChatById(chatId);
+    const { typing_time } = req.body;
+    let numero = req.body.numero;
+    let mensaje = req.body.mensaje;
 
-        // Simular que está escribiendo (opcional)
-        if (!archivo && mensaje && typing_time !== 0) {
-            const typingDuration = typing_time || Math.min(Math.max(mensaje.length * 50, 1000), 5000);
-            logger.info(`[${sessionId}] Mostrando 'escribiendo...' por ${typingDuration}ms`);
-            
-            await chat.sendStateTyping();
-            await new Promise(resolve => setTimeout(resolve, typingDuration));
-            await chat.clearState();
-            await new Promise(resolve => setTimeout(resolve, 300));
+    // Número en formato internacional: "987654321" y "+51 987 654 321" son el mismo chat
+    if (numero) {
+        try {
+            numero = normalizeRecipient(numero);
+        } catch (err) {
+            discardUpload();
+            return res.status(400).json({ error: err.message });
         }
+    }
 
-        if (archivo) {
-            logger.info(`[${sessionId}] Preparando archivo: ${archivo.originalname}`);
+    // Repetición de una llamada anterior: se comprueba antes de descargar el archivo o
+    // renderizar la plantilla, con la huella de los campos tal como llegan
+    const idempotencyKey = String(req.get('Idempotency-Key') || req.body.client_ref || '').trim() || null;
+    // Por rol la clave no depende de la sesión: un reintento tras un failover no reenvía
+    const idempotencyScope = req.params.role ? `role:${req.params.role}` : sessionId;
+    // Desde que se encola, un error ya no garantiza que el mensaje no vaya a salir
+    let enqueued = false;
+    if (idempotencyKey) {
+        if (idempotencyKey.length > 255) {
+            discardUpload();
+            return res.status(400).json({ error: 'La clave de idempotencia no puede superar 255 caracteres' });
+        }
 
-            if (archivo.size > 15 * 1024 * 1024) {
-                fs.unlinkSync(archivo.path);
-                return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
-            }
+        const fingerprint = IdempotencyStore.fingerprint({
+            numero: numero || null,
+            mensaje: mensaje || null,
+            template: req.body.template || null,
+            archivo: archivo ? [archivo.originalname, archivo.size] : null,
+            ...Object.fromEntries(FINGERPRINT_FIELDS
+                .filter(field => req.body[field] !== undefined && req.body[field] !== '')
+                .map(field => [field, parseJsonField(req.body[field])]))
+        });
+        const previous = idempotencyStore.begin(idempotencyScope, idempotencyKey, fingerprint);
+
+        if (previous) {
+            discardUpload();
 
-            if (!fs.existsSync(archivo.path)) {
-                logger.error(`[${sessionId}] El archivo no existe: ${archivo.path}`);
-                return res.status(400).json({ error: 'El archivo no se pudo procesar' });
+            if (previous.fingerprint !== fingerprint) {
+                return res.status(422).json({
+                    error: 'La clave de idempotencia ya se usó con un mensaje distinto',
+                    idempotencyKey
+                });
+            }
+            if (previous.state === 'pending') {
+                return res.status(409).json({ error: 'Ya hay un envío en curso con esta clave de idempotencia', idempotencyKey });
+            }
+            if (previous.state === 'failed') {
+                return res.status(409).json({
+                    error: 'El envío con esta clave falló sin confirmar si el mensaje salió. Revise el historial del chat antes de reenviar con otra clave',
+                    idempotencyKey,
+                    outcome: 'unknown',
+                    previous: { statusCode: previous.statusCode, ...previous.body }
+                });
             }
 
-            const fileMimeType = archivo.mimetype || mime.lookup(archivo.path) || 'application/octet-stream';
-            const fileName = archivo.originalname || `file_${Date.now()}${path.extname(archivo.originalname) || '.dat'}`;
+            const record = messageStatus.get(previous.body.sessionId, previous.body.jobId);
+            logger.info(`[${sessionId}] ♻️ Repetición de send-message con clave ${idempotencyKey}, no se reenvía`);
 
-            let fileData;
-            try {
-                fileData = fs.readFileSync(archivo.path, { encoding: 'base64' });
-            } catch (readError) {
-                logger.error(`[${sessionId}] Error leyendo archivo: ${readError.message}`);
-                try { fs.unlinkSync(archivo.path); } catch (e) {}
-                return res.status(500).json({ error: 'Error procesando el archivo' });
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(previous.statusCode).json({
+                ...previous.body,
+                idempotentReplay: true,
+                currentStatus: record ? record.status : null
+            });
+        }
+
+        // Toda respuesta resuelve la clave: un error antes de encolar la libera para
+        // reintentar; uno después no (el mensaje pudo salir) y queda como fallido
+        const json = res.json.bind(res);
+        res.json = (body) => {
+            if (res.statusCode >= 200 && res.statusCode < 300) {
+                idempotencyStore.complete(idempotencyScope, idempotencyKey, res.statusCode, body);
+            } else if (!enqueued) {
+                idempotencyStore.release(idempotencyScope, idempotencyKey);
+            } else {
+                idempotencyStore.fail(idempotencyScope, idempotencyKey, res.statusCode, body);
             }
+            return json(body);
+        };
+    }
 
-            if (!fileData || fileData.length === 0) {
-                logger.error(`[${sessionId}] El archivo está vacío`);
-                try { fs.unlinkSync(archivo.path); } catch (e) {}
-                return res.status(400).json({ error: 'El archivo está vacío' });
+    try {
+        // Respuesta citando un mensaje (reply_to: jobId de send-message o id de WhatsApp);
+        // sin `numero` se responde en el chat del mensaje citado
+        let quoted = null;
+        if (req.body.reply_to) {
+            const target = conversationStore.findMessage(sessionId, String(req.body.reply_to));
+            if (!target) {
+                discardUpload();
+                return res.status(404).json({ error: 'El mensaje a responder no está en el historial de la sesión' });
             }
 
-            let media;
             try {
-                media = new MessageMedia(fileMimeType, fileData, fileName);
-            } catch (mediaError) {
-                logger.error(`[${sessionId}] Error creando MessageMedia: ${mediaError.message}`);
-                try { fs.unlinkSync(archivo.path); } catch (e) {}
-                return res.status(500).json({ error: 'Error preparando el archivo' });
+                checkTarget(target);
+            } catch (err) {
+                discardUpload();
+                return res.status(err.statusCode).json({ error: err.message });
             }
 
-            let options = {
-                caption: mensaje || '',
-                sendMediaAsSticker: false
-            };
+            if (numero && toChatId(numero) !== target.chatId) {
+                discardUpload();
+                return res.status(400).json({ error: 'reply_to pertenece a otro chat' });
+            }
 
-            const forceDocument = req.body.force_document === 'true' || req.body.force_document === true;
+            quoted = toMessageRef(target);
+            numero = numero || chatNumber(target.chatId);
+        }
 
-            if (forceDocument || fileMimeType.startsWith('video/')) {
-                options.sendMediaAsDocument = true;
-            } else if (fileMimeType.startsWith('image/') && archivo.size < 1024 * 1024) {
-                options.sendMediaAsDocument = false;
-            } else if (fileMimeType.startsWith('audio/') && archivo.size < 10 * 1024 * 1024) {
-                options.sendMediaAsDocument = false;
-                options.sendAudioAsVoice = fileMimeType.includes('ogg') || fileMimeType.includes('opus');
-            } else {
-                options.sendMediaAsDocument = true;
-            }
+        if (!numero) {
+            discardUpload();
+            return res.status(400).json({ error: 'Falta el número de destino' });
+        }
 
-            let result;
-            let messageId = null;
-            let messageSent = false;
+        // Archivo por URL o en base64: sigue el mismo camino que uno subido
+        if (req.body.media_url || req.body.media_base64) {
+            if (archivo) {
+                discardUpload();
+                return res.status(400).json({ error: 'Envíe el archivo subido, media_url o media_base64: solo uno' });
+            }
 
             try {
-                logger.info(`[${sessionId}] Enviando archivo...`);
-                
-                result = await Promise.race([
-                    client.sendMessage(chatId, media, options),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout enviando archivo')), 60000))
-                ]);
+                archivo = await loadMediaInput(req.body, { dir: 'uploads' });
+            } catch (err) {
+                logger.warn(`[${sessionId}] Archivo de send-message rechazado: ${err.message}`);
+                return res.status(err.statusCode || 400).json({ error: err.message });
+            }
+        }
 
-                messageSent = true;
-                logger.info(`[${sessionId}] Archivo enviado exitosamente`);
+        // Tipos especiales: botones/lista/encuesta (`interactive`), ubicación (`location`)
+        // y contacto (`contact`) en JSON reemplazan a `mensaje`; `as_sticker` envía la imagen como sticker
+        const asSticker = req.body.as_sticker === 'true' || req.body.as_sticker === true;
+        const specialFields = ['interactive', 'location', 'contact'].filter(field => req.body[field]);
+        if (specialFields.length + (asSticker ? 1 : 0) > 1) {
+            discardUpload();
+            return res.status(400).json({ error: 'Solo se puede enviar un tipo de mensaje a la vez: interactive, location, contact o as_sticker' });
+        }
+        if (specialFields.length > 0 && (archivo || req.body.template)) {
+            discardUpload();
+            return res.status(400).json({ error: `El campo ${specialFields[0]} no admite archivo ni plantilla` });
+        }
+        if (quoted && (specialFields.length > 0 || asSticker)) {
+            discardUpload();
+            return res.status(400).json({ error: 'reply_to solo admite texto o archivo' });
+        }
 
-                try {
-                    if (result && result.id) {
-                        messageId = result.id._serialized || result.id.id || result.id;
-                    }
-                } catch (e) {
-                    logger.warn(`[${sessionId}] No se pudo obtener ID del mensaje`);
+        let interactive = null;
+        let location = null;
+        let contact = null;
+        try {
+            if (req.body.interactive) {
+                interactive = parseInteractive(parseJsonField(req.body.interactive));
+                mensaje = interactiveText(interactive);
+            } else if (req.body.location) {
+                location = parseLocation(parseJsonField(req.body.location));
+                mensaje = locationText(location);
+            } else if (req.body.contact) {
+                contact = parseContact(parseJsonField(req.body.contact));
+                mensaje = contact.name;
+            } else if (asSticker) {
+                if (req.body.template || mensaje) {
+                    throw new Error('Un sticker no admite texto ni plantilla');
                 }
+                checkStickerSource(archivo);
+            }
+        } catch (err) {
+            discardUpload();
+            return res.status(400).json({ error: err.message });
+        }
 
-            } catch (sendError) {
-                const errorMsg = sendError.message || '';
-                logger.error(`[${sessionId}] Error enviando: ${errorMsg}`);
-
-                if (errorMsg.includes('serialize') || 
-                    errorMsg.includes('getMessageModel') ||
-                    errorMsg.includes('Cannot read properties') ||
-                    errorMsg === 'Evaluation failed: a') {
-                    logger.warn(`[${sessionId}] Error post-envío, mensaje probablemente enviado`);
-                    messageSent = true;
-                } else {
-                    throw sendError;
-                }
+        // Plantilla: su texto reemplaza a `mensaje` y aporta su adjunto si no se subió uno
+        const templateName = req.body.template || null;
+        let template = null;
+        if (templateName) {
+            template = templateStore.get(templateName);
+            if (!template) {
+                discardUpload();
+                return res.status(404).json({ error: `Plantilla no encontrada: ${templateName}` });
             }
 
             try {
-                fs.unlinkSync(archivo.path);
+                mensaje = templateStore.render(template, parseJsonField(req.body.variables) || {});
             } catch (err) {
-                logger.warn(`[${sessionId}] Error eliminando archivo: ${err.message}`);
+                discardUpload();
+                return res.status(400).json({ error: err.message, template: templateName });
             }
+        }
 
-            if (messageSent) {
-                return res.json({
-                    success: true,
-                    message: `Archivo enviado como ${options.sendMediaAsDocument ? 'documento' : 'multimedia'}`,
-                    sessionId,
-                    destinatario: numero,
-                    messageId: messageId,
-                    fileInfo: {
-                        name: fileName,
-                        type: fileMimeType,
-                        size: archivo.size,
-                        sentAs: options.sendMediaAsDocument ? 'document' : 'media'
-                    }
-                });
-            }
+        if (!archivo && !mensaje && !(template?.attachment && fs.existsSync(template.attachment.path))) {
+            discardUpload();
+            return res.status(400).json({ error: 'Se requiere un mensaje o un archivo' });
+        }
 
-        } else if (mensaje) {
-            logger.info(`[${sessionId}] Enviando mensaje de texto`);
+        if (archivo && archivo.size > 15 * 1024 * 1024) {
+            discardUpload();
+            return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+        }
 
-            let result;
-            let messageId = null;
-            let messageSent = false;
+        if (template && !archivo) {
+            archivo = templateStore.copyAttachment(template, 'uploads');
+        }
 
-            try {
-                result = await Promise.race([
-                    client.sendMessage(chatId, mensaje),
-                    new Promise((_, reject) => setTimeout(() => reject(new Error('Timeout')), 20000))
-                ]);
+        const job = messageQueue.enqueue(sessionId, {
+            clientRef: idempotencyKey,
+            template: templateName,
+            numero,
+            mensaje: mensaje || null,
+            typing_time: typing_time !== undefined && typing_time !== '' ? Number(typing_time) : null,
+            force_document: req.body.force_document === 'true' || req.body.force_document === true,
+            archivo: archivo ? {
+                path: archivo.path,
+                originalname: archivo.originalname,
+                mimetype: archivo.mimetype,
+                size: archivo.size
+            } : null,
+            interactive,
+            location,
+            contact,
+            as_sticker: asSticker,
+            quoted
+        });
+        enqueued = true;
+
+        session.lastActivity = Date.now();
+
+        const response = {
+            success: true,
+            message: session.status === 'authenticated'
+                ? 'Mensaje encolado para envío'
+                : `Mensaje encolado - se enviará cuando la sesión esté autenticada (estado actual: ${session.status})`,
+            sessionId,
+            role: req.params.role,
+            destinatario: numero,
+            jobId: job.id,
+            clientRef: idempotencyKey,
+            status: job.status,
+            statusUrl: `/api/sessions/${sessionId}/messages/${job.id}`,
+            queueLength: messageQueue.getPending(sessionId).length
+        };
+
+        res.status(202).json(response);
+    } catch (err) {
+        // El adjunto de un trabajo encolado lo borra la cola al terminar
+        if (!enqueued) discardUpload();
+        logger.error(`[${sessionId}] Error en send-message: ${err.message}`);
+        if (!res.headersSent) res.status(500).json({ error: err.message });
+    }
+};
+
+app.post('/api/sessions/:id/send-message', upload.single('archivo'), handleSendMessage);
+
+// Enviar mensaje por rol: se usa la sesión asignada actualmente al rol
+app.post('/api/roles/:role/send-message', (req, res, next) => {
+    const sessionId = assignmentStore.resolve(req.params.role, isSessionReady);
+    if (!sessionId) {
+        return res.status(404).json({ error: `No hay ninguna sesión asignada al rol ${req.params.role}` });
+    }
+
+    req.params.id = sessionId;
+    next();
+}, upload.single('archivo'), handleSendMessage);
+
+// Archivo recibido de un cliente (?download=true para descargarlo como adjunto)
+app.get('/api/sessions/:id/media/:mediaId', (req, res) => {
+    const media = mediaStore.get(req.params.id, req.params.mediaId);
+    if (!media) {
+        return res.status(404).json({ error: 'Archivo no encontrado' });
+    }
+
+    res.set(mediaStore.headers(media, { download: req.query.download === 'true' }));
+    res.sendFile(media.path);
+});
+
+// Historial: chats de la sesión con su último mensaje (?since=&until=&page=&limit=)
+app.get('/api/sessions/:id/chats', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.listChats(req.params.id, { since, until, page: req.query.page, limit: req.query.limit })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Historial de un chat: número o JID (?since=&until=&page=&limit=&order=asc|desc)
+app.get('/api/sessions/:id/chats/:jid/messages', (req, res) => {
+    try {
+        const since = parseDateFilter(req.query.since);
+        const until = parseDateFilter(req.query.until);
+        const order = req.query.order === 'asc' ? 'asc' : 'desc';
+
+        res.json({
+            sessionId: req.params.id,
+            ...conversationStore.getMessages(req.params.id, req.params.jid, { since, until, page: req.query.page, limit: req.query.limit, order })
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Driver de una sesión conectada; si no lo está, responde el error y devuelve null
+const readyDriver = (req, res) => {
+    const session = sessionManager.getSession(req.params.id);
+    if (!session) {
+        res.status(404).json({ error: 'Sesión no encontrada' });
+        return null;
+    }
+    if (session.status !== 'authenticated' || !session.driver) {
+        res.status(409).json({ error: 'La sesión no está conectada', status: session.status });
+        return null;
+    }
+    return session.driver;
+};
+
+// Verificar qué números están registrados en WhatsApp
+// (body: { numbers: ['51987654321', ...] o '51987654321,51912345678', refresh })
+app.post('/api/sessions/:id/contacts/check', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    let numbers;
+    try {
+        numbers = parseNumberList(req.body.numbers);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    try {
+        const results = await checkNumbers(numbers, numberLookupCache, (pending) => driver.lookupNumbers(pending), {
+            refresh: req.body.refresh === true || req.body.refresh === 'true'
+        });
+        res.json({ sessionId: req.params.id, ...summarizeChecks(results), results });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error verificando números: ${err.message}`);
+        res.status(500).json({ error: err.message });
+    }
+});
+
+// Grupos en los que participa la sesión
+app.get('/api/sessions/:id/groups', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    try {
+        const groups = await driver.listGroups();
+        res.json({ sessionId: req.params.id, total: groups.length, groups });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error listando grupos: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// Detalle de un grupo con sus participantes
+app.get('/api/sessions/:id/groups/:groupId', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    try {
+        res.json({ sessionId: req.params.id, group: await driver.getGroup(req.params.groupId) });
+    } catch (err) {
+        res.status(err.permanent ? 404 : 500).json({ error: err.message });
+    }
+});
+
+// Crear grupo (body: { name, participants: ['51999...'] o '51999...,51988...' })
+app.post('/api/sessions/:id/groups', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    const name = String(req.body.name || '').trim();
+    if (!name) {
+        return res.status(400).json({ error: 'Falta el nombre del grupo' });
+    }
+
+    try {
+        const group = await driver.createGroup(name, req.body.participants);
+        res.status(201).json({ success: true, sessionId: req.params.id, group });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error creando grupo: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// Agregar participantes (body: { participants })
+app.post('/api/sessions/:id/groups/:groupId/participants', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    try {
+        const participants = await driver.addParticipants(req.params.groupId, req.body.participants);
+        res.json({ success: participants.every(p => p.success), groupId: req.params.groupId, participants });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error agregando participantes: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// Quitar participantes (body: { participants } o ?participants=51999...,51988...)
+app.delete('/api/sessions/:id/groups/:groupId/participants', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    try {
+        const participants = await driver.removeParticipants(
+            req.params.groupId,
+            (req.body && req.body.participants) || req.query.participants
+        );
+        res.json({ success: participants.every(p => p.success), groupId: req.params.groupId, participants });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error quitando participantes: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// Enlace de invitación del grupo (la sesión debe ser administradora)
+app.get('/api/sessions/:id/groups/:groupId/invite-link', async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+
+    try {
+        const inviteLink = await driver.getInviteLink(req.params.groupId);
+        res.json({ groupId: req.params.groupId, inviteLink });
+    } catch (err) {
+        logger.error(`[${req.params.id}] Error obteniendo enlace de invitación: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+});
+
+// Estado de entrega de un mensaje (id del trabajo o id de WhatsApp)
+app.get('/api/sessions/:id/messages/:messageId', (req, res) => {
+    const { id: sessionId, messageId } = req.params;
+    const record = messageStatus.get(sessionId, messageId);
+
+    if (!record) {
+        return res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+
+    const job = messageQueue.getJob(sessionId, record.id);
+
+    res.json({
+        sessionId,
+        messageId: record.id,
+        waMessageId: record.waMessageId,
+        destinatario: record.to,
+        clientRef: job ? job.payload.clientRef || null : null,
+        status: record.status,
+        confirmed: record.confirmed !== false,
+        error: record.error,
+        attempts: job ? job.attempts : null,
+        createdAt: record.createdAt,
+        updatedAt: record.updatedAt,
+        history: record.history
+    });
+});
+
+// Responder citando un mensaje: mismos campos que send-message, `numero` es opcional
+app.post('/api/sessions/:id/messages/:messageId/reply', upload.single('archivo'), (req, res) => {
+    req.body.reply_to = req.params.messageId;
+    return handleSendMessage(req, res);
+});
+
+// Mensaje del historial sobre el que se actúa (jobId de send-message o id de WhatsApp);
+// si no se encuentra responde el error y devuelve null
+const findTargetMessage = (req, res) => {
+    const { id: sessionId, messageId } = req.params;
+    const entry = conversationStore.findMessage(sessionId, messageId);
+    if (entry) return entry;
+
+    const record = messageStatus.get(sessionId, messageId);
+    if (record && record.status === 'queued') {
+        res.status(409).json({ error: 'El mensaje todavía no se envió', status: record.status });
+    } else if (record && record.status === 'failed') {
+        res.status(409).json({ error: 'El mensaje no se pudo enviar', status: record.status });
+    } else {
+        res.status(404).json({ error: 'Mensaje no encontrado' });
+    }
+    return null;
+};
+
+// Acción sobre un mensaje ya enviado o recibido: validar, ejecutar en el driver y registrar
+const handleMessageAction = (action, run) => async (req, res) => {
+    const driver = readyDriver(req, res);
+    if (!driver) return;
+    const entry = findTargetMessage(req, res);
+    if (!entry) return;
+
+    const sessionId = req.params.id;
+    const ref = toMessageRef(entry);
+    try {
+        const body = await run(driver, entry, ref, req.body || {});
+
+        conversationStore.recordOutbound(sessionId, {
+            to: entry.chatId,
+            type: action,
+            body,
+            source: action,
+            targetId: ref.id
+        });
+        eventStream.publish(sessionId, 'message_updated', { action, messageId: ref.id, chatId: entry.chatId, body });
+        logger.info(`[${sessionId}] ✏️ Mensaje ${ref.id}: ${action}`);
+
+        res.json({ success: true, sessionId, action, messageId: ref.id, chatId: entry.chatId, body });
+    } catch (err) {
+        if (err.statusCode) {
+            return res.status(err.statusCode).json({ error: err.message });
+        }
+        logger.error(`[${sessionId}] Error en ${action} del mensaje ${ref.id}: ${err.message}`);
+        res.status(err.permanent ? 400 : 500).json({ error: err.message });
+    }
+};
+
+// Reaccionar con un emoji (body: { emoji }; "" quita la reacción)
+app.post('/api/sessions/:id/messages/:messageId/react', handleMessageAction('reaction', async (driver, entry, ref, body) => {
+    const emoji = parseReaction(body.emoji);
+    checkTarget(entry);
+    await driver.reactToMessage(ref, emoji);
+    return emoji;
+}));
+
+// Editar un texto enviado hace menos de 15 minutos (body: { mensaje })
+app.post('/api/sessions/:id/messages/:messageId/edit', handleMessageAction('edit', async (driver, entry, ref, body) => {
+    const text = checkEditable(entry, body.mensaje);
+    await driver.editMessage(ref, text);
+    return text;
+}));
+
+// Eliminar para todos un mensaje enviado por la sesión
+app.delete('/api/sessions/:id/messages/:messageId', handleMessageAction('revoke', async (driver, entry, ref) => {
+    checkDeletable(entry);
+    await driver.deleteMessage(ref);
+    return null;
+}));
+
+// Campañas de envío masivo (se encolan destinatario a destinatario)
+const broadcastManager = new BroadcastManager(BROADCASTS_FILE, logger, {
+    queue: messageQueue,
+    isSessionReady
+});
+
+// Crear campaña: destinatarios + texto con {{variables}} + archivo opcional
+app.post('/api/sessions/:id/broadcast', upload.single('archivo'), (req, res) => {
+    const sessionId = req.params.id;
+    const session = sessionManager.getSession(sessionId);
+    const archivo = req.file;
+
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+    };
+
+    if (!session) {
+        discardUpload();
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        discardUpload();
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    // Se aceptan un array JSON o una lista separada por comas / saltos de línea
+    let recipients = parseJsonField(req.body.recipients);
+    if (typeof recipients === 'string') {
+        recipients = recipients.split(/[\n,;]+/).map(numero => numero.trim()).filter(Boolean);
+    }
+
+    const variables = parseJsonField(req.body.variables) || {};
+    if (typeof variables !== 'object' || Array.isArray(variables)) {
+        discardUpload();
+        return res.status(400).json({ error: 'variables debe ser un objeto' });
+    }
+
+    // Plantilla: se guarda su texto al crear la campaña (editarla después no la afecta)
+    const templateName = req.body.template || null;
+    let template = null;
+    if (templateName) {
+        template = templateStore.get(templateName);
+        if (!template) {
+            discardUpload();
+            return res.status(404).json({ error: `Plantilla no encontrada: ${templateName}` });
+        }
+    }
+
+    // El archivo subido tiene prioridad sobre el adjunto de la plantilla
+    const campaignFile = archivo ? {
+        path: archivo.path,
+        originalname: archivo.originalname,
+        mimetype: archivo.mimetype,
+        size: archivo.size
+    } : template ? templateStore.copyAttachment(template, 'uploads') : null;
+
+    let campaign;
+    try {
+        campaign = broadcastManager.create(sessionId, {
+            recipients,
+            mensaje: template ? template.mensaje || null : req.body.mensaje || null,
+            template: templateName,
+            variables,
+            perMinute: req.body.per_minute,
+            jitterMs: req.body.jitter_ms,
+            typingTime: req.body.typing_time !== undefined && req.body.typing_time !== '' ? Number(req.body.typing_time) : null,
+            forceDocument: req.body.force_document === 'true' || req.body.force_document === true,
+            archivo: campaignFile
+        });
+    } catch (err) {
+        if (campaignFile) {
+            try { fs.unlinkSync(campaignFile.path); } catch (e) {}
+        }
+        return res.status(400).json({ error: err.message });
+    }
+
+    session.lastActivity = Date.now();
+
+    res.status(202).json({
+        success: true,
+        message: `Campaña creada: ${campaign.recipients.length} destinatarios a ${campaign.perMinute} mensajes por minuto`,
+        campaignId: campaign.id,
+        sessionId,
+        total: campaign.recipients.length,
+        perMinute: campaign.perMinute,
+        jitterMs: campaign.jitterMs,
+        statusUrl: `/api/sessions/${sessionId}/broadcast/${campaign.id}`
+    });
+});
+
+// Listar campañas de la sesión
+app.get('/api/sessions/:id/broadcast', (req, res) => {
+    const campaigns = broadcastManager.list(req.params.id)
+        .map(campaign => broadcastManager.getProgress(campaign))
+        .map(({ failures, ...progress }) => progress);
+
+    res.json({ sessionId: req.params.id, campaigns });
+});
+
+// Progreso de una campaña y fallos por destinatario
+app.get('/api/sessions/:id/broadcast/:campaignId', (req, res) => {
+    const campaign = broadcastManager.get(req.params.id, req.params.campaignId);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+    }
+
+    const progress = broadcastManager.getProgress(campaign);
+
+    // Detalle completo con ?detail=true (cada destinatario con su jobId)
+    if (req.query.detail === 'true') {
+        progress.recipients = campaign.recipients.map(({ numero, status, jobId, error }) => ({
+            numero,
+            status,
+            jobId,
+            error,
+            statusUrl: jobId ? `/api/sessions/${campaign.sessionId}/messages/${jobId}` : null
+        }));
+    }
+
+    res.json(progress);
+});
+
+// Cancelar una campaña (los mensajes ya encolados se envían)
+app.post('/api/sessions/:id/broadcast/:campaignId/cancel', (req, res) => {
+    const campaign = broadcastManager.get(req.params.id, req.params.campaignId);
+    if (!campaign) {
+        return res.status(404).json({ error: 'Campaña no encontrada' });
+    }
+
+    if (!broadcastManager.cancel(campaign)) {
+        return res.status(409).json({ error: `La campaña ya está ${campaign.status}` });
+    }
+
+    res.json({ success: true, ...broadcastManager.getProgress(campaign) });
+});
+
+// Mensajes programados: envío único (send_at) o recurrente (cron + timezone)
+const messageScheduler = new MessageScheduler(SCHEDULED_FILE, SCHEDULED_FILES_DIR, logger, {
+    queue: messageQueue
+});
+
+// Campos de envío de un mensaje programado (undefined = no se envió el campo)
+const scheduleOptions = (body) => ({
+    sendAt: body.send_at || undefined,
+    cron: body.cron || undefined,
+    timezone: body.timezone || undefined,
+    catchUp: body.catch_up || undefined,
+    typingTime: body.typing_time !== undefined ? (body.typing_time !== '' ? Number(body.typing_time) : null) : undefined,
+    forceDocument: body.force_document !== undefined ? body.force_document === 'true' || body.force_document === true : undefined
+});
+
+// Programar un mensaje: numero + mensaje/plantilla + archivo opcional + send_at o cron
+app.post('/api/sessions/:id/scheduled', upload.single('archivo'), async (req, res) => {
+    const sessionId = req.params.id;
+    let archivo = req.file;
+
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+    };
+
+    if (!sessionManager.getSession(sessionId)) {
+        discardUpload();
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    // Archivo por URL o en base64: se descarga ahora y se guarda con la programación
+    if (req.body.media_url || req.body.media_base64) {
+        if (archivo) {
+            discardUpload();
+            return res.status(400).json({ error: 'Envíe el archivo subido, media_url o media_base64: solo uno' });
+        }
+
+        try {
+            archivo = await loadMediaInput(req.body, { dir: 'uploads' });
+        } catch (err) {
+            return res.status(err.statusCode || 400).json({ error: err.message });
+        }
+    }
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        discardUpload();
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    // Plantilla: se aplica al programar (editarla después no afecta a este mensaje)
+    const templateName = req.body.template || null;
+    let mensaje = req.body.mensaje || null;
+    if (templateName) {
+        const template = templateStore.get(templateName);
+        if (!template) {
+            discardUpload();
+            return res.status(404).json({ error: `Plantilla no encontrada: ${templateName}` });
+        }
+
+        try {
+            mensaje = templateStore.render(template, parseJsonField(req.body.variables) || {});
+        } catch (err) {
+            discardUpload();
+            return res.status(400).json({ error: err.message, template: templateName });
+        }
+        if (!archivo) {
+            archivo = templateStore.copyAttachment(template, 'uploads');
+        }
+    }
+
+    const { typingTime = null, forceDocument = false, ...timing } = scheduleOptions(req.body);
+    let schedule;
+    try {
+        schedule = messageScheduler.create(sessionId, {
+            numero: req.body.numero,
+            mensaje,
+            template: templateName,
+            archivo,
+            typingTime,
+            forceDocument,
+            ...timing
+        });
+    } catch (err) {
+        discardUpload();
+        return res.status(400).json({ error: err.message });
+    }
+
+    res.status(201).json({
+        success: true,
+        message: schedule.cron
+            ? `Mensaje recurrente programado (${schedule.cron}, ${schedule.timezone})`
+            : 'Mensaje programado',
+        scheduleId: schedule.id,
+        schedule: messageScheduler.view(schedule)
+    });
+});
+
+// Listar mensajes programados de la sesión (?status=active|completed|cancelled|missed)
+app.get('/api/sessions/:id/scheduled', (req, res) => {
+    const schedules = messageScheduler.list(req.params.id, { status: req.query.status || null })
+        .map(schedule => messageScheduler.view(schedule));
+
+    res.json({ sessionId: req.params.id, total: schedules.length, schedules });
+});
+
+// Detalle de un mensaje programado
+app.get('/api/sessions/:id/scheduled/:scheduleId', (req, res) => {
+    const schedule = messageScheduler.get(req.params.id, req.params.scheduleId);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Mensaje programado no encontrado' });
+    }
+    res.json(messageScheduler.view(schedule));
+});
+
+// Editar un mensaje programado activo (remove_attachment=true quita el adjunto)
+app.put('/api/sessions/:id/scheduled/:scheduleId', upload.single('archivo'), (req, res) => {
+    const archivo = req.file;
+
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
+        }
+    };
+
+    const schedule = messageScheduler.get(req.params.id, req.params.scheduleId);
+    if (!schedule) {
+        discardUpload();
+        return res.status(404).json({ error: 'Mensaje programado no encontrado' });
+    }
+    if (schedule.status !== 'active') {
+        discardUpload();
+        return res.status(409).json({ error: `El mensaje programado ya está ${schedule.status}` });
+    }
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        discardUpload();
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    try {
+        messageScheduler.update(schedule, {
+            numero: req.body.numero,
+            mensaje: req.body.mensaje,
+            removeAttachment: req.body.remove_attachment === 'true' || req.body.remove_attachment === true,
+            ...scheduleOptions(req.body)
+        }, archivo);
+    } catch (err) {
+        discardUpload();
+        return res.status(400).json({ error: err.message });
+    }
+
+    res.json({ success: true, schedule: messageScheduler.view(schedule) });
+});
+
+// Cancelar un mensaje programado (si ya se encoló, ese envío sigue su curso)
+app.post('/api/sessions/:id/scheduled/:scheduleId/cancel', (req, res) => {
+    const schedule = messageScheduler.get(req.params.id, req.params.scheduleId);
+    if (!schedule) {
+        return res.status(404).json({ error: 'Mensaje programado no encontrado' });
+    }
+
+    if (!messageScheduler.cancel(schedule)) {
+        return res.status(409).json({ error: `El mensaje programado ya está ${schedule.status}` });
+    }
+
+    res.json({ success: true, schedule: messageScheduler.view(schedule) });
+});
+
+// Respuestas automáticas: reglas por palabra clave/regex, saludo y mensaje fuera de horario
+const autoReplies = new AutoReplyManager(AUTO_REPLIES_FILE, logger, {
+    history: (sessionId) => conversationStore.read(sessionId)
+});
+
+// Responder un mensaje entrante si alguna regla aplica (se encola como cualquier envío)
+const sendAutoReply = (sessionId, message) => {
+    try {
+        const match = autoReplies.evaluate(sessionId, message);
+        if (!match) return;
+
+        messageQueue.enqueue(sessionId, {
+            numero: normalizeRecipient(message.from),
+            mensaje: match.reply,
+            autoReplyId: match.ruleId
+        });
+        logger.info(`[${sessionId}] 🤖 Respuesta automática (${match.type}) para ${match.chatId}`);
+    } catch (err) {
+        logger.warn(`[${sessionId}] No se pudo enviar la respuesta automática: ${err.message}`);
+    }
+};
+
+// Configuración de respuestas automáticas de la sesión
+app.get('/api/sessions/:id/auto-replies', (req, res) => {
+    if (!sessionManager.getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+    res.json(autoReplies.view(req.params.id));
+});
+
+// Activar/desactivar y configurar: enabled, cooldown_minutes, ignore_groups, business_hours
+app.put('/api/sessions/:id/auto-replies', (req, res) => {
+    if (!sessionManager.getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const config = autoReplies.updateSettings(req.params.id, autoReplyInput(req.body));
+        res.json({ success: true, autoReplies: config });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Crear regla: type (keyword, regex, greeting) + reply
+app.post('/api/sessions/:id/auto-replies/rules', (req, res) => {
+    if (!sessionManager.getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const rule = autoReplies.createRule(req.params.id, autoReplyInput(req.body));
+        res.status(201).json({ success: true, rule });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.put('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    try {
+        const rule = autoReplies.updateRule(req.params.id, req.params.ruleId, autoReplyInput(req.body));
+        if (!rule) {
+            return res.status(404).json({ error: 'Regla no encontrada' });
+        }
+        res.json({ success: true, rule });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+app.delete('/api/sessions/:id/auto-replies/rules/:ruleId', (req, res) => {
+    if (!autoReplies.removeRule(req.params.id, req.params.ruleId)) {
+        return res.status(404).json({ error: 'Regla no encontrada' });
+    }
+    res.json({ success: true, message: 'Regla eliminada' });
+});
+
+// Probar las reglas sin enviar nada (body: { mensaje, numero, nombre })
+app.post('/api/sessions/:id/auto-replies/test', (req, res) => {
+    if (!sessionManager.getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    try {
+        const numero = normalizeRecipient(req.body.numero || '51900000000');
+        const match = autoReplies.evaluate(req.params.id, {
+            id: null,
+            from: numero.includes('@') ? numero : `${numero}@c.us`,
+            body: req.body.mensaje || '',
+            pushName: req.body.nombre || null,
+            isGroup: numero.endsWith('@g.us'),
+            timestamp: Date.now()
+        }, { dryRun: true });
+        res.json({ sessionId: req.params.id, match });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Bandeja de entrada multiagente: los chats entrantes quedan sin asignar hasta que un agente los toma
+const inbox = new InboxStore(INBOX_FILE, logger);
+
+// Avisar a los dashboards de la bandeja (SSE)
+const publishInbox = (conversation, action) => {
+    eventStream.publish(conversation.sessionId, 'inbox', {
+        action,
+        conversationId: conversation.id,
+        chatId: conversation.chatId,
+        status: conversation.status,
+        agentId: conversation.agentId
+    });
+};
+
+const recordInboxMessage = (sessionId, message) => {
+    const conversation = inbox.recordInbound(sessionId, message);
+    if (conversation) publishInbox(conversation, 'message');
+};
+
+// Agente que hace la petición: el vinculado a la clave de API o `agent_id`
+const requestAgent = (req) => inbox.resolveAgent(req.apiKey, (req.body && req.body.agent_id) || req.query.agent_id);
+
+// Listar agentes
+app.get('/api/inbox/agents', (req, res) => {
+    res.json({ agents: inbox.listAgents() });
+});
+
+// Crear agente (body: { name, api_key_id })
+app.post('/api/inbox/agents', (req, res) => {
+    try {
+        const agent = inbox.createAgent(agentInput(req.body));
+        res.status(201).json({ success: true, agent });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Actualizar agente
+app.put('/api/inbox/agents/:agentId', (req, res) => {
+    try {
+        const agent = inbox.updateAgent(req.params.agentId, agentInput(req.body));
+        if (!agent) {
+            return res.status(404).json({ error: 'Agente no encontrado' });
+        }
+        res.json({ success: true, agent });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Eliminar agente (sus conversaciones quedan sin asignar)
+app.delete('/api/inbox/agents/:agentId', (req, res) => {
+    const result = inbox.removeAgent(req.params.agentId);
+    if (!result) {
+        return res.status(404).json({ error: 'Agente no encontrado' });
+    }
+
+    result.released.forEach(conversation => publishInbox(conversation, 'unassigned'));
+    res.json({ success: true, message: 'Agente eliminado', released: result.released.length });
+});
+
+// Conversaciones (?session_id=&status=open,pending&agent_id=<id>|none|me&page=&limit=)
+app.get('/api/inbox/conversations', (req, res) => {
+    try {
+        let agentId = req.query.agent_id || null;
+        if (agentId === 'me') {
+            const agent = inbox.resolveAgent(req.apiKey, null);
+            if (!agent) {
+                return res.status(400).json({ error: 'La clave de API no está vinculada a ningún agente' });
+            }
+            agentId = agent.id;
+        }
+
+        res.json(inbox.list({
+            sessionId: req.query.session_id || null,
+            status: req.query.status || null,
+            agentId,
+            page: req.query.page,
+            limit: req.query.limit
+        }));
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-                messageSent = true;
-                
-                try {
-                    if (result && result.id) {
-                        messageId = result.id._serialized || result.id.id || result.id;
-                    }
-                } catch (e) {
-                    logger.warn(`[${sessionId}] No se pudo obtener ID`);
-                }
+// Conversación con sus mensajes del historial (?page=&limit=, más recientes primero)
+app.get('/api/inbox/conversations/:conversationId', (req, res) => {
+    const conversation = inbox.get(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
 
-            } catch (sendError) {
-                const errorMsg = sendError.message || '';
-                
-                if (errorMsg.includes('serialize') || errorMsg === 'Evaluation failed: a') {
-                    logger.warn(`[${sessionId}] Error post-envío en texto`);
-                    messageSent = true;
-                } else {
-                    throw sendError;
-                }
-            }
+    try {
+        const history = conversationStore.getMessages(conversation.sessionId, conversation.chatId, {
+            page: req.query.page,
+            limit: req.query.limit
+        });
+        res.json({ conversation: inbox.view(conversation), ...history });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
 
-            if (messageSent) {
-                logger.info(`[${sessionId}] Mensaje enviado exitosamente`);
-                return res.json({
-                    success: true,
-                    message: 'Mensaje de texto enviado con éxito',
-                    sessionId,
-                    destinatario: numero,
-                    messageId: messageId
-                });
-            }
+// Tomar una conversación (body: { agent_id } si la clave no está vinculada a un agente)
+app.post('/api/inbox/conversations/:conversationId/claim', (req, res) => {
+    try {
+        const conversation = inbox.get(req.params.conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
 
-        } else {
-            return res.status(400).json({ error: 'Se requiere un mensaje o un archivo' });
+        const agent = requestAgent(req);
+        if (!agent) {
+            return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+        }
+        if (conversation.agentId && conversation.agentId !== agent.id) {
+            const current = inbox.getAgent(conversation.agentId);
+            return res.status(409).json({ error: `La conversación ya está asignada a ${current ? current.name : conversation.agentId}` });
         }
 
+        const claimed = inbox.assign(conversation.id, agent.id);
+        publishInbox(claimed, 'assigned');
+        res.json({ success: true, conversation: inbox.view(claimed) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Asignar a un agente o dejar sin asignar (body: { agent_id } o { agent_id: null })
+app.post('/api/inbox/conversations/:conversationId/assign', (req, res) => {
+    try {
+        const conversation = inbox.assign(req.params.conversationId, req.body.agent_id || null);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        publishInbox(conversation, conversation.agentId ? 'assigned' : 'unassigned');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Cambiar estado (body: { status: open | pending | closed })
+app.put('/api/inbox/conversations/:conversationId/status', (req, res) => {
+    try {
+        const conversation = inbox.setStatus(req.params.conversationId, req.body.status);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        publishInbox(conversation, 'status');
+        res.json({ success: true, conversation: inbox.view(conversation) });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Marcar como leída
+app.post('/api/inbox/conversations/:conversationId/read', (req, res) => {
+    const conversation = inbox.markRead(req.params.conversationId);
+    if (!conversation) {
+        return res.status(404).json({ error: 'Conversación no encontrada' });
+    }
+    res.json({ success: true, conversation: inbox.view(conversation) });
+});
+
+// Responder como agente por la misma sesión (body: { mensaje, agent_id })
+app.post('/api/inbox/conversations/:conversationId/messages', (req, res) => {
+    try {
+        const conversation = inbox.get(req.params.conversationId);
+        if (!conversation) {
+            return res.status(404).json({ error: 'Conversación no encontrada' });
+        }
+
+        const agent = requestAgent(req);
+        if (!agent) {
+            return res.status(400).json({ error: 'Indique el agente (agent_id) o use una clave de API vinculada a un agente' });
+        }
+        if (conversation.agentId && conversation.agentId !== agent.id) {
+            const current = inbox.getAgent(conversation.agentId);
+            return res.status(409).json({ error: `La conversación está asignada a ${current ? current.name : conversation.agentId}` });
+        }
+
+        const mensaje = typeof req.body.mensaje === 'string' ? req.body.mensaje.trim() : '';
+        if (!mensaje) {
+            return res.status(400).json({ error: 'Falta el mensaje' });
+        }
+
+        const session = sessionManager.getSession(conversation.sessionId);
+        if (!session) {
+            return res.status(404).json({ error: 'Sesión no encontrada' });
+        }
+
+        const job = messageQueue.enqueue(conversation.sessionId, {
+            numero: normalizeRecipient(conversation.chatId),
+            mensaje,
+            inboxConversationId: conversation.id,
+            agentId: agent.id,
+            agentName: agent.name
+        });
+        session.lastActivity = Date.now();
+
+        const updated = inbox.recordReply(conversation.id, agent, mensaje);
+        publishInbox(updated, 'reply');
+        logger.info(`[${conversation.sessionId}] 📥 ${agent.name} respondió a ${conversation.chatId}`);
+
+        res.status(202).json({
+            success: true,
+            message: 'Mensaje encolado para envío',
+            conversation: inbox.view(updated),
+            jobId: job.id,
+            status: job.status,
+            statusUrl: `/api/sessions/${conversation.sessionId}/messages/${job.id}`
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Registrar webhook de la sesión
+app.post('/api/sessions/:id/webhooks', (req, res) => {
+    const sessionId = req.params.id;
+    if (!sessionManager.getSession(sessionId)) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    const { url, secret, events } = req.body;
+    if (!url) {
+        return res.status(400).json({ error: 'Falta la URL del webhook' });
+    }
+
+    try {
+        const webhook = webhookDispatcher.register(sessionId, { url, secret, events });
+        res.status(201).json({
+            success: true,
+            message: 'Webhook registrado. Guarde el secreto: no se volverá a mostrar.',
+            webhook
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+});
+
+// Listar webhooks de la sesión
+app.get('/api/sessions/:id/webhooks', (req, res) => {
+    res.json({
+        sessionId: req.params.id,
+        webhooks: webhookDispatcher.list(req.params.id)
+    });
+});
+
+// Eliminar webhook
+app.delete('/api/sessions/:id/webhooks/:webhookId', (req, res) => {
+    if (!webhookDispatcher.remove(req.params.id, req.params.webhookId)) {
+        return res.status(404).json({ error: 'Webhook no encontrado' });
+    }
+
+    res.json({ success: true, message: 'Webhook eliminado' });
+});
+
+// Listar plantillas
+app.get('/api/templates', (req, res) => {
+    res.json({ templates: templateStore.list() });
+});
+
+// Obtener una plantilla
+app.get('/api/templates/:name', (req, res) => {
+    const template = templateStore.get(req.params.name);
+    if (!template) {
+        return res.status(404).json({ error: 'Plantilla no encontrada' });
+    }
+    res.json(template);
+});
+
+// Crear plantilla: name + mensaje con {{variables}} + archivo opcional
+app.post('/api/templates', upload.single('archivo'), (req, res) => {
+    const archivo = req.file;
+
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        try { fs.unlinkSync(archivo.path); } catch (e) {}
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    try {
+        const template = templateStore.create({
+            name: req.body.name,
+            mensaje: req.body.mensaje,
+            description: req.body.description
+        }, archivo);
+        res.status(201).json({ success: true, template });
     } catch (err) {
-        logger.error(`[${sessionId}] Error: ${err.message}`);
-        
         if (archivo) {
             try { fs.unlinkSync(archivo.path); } catch (e) {}
         }
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        const errorMessage = err.message || '';
+// Actualizar plantilla (remove_attachment=true quita el adjunto)
+app.put('/api/templates/:name', upload.single('archivo'), (req, res) => {
+    const archivo = req.file;
 
-        if (errorMessage.includes('Timeout')) {
-            return res.status(504).json({
-                error: 'Timeout al enviar. Verifique si el mensaje se envió antes de reintentar.',
-                sessionId,
-                timeout: true
-            });
+    const discardUpload = () => {
+        if (archivo) {
+            try { fs.unlinkSync(archivo.path); } catch (e) {}
         }
+    };
 
-        if (errorMessage.includes('not connected') || errorMessage.includes('disconnected')) {
-            return res.status(503).json({
-                error: 'Sesión desconectada',
-                sessionId,
-                status: 'disconnected'
-            });
+    if (archivo && archivo.size > 15 * 1024 * 1024) {
+        discardUpload();
+        return res.status(400).json({ error: 'El archivo es demasiado grande. Límite: 15MB' });
+    }
+
+    try {
+        const template = templateStore.update(req.params.name, {
+            mensaje: req.body.mensaje,
+            description: req.body.description,
+            removeAttachment: req.body.remove_attachment === 'true' || req.body.remove_attachment === true
+        }, archivo);
+
+        if (!template) {
+            discardUpload();
+            return res.status(404).json({ error: 'Plantilla no encontrada' });
         }
+        res.json({ success: true, template });
+    } catch (err) {
+        discardUpload();
+        res.status(400).json({ error: err.message });
+    }
+});
 
-        return res.status(500).json({
-            error: errorMessage || 'Error al enviar mensaje',
-            sessionId
-        });
+// Eliminar plantilla
+app.delete('/api/templates/:name', (req, res) => {
+    if (!templateStore.remove(req.params.name)) {
+        return res.status(404).json({ error: 'Plantilla no encontrada' });
     }
+    res.json({ success: true, message: `Plantilla ${req.params.name} eliminada` });
 });
 
 // Regenerar QR sin destruir sesión
@@ -1567,7 +3140,7 @@ app.post('/api/sessions/:id/regenerate-qr', async (req, res) => {
         return res.status(404).json({ error: 'Sesión no encontrada' });
     }
 
-    if (!session.client) {
+    if (!session.driver) {
         return res.status(400).json({ error: 'No hay cliente activo para regenerar QR' });
     }
 
@@ -1601,8 +3174,8 @@ app.post('/api/sessions/:id/regenerate-qr', async (req, res) => {
     }
 });
 
-// Reiniciar sesión CORREGIDO
-app.post('/api/sessions/:id/reiniciar', async (req, res) => {
+// Reiniciar sesión CORREGIDO (/restart es el nombre que usa main-baileys.js)
+app.post(['/api/sessions/:id/reiniciar', '/api/sessions/:id/restart'], async (req, res) => {
     const sessionId = req.params.id;
     const session = sessionManager.getSession(sessionId);
 
@@ -1610,26 +3183,39 @@ app.post('/api/sessions/:id/reiniciar', async (req, res) => {
         return res.status(404).json({ error: 'Sesión no encontrada' });
     }
 
+    const restarting = {
+        success: true,
+        message: `⚡ Sesión ${sessionId} reiniciándose`,
+        driver: session.driverName || 'wwebjs',
+        qrUrl: `/api/sessions/${sessionId}/qr`,
+        statusUrl: `/api/sessions/${sessionId}/status`
+    };
+
+    // Baileys conserva las credenciales: basta con reconectar
+    if (session.driverName === 'baileys') {
+        logger.info(`[${sessionId}] 🔄 Reiniciando sesión (Baileys)...`);
+        sessionManager.cleanupSession(sessionId);
+        startBaileysSession(sessionId, { phoneNumber: session.phoneNumber, infoData: session.infoData });
+        return res.json(restarting);
+    }
+
     try {
         logger.info(`[${sessionId}] 🔄 Reiniciando sesión...`);
 
         await nuclearCleanup(sessionId);
 
-        const client = createOptimizedClient(sessionId);
+        const { client, driver, driverName } = createWwebjsSession(sessionId);
         sessionManager.createSession(sessionId, {
             client,
+            driver,
+            driverName,
             status: 'initializing',
             lastActivity: Date.now()
         });
         saveSessionInfo();
 
         // Responder inmediatamente
-        res.json({
-            success: true,
-            message: `⚡ Sesión ${sessionId} reiniciándose`,
-            qrUrl: `/api/sessions/${sessionId}/qr`,
-            statusUrl: `/api/sessions/${sessionId}/status`
-        });
+        res.json(restarting);
 
         // CORREGIDO: initialize() es Promise
         try {
@@ -1684,6 +3270,76 @@ app.post('/api/sessions/:id/reiniciar', async (req, res) => {
     }
 });
 
+// Vincular con código en lugar de escanear el QR (body: { phoneNumber })
+app.post('/api/sessions/:id/pairing-code', async (req, res) => {
+    const sessionId = req.params.id;
+    const session = sessionManager.getSession(sessionId);
+
+    if (!session) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    if (session.status === 'authenticated') {
+        return res.status(409).json({ error: 'La sesión ya está vinculada', status: session.status });
+    }
+
+    if (!session.driver) {
+        return res.status(409).json({ error: 'La sesión no está inicializada. Reiníciala e intenta nuevamente.', status: session.status });
+    }
+
+    try {
+        const code = await session.driver.requestPairingCode(req.body.phoneNumber);
+        const current = sessionManager.getSession(sessionId) || session;
+
+        res.json({
+            success: true,
+            sessionId,
+            driver: session.driverName || 'wwebjs',
+            phoneNumber: current.pairingCode ? current.pairingCode.phoneNumber : req.body.phoneNumber,
+            code,
+            status: current.status,
+            statusUrl: `/api/sessions/${sessionId}/status`,
+            instructions: 'WhatsApp > Dispositivos vinculados > Vincular dispositivo > Vincular con el número de teléfono'
+        });
+    } catch (err) {
+        logger.error(`[${sessionId}] Error generando código de vinculación: ${err.message}`);
+        res.status(err.permanent ? 400 : 503).json({ error: err.message, status: session.status });
+    }
+});
+
+// Cerrar sesión en WhatsApp (desvincula el dispositivo) sin eliminar la sesión
+app.post('/api/sessions/:id/logout', async (req, res) => {
+    const sessionId = req.params.id;
+    const session = sessionManager.getSession(sessionId);
+
+    if (!session) {
+        return res.status(404).json({ error: 'Sesión no encontrada' });
+    }
+
+    if (!session.driver || session.status !== 'authenticated') {
+        return res.status(409).json({ error: 'La sesión no está autenticada', status: session.status });
+    }
+
+    try {
+        await session.driver.logout();
+
+        sessionManager.updateSession(sessionId, {
+            ...sessionManager.getSession(sessionId),
+            status: 'disconnected',
+            qrData: null,
+            phoneNumber: null,
+            lastActivity: Date.now()
+        });
+        saveSessionInfo();
+
+        logger.info(`[${sessionId}] 👋 Sesión cerrada en WhatsApp`);
+        res.json({ success: true, message: `Sesión ${sessionId} desvinculada de WhatsApp` });
+    } catch (err) {
+        logger.error(`[${sessionId}] Error cerrando sesión: ${err.message}`);
+        res.status(500).json({ error: 'Error al cerrar sesión en WhatsApp' });
+    }
+});
+
 // Eliminar sesión
 app.delete('/api/sessions/:id', async (req, res) => {
     const session = sessionManager.getSession(req.params.id);
@@ -1693,6 +3349,12 @@ app.delete('/api/sessions/:id', async (req, res) => {
         const preserveFiles = req.query.preserve === 'true';
 
         if (!preserveFiles) {
+            // Baileys: desvincular el dispositivo antes de borrar las credenciales
+            if (session.driverName === 'baileys') {
+                await session.driver.logout().catch(err => {
+                    logger.warn(`[${req.params.id}] Error cerrando sesión en WhatsApp: ${err.message}`);
+                });
+            }
             await nuclearCleanup(req.params.id);
         } else {
             if (session.client) {
@@ -1701,8 +3363,21 @@ app.delete('/api/sessions/:id', async (req, res) => {
         }
 
         sessionManager.deleteSession(req.params.id);
+        eventStream.publish(req.params.id, 'deleted');
         saveSessionInfo();
 
+        if (!preserveFiles) {
+            broadcastManager.cancelSession(req.params.id);
+            messageScheduler.cancelSession(req.params.id);
+            autoReplies.removeSession(req.params.id);
+            inbox.removeSession(req.params.id);
+            messageQueue.dropSession(req.params.id);
+            webhookDispatcher.removeSession(req.params.id);
+            assignmentStore.removeSession(req.params.id, { reason: 'session_deleted' });
+            mediaStore.removeSession(req.params.id);
+            pollStore.removeSession(req.params.id);
+        }
+
         res.json({
             success: true,
             message: `Sesión ${req.params.id} eliminada correctamente`,
@@ -1718,11 +3393,12 @@ app.delete('/api/sessions/:id', async (req, res) => {
 app.get('/api/sessions', (req, res) => {
     const sessionList = sessionManager.getAllSessions().map(([id, session]) => ({
         sessionId: id,
+        driver: session.driverName || 'wwebjs',
         status: session.status,
         authenticated: session.status === 'authenticated',
         phoneNumber: session.phoneNumber || session.client?.info?.wid?.user || null,
         lastActivity: session.lastActivity,
-        queueLength: sessionManager.getMessageQueue(id)?.length || 0,
+        queueLength: messageQueue.getPending(id).length,
         qrAvailable: !!session.qrData,
         qrAge: session.qrGeneratedAt ? Math.floor((Date.now() - session.qrGeneratedAt) / 1000) : null
     }));
@@ -1841,6 +3517,13 @@ app.get('/', (req, res) => {
                 <h1>📱 WhatsApp API</h1>
                 <p class="subtitle">Panel de Control - Probusiness</p>
                 
+                <div style="margin-bottom: 10px;">
+                    <label for="driver">Driver:</label>
+                    <select id="driver" style="padding: 6px 10px; border-radius: 8px;">
+                        ${DRIVERS.map(driver => `<option value="${driver}" ${driver === DEFAULT_DRIVER ? 'selected' : ''}>${driver === 'baileys' ? 'Baileys (sin navegador)' : 'whatsapp-web.js'}</option>`).join('')}
+                    </select>
+                </div>
+
                 <button class="create-btn" onclick="createSession()">
                     🚀 Crear Nueva Sesión
                 </button>
@@ -1862,6 +3545,7 @@ app.get('/', (req, res) => {
                  </div>
             </div>
 
+            <script src="/api-key.js"></script>
             <script>
                 async function createSession() {
                     const createBtn = document.querySelector('.create-btn');
@@ -1876,7 +3560,7 @@ app.get('/', (req, res) => {
                         const response = await fetch('/api/sessions', {
                             method: 'POST',
                             headers: { 'Content-Type': 'application/json' },
-                            body: JSON.stringify({})
+                            body: JSON.stringify({ driver: document.getElementById('driver').value })
                         });
                         
                         const data = await response.json();
@@ -1884,7 +3568,7 @@ app.get('/', (req, res) => {
                         if (response.ok) {
                             status.innerHTML = \`
                                 <strong>✅ Sesión creada exitosamente!</strong><br>
-                                <p>ID: \${data.sessionId}</p>
+                                <p>ID: \${data.sessionId} (\${data.driver})</p>
                                 <p style="margin-top: 10px;">
                                     <a href="\${data.qrUrl}" target="_blank" style="background: #25D366; color: white; padding: 8px 15px; text-decoration: none; border-radius: 5px;">
                                         📱 Ver QR Code
@@ -1926,133 +3610,135 @@ app.get('/sessions', (req, res) => {
     res.sendFile(path.join(__dirname, 'sessions-view.html'));
 });
 
-// OBTENER ASIGNACIONES ACTUALES
+// BANDEJA DE ENTRADA DE LOS AGENTES
+app.get('/inbox', (req, res) => {
+    res.sendFile(path.join(__dirname, 'inbox-view.html'));
+});
+
+// OBTENER ASIGNACIONES ACTUALES ({ rol → sessionId })
 app.get('/api/current-assignments', (req, res) => {
-    try {
-        const envPath = path.join(__dirname, '../redis-laravel/.env');
-        
-        if (!fs.existsSync(envPath)) {
-            return res.json({ sells: null, coordination: null });
-        }
+    res.json(assignmentStore.toMap());
+});
 
-        const envContent = fs.readFileSync(envPath, 'utf8');
-        
-        // Extraer session IDs de las URLs
-        const sellsMatch = envContent.match(/SELLS_API_URL="[^"]*\/sessions\/([^\/]+)\/send-message"/);
-        const coordinationMatch = envContent.match(/COORDINATION_API_URL="[^"]*\/sessions\/([^\/]+)\/send-message"/);
-        
-        const assignments = {
-            sells: sellsMatch ? sellsMatch[1] : null,
-            coordination: coordinationMatch ? coordinationMatch[1] : null
-        };
+// Listar asignaciones de roles
+app.get('/api/assignments', (req, res) => {
+    const assignments = assignmentStore.list().map(assignment => ({
+        ...assignment,
+        failedOver: assignment.activeSessionId !== assignment.sessionId,
+        sessionStatuses: assignment.sessions.map(sessionId => {
+            const session = sessionManager.getSession(sessionId);
+            return { sessionId, status: session ? session.status : 'not_found', ready: isSessionReady(sessionId) };
+        }),
+        sendUrl: `/api/roles/${assignment.role}/send-message`
+    }));
 
-        res.json(assignments);
-    } catch (error) {
-        logger.error('Error obteniendo asignaciones actuales:', error.message);
-        res.status(500).json({ error: 'Error leyendo asignaciones' });
-    }
+    res.json({ count: assignments.length, assignments });
 });
 
-// ASIGNAR NÚMEROS A VENTAS O COORDINACIÓN
-app.post('/api/assign-number', async (req, res) => {
-    const { sessionId, type } = req.body;
+// Historial de asignaciones (?role=sells&limit=50)
+app.get('/api/assignments/history', (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 1000);
+    res.json({ history: assignmentStore.getHistory({ role: req.query.role || null, limit }) });
+});
 
-    if (typeof sessionId === 'undefined' || !type) {
-        return res.status(400).json({ error: 'SessionId y type son requeridos' });
+// Asignar un rol a una lista ordenada de sesiones (la principal debe estar autenticada)
+const assignRole = (req, res, role, sessionIds) => {
+    const missing = sessionIds.filter(id => !sessionManager.getSession(id));
+    if (missing.length > 0) {
+        return res.status(404).json({ error: `Sesión no encontrada: ${missing.join(', ')}` });
     }
 
-    if (!['sells', 'coordination'].includes(type)) {
-        return res.status(400).json({ error: 'Type debe ser "sells" o "coordination"' });
+    const sessionId = sessionIds[0];
+    const session = sessionManager.getSession(sessionId);
+    if (session.status !== 'authenticated') {
+        return res.status(400).json({ error: 'La sesión debe estar autenticada' });
     }
 
-    // Verificar que la sesión existe y está autenticada (solo si sessionId no está vacío)
-    if (sessionId && sessionId.trim() !== '') {
-        const session = sessionManager.getSession(sessionId);
-        if (!session) {
-            return res.status(404).json({ error: 'Sesión no encontrada' });
-        }
-
-        if (session.status !== 'authenticated') {
-            return res.status(400).json({ error: 'La sesión debe estar autenticada' });
+    let phoneNumber = session.phoneNumber || session.driver?.getInfo()?.phoneNumber || null;
+    if (req.body.phoneNumber) {
+        try {
+            phoneNumber = normalizePhone(req.body.phoneNumber, { label: 'número de teléfono' });
+        } catch (err) {
+            return res.status(400).json({ error: err.message });
         }
     }
 
     try {
-        const variableName = type === 'sells' ? 'SELLS_API_URL' : 'COORDINATION_API_URL';
-        const envPath = path.join(__dirname, '../redis-laravel/.env');
-        
-        // Leer el archivo .env actual
-        let envContent = '';
-        try {
-            envContent = fs.readFileSync(envPath, 'utf8');
-        } catch (err) {
-            return res.status(500).json({ 
-                error: 'No se pudo leer el archivo .env. Verifica que existe ../redis-laravel/.env' 
-            });
-        }
+        const assignment = assignmentStore.assign(role, sessionIds, {
+            phoneNumber,
+            by: req.apiKey ? req.apiKey.name : null
+        });
 
-        if (!sessionId || sessionId.trim() === '') {
-            // DESASIGNAR - Eliminar la línea
-            logger.info(`🔄 Desasignando ${type.toUpperCase()}`);
-            
-            const regex = new RegExp(`^${variableName}=.*$`, 'm');
-            if (regex.test(envContent)) {
-                envContent = envContent.replace(regex, `${variableName}=""`);
-            } else {
-                envContent += `\n${variableName}=""`;
-            }
-            
-            fs.writeFileSync(envPath, envContent, 'utf8');
-            
-            logger.info(`✅ ${variableName} desasignado exitosamente`);
-            
-            res.json({
-                success: true,
-                message: `${type.toUpperCase()} desasignado exitosamente`,
-                type,
-                action: 'unassigned',
-                variableUpdated: variableName
-            });
-        } else {
-            // ASIGNAR
-            logger.info(`[${sessionId}] 🎯 Asignando a ${type.toUpperCase()}`);
-            
-            const newUrl = `"https://whatsapp2.probusiness.pe/api/sessions/${sessionId}/send-message"`;
-            const regex = new RegExp(`^${variableName}=.*$`, 'm');
-            const newLine = `${variableName}=${newUrl}`;
+        res.json({
+            success: true,
+            message: `Número ${phoneNumber || 'Desconocido'} asignado a ${assignment.role.toUpperCase()} exitosamente`,
+            sessionId,
+            type: assignment.role,
+            phoneNumber,
+            action: 'assigned',
+            assignment,
+            sendUrl: `/api/roles/${assignment.role}/send-message`
+        });
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+};
 
-            if (regex.test(envContent)) {
-                envContent = envContent.replace(regex, newLine);
-            } else {
-                envContent += `\n${newLine}`;
-            }
+const unassignRole = (req, res, role) => {
+    const previous = assignmentStore.unassign(role, { by: req.apiKey ? req.apiKey.name : null });
+
+    res.json({
+        success: true,
+        message: previous ? `${role.toUpperCase()} desasignado exitosamente` : `${role.toUpperCase()} no tenía asignación`,
+        type: role,
+        action: 'unassigned',
+        previousSessionId: previous ? previous.sessionId : null
+    });
+};
 
-            fs.writeFileSync(envPath, envContent, 'utf8');
+// Body: { sessionId } o { sessions: [principal, respaldo, ...] }
+app.put('/api/assignments/:role', (req, res) => {
+    const sessionIds = Array.isArray(req.body.sessions) ? req.body.sessions : [req.body.sessionId].filter(Boolean);
+    if (sessionIds.length === 0) {
+        return res.status(400).json({ error: 'Se requiere sessionId o sessions' });
+    }
+    assignRole(req, res, req.params.role, sessionIds);
+});
 
-            const session = sessionManager.getSession(sessionId);
-            const phoneNumber = session ? (session.phoneNumber || session.client?.info?.wid?.user || 'Desconocido') : 'Desconocido';
-            
-            logger.info(`[${sessionId}] ✅ ${variableName} actualizado a: ${newUrl}`);
-            logger.info(`[${sessionId}] 📱 Número ${phoneNumber} asignado a ${type.toUpperCase()}`);
-
-            res.json({
-                success: true,
-                message: `Número ${phoneNumber} asignado a ${type.toUpperCase()} exitosamente`,
-                sessionId,
-                type,
-                phoneNumber,
-                action: 'assigned',
-                variableUpdated: variableName,
-                newUrl: newUrl.replace(/"/g, '')
-            });
-        }
+app.delete('/api/assignments/:role', (req, res) => {
+    unassignRole(req, res, req.params.role);
+});
 
-    } catch (error) {
-        logger.error(`Error en asignación: ${error.message}`);
-        res.status(500).json({ 
-            error: 'Error actualizando configuración: ' + error.message 
-        });
+// ASIGNAR NÚMEROS A UN ROL (sessionId vacío = desasignar)
+app.post('/api/assign-number', (req, res) => {
+    const { sessionId, type } = req.body;
+
+    if (typeof sessionId === 'undefined' || !type) {
+        return res.status(400).json({ error: 'SessionId y type son requeridos' });
+    }
+
+    if (!sessionId || String(sessionId).trim() === '') {
+        logger.info(`🔄 Desasignando ${String(type).toUpperCase()}`);
+        return unassignRole(req, res, type);
     }
+
+    assignRole(req, res, type, assignmentStore.withPrimary(type, sessionId));
+});
+
+// Asignar número específico a un rol
+app.post('/api/sessions/:id/assign-number', (req, res) => {
+    const { type, phoneNumber } = req.body;
+
+    if (!type) {
+        return res.status(400).json({ error: 'Tipo de asignación inválido' });
+    }
+
+    // El formato se valida (y normaliza) al asignar
+    if (!phoneNumber) {
+        return res.status(400).json({ error: 'Falta el número de teléfono' });
+    }
+
+    assignRole(req, res, type, assignmentStore.withPrimary(type, req.params.id));
 });
 
 // Health check MEJORADO
@@ -2092,6 +3778,15 @@ app.get('/health', (req, res) => {
 
 // Restauración de sesiones OPTIMIZADA
 const restorePreviousSessions = async () => {
+    // Mensajes programados que vencieron con el servidor apagado: se encolan
+    // (o se omiten, según catch_up) y la cola los envía cuando la sesión conecte.
+    // Fuera del try de abajo: un error aquí no debe impedir restaurar las sesiones
+    try {
+        messageScheduler.reconcile();
+    } catch (error) {
+        logger.error(`⏰ Error recuperando mensajes programados vencidos: ${error.message}`);
+    }
+
     try {
         if (!fs.existsSync(SESSION_INFO_FILE)) {
             logger.info('No hay sesiones previas para restaurar');
@@ -2142,12 +3837,23 @@ const restorePreviousSessions = async () => {
             logger.info(`⚡ Restaurando ${sessionsToRestore.length} sesiones con configuración OPTIMIZADA...`);
             
             for (const [index, info] of sessionsToRestore.entries()) {
-                logger.info(`Restaurando sesión OPTIMIZADA: ${info.sessionId}`);
+                logger.info(`Restaurando sesión OPTIMIZADA: ${info.sessionId} (${info.driver || 'wwebjs'})`);
 
-                const client = createOptimizedClient(info.sessionId, true); // Usar versión optimizada
+                if (info.driver === 'baileys') {
+                    startBaileysSession(info.sessionId, {
+                        status: 'restoring',
+                        phoneNumber: info.phoneNumber,
+                        infoData: info.infoData
+                    });
+                    continue;
+                }
+
+                const { client, driver, driverName } = createWwebjsSession(info.sessionId, true); // Usar versión optimizada
 
                 sessionManager.createSession(info.sessionId, {
                     client,
+                    driver,
+                    driverName,
                     status: 'restoring',
                     lastActivity: Date.now(),
                     phoneNumber: info.phoneNumber,
@@ -2204,6 +3910,30 @@ const restorePreviousSessions = async () => {
         logger.info(`🖼️ QR optimizado: 256px, margen 1px`);
     });
 
+    // Worker de la cola de mensajes: drena las sesiones autenticadas
+    messageQueue.start();
+
+    // Planificador de campañas: encola cada destinatario a su ritmo
+    broadcastManager.start();
+
+    // Mensajes programados: encola cada uno a su hora
+    messageScheduler.start();
+
+    // Purgar estados de mensajes, claves de idempotencia, campañas, programaciones, archivos recibidos, encuestas, números verificados, esperas de respuestas automáticas y conversaciones cerradas antiguos y archivar el historial vencido cada hora
+    const messageStatusInterval = setInterval(() => {
+        messageStatus.prune();
+        idempotencyStore.prune();
+        broadcastManager.prune();
+        messageScheduler.prune();
+        mediaStore.prune();
+        pollStore.prune();
+        numberLookupCache.prune();
+        autoReplies.prune();
+        inbox.prune();
+        conversationStore.prune();
+    }, 3600000);
+    sessionManager.addGlobalInterval(messageStatusInterval);
+
     // Guardar información cada 3 minutos (reducido de 5)
     const saveInterval = setInterval(() => {
         saveSessionInfo();
@@ -2333,6 +4063,12 @@ const gracefulShutdown = async (signal) => {
         });
 
         saveSessionInfo();
+        broadcastManager.stop();
+        messageScheduler.stop();
+        eventStream.close();
+        messageQueue.stop();
+        messageQueue.save();
+        messageStatus.flush();
         sessionManager.cleanupAllSessions();
 
         logger.info('✅ Cierre optimizado completado');